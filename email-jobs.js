@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+const { listJobs, replayJob, replayDeadJobs } = require('./src/mailer');
+require('dotenv').config();
+
+// Uso:
+//   node email-jobs.js list [pending|processing|sent|dead]
+//   node email-jobs.js replay <jobId>
+//   node email-jobs.js replay-dead
+const [command = 'list', arg] = process.argv.slice(2);
+
+const run = async () => {
+  try {
+    // Conectar a MongoDB
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('✅ Conectado a MongoDB');
+
+    if (command === 'list') {
+      const jobs = await listJobs({ status: arg });
+      console.log(`📊 Total de correos encontrados: ${jobs.length}\n`);
+
+      jobs.forEach((job) => {
+        console.log(`✉️  Correo ${job._id}:`);
+        console.log(`   📧 Para: ${job.to}`);
+        console.log(`   📄 Plantilla: ${job.template}`);
+        console.log(`   🚦 Estado: ${job.status} (${job.attempts}/${job.maxAttempts} intentos)`);
+        console.log(`   ⏰ Próximo intento: ${job.nextAttemptAt || 'No tiene'}`);
+        console.log(`   ❗ Último error: ${job.lastError || 'Ninguno'}`);
+        console.log('   ───────────────────────');
+      });
+    } else if (command === 'replay') {
+      if (!arg) throw new Error('Falta el id del correo');
+      const job = await replayJob(arg);
+      console.log(job ? `🔁 Correo ${job._id} reencolado` : 'ℹ️  No existe un correo fallido con ese id');
+    } else if (command === 'replay-dead') {
+      const count = await replayDeadJobs();
+      console.log(`🔁 ${count} correos fallidos reencolados`);
+    } else {
+      console.log('Comandos: list [estado] | replay <id> | replay-dead');
+    }
+
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔌 Conexión cerrada');
+  }
+};
+
+run();
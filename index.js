@@ -6,12 +6,16 @@ const app = express();
 const { connectDB } = require("./src/config/db.js")
 const routes = require("./src/routes/routes.js") // add .js extension to specify it is the script
 const { globalErrorHandler, notFoundHandler } = require("./src/middlewares/errorHandler")
+const { startEmailWorker } = require("./src/mailer")
+const { startReminderScheduler } = require("./src/utils/reminders")
+const { localeMiddleware } = require("./src/i18n")
 
 const PORT = 3000;
 
 // Middlewares
 app.use(cors()); // Allow requests from the frontend
 app.use(express.json());
+app.use(localeMiddleware); // Response language from Accept-Language (or the user's preference)
 
 // Main routes
 app.use(routes);
@@ -31,3 +35,9 @@ app.listen(PORT, () => {
 });
 
 connectDB();
+
+// Deliver queued emails in the background (retries with backoff)
+startEmailWorker();
+
+// Queue the reminder emails of tasks marked to be remembered
+startReminderScheduler();
@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+const List = require('../models/models');
+const Task = require('../../task/models/models');
+const { ValidationError } = require('../../../utils/errors');
+
+// Fields a client may set on a list
+const EDITABLE_FIELDS = ['name', 'color', 'icon', 'archived', 'order'];
+
+/**
+ * Get lists controller
+ *
+ * Returns the authenticated user's lists in their chosen order, each with the
+ * number of tasks it contains. Archived lists are left out unless
+ * `archived=true` (only archived) or `archived=all` is given.
+ *
+ * Retrieval flow:
+ * 1. Builds the filter from the `archived` query parameter
+ * 2. Loads the lists sorted by `order` then creation date
+ * 3. Counts the tasks of every list in a single aggregation
+ * 4. Returns the lists with a `taskCount` field
+ */
+const getLists = async (req, res) => {
+  const { archived = 'false' } = req.query;
+
+  const filter = { user_id: req.user.id };
+  if (archived !== 'all') filter.archived = archived === 'true';
+
+  const lists = await List.find(filter).lean().sort({ order: 1, createdAt: 1 });
+
+  const counts = await Task.aggregate([
+    { $match: { user_id: new mongoose.Types.ObjectId(String(req.user.id)), list_id: { $in: lists.map((l) => l._id) } } },
+    { $group: { _id: '$list_id', count: { $sum: 1 } } }
+  ]);
+  const countByList = new Map(counts.map((c) => [String(c._id), c.count]));
+
+  return res.status(200).json({
+    success: true,
+    message: req.t('list.listed'),
+    data: {
+      lists: lists.map((list) => ({ ...list, taskCount: countByList.get(String(list._id)) || 0 }))
+    }
+  });
+};
+
+/**
+ * Create list controller
+ *
+ * Creates a list for the authenticated user. When no `order` is given the
+ * list is placed after the existing ones.
+ */
+const createList = async (req, res) => {
+  const { name, color, icon, archived, order } = req.body;
+
+  let position = order;
+  if (position === undefined) {
+    const last = await List.findOne({ user_id: req.user.id }).sort({ order: -1 }).select('order').lean();
+    position = last ? last.order + 1 : 0;
+  }
+
+  const list = await List.create({
+    name,
+    color,
+    icon,
+    archived: archived === true || archived === 'true',
+    order: Number(position),
+    user_id: req.user.id
+  });
+
+  return res.status(201).json({
+    success: true,
+    message: req.t('list.created'),
+    data: { list }
+  });
+};
+
+/**
+ * Get list by id controller
+ *
+ * Returns one of the authenticated user's lists (loaded by `loadList`).
+ */
+const getListById = async (req, res) => {
+  return res.status(200).json({ success: true, data: { list: req.list } });
+};
+
+/**
+ * Update list controller
+ *
+ * Changes the name, color, icon, archived flag or order of a list. Only the
+ * fields present in the body are modified.
+ */
+const updateList = async (req, res) => {
+  const list = req.list;
+
+  for (const field of EDITABLE_FIELDS) {
+    if (req.body[field] === undefined) continue;
+    if (field === 'archived') list.archived = req.body.archived === true || req.body.archived === 'true';
+    else if (field === 'order') list.order = Number(req.body.order);
+    else list[field] = req.body[field];
+  }
+
+  await list.save();
+
+  return res.status(200).json({
+    success: true,
+    message: req.t('list.updated'),
+    data: { list }
+  });
+};
+
+/**
+ * Delete list controller
+ *
+ * Deletes a list and lets the client decide what happens to its tasks with
+ * the `tasks` query parameter:
+ * - `move` (default): the tasks are moved to the list given in `moveTo`, or
+ *   left without a list when `moveTo` is omitted
+ * - `delete`: the tasks are deleted together with the list
+ *
+ * Deletion flow:
+ * 1. Validates the target list (must be another list of the same user)
+ * 2. Moves or deletes the tasks of the list
+ * 3. Deletes the list
+ * 4. Returns how many tasks were moved or deleted
+ */
+const deleteList = async (req, res) => {
+  const { tasks: mode = 'move', moveTo } = req.query;
+  const list = req.list;
+
+  if (mode === 'move' && moveTo) {
+    const target = moveTo !== String(list._id) && await List.exists({ _id: moveTo, user_id: req.user.id });
+    if (!target) {
+      throw new ValidationError('list.invalidMoveTarget', {
+        details: [{ field: 'moveTo', location: 'query', message: req.t('list.invalidMoveTarget') }]
+      });
+    }
+  }
+
+  let affected;
+  if (mode === 'delete') {
+    affected = (await Task.deleteMany({ list_id: list._id, user_id: req.user.id })).deletedCount;
+  } else {
+    affected = (await Task.updateMany({ list_id: list._id, user_id: req.user.id }, { $set: { list_id: moveTo || null } })).modifiedCount;
+  }
+
+  await List.deleteOne({ _id: list._id });
+
+  return res.status(200).json({
+    success: true,
+    message: req.t('list.deleted'),
+    data: mode === 'delete' ? { deletedTasks: affected } : { movedTasks: affected, movedTo: moveTo || null }
+  });
+};
+
+module.exports = { getLists, createList, getListById, updateList, deleteList };
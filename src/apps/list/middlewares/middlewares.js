@@ -0,0 +1,32 @@
+const List = require('../models/models');
+const { NotFoundError } = require('../../../utils/errors');
+
+/**
+ * List authorization middleware
+ *
+ * Loads the list named by `req.params.id` if it belongs to the authenticated
+ * user and attaches it as `req.list`. Lists of other users are answered with
+ * 404, like missing ones.
+ *
+ * Must run after `authenticateToken` and the `listIdSchema` validation.
+ *
+ * @function loadList
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ */
+const loadList = async (req, res, next) => {
+  try {
+    const list = await List.findOne({ _id: req.params.id, user_id: req.user.id });
+    if (!list) {
+      throw new NotFoundError('list.notFound');
+    }
+
+    req.list = list;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { loadList };
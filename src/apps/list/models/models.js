@@ -0,0 +1,39 @@
+const { Schema, model } = require('mongoose');
+
+/**
+ * Mongoose schema for List model
+ *
+ * A list (or project) groups tasks of one user. Tasks point to their list
+ * through the optional `list_id` field of the Task model; a task without it
+ * is simply not in any list. Archived lists are kept with their tasks but
+ * hidden from the default listing. `order` is the position chosen by the
+ * user in the sidebar (lower first).
+ *
+ * @type {mongoose.Schema<ListDocument>}
+ *
+ * @example
+ * const list = new List({
+ *   name: "University",
+ *   color: "#4F46E5",
+ *   icon: "book",
+ *   user_id: "507f1f77bcf86cd799439011"
+ * });
+ *
+ * @see {@link https://mongoosejs.com/docs/guide.html|Mongoose Schema Guide}
+ */
+const ListSchema = new Schema(
+    {
+    "name": { type: String, required: true, trim: true },
+    "color": { type: String, default: '#6B7280' },
+    "icon": { type: String, default: 'list' },
+    "archived": { type: Boolean, default: false },
+    "order": { type: Number, default: 0 },
+    "user_id": { type: Schema.Types.ObjectId, ref: 'User', required: true }
+    },
+    { timestamps: true } // create createdAt and updatedAt fields automatically
+)
+
+// Sidebar listing: a user's lists in their chosen order
+ListSchema.index({ user_id: 1, archived: 1, order: 1 });
+
+module.exports = model('List', ListSchema)
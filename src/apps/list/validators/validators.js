@@ -0,0 +1,61 @@
+/**
+ * Request schemas for the list routes
+ *
+ * Consumed by the `validate` middleware (src/middlewares/validate.js), which
+ * rejects invalid requests before they reach the controllers.
+ */
+
+const NAME_MAX_LENGTH = 50;
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+const listIdParams = {
+  id: { type: 'objectId', required: true }
+};
+
+const listBody = {
+  name: { type: 'string', maxLength: NAME_MAX_LENGTH },
+  color: { type: 'string', pattern: COLOR_PATTERN, messages: { pattern: 'list.invalidColor' } },
+  icon: { type: 'string', maxLength: 30 },
+  archived: { type: 'boolean' },
+  order: { type: 'integer', min: 0 }
+};
+
+const getListsSchema = {
+  query: {
+    archived: { type: 'string', enum: ['true', 'false', 'all'] }
+  }
+};
+
+const createListSchema = {
+  body: {
+    ...listBody,
+    name: { ...listBody.name, required: true }
+  }
+};
+
+const updateListSchema = {
+  params: listIdParams,
+  body: listBody,
+  atLeastOne: { in: 'body', fields: Object.keys(listBody) }
+};
+
+const listIdSchema = {
+  params: listIdParams
+};
+
+const deleteListSchema = {
+  params: listIdParams,
+  query: {
+    tasks: { type: 'string', enum: ['move', 'delete'] },
+    moveTo: { type: 'objectId' }
+  }
+};
+
+module.exports = {
+  NAME_MAX_LENGTH,
+  getListsSchema,
+  createListSchema,
+  updateListSchema,
+  listIdSchema,
+  deleteListSchema
+};
@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+const Tag = require('../models/models');
+const Task = require('../../task/models/models');
+const { ConflictError } = require('../../../utils/errors');
+
+// Same collation as the unique index, so name lookups ignore letter case
+const NAME_COLLATION = { locale: 'en', strength: 2 };
+
+/**
+ * Checks that no other tag of the user already has a name
+ *
+ * The unique index also guarantees it; checking first gives a clear error.
+ *
+ * @async
+ * @param {string} userId - Owner of the tags
+ * @param {string} name - Wanted name
+ * @param {any} [exceptId] - Tag being renamed
+ * @throws {ConflictError} If the name is taken
+ */
+const assertNameAvailable = async (userId, name, exceptId) => {
+  const filter = { user_id: userId, name: String(name).trim() };
+  if (exceptId) filter._id = { $ne: exceptId };
+
+  if (await Tag.findOne(filter).collation(NAME_COLLATION).select('_id').lean()) {
+    throw new ConflictError('tag.nameTaken', { errorType: 'tag_name_taken' });
+  }
+};
+
+/**
+ * Get tags controller
+ *
+ * Returns the authenticated user's tags sorted by name, each with the number
+ * of tasks that use it.
+ */
+const getTags = async (req, res) => {
+  const tags = await Tag.find({ user_id: req.user.id }).collation(NAME_COLLATION).sort({ name: 1 }).lean();
+
+  const counts = await Task.aggregate([
+    { $match: { user_id: new mongoose.Types.ObjectId(String(req.user.id)), tags: { $in: tags.map((t) => t._id) } } },
+    { $unwind: '$tags' },
+    { $group: { _id: '$tags', count: { $sum: 1 } } }
+  ]);
+  const countByTag = new Map(counts.map((c) => [String(c._id), c.count]));
+
+  return res.status(200).json({
+    success: true,
+    message: req.t('tag.listed'),
+    data: {
+      tags: tags.map((tag) => ({ ...tag, taskCount: countByTag.get(String(tag._id)) || 0 }))
+    }
+  });
+};
+
+/**
+ * Create tag controller
+ *
+ * Creates a tag for the authenticated user. Names are unique per user,
+ * ignoring letter case (409 otherwise).
+ */
+const createTag = async (req, res) => {
+  const { name, color } = req.body;
+
+  await assertNameAvailable(req.user.id, name);
+  const tag = await Tag.create({ name, color, user_id: req.user.id });
+
+  return res.status(201).json({
+    success: true,
+    message: req.t('tag.created'),
+    data: { tag }
+  });
+};
+
+/**
+ * Update tag controller
+ *
+ * Renames and/or recolors a tag. Tasks reference their tags by id, so every
+ * task using the tag shows the new name and color right away.
+ */
+const updateTag = async (req, res) => {
+  const { name, color } = req.body;
+  const tag = req.tag;
+
+  if (name !== undefined) {
+    await assertNameAvailable(req.user.id, name, tag._id);
+    tag.name = name;
+  }
+  if (color !== undefined) tag.color = color;
+
+  await tag.save();
+
+  return res.status(200).json({
+    success: true,
+    message: req.t('tag.updated'),
+    data: { tag }
+  });
+};
+
+/**
+ * Delete tag controller
+ *
+ * Deletes a tag and removes it from every task that used it. The tasks
+ * themselves are kept.
+ */
+const deleteTag = async (req, res) => {
+  const tag = req.tag;
+
+  const { modifiedCount } = await Task.updateMany(
+    { user_id: req.user.id, tags: tag._id },
+    { $pull: { tags: tag._id } }
+  );
+  await Tag.deleteOne({ _id: tag._id });
+
+  return res.status(200).json({
+    success: true,
+    message: req.t('tag.deleted'),
+    data: { updatedTasks: modifiedCount }
+  });
+};
+
+module.exports = { getTags, createTag, updateTag, deleteTag };
@@ -0,0 +1,32 @@
+const Tag = require('../models/models');
+const { NotFoundError } = require('../../../utils/errors');
+
+/**
+ * Tag authorization middleware
+ *
+ * Loads the tag named by `req.params.id` if it belongs to the authenticated
+ * user and attaches it as `req.tag`. Tags of other users are answered with
+ * 404, like missing ones.
+ *
+ * Must run after `authenticateToken` and the `tagIdSchema` validation.
+ *
+ * @function loadTag
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ */
+const loadTag = async (req, res, next) => {
+  try {
+    const tag = await Tag.findOne({ _id: req.params.id, user_id: req.user.id });
+    if (!tag) {
+      throw new NotFoundError('tag.notFound');
+    }
+
+    req.tag = tag;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { loadTag };
@@ -0,0 +1,33 @@
+const { Schema, model } = require('mongoose');
+
+/**
+ * Mongoose schema for Tag model
+ *
+ * User-defined label (name and color) that can be attached to any number of
+ * tasks. Tasks store the ids of their tags in the `tags` array of the Task
+ * model, so renaming or recoloring a tag is immediately reflected on every
+ * task that uses it; deleting a tag removes it from those tasks.
+ *
+ * Tag names are unique per user, ignoring letter case.
+ *
+ * @type {mongoose.Schema<TagDocument>}
+ *
+ * @example
+ * const tag = new Tag({ name: "urgent", color: "#DC2626", user_id: "507f1f77bcf86cd799439011" });
+ *
+ * @see {@link https://mongoosejs.com/docs/guide.html|Mongoose Schema Guide}
+ * @see {@link https://www.mongodb.com/docs/manual/reference/collation/|MongoDB Collation}
+ */
+const TagSchema = new Schema(
+    {
+    "name": { type: String, required: true, trim: true },
+    "color": { type: String, default: '#6B7280' },
+    "user_id": { type: Schema.Types.ObjectId, ref: 'User', required: true }
+    },
+    { timestamps: true } // create createdAt and updatedAt fields automatically
+)
+
+// One tag per name and user ("Work" and "work" are the same tag)
+TagSchema.index({ user_id: 1, name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+
+module.exports = model('Tag', TagSchema)
@@ -0,0 +1,42 @@
+/**
+ * Request schemas for the tag routes
+ *
+ * Consumed by the `validate` middleware (src/middlewares/validate.js), which
+ * rejects invalid requests before they reach the controllers.
+ */
+
+const NAME_MAX_LENGTH = 30;
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+const tagIdParams = {
+  id: { type: 'objectId', required: true }
+};
+
+const tagBody = {
+  name: { type: 'string', maxLength: NAME_MAX_LENGTH },
+  color: { type: 'string', pattern: COLOR_PATTERN, messages: { pattern: 'tag.invalidColor' } }
+};
+
+const createTagSchema = {
+  body: {
+    ...tagBody,
+    name: { ...tagBody.name, required: true }
+  }
+};
+
+const updateTagSchema = {
+  params: tagIdParams,
+  body: tagBody,
+  atLeastOne: { in: 'body', fields: Object.keys(tagBody) }
+};
+
+const tagIdSchema = {
+  params: tagIdParams
+};
+
+module.exports = {
+  NAME_MAX_LENGTH,
+  createTagSchema,
+  updateTagSchema,
+  tagIdSchema
+};
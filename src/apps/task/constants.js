@@ -0,0 +1,9 @@
+/**
+ * Values shared by the task model, validators and controllers
+ */
+
+const TASK_STATUSES = ['to do', 'in process', 'finished'];
+const TASK_PRIORITIES = ['none', 'low', 'medium', 'high', 'urgent']; // least to most important
+const COLLABORATOR_ROLES = ['viewer', 'editor'];
+
+module.exports = { TASK_STATUSES, TASK_PRIORITIES, COLLABORATOR_ROLES };
@@ -1,5 +1,401 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
 const Task = require('../models/models');
-const handleServerError = require('../../../middlewares/errorHandler');
+const User = require('../../user/models/models');
+const List = require('../../list/models/models');
+const Tag = require('../../tag/models/models');
+const { ValidationError, NotFoundError, ForbiddenError, ConflictError } = require('../../../utils/errors');
+const { TASK_STATUSES, TASK_PRIORITIES } = require('../constants');
+const { CHECKLIST_MAX_ITEMS, CALENDAR_MAX_DAYS } = require('../validators/validators');
+const { taskAccessFilter, getTaskRole } = require('../middlewares/middlewares');
+const { listOccurrences, nextOccurrence, findOccurrence } = require('../../../utils/recurrence');
+const { parseSearchQuery, highlight } = require('../../../utils/search');
+const { DEFAULT_TIMEZONE, PERIOD_KEY_FORMATS, getDayRange, getPeriod, listPeriods } = require('../../../utils/dates');
+const { buildTaskCalendar } = require('../../../utils/ical');
+const { hashToken } = require('../../../utils/tokens');
+const { setRequestLocale } = require('../../../i18n');
+
+// Past tasks kept in the calendar feed (later ones are all included)
+const FEED_PAST_DAYS = Number(process.env.TASK_FEED_PAST_DAYS) || 180;
+
+/**
+ * Checks that a list exists and belongs to the owner of a task
+ *
+ * @async
+ * @param {string} listId - List the task should be put in
+ * @param {string} ownerId - Owner of the task
+ * @throws {ValidationError} If the list is missing or belongs to someone else
+ */
+const assertOwnedList = async (listId, ownerId) => {
+  if (!(await List.exists({ _id: listId, user_id: ownerId }))) {
+    throw new ValidationError('list.notFound', { errorType: 'invalid_list' });
+  }
+};
+
+/**
+ * Checks that every tag exists and belongs to the owner of a task
+ *
+ * @async
+ * @param {string[]} tagIds - Tags to attach to the task
+ * @param {string} ownerId - Owner of the task
+ * @returns {Promise<string[]>} The tag ids without duplicates
+ * @throws {ValidationError} If a tag is missing or belongs to someone else
+ */
+const assertOwnedTags = async (tagIds, ownerId) => {
+  const unique = [...new Set(tagIds.map(String))];
+  if (unique.length && (await Tag.countDocuments({ _id: { $in: unique }, user_id: ownerId })) !== unique.length) {
+    throw new ValidationError('tag.unknown', { errorType: 'invalid_tags' });
+  }
+  return unique;
+};
+
+// Task field (or computed value) each sort key of `getUserTasks` orders by
+const SORT_FIELDS = {
+  overdue: '_overdue',
+  priority: '_priorityRank',
+  date: 'task_date',
+  title: 'title',
+  status: '_statusRank',
+  createdAt: 'createdAt',
+  updatedAt: 'updatedAt'
+};
+
+// Overdue tasks first, then the most important ones, then the soonest
+const DEFAULT_SORT = '-overdue,-priority,date';
+
+/**
+ * Parses a `sort` query parameter
+ *
+ * @param {string} [sort=DEFAULT_SORT] - Comma-separated keys, `-` prefix for descending
+ * @returns {Array<[string, 1|-1]>} Fields and directions, e.g. `[['_priorityRank', -1], ['task_date', 1]]`
+ */
+const parseSort = (sort = DEFAULT_SORT) => sort.split(',')
+  .map((key) => (key.startsWith('-') ? [SORT_FIELDS[key.slice(1)], -1] : [SORT_FIELDS[key], 1]));
+
+/**
+ * Aggregation expressions of the computed sort fields
+ *
+ * Priorities and statuses sort by their rank (none < ... < urgent,
+ * to do < in process < finished), not alphabetically. A task is overdue when
+ * its date has passed and it is not finished.
+ *
+ * @param {Date} now - Reference moment for `_overdue`
+ * @returns {Object} `$addFields` stage content
+ */
+const computedSortFields = (now) => ({
+  _overdue: { $and: [{ $lt: ['$task_date', now] }, { $ne: ['$status', 'finished'] }] },
+  _priorityRank: { $indexOfArray: [TASK_PRIORITIES, { $ifNull: ['$priority', 'none'] }] },
+  _statusRank: { $indexOfArray: [TASK_STATUSES, '$status'] }
+});
+
+/**
+ * Builds a comparator equivalent to the aggregation sort, for tasks sorted in memory
+ *
+ * @param {Array<[string, 1|-1]>} order - Parsed sort (see `parseSort`)
+ * @param {Date} now - Reference moment for overdue tasks
+ * @returns {function(Object, Object): number}
+ */
+const compareTasks = (order, now) => {
+  const valueOf = (task, field) => {
+    if (field === '_overdue') return task.task_date < now && task.status !== 'finished';
+    if (field === '_priorityRank') return TASK_PRIORITIES.indexOf(task.priority || 'none');
+    if (field === '_statusRank') return TASK_STATUSES.indexOf(task.status);
+    return task[field];
+  };
+
+  return (a, b) => {
+    for (const [field, direction] of order) {
+      const x = valueOf(a, field);
+      const y = valueOf(b, field);
+      if (x < y) return -direction;
+      if (x > y) return direction;
+    }
+    return 0;
+  };
+};
+
+/**
+ * Encodes the position of a task in a date-ordered listing as an opaque cursor
+ *
+ * @param {{ task_date: Date, _id: any }} task - Task at the edge of a page
+ * @param {1|-1} direction - Order of the listing (1 oldest first, -1 newest first)
+ * @returns {string} URL-safe cursor
+ */
+const encodeCursor = (task, direction) => Buffer
+  .from(JSON.stringify([new Date(task.task_date).getTime(), String(task._id), direction]))
+  .toString('base64url');
+
+/**
+ * Decodes a cursor made by `encodeCursor`
+ *
+ * @param {string} cursor - Cursor received from the client
+ * @returns {{ date: Date, id: mongoose.Types.ObjectId, direction: 1|-1 }|null} `null` if it is not a valid cursor
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const [time, id, direction] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!Number.isFinite(time) || !mongoose.isValidObjectId(id) || ![1, -1].includes(direction)) return null;
+    return { date: new Date(time), id: new mongoose.Types.ObjectId(id), direction };
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Runs a task listing aggregation
+ *
+ * One task more than `limit` is fetched to know whether another page
+ * follows. With `includeTotal`, the total number of matching tasks is counted
+ * in the same aggregation (`$facet`) instead of a separate query.
+ *
+ * @async
+ * @param {Object} match - Casted task filter
+ * @param {Object[]} sortStages - Stages ordering the matching tasks
+ * @param {Object[]} pageStages - Stages selecting the page (cursor match, skip...)
+ * @param {number} limit - Page size
+ * @param {boolean} includeTotal - Whether to count the matching tasks
+ * @returns {Promise<{ tasks: Object[], hasMore: boolean, total: number|null }>}
+ */
+const aggregateTasks = async (match, sortStages, pageStages, limit, includeTotal) => {
+  const pageStagesWithLimit = [...pageStages, { $limit: limit + 1 }];
+
+  let tasks;
+  let total = null;
+  if (includeTotal) {
+    const [result] = await Task.aggregate([
+      { $match: match },
+      ...sortStages,
+      { $facet: { tasks: pageStagesWithLimit, total: [{ $count: 'count' }] } }
+    ]);
+    tasks = result.tasks;
+    total = result.total.length ? result.total[0].count : 0;
+  } else {
+    tasks = await Task.aggregate([{ $match: match }, ...sortStages, ...pageStagesWithLimit]);
+  }
+
+  return { tasks: tasks.slice(0, limit), hasMore: tasks.length > limit, total };
+};
+
+/**
+ * Counts the checked items of a checklist
+ *
+ * @param {Array<{ done: boolean }>} [checklist=[]] - Checklist items
+ * @returns {{ done: number, total: number, percent: number }}
+ */
+const getChecklistProgress = (checklist = []) => {
+  const total = checklist.length;
+  const done = checklist.filter((item) => item.done).length;
+  return { done, total, percent: total ? Math.round((done / total) * 100) : 0 };
+};
+
+/**
+ * Adds the checklist progress to a task for API responses
+ *
+ * @param {Object} task - Task document or lean object
+ * @returns {Object} Plain task with a `progress` field
+ */
+const withProgress = (task) => {
+  const data = typeof task.toJSON === 'function' ? task.toJSON() : task;
+  return { ...data, progress: getChecklistProgress(data.checklist) };
+};
+
+/**
+ * Derives the task status from its checklist when `checklistAutoStatus` is on
+ *
+ * All items checked means 'finished', some checked means 'in process'. With
+ * no item checked (or an empty checklist) the status is left alone.
+ *
+ * @param {Object} task - Task document (modified in place)
+ */
+const applyChecklistStatus = (task) => {
+  if (!task.checklistAutoStatus || task.checklist.length === 0) return;
+
+  const { done, total } = getChecklistProgress(task.checklist);
+  if (done === total) task.status = 'finished';
+  else if (done > 0) task.status = 'in process';
+};
+
+/**
+ * Shapes the response of the checklist endpoints
+ *
+ * @param {Object} task - Task document
+ * @returns {{ checklist: Array<Object>, progress: Object, status: string }}
+ */
+const checklistResponse = (task) => ({
+  checklist: task.checklist,
+  progress: getChecklistProgress(task.checklist),
+  status: task.status
+});
+
+/**
+ * Turns reminder offsets into the `reminders` of a task
+ *
+ * Offsets the task already had keep their entry, so a reminder that was
+ * already sent is not sent again.
+ *
+ * @param {number[]} offsets - Minutes before the task date
+ * @param {Array<Object>} [current=[]] - Current reminders of the task
+ * @returns {Array<Object>} Reminders without duplicate offsets
+ */
+const toReminders = (offsets, current = []) => [...new Set(offsets.map(Number))]
+  .map((offsetMinutes) => current.find((reminder) => reminder.offsetMinutes === offsetMinutes) || { offsetMinutes });
+
+/**
+ * Builds the recurrence rule stored on a task
+ *
+ * The rule is read in the owner's time zone: the caller's own when they own
+ * the task, otherwise the one saved on the owner's account.
+ *
+ * @async
+ * @param {Object|null} rule - Rule from the request (null or '' for none)
+ * @param {string} ownerId - Owner of the task
+ * @param {import('express').Request} req - Request setting the rule
+ * @returns {Promise<Object|null>}
+ */
+const toRecurrence = async (rule, ownerId, req) => {
+  if (!rule) return null;
+
+  let timezone = req.user.timezone;
+  if (String(ownerId) !== String(req.user.id)) {
+    const owner = await User.findById(ownerId).select('timezone').lean();
+    timezone = (owner && owner.timezone) || DEFAULT_TIMEZONE;
+  }
+  return { ...rule, timezone };
+};
+
+/**
+ * Builds the fields of a new occurrence of a recurring task
+ *
+ * The occurrence copies the task and starts over: status 'to do' and every
+ * checklist item unchecked.
+ *
+ * @param {Object} template - Plain task the occurrence is copied from
+ * @param {{ date: Date, sequence: number }} occurrence - Date and position in the series
+ * @returns {Object} Fields for `new Task()`
+ */
+const buildOccurrence = (template, { date, sequence }) => ({
+  title: template.title,
+  detail: template.detail,
+  status: 'to do',
+  task_date: date,
+  priority: template.priority,
+  remember: template.remember,
+  reminders: (template.reminders || []).map(({ offsetMinutes }) => ({ offsetMinutes })),
+  user_id: template.user_id,
+  list_id: template.list_id,
+  tags: template.tags,
+  collaborators: template.collaborators,
+  checklist: (template.checklist || []).map(({ text }) => ({ text })),
+  checklistAutoStatus: template.checklistAutoStatus,
+  recurrence: template.recurrence,
+  series_id: template.series_id || template._id,
+  sequence
+});
+
+/**
+ * Creates the occurrence that follows a recurring task
+ *
+ * @async
+ * @param {Object} template - Plain copy of the current occurrence, rule included
+ * @returns {Promise<Object|null>} The created task, or null once the series is over
+ */
+const createNextOccurrence = async (template) => {
+  const next = nextOccurrence(template.recurrence, template.task_date, template.sequence);
+  return next ? Task.create(buildOccurrence(template, next)) : null;
+};
+
+/**
+ * Moves a finished recurring task's rule to its next occurrence
+ *
+ * Does nothing for tasks that are not recurring or not finished. The task
+ * itself is modified but not saved.
+ *
+ * @async
+ * @param {Object} task - Task document
+ * @returns {Promise<Object|null>} The created occurrence, if any
+ */
+const rollSeries = async (task) => {
+  if (!task.recurrence || task.status !== 'finished') return null;
+
+  const next = await createNextOccurrence(task.toObject());
+  task.recurrence = null;
+  return next;
+};
+
+/**
+ * Lists the virtual occurrences of recurring tasks between two dates
+ *
+ * Only the current occurrence of a series is stored; the later ones are
+ * computed from its rule. They carry `virtual: true`, the `_id` of the stored
+ * task and their `occurrence` date (to edit them through `edit`).
+ *
+ * @async
+ * @param {Object} filter - Task filter without date or status conditions
+ * @param {Date} from - Start of the range
+ * @param {Date} to - End of the range (inclusive)
+ * @returns {Promise<Object[]>} Plain task objects
+ */
+const findVirtualOccurrences = async (filter, from, to) => {
+  const series = await Task.find({ ...filter, 'recurrence.freq': { $exists: true }, task_date: { $lt: to } }).lean();
+
+  return series.flatMap((task) => listOccurrences(task.recurrence, task.task_date, { sequence: task.sequence, from, to })
+    .map(({ date, sequence }) => ({
+      ...task,
+      status: 'to do',
+      task_date: date,
+      checklist: (task.checklist || []).map((item) => ({ ...item, done: false, doneAt: null })),
+      series_id: task.series_id || task._id,
+      sequence,
+      occurrence: date,
+      virtual: true
+    })));
+};
+
+/**
+ * Picks the task an edit of a recurring task applies to
+ *
+ * - `this` on the stored occurrence: the rule moves to a new task for the
+ *   next occurrence (copied before the edit) and the task is edited alone
+ * - `this` on a later occurrence: a separate task is created for that date,
+ *   which the series then skips
+ * - `future` on the stored occurrence: the task itself, its rule included
+ * - `future` on a later occurrence: the series ends before that date and a
+ *   new task carrying the rule takes over from it
+ *
+ * Neither `task` nor the returned task is saved. When they differ, the caller
+ * saves the returned task first and `task` after it, so a failure never
+ * leaves the series skipping an occurrence that was not created.
+ *
+ * @async
+ * @param {Object} task - Stored occurrence of the series (holds the rule)
+ * @param {'this'|'future'} scope - Occurrences the edit applies to
+ * @param {string} [occurrence] - Date of the occurrence being edited (defaults to the stored one)
+ * @returns {Promise<Object>} Task document to apply the changes to
+ * @throws {ValidationError} If the series has no occurrence at that date
+ */
+const selectEditTarget = async (task, scope, occurrence) => {
+  const template = task.toObject();
+
+  if (!occurrence || new Date(occurrence).getTime() === task.task_date.getTime()) {
+    if (scope === 'future') return task;
+
+    await createNextOccurrence(template);
+    task.recurrence = null;
+    return task;
+  }
+
+  const target = findOccurrence(template.recurrence, template.task_date, template.sequence, occurrence);
+  if (!target) {
+    throw new ValidationError('task.occurrenceNotFound');
+  }
+
+  if (scope === 'this') task.recurrence.exdates.push(target.date);
+  else task.recurrence.until = new Date(target.date.getTime() - 1);
+
+  const copy = new Task(buildOccurrence(template, target));
+  if (scope === 'this') copy.recurrence = null;
+  return copy;
+};
 
 /**
  * Get user tasks controller
@@ -8,14 +404,43 @@ const handleServerError = require('../../../middlewares/errorHandler');
  * query parameters for filtering by status, date, and pagination. Implements
  * performance monitoring and comprehensive filtering capabilities.
  * 
+ * The `scope` query parameter selects the user's own tasks (`own`, default),
+ * the tasks other users shared with them (`shared`) or both (`all`). Every
+ * returned task carries the user's `access` role on it (owner, editor or viewer).
+ * `list` restricts the result to one list (`list=<id>`) or to the tasks that
+ * are not in any list (`list=none`). `tags` takes comma-separated tag ids and
+ * keeps the tasks having any of them (`tagMatch=any`, default) or all of them
+ * (`tagMatch=all`). Tags are returned populated with their name and color.
+ * `status` accepts several comma-separated statuses.
+ *
+ * `sort` takes comma-separated keys (priority, date, title, status, createdAt,
+ * updatedAt), each ascending or descending with a `-` prefix, e.g.
+ * `sort=-priority,date`. Priorities and statuses sort by rank.
+ *
+ * Without `sort` overdue tasks come first, then by priority (most important
+ * first), then by date; this and the other sorts order in an aggregation and
+ * paginate with `page`. `sort=date` (oldest first) and `sort=-date` are
+ * paginated by cursor unless `page` is given: the response carries opaque
+ * `nextCursor` and `prevCursor` values to pass back as `after` or `before`.
+ * Cursors are keyed on (task_date, _id), which the task indexes cover, so
+ * pages stay stable while tasks are added and cost the same however deep
+ * they are. The total number of tasks is only counted with
+ * `includeTotal=true`, in the same aggregation. Listings of a single `date`
+ * use the requested order, are paginated with `page` and always include the
+ * total.
+ *
+ * With a `date` filter, recurring tasks are expanded: the occurrences falling
+ * on that day are returned as virtual tasks (`virtual: true`, status 'to do').
+ * 
  * Task retrieval flow:
  * 1. Starts performance timer for request monitoring
  * 2. Extracts and validates query parameters with defaults
- * 3. Builds base filter for user-specific tasks (user_id)
+ * 3. Builds base filter for the requested scope (owned and/or shared tasks)
  * 4. Applies optional status filter with validation
- * 5. Applies optional date filter with day-range calculation
- * 6. Executes database query with constructed filters
- * 7. Implements pagination with limit and skip
+ * 5. Applies optional date filter with the day range in the user's time zone
+ * 6. Executes database query with constructed filters (merged with the
+ *    virtual occurrences of the day when filtering by date)
+ * 7. Sorts and paginates (by cursor in date order, by page otherwise)
  * 8. Returns filtered tasks with metadata
  * 
  * @see {@link https://docs.mongodb.com/manual/tutorial/query-documents/} MongoDB Query Documentation
@@ -26,72 +451,319 @@ const handleServerError = require('../../../middlewares/errorHandler');
 const getUserTasks = async (req, res) => {
   const startTime = Date.now();
   
-  try {
-    // Get query parameters for optional filters
-    const { status, date, limit = 50, page = 1 } = req.query;
-    
-    // Build base filter (only user tasks)
-    const filter = { user_id: req.user.id };
-    
-    // Add additional filters
-    if (status && ['to do', 'in process', 'finished'].includes(status)) {
-      filter.status = status;
+  // Get query parameters for optional filters
+  const { status, date, sort, after, before, includeTotal, scope = 'own', list, tags, tagMatch = 'any', limit = 50, page = 1 } = req.query;
+  
+  // Build base filter (owned and/or shared tasks)
+  const filter = taskAccessFilter(req.user.id, scope);
+  
+  // Add additional filters
+  if (list) {
+    filter.list_id = list === 'none' ? null : list;
+  }
+
+  if (tags) {
+    const tagIds = [...new Set(tags.split(','))];
+    filter.tags = tagMatch === 'all' ? { $all: tagIds } : { $in: tagIds };
+  }
+
+  // Recurring tasks are expanded with the filters above (virtual occurrences are all 'to do')
+  const seriesFilter = { ...filter };
+
+  const statuses = status ? status.split(',').filter((s) => TASK_STATUSES.includes(s)) : [];
+  if (statuses.length) {
+    filter.status = { $in: statuses };
+  }
+  
+  let dayRange = null;
+  if (date) {
+    // Filter by day
+    dayRange = getDayRange(date, req.user.timezone);
+    if (dayRange) {
+      filter.task_date = {
+        $gte: dayRange.start,
+        $lte: dayRange.end
+      };
     }
-    
-    if (date) {
-      const targetDate = new Date(date);
-      if (!isNaN(targetDate.getTime())) {
-        // Filter by day
-        const startOfDay = new Date(targetDate);
-        startOfDay.setHours(0, 0, 0, 0);
-        const endOfDay = new Date(targetDate);
-        endOfDay.setHours(23, 59, 59, 999);
-        
-        filter.task_date = {
-          $gte: startOfDay,
-          $lte: endOfDay
-        };
-      }
+  }
+
+  // Set pagination
+  const pageSize = parseInt(limit);
+  const skip = (parseInt(page) - 1) * pageSize;
+  const withTotal = includeTotal === true || includeTotal === 'true';
+
+  // Cursors only follow a date order, one direction at a time
+  const dateSort = sort === 'date' || sort === '-date';
+  const cursor = after || before;
+  if (cursor && (dayRange || !dateSort || (after && before))) {
+    throw new ValidationError('task.cursorNotAllowed');
+  }
+  
+  const order = parseSort(sort);
+  const now = new Date();
+
+  let tasks;
+  let pagination;
+  if (dayRange) {
+    // A single day holds few tasks: stored and virtual ones are merged, then sorted and paginated here
+    const stored = await Task.find(filter).lean();
+    const virtual = !statuses.length || statuses.includes('to do')
+      ? await findVirtualOccurrences(seriesFilter, dayRange.start, dayRange.end)
+      : [];
+
+    const merged = [...stored, ...virtual].sort(compareTasks(order, now));
+    tasks = merged.slice(skip, skip + pageSize);
+    pagination = {
+      currentPage: parseInt(page),
+      totalPages: Math.ceil(merged.length / pageSize),
+      totalTasks: merged.length,
+      tasksPerPage: pageSize,
+      hasNextPage: skip + tasks.length < merged.length,
+      hasPrevPage: parseInt(page) > 1
+    };
+  } else if (cursor || (dateSort && req.query.page === undefined)) {
+    const position = cursor ? decodeCursor(cursor) : null;
+    const direction = sort === '-date' ? -1 : 1;
+    if (cursor && (!position || position.direction !== direction)) {
+      throw new ValidationError('task.invalidCursor');
     }
 
-    // Set pagination
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-    
-    //Sort by task date (most recent first)
-    const tasks = await Task.find(filter)
-      .lean() // Returns flat JS objects 
-      .sort({ task_date: -1, createdAt: -1 })
-      .limit(parseInt(limit))
-      .skip(skip);
-
-    // Get total count for pagination (only if needed)
-    const totalTasks = await Task.countDocuments(filter);
-    
-    const responseTime = Date.now() - startTime;
-    
-    res.status(200).json({
-      success: true,
-      message: 'Tasks successfully found',
-      data: {
-        tasks,
-        pagination: {
-          currentPage: parseInt(page),
-          totalPages: Math.ceil(totalTasks / parseInt(limit)),
-          totalTasks,
-          tasksPerPage: parseInt(limit),
-          hasNextPage: skip + tasks.length < totalTasks,
-          hasPrevPage: parseInt(page) > 1
+    // `before` walks the listing backwards from the cursor, then the page is put back in order
+    const step = before ? -direction : direction;
+    const pageStages = [];
+    if (position) {
+      const beyond = step === 1 ? '$gt' : '$lt';
+      pageStages.push({
+        $match: {
+          $or: [
+            { task_date: { [beyond]: position.date } },
+            { task_date: position.date, _id: { [beyond]: position.id } }
+          ]
         }
-      },
-      meta: {
-        responseTime: `${responseTime}ms`,
-        count: tasks.length
+      });
+    }
+
+    const result = await aggregateTasks(
+      Task.find(filter).cast(),
+      [{ $sort: { task_date: step, _id: step } }],
+      pageStages,
+      pageSize,
+      withTotal
+    );
+    tasks = before ? result.tasks.reverse() : result.tasks;
+
+    const hasNextPage = before ? true : result.hasMore;
+    const hasPrevPage = before ? result.hasMore : Boolean(after);
+    pagination = {
+      tasksPerPage: pageSize,
+      hasNextPage,
+      hasPrevPage,
+      nextCursor: hasNextPage && tasks.length ? encodeCursor(tasks[tasks.length - 1], direction) : null,
+      prevCursor: hasPrevPage && tasks.length ? encodeCursor(tasks[0], direction) : null,
+      ...(withTotal && { totalTasks: result.total })
+    };
+  } else {
+    // Ranks and the overdue flag are computed, so the sort runs in an aggregation
+    const sortFields = computedSortFields(now);
+    const result = await aggregateTasks(
+      Task.find(filter).cast(),
+      [{ $addFields: sortFields }, { $sort: { ...Object.fromEntries(order), _id: 1 } }],
+      [{ $skip: skip }, { $unset: Object.keys(sortFields) }],
+      pageSize,
+      withTotal
+    );
+    tasks = result.tasks;
+    pagination = {
+      currentPage: parseInt(page),
+      tasksPerPage: pageSize,
+      hasNextPage: result.hasMore,
+      hasPrevPage: parseInt(page) > 1,
+      ...(withTotal && { totalTasks: result.total, totalPages: Math.ceil(result.total / pageSize) })
+    };
+  }
+  await Task.populate(tasks, { path: 'tags', select: 'name color' });
+  
+  const responseTime = Date.now() - startTime;
+  
+  res.status(200).json({
+    success: true,
+    message: req.t('task.listed'),
+    data: {
+      tasks: tasks.map((task) => ({ ...withProgress(task), access: getTaskRole(task, req.user.id) })),
+      pagination
+    },
+    meta: {
+      responseTime: `${responseTime}ms`,
+      count: tasks.length
+    }
+  });
+};
+
+/**
+ * Search tasks controller
+ *
+ * Full-text search over the title and detail of the tasks visible to the
+ * user, using the text index of the Task model. `q` accepts words, "quoted
+ * phrases" and `-excluded` words or phrases; results are ranked by
+ * relevance (`score`, title matches weigh more). The `status` (one or several,
+ * comma-separated), `date` and `scope` filters work as in `getUserTasks`.
+ *
+ * Every result carries `highlights.title` and `highlights.detail`: the text
+ * split into `{ text, match }` segments (the detail cut to a snippet around
+ * the first match), ready to be rendered by the client.
+ */
+const searchTasks = async (req, res) => {
+  const { q, status, date, scope = 'own', limit = 20, page = 1 } = req.query;
+
+  const { include } = parseSearchQuery(q);
+  if (include.length === 0) {
+    throw new ValidationError('task.searchQueryRequired');
+  }
+
+  const filter = { ...taskAccessFilter(req.user.id, scope), $text: { $search: q } };
+
+  if (status) {
+    filter.status = { $in: status.split(',') };
+  }
+
+  const dayRange = date ? getDayRange(date, req.user.timezone) : null;
+  if (dayRange) {
+    filter.task_date = { $gte: dayRange.start, $lte: dayRange.end };
+  }
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+  const tasks = await Task.find(filter, { score: { $meta: 'textScore' } })
+    .populate('tags', 'name color')
+    .lean()
+    .sort({ score: { $meta: 'textScore' }, _id: 1 })
+    .skip(skip)
+    .limit(parseInt(limit));
+  const totalTasks = await Task.countDocuments(filter);
+
+  return res.status(200).json({
+    success: true,
+    message: req.t('task.listed'),
+    data: {
+      tasks: tasks.map((task) => ({
+        ...withProgress(task),
+        access: getTaskRole(task, req.user.id),
+        highlights: {
+          title: highlight(task.title, include, Infinity),
+          detail: highlight(task.detail, include)
+        }
+      })),
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalTasks / parseInt(limit)),
+        totalTasks,
+        tasksPerPage: parseInt(limit),
+        hasNextPage: skip + tasks.length < totalTasks,
+        hasPrevPage: parseInt(page) > 1
       }
-    });
+    }
+  });
+};
 
-  } catch (error) {
-    return handleServerError(error, 'Get user tasks', res);
+/**
+ * Task calendar controller
+ *
+ * Groups the tasks visible to the user between the days `from` and `to`
+ * (inclusive, read in the user's time zone) into calendar periods:
+ * `granularity=day` (default), `week` (Monday to Sunday) or `month`. Every
+ * period of the range is returned, empty ones included, with its `key`
+ * ('YYYY-MM-DD', 'YYYY-Www' or 'YYYY-MM'), bounds, the number of tasks per
+ * status and the first `limit` tasks by date. The range spans at most
+ * `CALENDAR_MAX_DAYS` days.
+ *
+ * Stored tasks are grouped by a single aggregation; occurrences of recurring
+ * tasks falling in the range are added as virtual tasks (status 'to do').
+ * `scope` and `list` work as in `getUserTasks`.
+ */
+const getCalendar = async (req, res) => {
+  const { from, to, granularity = 'day', scope = 'own', list, limit = 20 } = req.query;
+  const timezone = req.user.timezone;
+  const perPeriod = parseInt(limit);
+
+  const { start } = getDayRange(from, timezone);
+  const { end } = getDayRange(to, timezone);
+  if (end < start) {
+    throw new ValidationError('task.invalidCalendarRange');
+  }
+  if (Math.round((end - start) / (24 * 60 * 60 * 1000)) > CALENDAR_MAX_DAYS) {
+    throw new ValidationError('task.calendarRangeTooLong', { params: { max: CALENDAR_MAX_DAYS } });
+  }
+
+  const filter = taskAccessFilter(req.user.id, scope);
+  if (list) {
+    filter.list_id = list === 'none' ? null : list;
+  }
+  const seriesFilter = { ...filter };
+  filter.task_date = { $gte: start, $lte: end };
+
+  // Counts are taken over every task of a period; only its first `limit` tasks are kept,
+  // so a busy period never builds a group past the 16 MB document limit
+  const statusCounts = Object.fromEntries(TASK_STATUSES.map((status) => [
+    status,
+    { $sum: { $cond: [{ $eq: ['$status', status] }, 1, 0] } }
+  ]));
+  const grouped = await Task.aggregate([
+    { $match: Task.find(filter).cast() },
+    {
+      $group: {
+        _id: { $dateToString: { date: '$task_date', format: PERIOD_KEY_FORMATS[granularity], timezone } },
+        ...statusCounts,
+        total: { $sum: 1 },
+        tasks: { $topN: { n: perPeriod, sortBy: { task_date: 1, _id: 1 }, output: '$$ROOT' } }
+      }
+    }
+  ]).allowDiskUse(true);
+
+  const periods = new Map(listPeriods(start, end, granularity, timezone).map((period) => [period.key, {
+    ...period,
+    counts: { ...Object.fromEntries(TASK_STATUSES.map((status) => [status, 0])), total: 0 },
+    tasks: []
+  }]));
+
+  for (const { _id: key, total, tasks, ...counts } of grouped) {
+    const period = periods.get(key);
+    if (!period) continue;
+    Object.assign(period.counts, counts, { total });
+    period.tasks = tasks;
   }
+
+  const virtual = await findVirtualOccurrences(seriesFilter, start, end);
+  for (const task of virtual) {
+    const period = periods.get(getPeriod(task.task_date, granularity, timezone).key);
+    if (!period) continue;
+    period.counts['to do'] += 1;
+    period.counts.total += 1;
+    period.tasks.push(task);
+  }
+  if (virtual.length) {
+    for (const period of periods.values()) {
+      period.tasks = period.tasks
+        .sort((a, b) => a.task_date - b.task_date || String(a._id).localeCompare(String(b._id)))
+        .slice(0, perPeriod);
+    }
+  }
+
+  const buckets = [...periods.values()];
+  await Task.populate(buckets.flatMap((period) => period.tasks), { path: 'tags', select: 'name color' });
+
+  return res.status(200).json({
+    success: true,
+    message: req.t('task.listed'),
+    data: {
+      granularity,
+      timezone,
+      from: start,
+      to: end,
+      buckets: buckets.map((period) => ({
+        ...period,
+        tasks: period.tasks.map((task) => ({ ...withProgress(task), access: getTaskRole(task, req.user.id) }))
+      }))
+    }
+  });
 };
 
 /**
@@ -109,218 +781,494 @@ const getUserTasks = async (req, res) => {
  * 5. Saves new task to database
  * 6. Returns success response with created task details
  * 7. Handles errors with environment-aware logging
+ *
+ * A `recurrence` rule makes the task the first occurrence of a series.
+ * `reminders` lists minutes before `task_date` at which an email is sent
+ * while `remember` is on.
  * 
  * @see {@link https://mongoosejs.com/docs/validation.html} Mongoose Validation
  * @see {@link https://mongoosejs.com/docs/middleware.html} Mongoose Middleware
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/HTTP/Status/201} HTTP 201 Created
  */
 const createTask = async (req, res) => {
-  console.log("Request body:", req.body);
-  console.log("User:", req.user);
-  console.log("Headers recibidos:", req.headers);
-  console.log("Authorization header:", req.headers.authorization);
-  try {
-    const { title, detail, status, task_date } = req.body;
+  // Required fields and lengths are checked by createTaskSchema
+  const { title, detail, status, priority, task_date, remember, reminders = [], list_id, tags = [], recurrence } = req.body;
 
-    if (!title || !status || !task_date) {
-      return res.status(400).json({ message: "Not all required fields have been entered." })
-    };
+  if (list_id) await assertOwnedList(list_id, req.user.id);
+  const tagIds = await assertOwnedTags(tags, req.user.id);
 
-    if (title.length > 50) {
-      return res.status(400).json({ message: "Title cannot exceed 50 characters." })
-    };
-
-    if (detail.length > 500) {
-      return res.status(400).json({ message: "Detail cannot exceed 50 characters." })
-    };
+  const newTask = new Task({
+    title,
+    detail,
+    status,
+    priority,
+    task_date,//: new Date(task_date),
+    remember: remember === true || remember === 'true',
+    reminders: toReminders(reminders),
+    user_id: req.user.id,
+    list_id: list_id || null,
+    tags: tagIds,
+    recurrence: await toRecurrence(recurrence, req.user.id, req),
+  });
+  if (recurrence) newTask.series_id = newTask._id;
+  await rollSeries(newTask);
 
-    const newTask = new Task({
-      title,
-      detail,
-      status,
-      task_date,//: new Date(task_date),
-      user_id: req.user.id,
-    });
-
-    console.log('RAW req.body.status:', JSON.stringify(req.body.status));
-    const savedTask = await newTask.save();
-    res.status(201).json({
-      message: `Task created successfully with id: ${savedTask.id}`,
-      task: savedTask,
-    });
-  } catch (error) {
-    //return handleServerError(error, 'Create user task', res);
-    console.error("Error real al guardar la tarea:", error);
-    res.status(500).json({ message: "Error al crear tarea", error: error.message });
-  }
+  const savedTask = await newTask.save();
+  res.status(201).json({
+    message: req.t('task.created', { id: savedTask.id }),
+    task: withProgress(savedTask),
+  });
 };
 
 /* Nueva Función, Documentar con JDocs también*/
 
 const getTasksByDate = async (req, res) => {
-  try {
-    const { user_id, task_date } = req.body; 
-    //console.log({ user_id, task_date });
+  // Only the authenticated user's tasks; a user_id in the body is ignored
+  const { task_date } = req.body;
 
-    if (!task_date) {
-      return res.status(400).json({ message: "No se recibió task_date" });
-    }
+  // task_date is required and checked to be a valid date by tasksByDateSchema;
+  // the day is the one it falls on in the user's time zone
+  const { start, end } = getDayRange(task_date, req.user.timezone);
 
-    // Aseguramos que siempre sea válido
-    const start = new Date(task_date);
-    if (isNaN(start)) {
-      return res.status(400).json({ message: "Formato de fecha inválido" });
-    }
+  const tasks = await Task.find({
+    user_id: req.user.id,
+    task_date: { $gte: start, $lte: end }
+  });
+
+  // Occurrences of recurring tasks that fall on that day
+  const virtual = await findVirtualOccurrences({ user_id: req.user.id }, start, end);
+
+  return res.status(200).json({ tasks: [...tasks, ...virtual] });
+};
+
+/* Nueva Función, Documentar con JDocs también*/
+
+const getTodayTasks = async (req, res) => {
+  // Only the authenticated user's tasks; a user_id in the body is ignored
+  const userId = req.user.id;
+
+  // 1) rango de hoy en la zona horaria del usuario
+  const { start, end } = getDayRange(new Date(), req.user.timezone);
 
-    const end = new Date(start);
-    end.setDate(end.getDate() + 1);
+  // 2) consulta
+  const stored = await Task.find({
+    user_id: userId, // si tu schema es ObjectId, mongoose castea automáticamente
+    task_date: { $gte: start, $lte: end },
+  });
 
-    const tasks = await Task.find({
-      user_id,
-      task_date: { $gte: start, $lt: end }
-    });
+  // 3) repeticiones de las tareas recurrentes que caen hoy
+  const tasks = [...stored, ...(await findVirtualOccurrences({ user_id: userId }, start, end))];
 
-    return res.status(200).json({ tasks });
-  } catch (error) {
-    console.error("Error al obtener tareas:", error);
-    return res.status(500).json({ message: "Error al obtener tareas", error });
+  if (tasks.length === 0) {
+    throw new NotFoundError('task.noneToday', { errorType: 'no_tasks' });
   }
+
+  return res.status(200).json({ tasks });
 };
 
+const getTaskById = async (req, res) => {
+  // Loaded and authorized by loadTask('view')
+  return res.status(200).json(withProgress(await req.task.populate('tags', 'name color')));
+}
 
-/*
-const getTasksByDate = async (req, res) => {
-  console.log("Request body:", req.body);
-  console.log("User:", req.user);
-  console.log("Headers recibidos:", req.headers);
-  console.log("Authorization header:", req.headers.authorization);
-  try {
-    const { user_id, task_date } = req.body;
+/**
+ * Edit task controller
+ *
+ * For a recurring task, `scope=this` (default) edits a single occurrence and
+ * `scope=future` edits it and every later one. `occurrence` gives the date
+ * of the occurrence being edited when it is a virtual one (as listed by the
+ * date queries). Changing `recurrence` always applies to the future
+ * occurrences. Finishing an occurrence creates the next one. `task_date`
+ * cannot move the task to a moment in the past.
+ */
+const edit = async (req, res) => {
+  const {title, detail, status, priority, task_date, remember, reminders, list_id, tags, recurrence} = req.body;
+  const { scope = 'this', occurrence } = req.query;
+  // Loaded and authorized by loadTask('edit'); fields are checked by editTaskSchema
+  const task = req.task;
+
+  // A task cannot be moved to a past date; sending its current date back (as
+  // when finishing an overdue task) is not a move
+  const current = new Date(occurrence || task.task_date).getTime();
+  const newDate = new Date(task_date).getTime();
+  if (task_date && newDate !== current && newDate < Date.now()) {
+    throw new ValidationError('task.dateInPast', { errorType: 'date_in_past' });
+  }
+
+  // Lists and tags belong to the owner, so only the owner can change them
+  if ((list_id !== undefined || tags !== undefined) && req.taskRole !== 'owner') {
+    throw new ForbiddenError('task.forbidden', { extra: { role: req.taskRole } });
+  }
+  if (list_id) await assertOwnedList(list_id, task.user_id);
+  const tagIds = tags !== undefined ? await assertOwnedTags(tags || [], task.user_id) : undefined;
+
+  const target = task.recurrence
+    ? await selectEditTarget(task, recurrence !== undefined ? 'future' : scope, occurrence)
+    : task;
+
+  // Updating the fields that were fulfilled and aproved
+  if (title) target.title = title;
+  if (detail) target.detail = detail;
+  if (status && TASK_STATUSES.includes(status)) target.status = status;
+  if (priority) target.priority = priority;
+  if (task_date) target.task_date = task_date;
+  if (typeof remember === 'boolean') target.remember = remember;
+  if (reminders !== undefined) target.reminders = toReminders(reminders || [], target.reminders);
+  if (typeof req.body.checklistAutoStatus === 'boolean') {
+    target.checklistAutoStatus = req.body.checklistAutoStatus;
+    applyChecklistStatus(target);
+  }
+
+  // null or '' takes the task out of its list
+  if (list_id !== undefined) target.list_id = list_id || null;
+
+  // The given tags replace the current ones (null or [] removes them all)
+  if (tagIds) target.tags = tagIds;
+
+  // null stops the repetition
+  if (recurrence !== undefined) {
+    target.recurrence = await toRecurrence(recurrence, task.user_id, req);
+    if (recurrence && !target.series_id) target.series_id = target._id;
+  }
+
+  await rollSeries(target);
+  await target.save();
+  // The series skips the occurrence only once its replacement exists
+  if (target !== task) await task.save();
+  return res.status(200).json({ message: req.t('task.updated'), task: withProgress(target) });
+}
+
+const deleteTask = async (req, res) => {
+  // Loaded and authorized by loadTask('delete')
+  await Task.deleteOne({ _id: req.task._id });
+
+  return res.status(204).end(); //res 204 returns nothing 
+}
+
+/**
+ * Shapes a collaborator entry for API responses
+ *
+ * @param {{ user_id: any, role: string, addedAt: Date }} collaborator - Entry with `user_id` populated
+ * @returns {{ user_id: any, name: string, email: string, role: string, addedAt: Date }}
+ */
+const formatCollaborator = ({ user_id: user, role, addedAt }) => ({
+  user_id: user._id,
+  name: user.name,
+  email: user.email,
+  role,
+  addedAt
+});
+
+/**
+ * Add collaborator controller
+ *
+ * Shares a task with another registered user, found by email, as `viewer`
+ * (read only) or `editor` (can also edit the task). Sharing again with the
+ * same user changes their role. Only the owner can share a task
+ * (enforced by `loadTask('share')`).
+ *
+ * Sharing flow:
+ * 1. Looks up the user with the given email (404 if there is none)
+ * 2. Rejects sharing the task with its own owner
+ * 3. Updates the role of an existing collaborator, or adds a new one
+ * 4. Returns the collaborator (201 when added, 200 when the role changed)
+ */
+const addCollaborator = async (req, res) => {
+  const { email, role = 'viewer' } = req.body;
+  const task = req.task;
+
+  const user = await User.findOne({ email }).select('name email');
+  if (!user) {
+    throw new NotFoundError('task.collaboratorUserNotFound');
+  }
+
+  if (String(user._id) === String(task.user_id)) {
+    throw new ValidationError('task.cannotShareWithOwner');
+  }
 
-    if (!user_id || !task_date) {
-      return res.status(400).json({ message: "User ID and task_date are required." });
+  let collaborator = task.collaborators.find((c) => String(c.user_id) === String(user._id));
+  const isNew = !collaborator;
+  if (isNew) {
+    task.collaborators.push({ user_id: user._id, role });
+    collaborator = task.collaborators[task.collaborators.length - 1];
+  } else {
+    collaborator.role = role;
+  }
+
+  await task.save();
+
+  return res.status(isNew ? 201 : 200).json({
+    success: true,
+    message: req.t(isNew ? 'task.collaboratorAdded' : 'task.collaboratorUpdated'),
+    data: {
+      collaborator: formatCollaborator({ user_id: user, role: collaborator.role, addedAt: collaborator.addedAt })
+    }
+  });
+};
+
+/**
+ * Get collaborators controller
+ *
+ * Lists the owner and the collaborators of a task with their names, emails
+ * and roles. Available to everyone the task is shared with.
+ */
+const getCollaborators = async (req, res) => {
+  const task = await req.task.populate([
+    { path: 'user_id', select: 'name email' },
+    { path: 'collaborators.user_id', select: 'name email' }
+  ]);
+
+  return res.status(200).json({
+    success: true,
+    data: {
+      owner: task.user_id ? { user_id: task.user_id._id, name: task.user_id.name, email: task.user_id.email } : null,
+      // Entries whose user no longer exists are skipped
+      collaborators: task.collaborators.filter((c) => c.user_id).map(formatCollaborator),
+      role: req.taskRole
     }
+  });
+};
 
-    const tasks = await Task.find({
-      user_id: user_id,
-      task_date: task_date
-    });
+/**
+ * Remove collaborator controller
+ *
+ * Stops sharing a task with a user. The owner can remove any collaborator;
+ * a collaborator can only remove themselves (leave the task).
+ */
+const removeCollaborator = async (req, res) => {
+  const { userId } = req.params;
 
-    //if (tasks.length === 0) {
-      //return res.status(404).json({ message: "No tasks found for the given user and date." });
-    //}
+  if (req.taskRole !== 'owner' && userId !== String(req.user.id)) {
+    throw new ForbiddenError('task.forbidden', { extra: { role: req.taskRole } });
+  }
 
-    res.status(200).json({ tasks });
-  } catch (error) {
-    return handleServerError(error, 'Get tasks by date', res);
+  const result = await Task.updateOne(
+    { _id: req.task._id, 'collaborators.user_id': userId },
+    { $pull: { collaborators: { user_id: userId } } }
+  );
+  if (result.modifiedCount === 0) {
+    throw new NotFoundError('task.collaboratorNotFound');
   }
+
+  return res.status(204).end();
 };
-*/
 
-/* Nueva Función, Documentar con JDocs también*/
+/**
+ * Add checklist item controller
+ *
+ * Appends an item to the task's checklist, or inserts it at `position`
+ * (0-based). A task holds at most CHECKLIST_MAX_ITEMS items. Requires the
+ * edit permission.
+ */
+const addChecklistItem = async (req, res) => {
+  const { text, position } = req.body;
+  const task = req.task;
 
-const getTodayTasks = async (req, res) => {
-  try {
-    const userId = req.body?.user_id || req.user?.id; // <- más seguro
+  if (task.checklist.length >= CHECKLIST_MAX_ITEMS) {
+    throw new ValidationError('task.checklistFull', { params: { max: CHECKLIST_MAX_ITEMS } });
+  }
 
-    if (!userId) {
-      return res.status(400).json({ message: "User ID is required." });
-    }
+  const index = position === undefined ? task.checklist.length : Math.min(Number(position), task.checklist.length);
+  task.checklist.splice(index, 0, { text });
+  applyChecklistStatus(task);
+  await rollSeries(task);
+  await task.save();
 
-    // 1) obtener fecha actual en zona Bogotá
-    const todayStr = new Date().toLocaleDateString("en-CA", { timeZone: "America/Bogota" }); // YYYY-MM-DD
+  return res.status(201).json({
+    success: true,
+    message: req.t('task.checklistItemAdded'),
+    data: { item: task.checklist[index], ...checklistResponse(task) }
+  });
+};
 
-    // 2) rango de hoy en UTC
-    const start = new Date(`${todayStr}T00:00:00.000Z`);
-    const end   = new Date(`${todayStr}T23:59:59.999Z`);
+/**
+ * Update checklist item controller
+ *
+ * Checks or unchecks an item (`done`) and/or changes its `text`. A body with
+ * neither flips the current `done` value. Requires the edit permission.
+ */
+const updateChecklistItem = async (req, res) => {
+  const { text, done } = req.body;
+  const task = req.task;
 
-    console.log("getTodayTasks:", { userId, todayStr, start, end });
+  const item = task.checklist.id(req.params.itemId);
+  if (!item) {
+    throw new NotFoundError('task.checklistItemNotFound');
+  }
 
-    // 3) consulta
-    const tasks = await Task.find({
-      user_id: userId, // si tu schema es ObjectId, mongoose castea automáticamente
-      task_date: { $gte: start, $lte: end },
-    });
+  if (text !== undefined) item.text = text;
 
-    if (!tasks || tasks.length === 0) {
-      return res.status(404).json({ message: "No tasks found for today." });
-    }
+  let checked = item.done;
+  if (done !== undefined) checked = done === true || done === 'true';
+  else if (text === undefined) checked = !item.done;
 
-    return res.status(200).json({ tasks });
-  } catch (error) {
-    console.error("Error en getTodayTasks:", error);
-    return handleServerError(error, "Get today tasks", res);
+  if (checked !== item.done) {
+    item.done = checked;
+    item.doneAt = checked ? new Date() : null;
   }
+
+  applyChecklistStatus(task);
+  await rollSeries(task);
+  await task.save();
+
+  return res.status(200).json({
+    success: true,
+    message: req.t('task.checklistItemUpdated'),
+    data: { item, ...checklistResponse(task) }
+  });
 };
 
-const getTaskById = async (req, res) => {
-  //console.log(req.params);
-  try {
-    const task = await Task.findById(req.params.id);
+/**
+ * Reorder checklist controller
+ *
+ * Puts the checklist items in the order given by `order`, which must list
+ * the ids of all items exactly once. Requires the edit permission.
+ */
+const reorderChecklist = async (req, res) => {
+  const { order } = req.body;
+  const task = req.task;
 
-    if (!task) {
-      return res.status(404).json({ message: 'Task not found' });
-    }
-    
-    return res.status(200).json(task);
-  } catch (error) {
-    return handleServerError(error, 'Get task by id', res);
+  const ids = order.map(String);
+  const sameItems = ids.length === task.checklist.length
+    && new Set(ids).size === ids.length
+    && ids.every((id) => task.checklist.id(id));
+  if (!sameItems) {
+    throw new ValidationError('task.checklistOrderMismatch');
   }
-}
 
-const edit = async (req, res) => {
-  try {
-    const {title, detail, status, task_date, remember} = req.body;
-    const task = await Task.findById(req.params.id);
+  task.checklist = ids.map((id) => task.checklist.id(id).toObject());
+  await task.save();
 
-    if (!task) {
-      return res.status(404).json({ message: 'Task not found' });
-    }
-    // Check if all required fields are provided
-    if (!title || !status || !task_date) {
-      return res.status(400).json({ message: "Not all required fields have been entered." })
-    };
-    
-    // Validate field lengths
-    if (title.length > 50) {
-      return res.status(400).json({ message: "Title cannot exceed 50 characters." })
-    };
-    if (detail.length > 500) {
-      return res.status(400).json({ message: "Detail cannot exceed 50 characters." })
-    };
+  return res.status(200).json({
+    success: true,
+    message: req.t('task.checklistReordered'),
+    data: checklistResponse(task)
+  });
+};
 
-    // Validate task_date is not in the past
-    const today = new Date();
-    if (task_date < today) {
-      return res.status(400).json({ message: "Task date cannot be in the past, must be in the future." });
-    }
+/**
+ * Delete checklist item controller
+ *
+ * Removes an item from the checklist. Requires the edit permission.
+ */
+const deleteChecklistItem = async (req, res) => {
+  const task = req.task;
 
-    // Updating the fields that were fulfilled and aproved
-    if (title) task.title = title;
-    if (detail) task.detail = detail;
-    if (status && ['to do', 'in process', 'finished'].includes(status)) task.status = status;
-    if (task_date) task.task_date = task_date;
-    if (remember && typeof remember === 'boolean') task.remember = remember;
+  const item = task.checklist.id(req.params.itemId);
+  if (!item) {
+    throw new NotFoundError('task.checklistItemNotFound');
+  }
+
+  item.deleteOne();
+  applyChecklistStatus(task);
+  await rollSeries(task);
+  await task.save();
 
-    await task.save();
-    return res.status(200).json({ message: 'Task updated successfully' });
+  return res.status(200).json({
+    success: true,
+    message: req.t('task.checklistItemDeleted'),
+    data: checklistResponse(task)
+  });
+};
 
-  } catch (error){
-    return handleServerError(error, 'Update task', res);
+/**
+ * Stores a new secret feed token for a user and returns the feed URL
+ *
+ * Only the token's hash is kept, so the URL can only be shown now; any
+ * previous token stops working.
+ *
+ * @async
+ * @param {import('express').Request} req - Request (builds the URL)
+ * @param {Object} user - User document
+ * @returns {Promise<{ url: string, createdAt: Date }>}
+ */
+const issueFeedToken = async (req, user) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  user.calendarFeed = { tokenHash: hashToken(token), createdAt: new Date() };
+  await user.save();
+
+  const origin = process.env.API_URL || `${req.protocol}://${req.get('host')}`;
+  return { url: `${origin}${req.baseUrl}/feed/${token}.ics`, createdAt: user.calendarFeed.createdAt };
+};
+
+/**
+ * Create feed controller
+ *
+ * Creates the secret URL of the user's iCalendar feed, to subscribe to from
+ * Google Calendar, Outlook or Apple Calendar. Fails with 409 if the user
+ * already has one: `rotateFeed` replaces it.
+ */
+const createFeed = async (req, res) => {
+  const user = await User.findById(req.user.id);
+  if (!user) {
+    throw new NotFoundError('user.notFound');
+  }
+  if (user.calendarFeed && user.calendarFeed.tokenHash) {
+    throw new ConflictError('task.feedExists', { errorType: 'feed_exists' });
   }
-}
 
-const deleteTask = async (req, res) => {
-  try{
-    const task = await Task.findById(req.params.id);
+  const feed = await issueFeedToken(req, user);
+  return res.status(201).json({ success: true, message: req.t('task.feedCreated'), data: feed });
+};
 
-    await Task.deleteOne(task);
+/**
+ * Rotate feed controller
+ *
+ * Replaces the secret of the user's feed URL, revoking the previous URL
+ * (e.g. after it leaked). Subscriptions must be renewed with the new URL.
+ */
+const rotateFeed = async (req, res) => {
+  const user = await User.findById(req.user.id);
+  if (!user) {
+    throw new NotFoundError('user.notFound');
+  }
 
-    return res.status(204).end(); //res 204 returns nothing 
+  const feed = await issueFeedToken(req, user);
+  return res.status(200).json({ success: true, message: req.t('task.feedRotated'), data: feed });
+};
 
-  } catch(error) {
-    return handleServerError(error, 'Delete task', res);
+/**
+ * Task feed controller
+ *
+ * Serves the tasks of the token's owner as an RFC 5545 calendar. Calendar
+ * clients cannot log in, so the secret token in the URL is the only
+ * credential. Tasks from the last `FEED_PAST_DAYS` days onwards are included,
+ * and recurring ones whatever the date of their pending occurrence, once
+ * with their RRULE. `type=event` (default) writes VEVENTs,
+ * which every client shows (TENTATIVE until finished, then CONFIRMED with a
+ * "✓ " before the title); `type=todo` writes VTODOs carrying the status
+ * (STATUS and COMPLETED). `detail` becomes the DESCRIPTION and the reminders
+ * of remembered tasks become VALARMs.
+ */
+const getFeed = async (req, res) => {
+  const { token } = req.params;
+  const { type = 'event' } = req.query;
+
+  const user = await User.findOne({ 'calendarFeed.tokenHash': hashToken(token) });
+  if (!user) {
+    throw new NotFoundError('task.feedNotFound');
   }
-}
+  // Calendar apps send no language, so the feed is written in the owner's
+  if (user.language) setRequestLocale(req, user.language);
+
+  const since = new Date(Date.now() - FEED_PAST_DAYS * 24 * 60 * 60 * 1000);
+  // A series left pending before `since` still has occurrences to come
+  const tasks = await Task.find({
+    user_id: user._id,
+    $or: [{ task_date: { $gte: since } }, { 'recurrence.freq': { $exists: true } }]
+  })
+    .sort({ task_date: 1, _id: 1 })
+    .lean();
+
+  const calendar = buildTaskCalendar(tasks, {
+    name: req.t('task.feedName', { name: user.name }),
+    timeZone: user.timezone,
+    component: type,
+    domain: req.hostname
+  });
+
+  res.set('Cache-Control', 'private, max-age=300');
+  return res.status(200).type('text/calendar; charset=utf-8').send(calendar);
+};
 
-module.exports = { createTask, getUserTasks, getTasksByDate, getTodayTasks, edit, getTaskById, deleteTask};
+module.exports = { createTask, getUserTasks, searchTasks, getCalendar, createFeed, rotateFeed, getFeed, getTasksByDate, getTodayTasks, edit, getTaskById, deleteTask, addCollaborator, getCollaborators, removeCollaborator, addChecklistItem, updateChecklistItem, reorderChecklist, deleteChecklistItem};
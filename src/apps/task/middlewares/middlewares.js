@@ -1,47 +1,87 @@
-const jwt = require("jsonwebtoken");
+const Task = require('../models/models');
+const { NotFoundError, ForbiddenError } = require('../../../utils/errors');
+
+// Roles allowed to perform each action on a task
+const PERMISSIONS = {
+  view: ['owner', 'editor', 'viewer'],
+  edit: ['owner', 'editor'],
+  delete: ['owner'],
+  share: ['owner']
+};
 
 /**
- * JWT Authentication Middleware
- * 
- * Validates JWT tokens from request headers and populates req.user with decoded
- * token payload. Implements Bearer token authentication pattern with proper
- * error handling for missing, malformed, invalid, or expired tokens.
- * 
- * Token validation flow:
- * 1. Extracts Authorization header from request
- * 2. Validates header exists and starts with "Bearer "
- * 3. Extracts JWT token by removing "Bearer " prefix
- * 4. Verifies token signature and expiration using JWT_SECRET
- * 5. Decodes token payload and attaches to req.user
- * 6. Calls next() to continue to protected route
- * 7. Returns appropriate error responses for validation failures
- * 
- * @see {@link https://jwt.io/} JWT Token Standard
- * @see {@link https://www.npmjs.com/package/jsonwebtoken} jsonwebtoken Library
- * @see {@link https://tools.ietf.org/html/rfc6750} Bearer Token RFC
+ * Builds the query filter matching the tasks a user may see
+ *
+ * Single place where task visibility is decided: every lookup of tasks goes
+ * through it, so access rules only have to change here.
+ *
+ * @function taskAccessFilter
+ * @param {string} userId - Authenticated user id
+ * @param {'own'|'shared'|'all'} [scope='all'] - Owned tasks, tasks shared with the user, or both
+ * @returns {Object} MongoDB filter to combine with the task lookup
  */
+const taskAccessFilter = (userId, scope = 'all') => {
+  if (scope === 'own') return { user_id: userId };
+  if (scope === 'shared') return { 'collaborators.user_id': userId };
+  return { $or: [{ user_id: userId }, { 'collaborators.user_id': userId }] };
+};
 
-const jwt = require("jsonwebtoken");
+/**
+ * Returns the role a user has on a task
+ *
+ * @function getTaskRole
+ * @param {{ user_id: any, collaborators?: Array<{ user_id: any, role: string }> }} task - Task document or lean object
+ * @param {string} userId - User id
+ * @returns {'owner'|'editor'|'viewer'|null} Role, or `null` if the task is not visible to the user
+ */
+const getTaskRole = (task, userId) => {
+  if (String(task.user_id) === String(userId)) return 'owner';
+  const collaborator = (task.collaborators || []).find((c) => String(c.user_id) === String(userId));
+  return collaborator ? collaborator.role : null;
+};
 
-const auth = (req, res, next) => {
-  const authHeader = req.headers["authorization"];
-  if (!authHeader) {
-    return res.status(401).json({ message: "No token provided" });
-  }
+/**
+ * Task authorization middleware factory
+ *
+ * Loads the task named by `req.params.id` and checks that the authenticated
+ * user may perform the requested action on it:
+ * - `view`: owner and every collaborator
+ * - `edit`: owner and editors
+ * - `delete` and `share` (manage collaborators): owner only
+ *
+ * Tasks that do not exist and tasks not shared with the user are both
+ * answered with 404, so ids of foreign tasks cannot be probed; a
+ * collaborator whose role is not enough gets 403. On success the document is
+ * attached as `req.task` and the user's role as `req.taskRole`.
+ *
+ * Must run after `authenticateToken` (and after the `taskIdSchema` validation,
+ * so the id is a well-formed ObjectId).
+ *
+ * @function loadTask
+ * @param {'view'|'edit'|'delete'|'share'} [permission='view'] - Action the route performs
+ * @returns {import('express').RequestHandler} Authorization middleware
+ *
+ * @example
+ * router.delete('/delete/:id', authenticateToken, validate(taskIdSchema), loadTask('delete'), asyncHandler(deleteTask));
+ */
+const loadTask = (permission = 'view') => async (req, res, next) => {
+  try {
+    const task = await Task.findOne({ _id: req.params.id, ...taskAccessFilter(req.user.id) });
+    if (!task) {
+      throw new NotFoundError('task.notFound');
+    }
 
-  // Header comes in format "Bearer <token"
-  const token = authHeader.split(" ")[1];
-  if (!token) {
-    return res.status(401).json({ message: "Invalid token format" });
-  }
+    const role = getTaskRole(task, req.user.id);
+    if (!PERMISSIONS[permission].includes(role)) {
+      throw new ForbiddenError('task.forbidden', { extra: { role } });
+    }
 
-  try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
+    req.task = task;
+    req.taskRole = role;
     next();
   } catch (error) {
-    return res.status(401).json({ message: "Invalid or expired token" });
+    next(error);
   }
 };
 
-module.exports = auth;
\ No newline at end of file
+module.exports = { taskAccessFilter, getTaskRole, loadTask };
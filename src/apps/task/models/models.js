@@ -1,11 +1,44 @@
 const { Schema, model } = require('mongoose');
+const { RECURRENCE_FREQUENCIES } = require('../../../utils/recurrence');
+const { TASK_STATUSES, TASK_PRIORITIES, COLLABORATOR_ROLES } = require('../constants');
+
+// Repetition rule of a recurring task (see src/utils/recurrence.js)
+const RecurrenceSchema = new Schema(
+    {
+    "freq": { type: String, enum: RECURRENCE_FREQUENCIES, required: true },
+    "interval": { type: Number, default: 1, min: 1 },
+    "byWeekday": [{ type: Number, min: 0, max: 6 }],
+    "byMonthDay": [{ type: Number, min: 1, max: 31 }],
+    "until": { type: Date, default: null },
+    "count": { type: Number, default: null, min: 1 },
+    "exdates": [Date], // occurrences replaced by a separate task
+    "timezone": { type: String, default: null } // owner's zone when the rule was set; null reads the rule in UTC
+    },
+    { _id: false }
+)
 
 /**
  * Mongoose schema for Task model
  * 
  * Defines the structure and validation rules for task documents in MongoDB.
  * Supports task management with status tracking, user association, scheduling,
- * and remembering functionality for important tasks.
+ * and remembering functionality for important tasks. A task belongs to one
+ * owner (`user_id`) and can be shared with other users as `collaborators`,
+ * each with a `viewer` (read only) or `editor` (read and edit) role.
+ *
+ * A task may hold an ordered `checklist` of sub-items. With
+ * `checklistAutoStatus` enabled, checking items moves the task to
+ * 'in process' and checking the last one to 'finished'.
+ *
+ * A recurring task stores its `recurrence` rule on the current (earliest
+ * pending) occurrence only; later occurrences are computed when listing by
+ * date. Finishing the current occurrence creates the next one and moves the
+ * rule to it. All occurrences of a series share `series_id`, and `sequence`
+ * is the position of an occurrence in its series.
+ *
+ * While `remember` is on, an email is sent for every entry of `reminders`
+ * (`offsetMinutes` before `task_date`, see src/utils/reminders.js). Their
+ * `remindAt` moment is kept in sync with the task date on save.
  * 
  * @type {mongoose.Schema<TaskDocument>}
  * 
@@ -17,7 +50,8 @@ const { Schema, model } = require('mongoose');
  *   status: "to do",
  *   task_date: new Date("2024-03-25T10:00:00.000Z"),
  *   remember: true,
- *   user_id: "507f1f77bcf86cd799439011"
+ *   user_id: "507f1f77bcf86cd799439011",
+ *   list_id: "65f1c0ffee0000000000abcd"
  * });
  * 
  * @see {@link https://mongoosejs.com/docs/guide.html|Mongoose Schema Guide}
@@ -27,12 +61,79 @@ const TaskSchema = new Schema(
     {
 	"title": { type: String, required: true },
 	"detail": { type: String, default: '' },
-	"status": { type: String, enum: ['to do', 'in process', 'finished'], default: 'to do'},
+	"status": { type: String, enum: TASK_STATUSES, default: 'to do'},
 	"task_date": { type: Date, required: true },
+    "priority": { type: String, enum: TASK_PRIORITIES, default: 'none' },
     "remember": {type: Boolean, default: false},
-	"user_id": { type: Schema.Types.ObjectId, ref: 'User'}
+	"user_id": { type: Schema.Types.ObjectId, ref: 'User'},
+    "list_id": { type: Schema.Types.ObjectId, ref: 'List', default: null }, // optional list/project of the owner
+    "tags": [{ type: Schema.Types.ObjectId, ref: 'Tag' }], // labels of the owner
+    "checklist": [{ // array order is the display order
+        "text": { type: String, required: true, trim: true },
+        "done": { type: Boolean, default: false },
+        "doneAt": { type: Date, default: null }
+    }],
+    "checklistAutoStatus": { type: Boolean, default: false },
+    "reminders": [{
+        "_id": false,
+        "offsetMinutes": { type: Number, required: true, min: 0 },
+        "remindAt": { type: Date }, // task_date - offsetMinutes
+        "sentAt": { type: Date, default: null }
+    }],
+    "recurrence": { type: RecurrenceSchema, default: null },
+    "series_id": { type: Schema.Types.ObjectId, ref: 'Task', default: null }, // first occurrence of the series
+    "sequence": { type: Number, default: 0 },
+    "collaborators": [{
+        "_id": false,
+        "user_id": { type: Schema.Types.ObjectId, ref: 'User', required: true },
+        "role": { type: String, enum: COLLABORATOR_ROLES, default: 'viewer' },
+        "addedAt": { type: Date, default: Date.now }
+    }]
     },
     { timestamps: true } // create createdAt and updatedAt fields automatically
 )
 
+// Reminder moments follow the task date; a reminder whose moment changes is sent again.
+// A task to remember without any offset is reminded at its own date.
+TaskSchema.pre('save', function () {
+    if (this.remember && this.reminders.length === 0) this.reminders.push({ offsetMinutes: 0 });
+    if (!this.isModified('task_date') && !this.isModified('reminders')) return;
+
+    for (const reminder of this.reminders) {
+        const remindAt = new Date(this.task_date.getTime() - reminder.offsetMinutes * 60 * 1000);
+        if (!reminder.remindAt || reminder.remindAt.getTime() !== remindAt.getTime()) {
+            reminder.remindAt = remindAt;
+            reminder.sentAt = null;
+        }
+    }
+})
+
+// Listing a user's tasks by date, with (task_date, _id) cursors
+TaskSchema.index({ user_id: 1, task_date: -1, _id: -1 });
+
+// Same with a status filter (and the date queries of one user)
+TaskSchema.index({ user_id: 1, status: 1, task_date: -1 });
+
+// Tasks of a list (list filter, moving or deleting a list's tasks)
+TaskSchema.index({ list_id: 1 });
+
+// Tag filter and updates when a tag is deleted
+TaskSchema.index({ user_id: 1, tags: 1 });
+
+// Text search on title and detail (title matches weigh more). No language:
+// tasks are written in several languages, so words are not stemmed.
+TaskSchema.index(
+    { title: 'text', detail: 'text' },
+    { name: 'task_text', weights: { title: 3, detail: 1 }, default_language: 'none' }
+);
+
+// Scan for due reminders
+TaskSchema.index({ 'reminders.remindAt': 1 }, { partialFilterExpression: { remember: true } });
+
+// Recurring tasks to expand when listing by date
+TaskSchema.index({ user_id: 1, 'recurrence.freq': 1 }, { partialFilterExpression: { 'recurrence.freq': { $exists: true } } });
+
+// Tasks shared with a user, listed by date like the owned ones
+TaskSchema.index({ 'collaborators.user_id': 1, task_date: -1, _id: -1 });
+
 module.exports = model('Task', TaskSchema)
\ No newline at end of file
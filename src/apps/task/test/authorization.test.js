@@ -0,0 +1,105 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { query, call } = require('../../../testing/helpers');
+const { validate } = require('../../../middlewares/validate');
+const Task = require('../models/models');
+const { taskAccessFilter, loadTask } = require('../middlewares/middlewares');
+const { taskIdSchema } = require('../validators/validators');
+const { createTask, getUserTasks, getTasksByDate } = require('../controllers/controllers');
+
+const ownerId = '64b000000000000000000001';
+const otherId = '64b000000000000000000002';
+const taskId = '64b0000000000000000000a1';
+
+// Runs the middlewares of a task route in order, stopping at the first one that answers
+const route = async (handlers, request) => {
+  let res;
+  for (const handler of handlers) {
+    res = await call(handler, request);
+    if (res.headersSent) break;
+  }
+  return res;
+};
+
+describe('taskAccessFilter', () => {
+  it('matches owned tasks, shared tasks or both', () => {
+    assert.deepEqual(taskAccessFilter(ownerId, 'own'), { user_id: ownerId });
+    assert.deepEqual(taskAccessFilter(ownerId, 'shared'), { 'collaborators.user_id': ownerId });
+    assert.deepEqual(taskAccessFilter(ownerId), { $or: [{ user_id: ownerId }, { 'collaborators.user_id': ownerId }] });
+  });
+});
+
+describe('loadTask', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('loads a task the user owns', async () => {
+    const task = Task.hydrate({ _id: taskId, title: 'Dentist', status: 'to do', user_id: ownerId });
+    mock.method(Task, 'findOne', () => query(task));
+
+    const res = await call(loadTask('delete'), { user: { id: ownerId }, params: { id: taskId } });
+
+    assert.equal(res.nextCalled, true);
+    assert.equal(res.req.task, task);
+    assert.equal(res.req.taskRole, 'owner');
+  });
+
+  it('answers 404 for a task of another user', async () => {
+    mock.method(Task, 'findOne', () => query(null));
+
+    const res = await call(loadTask('view'), { user: { id: otherId }, params: { id: taskId } });
+
+    assert.equal(res.statusCode, 404);
+    assert.equal(res.body.errorType, 'not_found');
+    assert.equal(res.body.message, 'task.notFound');
+    assert.deepEqual(Task.findOne.mock.calls[0].arguments[0], { _id: taskId, ...taskAccessFilter(otherId) });
+  });
+
+  it('answers 400 for a malformed id without looking it up', async () => {
+    mock.method(Task, 'findOne', () => query(null));
+
+    const res = await route([validate(taskIdSchema), loadTask('view')], { user: { id: ownerId }, params: { id: 'nope' } });
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.errorType, 'validation_error');
+    assert.equal(res.body.details[0].field, 'id');
+    assert.equal(Task.findOne.mock.callCount(), 0);
+  });
+});
+
+describe('user_id sent by the client', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('is ignored when creating a task', async () => {
+    mock.method(Task.prototype, 'save', async function save() {
+      return this;
+    });
+
+    const res = await call(createTask, {
+      user: { id: ownerId, timezone: 'UTC' },
+      body: { title: 'Dentist', status: 'to do', task_date: '2026-10-20T09:00:00Z', user_id: otherId }
+    });
+
+    assert.equal(res.statusCode, 201);
+    assert.equal(String(res.body.task.user_id), ownerId);
+  });
+
+  it('is ignored when listing tasks', async () => {
+    mock.method(Task, 'aggregate', async () => []);
+    mock.method(Task, 'populate', async (docs) => docs);
+
+    await call(getUserTasks, { user: { id: ownerId, timezone: 'UTC' }, query: { user_id: otherId } });
+
+    const [{ $match }] = Task.aggregate.mock.calls[0].arguments[0];
+    assert.equal(String($match.user_id), ownerId);
+  });
+
+  it('is ignored when listing the tasks of a day', async () => {
+    mock.method(Task, 'find', () => query([]));
+
+    await call(getTasksByDate, { user: { id: ownerId, timezone: 'UTC' }, body: { task_date: '2026-10-20', user_id: otherId } });
+
+    const filters = Task.find.mock.calls.map((c) => c.arguments[0]);
+    assert.equal(filters.length, 2);
+    assert.ok(filters.every((filter) => String(filter.user_id) === ownerId));
+  });
+});
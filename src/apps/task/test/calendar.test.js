@@ -0,0 +1,108 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { query, call } = require('../../../testing/helpers');
+const Task = require('../models/models');
+const { getCalendar } = require('../controllers/controllers');
+
+const userId = '64b000000000000000000001';
+
+const calendar = (params) => call(getCalendar, { user: { id: userId, timezone: 'Europe/Madrid' }, query: params });
+
+describe('getCalendar', () => {
+  let pipeline;
+  let grouped;
+  let series;
+  let filters;
+
+  beforeEach(() => {
+    grouped = [];
+    series = [];
+    filters = [];
+    mock.method(Task, 'aggregate', (stages) => {
+      pipeline = stages;
+      return query(grouped);
+    });
+    mock.method(Task, 'find', (filter) => {
+      filters.push(filter);
+      return query(filter['recurrence.freq'] ? series : null);
+    });
+    mock.method(Task, 'populate', async (docs) => docs);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('returns every day of the range with its counts, empty ones included', async () => {
+    grouped = [{
+      _id: '2026-10-25',
+      'to do': 1,
+      'in process': 0,
+      finished: 1,
+      total: 2,
+      tasks: [{ _id: 'a', title: 'Laundry', status: 'finished', user_id: userId, task_date: new Date('2026-10-25T08:00:00Z') }]
+    }];
+
+    const res = await calendar({ from: '2026-10-24', to: '2026-10-26', limit: '1' });
+
+    assert.equal(res.statusCode, 200);
+    // Days are read in the user's zone (the 25th lasts 25 hours)
+    assert.deepEqual(filters[0].task_date, { $gte: new Date('2026-10-23T22:00:00.000Z'), $lte: new Date('2026-10-26T22:59:59.999Z') });
+    const { $group } = pipeline[1];
+    assert.deepEqual($group._id, { $dateToString: { date: '$task_date', format: '%Y-%m-%d', timezone: 'Europe/Madrid' } });
+    // Only `limit` tasks are accumulated per day, the earliest ones
+    assert.deepEqual($group.tasks, { $topN: { n: 1, sortBy: { task_date: 1, _id: 1 }, output: '$$ROOT' } });
+    assert.equal(pipeline.length, 2);
+
+    const { buckets } = res.body.data;
+    assert.deepEqual(buckets.map(({ key }) => key), ['2026-10-24', '2026-10-25', '2026-10-26']);
+    assert.deepEqual(buckets[0].counts, { 'to do': 0, 'in process': 0, finished: 0, total: 0 });
+    assert.deepEqual(buckets[1].counts, { 'to do': 1, 'in process': 0, finished: 1, total: 2 });
+    assert.deepEqual(buckets[1].tasks.map(({ title }) => title), ['Laundry']);
+    assert.equal(buckets[1].end.getTime() - buckets[1].start.getTime(), 25 * 60 * 60 * 1000 - 1);
+  });
+
+  it('adds later occurrences of recurring tasks to their weeks', async () => {
+    const standup = {
+      _id: '64b0000000000000000000a1',
+      title: 'Standup',
+      status: 'finished',
+      user_id: userId,
+      task_date: new Date('2026-10-19T07:00:00Z'),
+      recurrence: { freq: 'weekly', interval: 1, exdates: [], timezone: 'Europe/Madrid' },
+      sequence: 0
+    };
+    const dentist = { _id: '64b0000000000000000000a2', title: 'Dentist', status: 'in process', user_id: userId, task_date: new Date('2026-10-26T07:00:00Z') };
+    series = [standup];
+    grouped = [
+      { _id: '2026-W43', 'to do': 0, 'in process': 0, finished: 1, total: 1, tasks: [standup] },
+      { _id: '2026-W44', 'to do': 0, 'in process': 1, finished: 0, total: 1, tasks: [dentist] }
+    ];
+
+    const res = await calendar({ from: '2026-10-19', to: '2026-11-08', granularity: 'week', limit: '1' });
+
+    assert.equal(pipeline[1].$group._id.$dateToString.format, '%G-W%V');
+    const [w43, w44, w45] = res.body.data.buckets;
+    assert.deepEqual([w43.key, w44.key, w45.key], ['2026-W43', '2026-W44', '2026-W45']);
+    assert.deepEqual(w43.counts, { 'to do': 0, 'in process': 0, finished: 1, total: 1 });
+
+    // Monday 09:00 Madrid (08:00 UTC after the clocks go back) comes after the dentist at 08:00 local
+    assert.deepEqual(w44.counts, { 'to do': 1, 'in process': 1, finished: 0, total: 2 });
+    assert.deepEqual(w44.tasks.map(({ title }) => title), ['Dentist']);
+
+    assert.deepEqual(w45.counts, { 'to do': 1, 'in process': 0, finished: 0, total: 1 });
+    assert.equal(w45.tasks[0].virtual, true);
+    assert.equal(w45.tasks[0].status, 'to do');
+    assert.equal(new Date(w45.tasks[0].occurrence).toISOString(), '2026-11-02T08:00:00.000Z');
+    assert.equal(w45.tasks[0].sequence, 2);
+  });
+
+  it('rejects reversed and overlong ranges', async () => {
+    const reversed = await calendar({ from: '2026-10-26', to: '2026-10-24' });
+    const overlong = await calendar({ from: '2026-01-01', to: '2027-06-01' });
+
+    assert.equal(reversed.statusCode, 400);
+    assert.equal(reversed.body.message, 'task.invalidCalendarRange');
+    assert.equal(overlong.statusCode, 400);
+    assert.match(overlong.body.message, /^task\.calendarRangeTooLong/);
+    assert.equal(Task.aggregate.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,71 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { call } = require('../../../testing/helpers');
+const Task = require('../models/models');
+const { updateChecklistItem } = require('../controllers/controllers');
+
+const itemId = '64b0000000000000000000c1';
+
+describe('updateChecklistItem', () => {
+  let task;
+
+  const patch = (body) => call(updateChecklistItem, { task, params: { itemId }, body });
+
+  beforeEach(() => {
+    task = Task.hydrate({
+      _id: '64b0000000000000000000a1',
+      title: 'Groceries',
+      status: 'to do',
+      checklist: [{ _id: itemId, text: 'Milk', done: false }, { _id: '64b0000000000000000000c2', text: 'Bread', done: false }]
+    });
+    mock.method(task, 'save', async () => task);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('toggles the item when the body has neither text nor done', async () => {
+    let res = await patch({});
+    assert.equal(res.statusCode, 200);
+    assert.equal(task.checklist[0].done, true);
+    assert.ok(task.checklist[0].doneAt instanceof Date);
+
+    res = await patch({});
+    assert.equal(task.checklist[0].done, false);
+    assert.equal(task.checklist[0].doneAt, null);
+  });
+
+  it('only renames the item when just the text is sent', async () => {
+    task.checklist[0].done = true;
+
+    await patch({ text: 'Oat milk' });
+
+    assert.equal(task.checklist[0].text, 'Oat milk');
+    assert.equal(task.checklist[0].done, true);
+  });
+
+  it('sets done to the value sent instead of toggling', async () => {
+    await patch({ done: false });
+    assert.equal(task.checklist[0].done, false);
+
+    await patch({ done: true, text: 'Whole milk' });
+    await patch({ done: true });
+    assert.equal(task.checklist[0].done, true);
+    assert.equal(task.checklist[0].text, 'Whole milk');
+  });
+
+  it('moves the task status along when checklistAutoStatus is on', async () => {
+    task.checklistAutoStatus = true;
+
+    const res = await patch({ done: true });
+
+    assert.equal(task.status, 'in process');
+    assert.deepEqual(res.body.data.progress, { done: 1, total: 2, percent: 50 });
+  });
+
+  it('answers 404 for an unknown item', async () => {
+    const res = await call(updateChecklistItem, { task, params: { itemId: '64b0000000000000000000ff' }, body: {} });
+
+    assert.equal(res.statusCode, 404);
+    assert.equal(task.save.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,96 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  zonedTimeToUtc,
+  getDayRange,
+  getPeriod,
+  listPeriods,
+  getRequestTimeZone
+} = require('../../../utils/dates');
+
+const iso = ({ start, end }) => [start.toISOString(), end.toISOString()];
+
+describe('zonedTimeToUtc', () => {
+  it('converts local times with the offset in force on that date', () => {
+    assert.equal(zonedTimeToUtc({ year: 2026, month: 7, day: 1, hour: 9 }, 'Europe/Madrid').toISOString(), '2026-07-01T07:00:00.000Z');
+    assert.equal(zonedTimeToUtc({ year: 2026, month: 12, day: 1, hour: 9 }, 'Europe/Madrid').toISOString(), '2026-12-01T08:00:00.000Z');
+  });
+
+  it('moves skipped times forward and resolves repeated ones', () => {
+    // 02:30 does not exist on 2026-03-29 in Madrid: 03:30 CEST
+    assert.equal(zonedTimeToUtc({ year: 2026, month: 3, day: 29, hour: 2, minute: 30 }, 'Europe/Madrid').toISOString(), '2026-03-29T01:30:00.000Z');
+    // 02:30 happens twice on 2026-10-25
+    assert.ok(['2026-10-25T00:30:00.000Z', '2026-10-25T01:30:00.000Z']
+      .includes(zonedTimeToUtc({ year: 2026, month: 10, day: 25, hour: 2, minute: 30 }, 'Europe/Madrid').toISOString()));
+  });
+});
+
+describe('getDayRange', () => {
+  it('spans 23 and 25 hours on DST change days', () => {
+    assert.deepEqual(iso(getDayRange('2026-03-29', 'Europe/Madrid')), ['2026-03-28T23:00:00.000Z', '2026-03-29T21:59:59.999Z']);
+    assert.deepEqual(iso(getDayRange('2026-10-25', 'Europe/Madrid')), ['2026-10-24T22:00:00.000Z', '2026-10-25T22:59:59.999Z']);
+  });
+
+  it('starts after the skipped hour when DST skips midnight', () => {
+    // Santiago moves from 00:00 to 01:00 on 2026-09-06
+    assert.deepEqual(iso(getDayRange('2026-09-06', 'America/Santiago')), ['2026-09-06T04:00:00.000Z', '2026-09-07T02:59:59.999Z']);
+  });
+
+  it('reads moments on the day they fall on in the zone', () => {
+    // Monday 22:00 in Bogota is already Tuesday in UTC
+    assert.deepEqual(iso(getDayRange(new Date('2026-10-20T03:00:00Z'), 'America/Bogota')), ['2026-10-19T05:00:00.000Z', '2026-10-20T04:59:59.999Z']);
+    assert.deepEqual(iso(getDayRange('2026-10-20T03:00:00Z', 'UTC')), ['2026-10-20T00:00:00.000Z', '2026-10-20T23:59:59.999Z']);
+  });
+
+  it('returns null for invalid dates', () => {
+    assert.equal(getDayRange('not-a-date', 'UTC'), null);
+  });
+});
+
+describe('getPeriod', () => {
+  it('keys weeks by ISO week year and number', () => {
+    assert.deepEqual(getPeriod('2026-01-01', 'week', 'UTC'), {
+      key: '2026-W01',
+      start: new Date('2025-12-29T00:00:00.000Z'),
+      end: new Date('2026-01-04T23:59:59.999Z')
+    });
+    // Friday 2027-01-01 still belongs to the last week of 2026
+    assert.equal(getPeriod('2027-01-01', 'week', 'UTC').key, '2026-W53');
+    assert.equal(getPeriod('2027-01-04', 'week', 'UTC').key, '2027-W01');
+  });
+
+  it('bounds months and days in the zone', () => {
+    assert.deepEqual(getPeriod('2026-02-10', 'month', 'Europe/Madrid'), {
+      key: '2026-02',
+      start: new Date('2026-01-31T23:00:00.000Z'),
+      end: new Date('2026-02-28T22:59:59.999Z')
+    });
+    assert.equal(getPeriod(new Date('2026-10-20T03:00:00Z'), 'day', 'America/Bogota').key, '2026-10-19');
+  });
+});
+
+describe('listPeriods', () => {
+  it('covers the range with consecutive periods', () => {
+    const weeks = listPeriods(new Date('2026-10-21T10:00:00Z'), new Date('2026-11-02T10:00:00Z'), 'week', 'Europe/Madrid');
+
+    assert.deepEqual(weeks.map(({ key }) => key), ['2026-W43', '2026-W44', '2026-W45']);
+    for (let index = 1; index < weeks.length; index++) {
+      assert.equal(weeks[index].start.getTime(), weeks[index - 1].end.getTime() + 1);
+    }
+  });
+
+  it('returns no periods for an empty range', () => {
+    assert.deepEqual(listPeriods(new Date('2026-10-21T00:00:00Z'), new Date('2026-10-20T00:00:00Z'), 'day', 'UTC'), []);
+  });
+});
+
+describe('getRequestTimeZone', () => {
+  it('uses the header zone only when it is valid', () => {
+    assert.equal(getRequestTimeZone({ headers: { 'x-timezone': 'Asia/Tokyo' } }), 'Asia/Tokyo');
+    assert.equal(getRequestTimeZone({ headers: { 'x-timezone': 'Mars/Olympus' } }), DEFAULT_TIMEZONE);
+    assert.equal(getRequestTimeZone({ headers: {} }), DEFAULT_TIMEZONE);
+    assert.equal(isValidTimeZone(''), false);
+  });
+});
@@ -0,0 +1,53 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { call } = require('../../../testing/helpers');
+const Task = require('../models/models');
+const { edit } = require('../controllers/controllers');
+
+const ownerId = '64b000000000000000000001';
+const day = 24 * 60 * 60 * 1000;
+
+describe('edit task date', () => {
+  let task;
+
+  beforeEach(() => {
+    task = Task.hydrate({
+      _id: '64b0000000000000000000a1',
+      title: 'Dentist',
+      status: 'to do',
+      user_id: ownerId,
+      task_date: new Date(Date.now() - 2 * day)
+    });
+    mock.method(Task.prototype, 'save', async function save() {
+      return this;
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const editWith = (body) => call(edit, {
+    task,
+    taskRole: 'owner',
+    user: { id: ownerId, timezone: 'UTC' },
+    body: { title: task.title, status: task.status, ...body }
+  });
+
+  it('refuses to move a task to a past date', async () => {
+    const res = await editWith({ task_date: new Date(Date.now() - day).toISOString() });
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.message, 'task.dateInPast');
+    assert.equal(Task.prototype.save.mock.callCount(), 0);
+  });
+
+  it('accepts the current date of an overdue task and future dates', async () => {
+    const finished = await editWith({ status: 'finished', task_date: task.task_date.toISOString() });
+    assert.equal(finished.statusCode, 200);
+    assert.equal(task.status, 'finished');
+
+    const future = new Date(Date.now() + day);
+    const moved = await editWith({ task_date: future.toISOString() });
+    assert.equal(moved.statusCode, 200);
+    assert.equal(task.task_date.getTime(), future.getTime());
+  });
+});
@@ -0,0 +1,129 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { query, call } = require('../../../testing/helpers');
+const { buildTaskCalendar } = require('../../../utils/ical');
+const { hashToken } = require('../../../utils/tokens');
+const Task = require('../models/models');
+const User = require('../../user/models/models');
+const { getFeed } = require('../controllers/controllers');
+
+const now = new Date('2026-10-19T10:00:00Z');
+
+const task = (fields) => ({
+  _id: 'task-1',
+  title: 'Dentist',
+  status: 'to do',
+  task_date: new Date('2026-10-20T14:30:00Z'),
+  ...fields
+});
+
+// Component lines of the first task, unfolded
+const componentOf = (ics) => {
+  const lines = ics.replace(/\r\n /g, '').split('\r\n');
+  const begin = lines.findIndex((line) => line === 'BEGIN:VEVENT' || line === 'BEGIN:VTODO');
+  return lines.slice(begin, lines.indexOf(lines[begin].replace('BEGIN', 'END'), begin) + 1);
+};
+
+describe('buildTaskCalendar', () => {
+  it('wraps the tasks in a calendar with CRLF line endings', () => {
+    const ics = buildTaskCalendar([task()], { name: 'My tasks', timeZone: 'Europe/Madrid', domain: 'example.com', now });
+
+    assert.ok(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n'));
+    assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+    assert.doesNotMatch(ics.replace(/\r\n/g, ''), /\n/);
+    assert.match(ics, /\r\nX-WR-CALNAME:My tasks\r\nX-WR-TIMEZONE:Europe\/Madrid\r\n/);
+    assert.deepEqual(componentOf(ics).slice(0, 4), ['BEGIN:VEVENT', 'UID:task-1@example.com', 'DTSTAMP:20261019T100000Z', 'SUMMARY:Dentist']);
+  });
+
+  it('writes events as tentative until the task is finished', () => {
+    const open = componentOf(buildTaskCalendar([task()], { now }));
+    const finished = componentOf(buildTaskCalendar([task({ status: 'finished' })], { now }));
+
+    assert.ok(open.includes('DTSTART:20261020T143000Z'));
+    assert.ok(open.includes('DURATION:PT30M'));
+    assert.ok(open.includes('STATUS:TENTATIVE'));
+    assert.ok(finished.includes('STATUS:CONFIRMED'));
+    assert.ok(finished.includes('SUMMARY:✓ Dentist'));
+  });
+
+  it('maps the status of to-dos and stamps finished ones', () => {
+    const updatedAt = new Date('2026-10-20T15:00:00Z');
+    const todo = (status) => componentOf(buildTaskCalendar([task({ status, updatedAt })], { component: 'todo', now }));
+
+    assert.ok(todo('to do').includes('STATUS:NEEDS-ACTION'));
+    assert.ok(todo('in process').includes('STATUS:IN-PROCESS'));
+    const finished = todo('finished');
+    assert.ok(finished.includes('DUE:20261020T143000Z'));
+    assert.ok(finished.includes('STATUS:COMPLETED'));
+    assert.ok(finished.includes('COMPLETED:20261020T150000Z'));
+    assert.ok(finished.includes('SUMMARY:Dentist'));
+    assert.ok(!finished.some((line) => line.startsWith('DTSTART')));
+  });
+
+  it('escapes text values', () => {
+    const lines = componentOf(buildTaskCalendar([task({ title: 'Call Ana; Luis, too', detail: 'Bring:\nC:\\docs' })], { now }));
+
+    assert.ok(lines.includes('SUMMARY:Call Ana\\; Luis\\, too'));
+    assert.ok(lines.includes('DESCRIPTION:Bring:\\nC:\\\\docs'));
+  });
+
+  it('folds long lines at 75 octets without splitting characters', () => {
+    const title = 'ñ'.repeat(60);
+    const ics = buildTaskCalendar([task({ title })], { now });
+
+    for (const line of ics.split('\r\n')) {
+      assert.ok(Buffer.byteLength(line) <= 75);
+    }
+    assert.ok(!ics.includes('�'));
+    assert.ok(componentOf(ics).includes(`SUMMARY:${title}`));
+  });
+
+  it('writes priorities and one alarm per reminder', () => {
+    const reminded = task({ priority: 'high', remember: true, reminders: [{ offsetMinutes: 15 }, { offsetMinutes: 0 }] });
+    const event = componentOf(buildTaskCalendar([reminded], { now }));
+    const todo = componentOf(buildTaskCalendar([reminded], { component: 'todo', now }));
+
+    assert.ok(event.includes('PRIORITY:3'));
+    assert.deepEqual(event.filter((line) => line.startsWith('TRIGGER')), ['TRIGGER:-PT15M', 'TRIGGER:PT0S']);
+    assert.deepEqual(todo.filter((line) => line.startsWith('TRIGGER')), ['TRIGGER;RELATED=END:-PT15M', 'TRIGGER;RELATED=END:PT0S']);
+    assert.ok(!componentOf(buildTaskCalendar([task({ priority: 'none' })], { now })).some((line) => line.startsWith('PRIORITY')));
+  });
+
+  it('counts the remaining occurrences of a series in RRULE', () => {
+    const lines = componentOf(buildTaskCalendar([task({
+      recurrence: { freq: 'weekly', interval: 2, byWeekday: [1, 3], count: 10 },
+      sequence: 4
+    })], { now }));
+
+    assert.ok(lines.includes('RRULE:FREQ=WEEKLY;WKST=MO;INTERVAL=2;BYDAY=MO,WE;COUNT=6'));
+    assert.ok(lines.includes('DTSTART:20261020T143000Z'));
+  });
+});
+
+describe('getFeed', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('includes recurring series whose pending occurrence is older than the window', async () => {
+    const owner = { _id: '64b000000000000000000001', name: 'Ana', timezone: 'Europe/Madrid' };
+    const standup = task({
+      _id: 'task-2',
+      title: 'Standup',
+      task_date: new Date('2025-01-06T08:00:00Z'),
+      recurrence: { freq: 'weekly', interval: 1 },
+      sequence: 0
+    });
+    mock.method(User, 'findOne', () => query(owner));
+    mock.method(Task, 'find', () => query([standup, task()]));
+
+    const res = await call(getFeed, { params: { token: 'feed-token' }, query: {} });
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(User.findOne.mock.calls[0].arguments[0], { 'calendarFeed.tokenHash': hashToken('feed-token') });
+    const { user_id, $or } = Task.find.mock.calls[0].arguments[0];
+    assert.equal(user_id, owner._id);
+    assert.deepEqual($or[1], { 'recurrence.freq': { $exists: true } });
+    assert.ok($or[0].task_date.$gte > standup.task_date);
+    assert.match(res.body, /\r\nSUMMARY:Standup\r\n/);
+    assert.match(res.body, /\r\nRRULE:FREQ=WEEKLY;WKST=MO\r\n/);
+  });
+});
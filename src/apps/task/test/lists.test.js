@@ -0,0 +1,66 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { call } = require('../../../testing/helpers');
+const Task = require('../models/models');
+const List = require('../../list/models/models');
+const { deleteList } = require('../../list/controllers/controllers');
+
+const userId = '64b000000000000000000001';
+const listId = '64b0000000000000000000c1';
+const targetId = '64b0000000000000000000c2';
+
+describe('deleteList', () => {
+  let list;
+
+  beforeEach(() => {
+    list = List.hydrate({ _id: listId, name: 'Home', user_id: userId });
+    mock.method(List, 'exists', async (filter) => (filter._id === targetId ? { _id: targetId } : null));
+    mock.method(List, 'deleteOne', async () => ({ deletedCount: 1 }));
+    mock.method(Task, 'updateMany', async () => ({ modifiedCount: 2 }));
+    mock.method(Task, 'deleteMany', async () => ({ deletedCount: 2 }));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const remove = (query) => call(deleteList, { list, user: { id: userId }, query });
+
+  it('moves the tasks to another list', async () => {
+    const res = await remove({ moveTo: targetId });
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body.data, { movedTasks: 2, movedTo: targetId });
+    const [filter, update] = Task.updateMany.mock.calls[0].arguments;
+    assert.deepEqual(filter, { list_id: list._id, user_id: userId });
+    assert.deepEqual(update, { $set: { list_id: targetId } });
+    assert.equal(Task.deleteMany.mock.callCount(), 0);
+    assert.deepEqual(List.deleteOne.mock.calls[0].arguments[0], { _id: list._id });
+  });
+
+  it('leaves the tasks without a list by default', async () => {
+    const res = await remove({});
+
+    assert.deepEqual(res.body.data, { movedTasks: 2, movedTo: null });
+    assert.deepEqual(Task.updateMany.mock.calls[0].arguments[1], { $set: { list_id: null } });
+  });
+
+  it('deletes the tasks with the list when asked to', async () => {
+    const res = await remove({ tasks: 'delete' });
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body.data, { deletedTasks: 2 });
+    assert.deepEqual(Task.deleteMany.mock.calls[0].arguments[0], { list_id: list._id, user_id: userId });
+    assert.equal(Task.updateMany.mock.callCount(), 0);
+    assert.equal(List.deleteOne.mock.callCount(), 1);
+  });
+
+  it('refuses to move the tasks to the same list or to a list of another user', async () => {
+    for (const moveTo of [listId, '64b0000000000000000000c9']) {
+      const res = await remove({ moveTo });
+
+      assert.equal(res.statusCode, 400);
+      assert.equal(res.body.details[0].field, 'moveTo');
+    }
+    assert.equal(Task.updateMany.mock.callCount(), 0);
+    assert.equal(List.deleteOne.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,154 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { call } = require('../../../testing/helpers');
+const Task = require('../models/models');
+const { getUserTasks } = require('../controllers/controllers');
+
+const userId = '64b000000000000000000001';
+
+// Tasks one day apart, oldest first
+const tasks = Array.from({ length: 5 }, (_, index) => ({
+  _id: new mongoose.Types.ObjectId(`64b0000000000000000000a${index}`),
+  title: `Task ${index}`,
+  status: 'to do',
+  user_id: new mongoose.Types.ObjectId(userId),
+  task_date: new Date(Date.UTC(2026, 9, 19 + index, 9))
+}));
+
+const list = (query) => call(getUserTasks, { user: { id: userId, timezone: 'UTC' }, query });
+
+describe('getUserTasks pagination', () => {
+  let pipelines;
+  let results;
+
+  beforeEach(() => {
+    pipelines = [];
+    results = [];
+    mock.method(Task, 'aggregate', async (pipeline) => {
+      pipelines.push(pipeline);
+      return results.shift();
+    });
+    mock.method(Task, 'populate', async (docs) => docs);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('lists by date with cursors with sort=date', async () => {
+    results.push(tasks.slice(0, 3));
+
+    const res = await list({ sort: 'date', limit: '2' });
+
+    assert.equal(res.statusCode, 200);
+    const [match, sort, limit] = pipelines[0];
+    assert.deepEqual(Object.keys(match), ['$match']);
+    assert.deepEqual(sort, { $sort: { task_date: 1, _id: 1 } });
+    assert.deepEqual(limit, { $limit: 3 });
+    assert.ok(!pipelines[0].some((stage) => stage.$addFields || stage.$skip !== undefined));
+
+    const { data } = res.body;
+    assert.deepEqual(data.tasks.map((task) => task.title), ['Task 0', 'Task 1']);
+    assert.equal(data.pagination.hasNextPage, true);
+    assert.equal(data.pagination.hasPrevPage, false);
+    assert.ok(data.pagination.nextCursor);
+    assert.equal(data.pagination.prevCursor, null);
+  });
+
+  it('continues after a cursor and walks back before one', async () => {
+    results.push(tasks.slice(0, 3));
+    const first = await list({ sort: 'date', limit: '2' });
+    const { nextCursor } = first.body.data.pagination;
+
+    results.push(tasks.slice(2, 4));
+    const second = await list({ sort: 'date', limit: '2', after: nextCursor });
+
+    assert.deepEqual(pipelines[1][2], {
+      $match: {
+        $or: [
+          { task_date: { $gt: tasks[1].task_date } },
+          { task_date: tasks[1].task_date, _id: { $gt: tasks[1]._id } }
+        ]
+      }
+    });
+    const page = second.body.data.pagination;
+    assert.deepEqual(second.body.data.tasks.map((task) => task.title), ['Task 2', 'Task 3']);
+    assert.equal(page.hasNextPage, false);
+    assert.equal(page.hasPrevPage, true);
+
+    // Backwards from the start of the second page: fetched newest first, returned in order
+    results.push([tasks[1], tasks[0]]);
+    const back = await list({ sort: 'date', limit: '2', before: page.prevCursor });
+
+    assert.deepEqual(pipelines[2][1], { $sort: { task_date: -1, _id: -1 } });
+    assert.deepEqual(back.body.data.tasks.map((task) => task.title), ['Task 0', 'Task 1']);
+    assert.equal(back.body.data.pagination.hasPrevPage, false);
+    assert.equal(back.body.data.pagination.hasNextPage, true);
+  });
+
+  it('lists newest first with sort=-date', async () => {
+    results.push([tasks[4], tasks[3]]);
+
+    const res = await list({ sort: '-date', limit: '2' });
+
+    assert.deepEqual(pipelines[0][1], { $sort: { task_date: -1, _id: -1 } });
+    assert.equal(res.body.data.pagination.nextCursor, null);
+  });
+
+  it('counts the total in the same aggregation when asked', async () => {
+    results.push([{ tasks: tasks.slice(0, 2), total: [{ count: 5 }] }]);
+
+    const res = await list({ sort: 'date', limit: '2', includeTotal: 'true' });
+
+    assert.equal(pipelines.length, 1);
+    assert.ok(pipelines[0][2].$facet);
+    assert.equal(res.body.data.pagination.totalTasks, 5);
+  });
+
+  it('orders by the computed keys with page numbers for other sorts', async () => {
+    results.push(tasks.slice(0, 2));
+
+    await list({ sort: '-priority,date', page: '2', limit: '2' });
+
+    assert.deepEqual(pipelines[0][2], { $sort: { _priorityRank: -1, task_date: 1, _id: 1 } });
+    assert.deepEqual(pipelines[0][3], { $skip: 2 });
+  });
+
+  it('puts overdue tasks first, then priority, whether or not a page is given', async () => {
+    results.push(tasks.slice(0, 2), tasks.slice(0, 2));
+
+    const res = await list({ limit: '2' });
+    await list({ page: '1', limit: '2' });
+
+    const order = { $sort: { _overdue: -1, _priorityRank: -1, task_date: 1, _id: 1 } };
+    assert.deepEqual(pipelines[0][2], order);
+    assert.deepEqual(pipelines[1][2], order);
+    assert.equal(res.body.data.pagination.currentPage, 1);
+    assert.equal(res.body.data.pagination.nextCursor, undefined);
+  });
+
+  it('keeps the date order when sort=date comes with a page', async () => {
+    results.push(tasks.slice(0, 2));
+
+    await list({ sort: 'date', page: '2', limit: '2' });
+
+    assert.deepEqual(pipelines[0][2], { $sort: { task_date: 1, _id: 1 } });
+    assert.deepEqual(pipelines[0][3], { $skip: 2 });
+  });
+
+  it('rejects cursors that do not match the order', async () => {
+    results.push(tasks.slice(0, 3));
+    const first = await list({ sort: 'date', limit: '2' });
+    const { nextCursor } = first.body.data.pagination;
+
+    const otherSort = await list({ after: nextCursor, sort: '-priority' });
+    const noSort = await list({ after: nextCursor });
+    const otherDirection = await list({ after: nextCursor, sort: '-date' });
+    const garbage = await list({ after: 'bm90LWEtY3Vyc29y', sort: 'date' });
+
+    assert.equal(otherSort.statusCode, 400);
+    assert.equal(otherSort.body.message, 'task.cursorNotAllowed');
+    assert.equal(noSort.body.message, 'task.cursorNotAllowed');
+    assert.equal(otherDirection.body.message, 'task.invalidCursor');
+    assert.equal(garbage.body.message, 'task.invalidCursor');
+  });
+});
@@ -0,0 +1,186 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { query, call } = require('../../../testing/helpers');
+const Task = require('../models/models');
+const User = require('../../user/models/models');
+const { listOccurrences, nextOccurrence, findOccurrence } = require('../../../utils/recurrence');
+const { buildTaskCalendar } = require('../../../utils/ical');
+const { createTask, edit } = require('../controllers/controllers');
+
+const ownerId = '64b000000000000000000001';
+const editorId = '64b000000000000000000002';
+
+const dates = (occurrences) => occurrences.map(({ date }) => date.toISOString());
+
+describe('recurrence', () => {
+  it('keeps the local time of day across DST changes', () => {
+    // Monday 09:00 in Madrid, the week before clocks go back
+    const rule = { freq: 'weekly', timezone: 'Europe/Madrid' };
+
+    assert.deepEqual(dates(listOccurrences(rule, new Date('2026-10-19T07:00:00Z'), { limit: 2 })), [
+      '2026-10-26T08:00:00.000Z',
+      '2026-11-02T08:00:00.000Z'
+    ]);
+  });
+
+  it('reads weekdays in the rule time zone', () => {
+    // Monday 20:00 in Bogota is already Tuesday in UTC
+    const rule = { freq: 'weekly', byWeekday: [1, 3], timezone: 'America/Bogota' };
+
+    assert.deepEqual(dates(listOccurrences(rule, new Date('2026-10-20T01:00:00Z'), { limit: 3 })), [
+      '2026-10-22T01:00:00.000Z', // Wednesday 20:00
+      '2026-10-27T01:00:00.000Z', // Monday 20:00
+      '2026-10-29T01:00:00.000Z'
+    ]);
+  });
+
+  it('reads month days in the rule time zone and skips months without them', () => {
+    // January 31st 20:00 in Bogota (February 1st in UTC)
+    const rule = { freq: 'monthly', timezone: 'America/Bogota' };
+
+    assert.deepEqual(dates(listOccurrences(rule, new Date('2026-02-01T01:00:00Z'), { limit: 2 })), [
+      '2026-04-01T01:00:00.000Z', // March 31st
+      '2026-06-01T01:00:00.000Z' // May 31st
+    ]);
+  });
+
+  it('moves occurrences that fall in a DST gap forward', () => {
+    const rule = { freq: 'daily', timezone: 'Europe/Madrid' };
+
+    assert.deepEqual(dates(listOccurrences(rule, new Date('2026-03-28T01:30:00Z'), { limit: 2 })), [
+      '2026-03-29T01:30:00.000Z', // 02:30 does not exist that night: 03:30
+      '2026-03-30T00:30:00.000Z' // 02:30 again
+    ]);
+  });
+
+  it('reads rules without a time zone in UTC', () => {
+    const rule = { freq: 'weekly', byWeekday: [1] };
+
+    assert.deepEqual(dates(listOccurrences(rule, new Date('2026-10-20T01:00:00Z'), { limit: 1 })), ['2026-10-26T01:00:00.000Z']);
+  });
+
+  it('honours count, until and exdates', () => {
+    const start = new Date('2026-10-19T07:00:00Z');
+    const exdate = new Date('2026-10-21T07:00:00Z');
+
+    const counted = listOccurrences({ freq: 'daily', count: 4, exdates: [exdate], timezone: 'Europe/Madrid' }, start);
+    assert.deepEqual(dates(counted), ['2026-10-20T07:00:00.000Z', '2026-10-22T07:00:00.000Z']);
+    assert.deepEqual(counted.map(({ sequence }) => sequence), [1, 3]);
+
+    const until = listOccurrences({ freq: 'daily', until: new Date('2026-10-21T07:00:00Z'), timezone: 'Europe/Madrid' }, start);
+    assert.equal(until.length, 2);
+
+    assert.equal(nextOccurrence({ freq: 'daily', count: 1 }, start), null);
+  });
+
+  it('finds a later occurrence by its date', () => {
+    const rule = { freq: 'weekly', timezone: 'Europe/Madrid' };
+    const start = new Date('2026-10-19T07:00:00Z');
+
+    assert.deepEqual(findOccurrence(rule, start, 0, '2026-11-02T08:00:00Z'), { date: new Date('2026-11-02T08:00:00Z'), sequence: 2 });
+    assert.equal(findOccurrence(rule, start, 0, '2026-11-02T07:00:00Z'), null);
+  });
+
+  it('writes the rule time zone in the calendar feed', () => {
+    const ics = buildTaskCalendar([{
+      _id: 'task-1',
+      title: 'Standup',
+      status: 'to do',
+      task_date: new Date('2026-10-19T07:00:00Z'),
+      recurrence: { freq: 'weekly', byWeekday: [1], exdates: [new Date('2026-10-26T08:00:00Z')], timezone: 'Europe/Madrid' }
+    }], { now: new Date('2026-10-19T10:00:00Z') });
+
+    assert.match(ics, /\r\nDTSTART;TZID=Europe\/Madrid:20261019T090000\r\n/);
+    assert.match(ics, /\r\nEXDATE;TZID=Europe\/Madrid:20261026T090000\r\n/);
+    assert.match(ics, /\r\nBEGIN:VTIMEZONE\r\nTZID:Europe\/Madrid\r\n/);
+    assert.match(ics, /\r\nDTSTART:20261025T030000\r\nTZOFFSETFROM:\+0200\r\nTZOFFSETTO:\+0100\r\n/);
+  });
+});
+
+describe('recurring task edits', () => {
+  let task;
+  let saved;
+
+  beforeEach(() => {
+    saved = [];
+    task = Task.hydrate({
+      _id: '64b0000000000000000000a1',
+      title: 'Standup',
+      status: 'to do',
+      user_id: ownerId,
+      task_date: new Date('2026-10-19T07:00:00Z'),
+      recurrence: { freq: 'weekly', interval: 1, exdates: [], timezone: 'Europe/Madrid' },
+      series_id: '64b0000000000000000000a1',
+      sequence: 0
+    });
+    mock.method(Task.prototype, 'save', async function save() {
+      saved.push(this);
+      return this;
+    });
+    mock.method(console, 'log', () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('saves the split-off occurrence before the series that skips it', async () => {
+    const res = await call(edit, {
+      task,
+      taskRole: 'owner',
+      user: { id: ownerId, timezone: 'Europe/Madrid' },
+      query: { scope: 'this', occurrence: '2026-11-02T08:00:00.000Z' },
+      body: { title: 'Retro' }
+    });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(saved.length, 2);
+    assert.equal(saved[0].title, 'Retro');
+    assert.equal(saved[0].recurrence, null);
+    assert.equal(saved[1], task);
+    assert.deepEqual(task.recurrence.exdates.map((date) => date.toISOString()), ['2026-11-02T08:00:00.000Z']);
+  });
+
+  it('leaves the series alone when the split-off occurrence cannot be saved', async () => {
+    Task.prototype.save.mock.mockImplementation(async function save() {
+      if (this !== task) throw new Error('write failed');
+      saved.push(this);
+      return this;
+    });
+    mock.method(console, 'error', () => {});
+
+    const res = await call(edit, {
+      task,
+      taskRole: 'owner',
+      user: { id: ownerId, timezone: 'Europe/Madrid' },
+      query: { scope: 'future', occurrence: '2026-11-02T08:00:00.000Z' },
+      body: { title: 'Retro' }
+    });
+
+    assert.equal(res.statusCode, 500);
+    assert.equal(saved.length, 0);
+  });
+
+  it('reads a rule set by an editor in the owner time zone', async () => {
+    mock.method(User, 'findById', () => query({ _id: ownerId, timezone: 'Asia/Tokyo' }));
+
+    await call(edit, {
+      task,
+      taskRole: 'editor',
+      user: { id: editorId, timezone: 'Europe/Madrid' },
+      body: { recurrence: { freq: 'daily' } }
+    });
+
+    assert.equal(task.recurrence.timezone, 'Asia/Tokyo');
+    assert.equal(task.recurrence.freq, 'daily');
+  });
+
+  it('reads a new rule in the creator time zone', async () => {
+    const res = await call(createTask, {
+      user: { id: ownerId, timezone: 'America/Bogota' },
+      body: { title: 'Gym', status: 'to do', task_date: '2026-10-20T01:00:00Z', recurrence: { freq: 'weekly', timezone: 'UTC' } }
+    });
+
+    assert.equal(res.statusCode, 201);
+    assert.equal(saved[0].recurrence.timezone, 'America/Bogota');
+    assert.equal(String(saved[0].series_id), String(saved[0]._id));
+  });
+});
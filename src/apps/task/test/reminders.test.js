@@ -0,0 +1,92 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { query } = require('../../../testing/helpers');
+const mailer = require('../../../mailer');
+const Task = require('../models/models');
+const { processDueReminders } = require('../../../utils/reminders');
+
+const now = new Date(Date.UTC(2026, 9, 20, 9));
+const minutes = (count) => new Date(now.getTime() + count * 60 * 1000);
+
+describe('processDueReminders', () => {
+  let tasks;
+
+  beforeEach(() => {
+    tasks = [];
+    mock.method(Task, 'find', () => query(tasks));
+    mock.method(Task, 'updateOne', async () => ({ modifiedCount: 1 }));
+    mock.method(mailer, 'enqueueMail', async () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const taskWith = (reminders, owner = { name: 'Ana', email: 'ana@example.com' }) => ({
+    _id: '64b0000000000000000000a1',
+    title: 'Dentist',
+    detail: 'Bring the X-rays',
+    task_date: minutes(30),
+    user_id: owner,
+    reminders
+  });
+
+  it('looks only for unsent, due reminders of open remembered tasks', async () => {
+    await processDueReminders(now);
+
+    assert.deepEqual(Task.find.mock.calls[0].arguments[0], {
+      remember: true,
+      status: { $ne: 'finished' },
+      reminders: { $elemMatch: { sentAt: null, remindAt: { $lte: now } } }
+    });
+  });
+
+  it('queues one email per due reminder and marks them sent', async () => {
+    tasks.push(taskWith([
+      { remindAt: minutes(-5), sentAt: null },
+      { remindAt: minutes(-1), sentAt: null },
+      { remindAt: minutes(-10), sentAt: minutes(-10) },
+      { remindAt: minutes(20), sentAt: null }
+    ]));
+
+    const result = await processDueReminders(now);
+
+    assert.deepEqual(result, { tasks: 1, queued: 2 });
+    const calls = mailer.enqueueMail.mock.calls.map((c) => c.arguments);
+    assert.deepEqual(calls.map(([template, to]) => [template, to]), [
+      ['task-reminder', 'ana@example.com'],
+      ['task-reminder', 'ana@example.com']
+    ]);
+    assert.deepEqual(calls[0][2], { name: 'Ana', title: 'Dentist', detail: 'Bring the X-rays', taskDate: minutes(30) });
+    assert.deepEqual(calls.map(([, , , options]) => options.key), [
+      `task-reminder:64b0000000000000000000a1:${minutes(-5).getTime()}`,
+      `task-reminder:64b0000000000000000000a1:${minutes(-1).getTime()}`
+    ]);
+
+    const [filter, update, options] = Task.updateOne.mock.calls[0].arguments;
+    assert.deepEqual(filter, { _id: '64b0000000000000000000a1' });
+    assert.deepEqual(update, { $set: { 'reminders.$[due].sentAt': now } });
+    assert.deepEqual(options.arrayFilters, [{ 'due.sentAt': null, 'due.remindAt': { $lte: now } }]);
+  });
+
+  it('marks reminders that are too late or have no owner without sending them', async () => {
+    tasks.push(
+      taskWith([{ remindAt: minutes(-2 * 24 * 60), sentAt: null }]),
+      taskWith([{ remindAt: minutes(-5), sentAt: null }], null)
+    );
+
+    const result = await processDueReminders(now);
+
+    assert.deepEqual(result, { tasks: 2, queued: 0 });
+    assert.equal(mailer.enqueueMail.mock.callCount(), 0);
+    assert.equal(Task.updateOne.mock.callCount(), 2);
+  });
+
+  it('leaves the reminder unmarked when the email cannot be queued', async () => {
+    tasks.push(taskWith([{ remindAt: minutes(-5), sentAt: null }]));
+    mailer.enqueueMail.mock.mockImplementation(async () => {
+      throw new Error('queue down');
+    });
+
+    await assert.rejects(processDueReminders(now), /queue down/);
+    assert.equal(Task.updateOne.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,104 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { query, call } = require('../../../testing/helpers');
+const Task = require('../models/models');
+const { taskAccessFilter } = require('../middlewares/middlewares');
+const { parseSearchQuery, highlight } = require('../../../utils/search');
+const { searchTasks } = require('../controllers/controllers');
+
+const userId = '64b000000000000000000001';
+
+describe('parseSearchQuery', () => {
+  it('splits words and phrases into included and excluded terms', () => {
+    assert.deepEqual(parseSearchQuery('report "final draft" -old -"first try"'), {
+      include: ['report', 'final draft'],
+      exclude: ['old', 'first try']
+    });
+  });
+
+  it('ignores tokens without letters or digits', () => {
+    assert.deepEqual(parseSearchQuery('- ... "" café'), { include: ['café'], exclude: [] });
+  });
+});
+
+describe('highlight', () => {
+  it('marks every match, longest terms first and ignoring case', () => {
+    assert.deepEqual(highlight('Final draft of the draft', ['draft', 'final draft']), [
+      { text: 'Final draft', match: true },
+      { text: ' of the ', match: false },
+      { text: 'draft', match: true }
+    ]);
+  });
+
+  it('cuts long texts around the first match', () => {
+    const text = `${'a'.repeat(100)} needle ${'b'.repeat(100)}`;
+
+    const segments = highlight(text, ['needle'], 40);
+
+    assert.deepEqual(segments[0], { text: '…', match: false });
+    assert.deepEqual(segments.at(-1), { text: '…', match: false });
+    assert.ok(segments.some((segment) => segment.match && segment.text === 'needle'));
+    assert.equal(segments.slice(1, -1).map((segment) => segment.text).join('').length, 40);
+  });
+
+  it('returns the text unmarked when nothing matches', () => {
+    assert.deepEqual(highlight('Buy milk', ['bread']), [{ text: 'Buy milk', match: false }]);
+    assert.deepEqual(highlight(undefined, ['bread']), []);
+  });
+});
+
+describe('searchTasks', () => {
+  let results;
+
+  beforeEach(() => {
+    results = [];
+    mock.method(Task, 'find', () => query(results));
+    mock.method(Task, 'countDocuments', async () => 3);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const search = (params) => call(searchTasks, { user: { id: userId, timezone: 'UTC' }, query: params });
+
+  it('searches the visible tasks with the text index, ranked by score', async () => {
+    results.push({ _id: '64b0000000000000000000a1', title: 'Quarterly report', detail: 'Send the report to Ana', status: 'to do', user_id: userId, score: 1.5 });
+
+    const res = await search({ q: 'report -draft', status: 'to do,in process', scope: 'all', date: '2026-10-20', limit: '2' });
+
+    assert.equal(res.statusCode, 200);
+    const [filter, projection] = Task.find.mock.calls[0].arguments;
+    assert.deepEqual(filter, {
+      ...taskAccessFilter(userId, 'all'),
+      $text: { $search: 'report -draft' },
+      status: { $in: ['to do', 'in process'] },
+      task_date: { $gte: new Date('2026-10-20T00:00:00.000Z'), $lte: new Date('2026-10-20T23:59:59.999Z') }
+    });
+    assert.deepEqual(projection, { score: { $meta: 'textScore' } });
+
+    const [task] = res.body.data.tasks;
+    assert.equal(task.access, 'owner');
+    assert.deepEqual(task.highlights.title, [{ text: 'Quarterly ', match: false }, { text: 'report', match: true }]);
+    assert.deepEqual(res.body.data.pagination, {
+      currentPage: 1,
+      totalPages: 2,
+      totalTasks: 3,
+      tasksPerPage: 2,
+      hasNextPage: true,
+      hasPrevPage: false
+    });
+  });
+
+  it('defaults to the user\'s own tasks', async () => {
+    await search({ q: 'report' });
+
+    assert.equal(Task.find.mock.calls[0].arguments[0].user_id, userId);
+  });
+
+  it('refuses queries with nothing to look for', async () => {
+    const res = await search({ q: '-draft "" -' });
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.message, 'task.searchQueryRequired');
+    assert.equal(Task.find.mock.callCount(), 0);
+  });
+});
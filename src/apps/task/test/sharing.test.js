@@ -0,0 +1,91 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { query, call } = require('../../../testing/helpers');
+const Task = require('../models/models');
+const User = require('../../user/models/models');
+const { loadTask } = require('../middlewares/middlewares');
+const { addCollaborator, removeCollaborator } = require('../controllers/controllers');
+
+const ownerId = '64b000000000000000000001';
+const editorId = '64b000000000000000000002';
+const viewerId = '64b000000000000000000003';
+const strangerId = '64b000000000000000000004';
+const taskId = '64b0000000000000000000a1';
+
+describe('task sharing', () => {
+  let task;
+
+  beforeEach(() => {
+    task = Task.hydrate({
+      _id: taskId,
+      title: 'Dentist',
+      status: 'to do',
+      user_id: ownerId,
+      collaborators: [
+        { user_id: editorId, role: 'editor' },
+        { user_id: viewerId, role: 'viewer' }
+      ]
+    });
+    mock.method(Task, 'findOne', () => query(task));
+    mock.method(task, 'save', async () => task);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const authorize = (permission, userId) => call(loadTask(permission), { user: { id: userId }, params: { id: taskId } });
+
+  it('lets a viewer see the task but not edit it', async () => {
+    assert.equal((await authorize('view', viewerId)).req.taskRole, 'viewer');
+
+    const res = await authorize('edit', viewerId);
+
+    assert.equal(res.statusCode, 403);
+    assert.equal(res.body.errorType, 'forbidden');
+    assert.equal(res.body.role, 'viewer');
+    assert.equal(res.req.task, undefined);
+  });
+
+  it('lets an editor edit but not delete or share the task', async () => {
+    assert.equal((await authorize('edit', editorId)).req.taskRole, 'editor');
+
+    for (const permission of ['delete', 'share']) {
+      const res = await authorize(permission, editorId);
+
+      assert.equal(res.statusCode, 403);
+      assert.equal(res.body.role, 'editor');
+    }
+  });
+
+  it('lets the owner share the task', async () => {
+    mock.method(User, 'findOne', () => query(User.hydrate({ _id: strangerId, name: 'Bea', email: 'bea@example.com' })));
+
+    const res = await call(addCollaborator, { task, taskRole: 'owner', user: { id: ownerId }, body: { email: 'bea@example.com' } });
+
+    assert.equal(res.statusCode, 201);
+    assert.equal(res.body.data.collaborator.role, 'viewer');
+    assert.equal(task.collaborators.length, 3);
+    assert.equal(task.save.mock.callCount(), 1);
+  });
+
+  it('lets the owner remove a collaborator', async () => {
+    mock.method(Task, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+    const res = await call(removeCollaborator, { task, taskRole: 'owner', user: { id: ownerId }, params: { id: taskId, userId: editorId } });
+
+    assert.equal(res.statusCode, 204);
+    const [filter, update] = Task.updateOne.mock.calls[0].arguments;
+    assert.deepEqual(filter, { _id: task._id, 'collaborators.user_id': editorId });
+    assert.deepEqual(update, { $pull: { collaborators: { user_id: editorId } } });
+  });
+
+  it('lets a collaborator leave but not remove others', async () => {
+    mock.method(Task, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+    const other = await call(removeCollaborator, { task, taskRole: 'editor', user: { id: editorId }, params: { id: taskId, userId: viewerId } });
+    const self = await call(removeCollaborator, { task, taskRole: 'viewer', user: { id: viewerId }, params: { id: taskId, userId: viewerId } });
+
+    assert.equal(other.statusCode, 403);
+    assert.equal(self.statusCode, 204);
+    assert.equal(Task.updateOne.mock.callCount(), 1);
+  });
+});
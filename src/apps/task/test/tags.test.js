@@ -0,0 +1,58 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { query, call } = require('../../../testing/helpers');
+const Task = require('../models/models');
+const Tag = require('../../tag/models/models');
+const { updateTag, deleteTag } = require('../../tag/controllers/controllers');
+
+const userId = '64b000000000000000000001';
+const tagId = '64b0000000000000000000d1';
+
+describe('tags', () => {
+  let tag;
+
+  beforeEach(() => {
+    tag = Tag.hydrate({ _id: tagId, name: 'work', color: '#ff0000', user_id: userId });
+    mock.method(tag, 'save', async () => tag);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('removes a deleted tag from its tasks and keeps the tasks', async () => {
+    mock.method(Task, 'updateMany', async () => ({ modifiedCount: 3 }));
+    mock.method(Task, 'deleteMany', async () => ({ deletedCount: 0 }));
+    mock.method(Tag, 'deleteOne', async () => ({ deletedCount: 1 }));
+
+    const res = await call(deleteTag, { tag, user: { id: userId } });
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body.data, { updatedTasks: 3 });
+    const [filter, update] = Task.updateMany.mock.calls[0].arguments;
+    assert.deepEqual(filter, { user_id: userId, tags: tag._id });
+    assert.deepEqual(update, { $pull: { tags: tag._id } });
+    assert.equal(Task.deleteMany.mock.callCount(), 0);
+    assert.deepEqual(Tag.deleteOne.mock.calls[0].arguments[0], { _id: tag._id });
+  });
+
+  it('refuses to rename a tag to the name of another tag', async () => {
+    mock.method(Tag, 'findOne', () => query({ _id: '64b0000000000000000000d2' }));
+
+    const res = await call(updateTag, { tag, user: { id: userId }, body: { name: 'Home' } });
+
+    assert.equal(res.statusCode, 409);
+    assert.equal(res.body.errorType, 'tag_name_taken');
+    assert.equal(tag.name, 'work');
+    assert.equal(tag.save.mock.callCount(), 0);
+    assert.deepEqual(Tag.findOne.mock.calls[0].arguments[0], { user_id: userId, name: 'Home', _id: { $ne: tag._id } });
+  });
+
+  it('lets a tag change the case of its own name', async () => {
+    mock.method(Tag, 'findOne', () => query(null));
+
+    const res = await call(updateTag, { tag, user: { id: userId }, body: { name: 'Work' } });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(tag.name, 'Work');
+    assert.equal(tag.save.mock.callCount(), 1);
+  });
+});
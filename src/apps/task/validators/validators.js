@@ -0,0 +1,199 @@
+/**
+ * Request schemas for the task routes
+ *
+ * Consumed by the `validate` middleware (src/middlewares/validate.js), which
+ * rejects invalid requests before they reach the controllers.
+ */
+
+const { RECURRENCE_FREQUENCIES } = require('../../../utils/recurrence');
+const { PERIOD_GRANULARITIES } = require('../../../utils/dates');
+const { TASK_STATUSES, TASK_PRIORITIES, COLLABORATOR_ROLES } = require('../constants');
+
+const SORT_KEYS = ['priority', 'date', 'title', 'status', 'createdAt', 'updatedAt'];
+const TITLE_MAX_LENGTH = 50;
+const DETAIL_MAX_LENGTH = 500;
+const CHECKLIST_MAX_ITEMS = 50;
+const CHECKLIST_TEXT_MAX_LENGTH = 200;
+const REMINDER_MAX_OFFSET = 28 * 24 * 60; // minutes (4 weeks)
+const CALENDAR_MAX_DAYS = 366;
+
+// Comma-separated list of allowed values (e.g. `status=to do,in process`)
+const listOf = (values) => new RegExp(`^(${values.join('|')})(,(${values.join('|')}))*$`);
+
+// Comma-separated sort keys, each prefixed with `-` for descending order (e.g. `sort=-priority,date`)
+const SORT_PATTERN = new RegExp(`^-?(${SORT_KEYS.join('|')})(,-?(${SORT_KEYS.join('|')}))*$`);
+
+// Opaque pagination cursors (and feed tokens) are base64url strings
+const CURSOR_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+// Repetition rule; null on edit stops the repetition
+const recurrenceRule = {
+  type: 'object',
+  fields: {
+    freq: { type: 'string', required: true, enum: RECURRENCE_FREQUENCIES },
+    interval: { type: 'integer', min: 1, max: 365 },
+    byWeekday: { type: 'array', maxLength: 7, items: { type: 'integer', min: 0, max: 6 } },
+    byMonthDay: { type: 'array', maxLength: 31, items: { type: 'integer', min: 1, max: 31 } },
+    until: { type: 'date' },
+    count: { type: 'integer', min: 1, max: 1000 }
+  }
+};
+
+// Fields shared by task creation and edition
+const taskBody = {
+  title: { type: 'string', required: true, maxLength: TITLE_MAX_LENGTH, messages: { required: 'task.missingFields', maxLength: 'task.titleTooLong' } },
+  detail: { type: 'string', maxLength: DETAIL_MAX_LENGTH, messages: { maxLength: 'task.detailTooLong' } },
+  status: { type: 'string', required: true, enum: TASK_STATUSES, messages: { required: 'task.missingFields' } },
+  priority: { type: 'string', enum: TASK_PRIORITIES },
+  task_date: { type: 'date', required: true, messages: { required: 'task.missingFields', date: 'task.invalidDate' } },
+  remember: { type: 'boolean' },
+  reminders: { type: 'array', maxLength: 5, items: { type: 'integer', min: 0, max: REMINDER_MAX_OFFSET } },
+  list_id: { type: 'objectId' },
+  checklistAutoStatus: { type: 'boolean' },
+  recurrence: recurrenceRule,
+  tags: { type: 'array', maxLength: 20, items: { type: 'objectId' }, messages: { items: 'tag.invalidIds', maxLength: 'tag.tooMany' } }
+};
+
+const taskIdParams = {
+  id: { type: 'objectId', required: true }
+};
+
+const getUserTasksSchema = {
+  query: {
+    status: { type: 'string', pattern: listOf(TASK_STATUSES), messages: { pattern: 'task.invalidStatusFilter' } },
+    sort: { type: 'string', pattern: SORT_PATTERN, messages: { pattern: 'task.invalidSort' } },
+    scope: { type: 'string', enum: ['own', 'shared', 'all'] },
+    list: { type: 'string', pattern: /^([a-f\d]{24}|none)$/i },
+    tags: { type: 'string', pattern: /^[a-f\d]{24}(,[a-f\d]{24})*$/i, messages: { pattern: 'tag.invalidIds' } },
+    tagMatch: { type: 'string', enum: ['any', 'all'] },
+    date: { type: 'date', messages: { date: 'task.invalidDate' } },
+    limit: { type: 'integer', min: 1, max: 100 },
+    page: { type: 'integer', min: 1 },
+    after: { type: 'string', maxLength: 200, pattern: CURSOR_PATTERN, messages: { pattern: 'task.invalidCursor' } },
+    before: { type: 'string', maxLength: 200, pattern: CURSOR_PATTERN, messages: { pattern: 'task.invalidCursor' } },
+    includeTotal: { type: 'boolean' }
+  }
+};
+
+const searchTasksSchema = {
+  query: {
+    q: { type: 'string', required: true, maxLength: 200, messages: { required: 'task.searchQueryRequired' } },
+    status: getUserTasksSchema.query.status,
+    scope: getUserTasksSchema.query.scope,
+    date: getUserTasksSchema.query.date,
+    limit: getUserTasksSchema.query.limit,
+    page: getUserTasksSchema.query.page
+  }
+};
+
+const calendarSchema = {
+  query: {
+    from: { type: 'date', required: true, messages: { date: 'task.invalidDate' } },
+    to: { type: 'date', required: true, messages: { date: 'task.invalidDate' } },
+    granularity: { type: 'string', enum: PERIOD_GRANULARITIES },
+    scope: getUserTasksSchema.query.scope,
+    list: getUserTasksSchema.query.list,
+    limit: { type: 'integer', min: 1, max: 100 }
+  }
+};
+
+const feedSchema = {
+  params: {
+    token: { type: 'string', required: true, maxLength: 100, pattern: CURSOR_PATTERN }
+  },
+  query: {
+    type: { type: 'string', enum: ['event', 'todo'] }
+  }
+};
+
+const createTaskSchema = {
+  body: taskBody
+};
+
+const editTaskSchema = {
+  params: taskIdParams,
+  query: {
+    scope: { type: 'string', enum: ['this', 'future'] },
+    occurrence: { type: 'date', messages: { date: 'task.invalidDate' } }
+  },
+  body: taskBody
+};
+
+const taskIdSchema = {
+  params: taskIdParams
+};
+
+const tasksByDateSchema = {
+  body: {
+    task_date: { type: 'date', required: true, messages: { required: 'task.dateRequired', date: 'task.invalidDate' } }
+  }
+};
+
+const addCollaboratorSchema = {
+  params: taskIdParams,
+  body: {
+    email: { type: 'email', required: true, messages: { required: 'user.emailRequired' } },
+    role: { type: 'string', enum: COLLABORATOR_ROLES }
+  }
+};
+
+const removeCollaboratorSchema = {
+  params: {
+    ...taskIdParams,
+    userId: { type: 'objectId', required: true }
+  }
+};
+
+const checklistItemParams = {
+  ...taskIdParams,
+  itemId: { type: 'objectId', required: true }
+};
+
+const addChecklistItemSchema = {
+  params: taskIdParams,
+  body: {
+    text: { type: 'string', required: true, maxLength: CHECKLIST_TEXT_MAX_LENGTH },
+    position: { type: 'integer', min: 0 }
+  }
+};
+
+const updateChecklistItemSchema = {
+  params: checklistItemParams,
+  body: {
+    text: { type: 'string', maxLength: CHECKLIST_TEXT_MAX_LENGTH },
+    done: { type: 'boolean' }
+  }
+};
+
+const reorderChecklistSchema = {
+  params: taskIdParams,
+  body: {
+    order: { type: 'array', required: true, items: { type: 'objectId' } }
+  }
+};
+
+const checklistItemSchema = {
+  params: checklistItemParams
+};
+
+module.exports = {
+  SORT_KEYS,
+  CHECKLIST_MAX_ITEMS,
+  CALENDAR_MAX_DAYS,
+  TITLE_MAX_LENGTH,
+  DETAIL_MAX_LENGTH,
+  getUserTasksSchema,
+  searchTasksSchema,
+  calendarSchema,
+  feedSchema,
+  createTaskSchema,
+  editTaskSchema,
+  taskIdSchema,
+  tasksByDateSchema,
+  addCollaboratorSchema,
+  removeCollaboratorSchema,
+  addChecklistItemSchema,
+  updateChecklistItemSchema,
+  reorderChecklistSchema,
+  checklistItemSchema
+};
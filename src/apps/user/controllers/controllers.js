@@ -1,10 +1,20 @@
 const User = require('../models/models');
-const handleServerError = require('../../../middlewares/errorHandler');
-const jwt = require('jsonwebtoken');
+const { ValidationError, AuthError, ForbiddenError, NotFoundError, ConflictError, LockedError } = require('../../../utils/errors');
 const crypto = require('crypto');
-const nodemailer = require('nodemailer');
+const mailer = require('../../../mailer');
 const bcrypt = require('bcrypt');
+const jwt = require('jsonwebtoken');
 const { cloudinary } = require('../../../config/cloudinary');
+const RefreshToken = require('../models/refreshToken');
+const Session = require('../models/session');
+const mongoose = require('mongoose');
+const authConfig = require('../../../config/auth');
+const { hashToken, signAccessToken, issueRefreshToken, revokeRefreshTokenFamily, revokeAccessToken, startSession, isIssuedBeforeCutoff, revokeUserTokens } = require('../../../utils/tokens');
+const { generateSecret, verifyTotp, buildOtpauthUrl } = require('../../../utils/totp');
+const { isEmailVerificationOverdue } = require('../../../middlewares/auth');
+const { isAccountLocked, registerFailedLogin, clearLock } = require('../../../utils/lockout');
+const { setRequestLocale } = require('../../../i18n');
+const { getRequestTimeZone } = require('../../../utils/dates');
 require('dotenv').config();
 
 /**
@@ -16,17 +26,18 @@ require('dotenv').config();
  * 
  * Registration validation flow:
  * 1. Extracts all required fields from request body
- * 2. Validates that all fields are provided (email, password, passwordCheck, name, age)
- * 3. Enforces minimum password length (6 characters)
- * 4. Verifies password and passwordCheck match exactly
- * 5. Checks email uniqueness against existing users
- * 6. Hashes password securely using bcrypt with 10 salt rounds
- * 7. Creates new user document with hashed password
- * 8. Saves user to database and returns success response with user ID
+ * 2. Required fields, age limits (13–122), password strength (8+ characters with
+ *    uppercase, lowercase and a number) and the passwordCheck match are
+ *    validated by `registerSchema` before the controller runs
+ * 3. Checks email uniqueness against existing users
+ * 4. Hashes password securely using bcrypt with 10 salt rounds
+ * 5. Creates new user document with hashed password, marked as unverified
+ * 6. Saves user to database and sends the email verification link
+ * 7. Returns success response with user ID
  * 
  * **Security Features:**
  * - Password confirmation validation prevents typos
- * - Minimum password length enforcement (6 characters)
+ * - Password strength enforcement (see `passwordRule`)
  * - Secure bcrypt hashing with 10 salt rounds
  * - Email uniqueness validation to prevent duplicates
  * - No plaintext password storage
@@ -35,64 +46,161 @@ require('dotenv').config();
  * @see {@link https://www.npmjs.com/package/bcrypt} bcrypt Documentation
  */
 const register = async (req, res) => {
+  const {email, password, name, age, timezone} = req.body;
+
+  //Status code 400: Bad request
+  //Status code 500: Server error
+  //Status code 409: Conflict
+
+  //Checking if email already exists
+  const existingEmail = await User.findOne({ email: email });
+  if (existingEmail) {
+    throw new ConflictError('user.emailTaken', { errorType: 'email_taken' });
+  }
+
+  //Hashing the password with bcrypt (10 salt rounds)
+  const saltRounds = 10;
+  const hashedPassword = await bcrypt.hash(password, saltRounds);
+
+  //Creating the new user (saving hashed password, not plain text)
+  const newUser = new User({
+    email: email,
+    password: hashedPassword,
+    name: name,
+    age: age,
+    timezone: timezone || getRequestTimeZone(req), // defaults to the zone the client announces
+    emailVerified: false
+  });
+  const savedUser = await newUser.save();
+
+  // The account is created even if the email cannot be sent; the user can ask for a resend
+  let emailVerificationSent = true;
   try {
-    const {email, password, passwordCheck, name, age} = req.body;
+    await sendVerificationEmail(savedUser);
+  } catch (emailError) {
+    console.error('Verification email sending error:', emailError);
+    emailVerificationSent = false;
+  }
 
-    //Status code 400: Bad request
-    //Status code 500: Server error
-    //Status code 409: Conflict
+  res.status(201).json({ message: req.t('user.registered'), userId: savedUser._id, emailVerificationSent });
+};
 
-    //Checking if all fields are filled
-    if (!email || !password || !passwordCheck || !name || !age) {
-      return res.status(400).json({ message: 'Not all fields have been entered.' });
-    }
+// Sent with errors after which the client has to log in again
+const REDIRECT_TO_LOGIN = { action: 'redirect_to_login', redirectTo: '/login' };
 
-    // Cheking age limits
-    if (age < 13) {
-      return res.status(400).json({ message: 'You must be at least 13 years old to register' });
-    }
+// Purpose claim of the challenge token returned by `login` when 2FA is enabled
+const TWO_FACTOR_CHALLENGE = '2fa_challenge';
 
-    if (age > 122) {
-      return res.status(400).json({ message: 'Please enter a valid age' });
-    }
+// Fields excluded by default from User queries that 2FA handling needs
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep +twoFactor.challengeId';
 
-    //Checking password length and match
-    if (password.length < 8) {
-      return res.status(400).json({ message: 'Password must be at least 8 characters long' });
-    }
+/**
+ * Records a wrong code sent for a login challenge
+ *
+ * Failures are counted per challenge, which stops working after
+ * `maxTwoFactorAttempts` of them, and per account through the failed-login
+ * lockout, so spreading guesses over several IPs or challenges does not help.
+ *
+ * @async
+ * @param {Object} user - User the challenge belongs to
+ * @param {string} challengeId - `jti` of the challenge
+ * @returns {Promise<{ exhausted: boolean, locked: boolean, lockUntil?: Date }>}
+ */
+const registerFailedChallenge = async (user, challengeId) => {
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id, 'twoFactor.challengeId': challengeId },
+    { $inc: { 'twoFactor.challengeFailures': 1 } },
+    { new: true }
+  ).select('+twoFactor.challengeFailures');
+
+  const exhausted = !updated || updated.twoFactor.challengeFailures >= authConfig.maxTwoFactorAttempts;
+  if (exhausted) {
+    await User.updateOne(
+      { _id: user._id, 'twoFactor.challengeId': challengeId },
+      { $unset: { 'twoFactor.challengeId': 1, 'twoFactor.challengeFailures': 1 } }
+    );
+  }
 
-    const passwordRegex = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d).+$/;
-    if (!passwordRegex.test(password)) {
-      return res.status(400).json({ message: 'Password must contain at least one uppercase letter, one lowercase letter, and one number.' });
+  const failure = await registerFailedLogin(user);
+  if (failure.unlockToken) {
+    try {
+      await sendUnlockEmail(failure.user, failure.unlockToken);
+    } catch (emailError) {
+      console.error('Unlock email sending error:', emailError);
     }
+  }
 
-    if (password !== passwordCheck) {
-      return res.status(400).json({ message: 'Passwords do not match. Please try again' });
-    }
+  return { exhausted, locked: failure.locked, lockUntil: failure.lockUntil };
+};
 
-    //Checking if email already exists
-    const existingEmail = await User.findOne({ email: email });
-    if (existingEmail) {
-      return res.status(409).json({ message: 'An account with this email already exists' });
-    }
+/**
+ * Builds the response body of a successful login
+ *
+ * Shared by `login` and `verifyTwoFactorLogin` so both return the same shape.
+ *
+ * @param {import('express').Request} req - Login request (for the response language)
+ * @param {Object} user - Authenticated user document
+ * @param {{ token: string, refreshToken: string, refreshTokenExpiresAt: Date }} tokens - Issued tokens
+ * @returns {Object} Response payload (never includes the password)
+ */
+const buildLoginResponse = (req, user, { token, refreshToken, refreshTokenExpiresAt }) => ({
+  message: req.t('login.success'),
+  token,
+  refreshToken,
+  refreshTokenExpiresAt,
+  user: {
+    id: user._id,
+    name: user.name,
+    email: user.email,
+  },
+});
 
-    //Hashing the password with bcrypt (10 salt rounds)
-    const saltRounds = 10;
-    const hashedPassword = await bcrypt.hash(password, saltRounds);
+/**
+ * Generates a fresh set of one-time recovery codes
+ *
+ * @returns {{ codes: string[], hashes: string[] }} Plain codes (shown once to the user) and their hashes (stored)
+ */
+const generateRecoveryCodes = () => {
+  const codes = [];
+  for (let i = 0; i < authConfig.recoveryCodeCount; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+  return { codes, hashes: codes.map(normalizeRecoveryCode).map(hashToken) };
+};
 
-    //Creating the new user (saving hashed password, not plain text)
-    const newUser = new User({
-      email: email,
-      password: hashedPassword,
-      name: name,
-      age: age
-    });
-    const savedUser = await newUser.save();
-    res.status(201).json({ message: 'User registered successfully', userId: savedUser._id });
+// Recovery codes are accepted regardless of case and dashes
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Checks a TOTP or recovery code against a user's second factor
+ *
+ * A valid TOTP code advances `lastUsedStep` so it cannot be replayed and a
+ * valid recovery code is removed from the list. The caller must save the user.
+ *
+ * @param {Object} user - User document selected with `TWO_FACTOR_FIELDS`
+ * @param {{ code?: string, recoveryCode?: string }} input - Code supplied by the client
+ * @returns {'totp'|'recovery'|null} Which factor matched, or `null`
+ */
+const consumeSecondFactor = (user, { code, recoveryCode }) => {
+  if (code && user.twoFactor.secret) {
+    const step = verifyTotp(user.twoFactor.secret, code, { lastUsedStep: user.twoFactor.lastUsedStep });
+    if (step !== null) {
+      user.twoFactor.lastUsedStep = step;
+      return 'totp';
+    }
   }
-  catch (error) {
-    return handleServerError(error, 'Registration', res);
+
+  if (recoveryCode && Array.isArray(user.twoFactor.recoveryCodes)) {
+    const hash = hashToken(normalizeRecoveryCode(recoveryCode));
+    const index = user.twoFactor.recoveryCodes.indexOf(hash);
+    if (index !== -1) {
+      user.twoFactor.recoveryCodes.splice(index, 1);
+      return 'recovery';
+    }
   }
+
+  return null;
 };
 
 /**
@@ -105,93 +213,419 @@ const register = async (req, res) => {
  * Authentication flow:
  * 1. Extracts email and password from request body
  * 2. Searches for user by email in database
- * 3. Validates password using bcrypt comparison
- * 4. Checks if user account is blocked
- * 5. Generates JWT token with user ID and email
- * 6. Returns success response with token and user data (excluding password)
+ * 3. Rejects locked accounts (a temporary lock that has expired is cleared)
+ * 4. Validates password using bcrypt comparison. Failures are counted per
+ *    account and lock it after too many attempts, emailing an unlock link
+ * 5. Clears the failed-login counters and checks that the email is not
+ *    unverified past the grace period (when email verification is enforced)
+ * 6. If two-factor authentication is enabled, returns a short-lived challenge
+ *    token instead (to be exchanged through `verifyTwoFactorLogin`)
+ * 7. Records a new session (user agent, IP) owning a new refresh token family
+ * 8. Issues the access token and a long-lived refresh token stored server-side
+ * 9. Returns success response with both tokens and user data (excluding password)
  * 
  * @see {@link https://jwt.io/} JWT token specification
  * @see {@link https://www.npmjs.com/package/bcrypt} bcrypt documentation
  */
 const login = async (req, res) => {
-  try {
-    const { email, password } = req.body;
-    const user = await User.findOne({ email });
-
-    console.log({ email, password });
-    console.log(user);
-    
-    // Search for the user email in the database
-    if (!user) return res.status(401).json({ message: 'Invalid user' });  
-
-    // Check if the password matches using bcrypt
-    const isPasswordValid = await bcrypt.compare(password, user.password);
-    if (!isPasswordValid) return res.status(401).json({ message: 'Invalid password' });
-
-    // Check if the user is blocked
-    if (user.isBlocked) return res.status(423).json({mesagge: 'Account temporarily blocked'});
-
-    // Generate a JWT token
-    const token = jwt.sign(
-      { id: user._id, email: user.email },   // payload
-      process.env.JWT_SECRET,                // secret password
-      { expiresIn: '2h' }                    // token's duration
+  const { email, password } = req.body;
+  const user = await User.findOne({ email });
+  
+  // Search for the user email in the database
+  if (!user) throw new AuthError('login.invalidUser', { errorType: 'invalid_credentials' });
+
+  // Answer in the user's preferred language from here on
+  if (user.language) setRequestLocale(req, user.language);
+
+  // Check if the user is blocked (before the password, so a locked account cannot be guessed)
+  if (isAccountLocked(user)) {
+    throw new LockedError('login.accountBlocked', { extra: { lockedUntil: user.lockUntil } });
+  }
+
+  // Check if the password matches using bcrypt
+  const isPasswordValid = await bcrypt.compare(password, user.password);
+  if (!isPasswordValid) {
+    const failure = await registerFailedLogin(user);
+
+    if (failure.locked) {
+      if (failure.unlockToken) {
+        try {
+          await sendUnlockEmail(failure.user, failure.unlockToken);
+        } catch (emailError) {
+          console.error('Unlock email sending error:', emailError);
+        }
+      }
+
+      throw new LockedError('login.tooManyFailures', { extra: { lockedUntil: failure.lockUntil } });
+    }
+
+    throw new AuthError('login.invalidPassword', { errorType: 'invalid_credentials' });
+  }
+
+  // Successful password check: forget previous failures and expired locks
+  await clearLock(user, { resetLockCount: true });
+
+  // Check if the email verification grace period is over
+  if (isEmailVerificationOverdue(user, 'login')) {
+    throw new ForbiddenError('login.emailNotVerified', { errorType: 'email_not_verified', extra: { action: 'verify_email' } });
+  }
+
+  // Second factor required: hand out a challenge instead of the tokens.
+  // Only the latest challenge can be answered, a limited number of times.
+  if (user.twoFactor && user.twoFactor.enabled) {
+    const challengeId = crypto.randomUUID();
+    user.twoFactor.challengeId = challengeId;
+    user.twoFactor.challengeFailures = 0;
+    await user.save();
+
+    const challengeToken = jwt.sign(
+      { id: user._id, purpose: TWO_FACTOR_CHALLENGE },
+      process.env.JWT_SECRET,
+      { expiresIn: authConfig.twoFactorChallengeExpiresIn, jwtid: challengeId }
     );
 
-// If everything is fine, return user data, except for the password
-    res.status(200).json({
-      message: 'Succesful login',
-      token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-      },
+    return res.status(200).json({
+      message: req.t('login.twoFactorRequired'),
+      twoFactorRequired: true,
+      challengeToken
     });
-    //console.log(user.name)
-  } catch (error) {
-    return handleServerError(error, 'Login', res);
   }
+
+  // Record the session and generate a JWT token plus a refresh token to renew it
+  const tokens = await startSession(user, req);
+
+// If everything is fine, return user data, except for the password
+  res.status(200).json(buildLoginResponse(req, user, tokens));
 };
 
-const getData = async (req, res) => {
+/**
+ * Refresh token controller
+ *
+ * Exchanges a valid refresh token for a new access token. Refresh tokens are
+ * single-use: every successful call rotates the token, returning a new one in
+ * the same family and marking the presented one as replaced.
+ *
+ * Refresh flow:
+ * 1. Extracts the refresh token from the request body
+ * 2. Atomically marks the stored token as replaced (only if it is still active)
+ * 3. If the token was already replaced or revoked, treats it as reuse and
+ *    revokes the whole token family
+ * 4. Rejects expired tokens, revoked sessions, tokens issued before a
+ *    "log out everywhere" and missing/blocked users
+ * 5. Issues a new access token and a new refresh token in the same family
+ * 6. Updates the session's last-seen time and expiry
+ *
+ * **Security Features:**
+ * - Only SHA-256 hashes of refresh tokens are stored
+ * - Rotation on every use limits the lifetime of a leaked token
+ * - Reuse detection revokes every token descended from the same login
+ *
+ * @see {@link https://datatracker.ietf.org/doc/html/rfc6819#section-5.2.2.3} Refresh Token Rotation
+ */
+const refresh = async (req, res) => {
+  const { refreshToken } = req.body;
+
+  const tokenHash = hashToken(refreshToken);
+  const now = new Date();
+
+  // Claim the token atomically so two concurrent refreshes cannot both succeed
+  const stored = await RefreshToken.findOneAndUpdate(
+    { tokenHash, replacedAt: null, revokedAt: null },
+    { $set: { replacedAt: now } }
+  );
+
+  if (!stored) {
+    const previous = await RefreshToken.findOne({ tokenHash });
+
+    // An already rotated or revoked token was presented again: assume it was stolen
+    if (previous) {
+      await revokeRefreshTokenFamily(previous.family);
+      throw new AuthError('refresh.reused', { errorType: 'refresh_token_reused', extra: REDIRECT_TO_LOGIN });
+    }
+
+    throw new AuthError('refresh.invalid', { errorType: 'invalid_refresh_token', extra: REDIRECT_TO_LOGIN });
+  }
+
+  if (stored.expiresAt <= now) {
+    throw new AuthError('refresh.expired', { errorType: 'refresh_token_expired', extra: REDIRECT_TO_LOGIN });
+  }
+
+  const user = await User.findById(stored.user_id);
+  if (!user) {
+    await revokeRefreshTokenFamily(stored.family);
+    throw new AuthError('user.notFound', { errorType: 'user_not_found', extra: REDIRECT_TO_LOGIN });
+  }
+
+  // Tokens of a family started before a "log out everywhere" cannot mint new ones
+  if (isIssuedBeforeCutoff(stored.createdAt, user.tokensValidAfter)) {
+    await revokeRefreshTokenFamily(stored.family);
+    throw new AuthError('auth.tokenRevoked', { errorType: 'token_revoked', extra: REDIRECT_TO_LOGIN });
+  }
+
+  if (isAccountLocked(user)) {
+    throw new LockedError('login.accountBlocked', { errorType: 'account_blocked', extra: REDIRECT_TO_LOGIN });
+  }
+
+  const session = await Session.findOne({ family: stored.family });
+  if (session && session.revokedAt) {
+    throw new AuthError('auth.sessionRevoked', { errorType: 'session_revoked', extra: REDIRECT_TO_LOGIN });
+  }
+
+  const token = signAccessToken(user, session && session._id);
+  const rotated = await issueRefreshToken(user, stored.family);
+
+  if (session) {
+    session.lastSeenAt = now;
+    session.expiresAt = rotated.refreshTokenExpiresAt;
+    await session.save();
+  }
+
+  return res.status(200).json({
+    success: true,
+    message: req.t('refresh.success'),
+    token,
+    refreshToken: rotated.refreshToken,
+    refreshTokenExpiresAt: rotated.refreshTokenExpiresAt
+  });
+};
+
+/**
+ * Two-factor enrollment controller
+ *
+ * Starts TOTP enrollment for the authenticated user. Generates a new secret,
+ * stores it as pending and returns it together with an `otpauth://` URI that
+ * authenticator apps can import (usually rendered as a QR code). 2FA is not
+ * active until the enrollment is confirmed with a first valid code.
+ *
+ * @see {@link https://datatracker.ietf.org/doc/html/rfc6238} RFC 6238 (TOTP)
+ * @see {@link https://github.com/google/google-authenticator/wiki/Key-Uri-Format} Key URI Format
+ */
+const enrollTwoFactor = async (req, res) => {
+  const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+  if (!user) {
+    throw new NotFoundError('user.notFound');
+  }
+
+  if (user.twoFactor.enabled) {
+    throw new ConflictError('twoFactor.alreadyEnabled', { errorType: 'two_factor_enabled' });
+  }
+
+  const secret = generateSecret();
+  user.twoFactor.pendingSecret = secret;
+  await user.save();
+
+  return res.status(200).json({
+    success: true,
+    secret,
+    otpauthUrl: buildOtpauthUrl(secret, user.email)
+  });
+};
+
+/**
+ * Two-factor enrollment confirmation controller
+ *
+ * Activates 2FA once the user proves their authenticator app is set up by
+ * submitting a valid code for the pending secret. Returns the initial set of
+ * recovery codes, which are only shown this one time.
+ */
+const confirmTwoFactor = async (req, res) => {
+  const { code } = req.body;
+
+  const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+  if (!user) {
+    throw new NotFoundError('user.notFound');
+  }
+
+  if (user.twoFactor.enabled) {
+    throw new ConflictError('twoFactor.alreadyEnabled', { errorType: 'two_factor_enabled' });
+  }
+
+  if (!user.twoFactor.pendingSecret) {
+    throw new ValidationError('twoFactor.notStarted', { errorType: 'two_factor_not_started' });
+  }
+
+  const step = verifyTotp(user.twoFactor.pendingSecret, code);
+  if (step === null) {
+    throw new ValidationError('twoFactor.invalidCode', { errorType: 'invalid_2fa_code' });
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  user.twoFactor.enabled = true;
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.lastUsedStep = step;
+  user.twoFactor.recoveryCodes = hashes;
+  user.twoFactor.enabledAt = new Date();
+  await user.save();
+
+  return res.status(200).json({
+    success: true,
+    message: req.t('twoFactor.enabled'),
+    recoveryCodes: codes
+  });
+};
+
+/**
+ * Two-factor disable controller
+ *
+ * Turns 2FA off. Requires the account password and a current TOTP code or an
+ * unused recovery code, so a hijacked session alone cannot remove the factor.
+ */
+const disableTwoFactor = async (req, res) => {
+  const { password, code, recoveryCode } = req.body;
+
+  const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+  if (!user) {
+    throw new NotFoundError('user.notFound');
+  }
+
+  if (!user.twoFactor.enabled) {
+    throw new ValidationError('twoFactor.notEnabled', { errorType: 'two_factor_not_enabled' });
+  }
+
+  const isPasswordValid = await bcrypt.compare(password, user.password);
+  if (!isPasswordValid) {
+    throw new AuthError('login.invalidPassword', { errorType: 'invalid_password' });
+  }
+
+  if (!consumeSecondFactor(user, { code, recoveryCode })) {
+    throw new ValidationError('twoFactor.invalidCode', { errorType: 'invalid_2fa_code' });
+  }
+
+  user.twoFactor = { enabled: false };
+  await user.save();
+
+  return res.status(200).json({ success: true, message: req.t('twoFactor.disabled') });
+};
+
+/**
+ * Recovery codes generation controller
+ *
+ * Replaces the user's recovery codes with a new set (previous codes stop
+ * working). Requires a current TOTP code. The new codes are only shown once.
+ */
+const regenerateRecoveryCodes = async (req, res) => {
+  const { code } = req.body;
+
+  const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+  if (!user) {
+    throw new NotFoundError('user.notFound');
+  }
+
+  if (!user.twoFactor.enabled) {
+    throw new ValidationError('twoFactor.notEnabled', { errorType: 'two_factor_not_enabled' });
+  }
+
+  if (!consumeSecondFactor(user, { code })) {
+    throw new ValidationError('twoFactor.invalidCode', { errorType: 'invalid_2fa_code' });
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  user.twoFactor.recoveryCodes = hashes;
+  await user.save();
+
+  return res.status(200).json({ success: true, recoveryCodes: codes });
+};
+
+/**
+ * Two-factor login verification controller
+ *
+ * Second step of the login when 2FA is enabled. Exchanges the challenge token
+ * returned by `login` plus a TOTP code (or a recovery code) for the regular
+ * login response with access and refresh tokens.
+ *
+ * Verification flow:
+ * 1. Verifies the challenge token signature, expiry and purpose
+ * 2. Loads the user and checks it still exists, is not blocked and has 2FA enabled
+ * 3. Checks the challenge is the latest one issued to the user and has not
+ *    been used up
+ * 4. Validates the TOTP code (replay-protected) or consumes a recovery code.
+ *    Wrong codes count against the challenge (invalidated after
+ *    `maxTwoFactorAttempts`) and against the account's failed-login lockout
+ * 5. Starts a session and returns the same payload as a normal login
+ */
+const verifyTwoFactorLogin = async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  let challenge;
   try {
-    const user = await User.findById(req.user.id);
-
-    return res.status(200).json(
-      {
-        name: user.name,
-        email: user.email,
-        age: user.age,
-        password: '●●●●●●●●●●●●',
-        profile_picture: user.profilePicture.profilePictureURL,
-      }
-    );
-  } catch(error) {
-    return handleServerError(error, 'getData', res);
+    challenge = jwt.verify(challengeToken, process.env.JWT_SECRET);
+  } catch (verifyError) {
+    challenge = null;
+  }
+
+  if (!challenge || challenge.purpose !== TWO_FACTOR_CHALLENGE) {
+    throw new AuthError('twoFactor.invalidChallenge', { errorType: 'invalid_2fa_challenge', extra: REDIRECT_TO_LOGIN });
   }
+
+  const user = await User.findById(challenge.id).select(TWO_FACTOR_FIELDS);
+  if (!user || !user.twoFactor.enabled || !challenge.jti || user.twoFactor.challengeId !== challenge.jti) {
+    throw new AuthError('twoFactor.invalidChallenge', { errorType: 'invalid_2fa_challenge', extra: REDIRECT_TO_LOGIN });
+  }
+
+  if (user.language) setRequestLocale(req, user.language);
+
+  if (isAccountLocked(user)) {
+    throw new LockedError('login.accountBlocked', { extra: { lockedUntil: user.lockUntil } });
+  }
+
+  if (!consumeSecondFactor(user, { code, recoveryCode })) {
+    const failure = await registerFailedChallenge(user, challenge.jti);
+    if (failure.locked) {
+      throw new LockedError('login.tooManyFailures', { extra: { lockedUntil: failure.lockUntil } });
+    }
+    if (failure.exhausted) {
+      throw new AuthError('twoFactor.tooManyAttempts', { errorType: 'invalid_2fa_challenge', extra: REDIRECT_TO_LOGIN });
+    }
+    throw new AuthError('twoFactor.invalidCode', { errorType: 'invalid_2fa_code' });
+  }
+
+  // The challenge is used up
+  user.twoFactor.challengeId = undefined;
+  user.twoFactor.challengeFailures = undefined;
+  await user.save();
+
+  const tokens = await startSession(user, req);
+  return res.status(200).json(buildLoginResponse(req, user, tokens));
+};
+
+const getData = async (req, res) => {
+  const user = await User.findById(req.user.id);
+
+  return res.status(200).json(
+    {
+      name: user.name,
+      email: user.email,
+      age: user.age,
+      password: '●●●●●●●●●●●●',
+      profile_picture: user.profilePicture.profilePictureURL,
+      language: user.language || null,
+      timezone: user.timezone || null,
+      emailVerified: user.emailVerified !== false,
+    }
+  );
 }
 
 /**
  * User update controller
  *
  * Handles updating an authenticated user's account information, including
- * email, name, age, and password. Provides validation to ensure data integrity
- * and account security.
+ * email, name, age, password, preferred language and time zone. Provides validation to
+ * ensure data integrity and account security.
  *
  * Update flow:
- * 1. Retrieves the authenticated user by ID from the JWT payload.
- * 2. Validates that at least one field is provided for update.
- * 3. If updating the password, requires both `oldPassword` and `password`.
- * 4. Ensures email uniqueness to prevent duplicates.
- * 5. Validates age boundaries (13–122).
- * 6. Verifies the old password when a password change is requested.
- * 7. Enforces strong password rules for new passwords:
- *    - Minimum length: 8 characters
- *    - Must include uppercase, lowercase, and a number
- *    - Must differ from the old password
- * 8. Hashes the new password securely with bcrypt.
- * 9. Saves only the provided and validated fields to the database.
+ * 1. `updateSchema` validates the request before the controller runs:
+ *    - At least one field is provided for update.
+ *    - `oldPassword` and `password` come together.
+ *    - Age boundaries (13–122), a supported `language` and an IANA `timezone`.
+ *    - Strong new password (8+ characters with uppercase, lowercase and a
+ *      number) that differs from the old one.
+ * 2. Retrieves the authenticated user by ID from the JWT payload.
+ * 3. Ensures email uniqueness to prevent duplicates. A changed email is marked
+ *    unverified and a new verification link is sent to it.
+ * 4. Verifies the old password when a password change is requested.
+ * 5. Hashes the new password securely with bcrypt.
+ * 6. Saves only the provided fields to the database.
  *
  * **Security Features:**
  * - Requires authentication via Bearer token.
@@ -206,98 +640,84 @@ function escapeRegex(str) {
 }
 
 const update = async (req, res) => {
-  try {
-    const { email, name, age, oldPassword, password } = req.body;
-    const user = await User.findById(req.user.id);
-
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
-    }
-
-    // Al menos 1 campo debe venir (si vienen vacíos o undefined falla)
-    if (!email && !name && !age && !oldPassword && !password) {
-      return res.status(400).json({ message: 'At least one field must be filled' });
-    }
+  const { email, name, age, oldPassword, password, language, timezone } = req.body;
+  const user = await User.findById(req.user.id);
 
-    // Si se intenta cambiar contraseña: ambos campos deben venir
-    if ((oldPassword && !password) || (!oldPassword && password)) {
-      return res.status(400).json({ message: 'To update the password both old and new password are required' });
-    }
+  if (!user) {
+    throw new NotFoundError('user.notFound');
+  }
 
-    // --- VALIDACIÓN EMAIL ---
-    if (email && String(email).trim() !== '') {
-      const providedEmail = String(email).trim();
+  // updateSchema already ensured that at least one field is present, that
+  // oldPassword and password come together and that every value is well formed
 
-      // Si el email proporcionado es exactamente el mismo que el actual (case-insensitive),
-      // saltamos la comprobación de unicidad.
-      const currentEmail = user.email ? String(user.email).trim() : '';
-      if (currentEmail.toLowerCase() !== providedEmail.toLowerCase()) {
-        // buscar caso-insensitive en la DB
-        const existingEmail = await User.findOne({
-          email: { $regex: `^${escapeRegex(providedEmail)}$`, $options: 'i' }
-        });
+  // --- VALIDACIÓN EMAIL ---
+  if (email && String(email).trim() !== '') {
+    const providedEmail = String(email).trim();
 
-        // DEBUG temporal (borra o comenta en producción si no quieres logs)
-        // console.log('DEBUG existingEmail:', existingEmail ? existingEmail._id.toString() : null, 'current user id:', user._id.toString());
+    // Si el email proporcionado es exactamente el mismo que el actual (case-insensitive),
+    // saltamos la comprobación de unicidad.
+    const currentEmail = user.email ? String(user.email).trim() : '';
+    if (currentEmail.toLowerCase() !== providedEmail.toLowerCase()) {
+      // buscar caso-insensitive en la DB
+      const existingEmail = await User.findOne({
+        email: { $regex: `^${escapeRegex(providedEmail)}$`, $options: 'i' }
+      });
 
-        if (existingEmail && existingEmail._id && existingEmail._id.toString() !== user._id.toString()) {
-          return res.status(409).json({ message: 'An account with this email already exists' });
-        }
+      if (existingEmail && existingEmail._id && existingEmail._id.toString() !== user._id.toString()) {
+        throw new ConflictError('user.emailTaken', { errorType: 'email_taken' });
       }
-      // asignamos el email normalizado (trim) — no forzamos a lowerCase para no romper formato en DB
+    }
+    // asignamos el email normalizado (trim) — no forzamos a lowerCase para no romper formato en DB
+    if (currentEmail !== providedEmail) {
+      // Only a different address needs verification, not a change in letter case
+      if (currentEmail.toLowerCase() !== providedEmail.toLowerCase()) user.emailVerified = false;
       user.email = providedEmail;
     }
+  }
 
-    // --- VALIDACIÓN EDAD ---
-    if (age !== undefined && age !== null && String(age).trim() !== '') {
-      const ageNum = Number(age);
-      if (Number.isNaN(ageNum) || ageNum < 13 || ageNum > 122) {
-        return res.status(400).json({ message: 'Please enter a valid age' });
-      }
-      user.age = ageNum;
-    }
+  // --- VALIDACIÓN EDAD ---
+  if (age !== undefined && age !== null && String(age).trim() !== '') {
+    user.age = Number(age);
+  }
 
-    // --- VALIDACIÓN PASSWORDS ---
-    if (oldPassword) {
-      const isPasswordValid = await bcrypt.compare(oldPassword, user.password);
-      if (!isPasswordValid) {
-        return res.status(401).json({ message: 'Invalid password' });
-      }
+  // --- VALIDACIÓN PASSWORDS ---
+  if (oldPassword) {
+    const isPasswordValid = await bcrypt.compare(oldPassword, user.password);
+    if (!isPasswordValid) {
+      throw new AuthError('login.invalidPassword', { errorType: 'invalid_password' });
     }
+  }
 
-    if (password) {
-      // passwordRegex: al menos una min, una may, y un número
-      const passwordRegex = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d).+$/;
-
-      // evita que la nueva contraseña sea igual a la vieja (comparamos raw porque oldPassword viene en texto)
-      if (oldPassword && oldPassword === password) {
-        return res.status(400).json({ message: 'New password cannot be the same as the old password' });
-      }
-      if (password.length < 8) {
-        return res.status(400).json({ message: 'New password must be at least 8 characters long' });
-      }
-      if (!passwordRegex.test(password)) {
-        return res.status(400).json({
-          message: 'New password must contain at least one uppercase letter, one lowercase letter, and one number.'
-        });
-      }
+  if (password) {
+    user.password = await bcrypt.hash(password, 10);
+  }
 
-      user.password = await bcrypt.hash(password, 10);
-    }
+  // --- CAMPOS ADICIONALES ---
+  if (name) user.name = name;
 
-    // --- CAMPOS ADICIONALES ---
-    if (name) user.name = name;
+  if (language) {
+    user.language = language;
+    setRequestLocale(req, language);
+  }
 
-    await user.save();
+  if (timezone) user.timezone = timezone;
 
-    // No devolvemos password en la respuesta
-    const safeUser = user.toObject ? user.toObject() : { ...user };
-    delete safeUser.password;
+  const needsVerification = user.isModified('emailVerified') && user.emailVerified === false;
+  await user.save();
 
-    return res.status(200).json({ message: 'User updated successfully', user: safeUser });
-  } catch (error) {
-    return handleServerError(error, 'Update user', res);
+  if (needsVerification) {
+    try {
+      await sendVerificationEmail(user);
+    } catch (emailError) {
+      console.error('Verification email sending error:', emailError);
+    }
   }
+
+  // No devolvemos password en la respuesta
+  const safeUser = user.toObject ? user.toObject() : { ...user };
+  delete safeUser.password;
+
+  return res.status(200).json({ message: req.t('user.updated'), user: safeUser });
 };
 
 
@@ -327,76 +747,37 @@ const update = async (req, res) => {
  * @see {@link https://github.com/expressjs/multer} Multer documentation
  */
 const uploadProfilePicture = async (req, res) => {
-  try {
-    // Check if file was uploaded
-    if (!req.file) {
-      return res.status(400).json({ message: 'No file uploaded' });
-    }
+  // Check if file was uploaded
+  if (!req.file) {
+    throw new ValidationError('upload.noFile', { errorType: 'missing_file' });
+  }
 
-    // File is automatically uploaded to Cloudinary via multer-storage-cloudinary
-    const result = req.file;
+  // File is automatically uploaded to Cloudinary via multer-storage-cloudinary
+  const result = req.file;
 
-    const user = await User.findById(req.user.id);
+  const user = await User.findById(req.user.id);
 
-    // Store the old profile picture ID before updating
-    const oldProfilePictureID = user.profilePicture.profilePictureID;
+  // Store the old profile picture ID before updating
+  const oldProfilePictureID = user.profilePicture.profilePictureID;
 
-    // Delete previous profile picture from cloudinary if not default
-    const isPfpDefault = oldProfilePictureID === 'Global_Profile_Picture_j3ayrk';
+  // Delete previous profile picture from cloudinary if not default
+  const isPfpDefault = oldProfilePictureID === 'Global_Profile_Picture_j3ayrk';
 
-    if(!isPfpDefault) {
-      try{
-        await cloudinary.uploader.destroy(oldProfilePictureID);
-      } catch (deleteError) {
-          console.warn('Failed to delete old profile picture:', deleteError);
-      }
+  if(!isPfpDefault) {
+    try{
+      await cloudinary.uploader.destroy(oldProfilePictureID);
+    } catch (deleteError) {
+        console.warn('Failed to delete old profile picture:', deleteError);
     }
-
-    // Update user profile picture info
-    user.profilePicture.profilePictureURL = result.path;
-    user.profilePicture.profilePictureID = result.filename;
-
-    // Save the user
-    await user.save();
-    return res.status(200).json({ message: 'Profile picture uploaded successfully' });
-
-  } catch (error) {
-    console.error('Upload error:', error);
-    return handleServerError(error, 'Upload user profile picture', res);
   }
-};
 
-// Configure email transporter
-/**
- * Email transporter factory function
- * 
- * Creates and configures a Nodemailer transporter instance for sending emails
- * through Gmail's SMTP service. Uses environment variables for authentication
- * credentials to maintain security and configurability across different environments.
- * 
- * Configuration details:
- * - **Service**: Uses Gmail's SMTP service for reliable email delivery
- * - **Authentication**: Retrieves credentials from environment variables
- * - **Security**: Credentials are never hardcoded in the application
- * - **Reusability**: Returns a configured transporter ready for immediate use
- * 
- * Security:
- * - Uses environment variables to protect email credentials
- * - Requires Gmail app-specific password (more secure than regular password)
- * - No sensitive information hardcoded in the application
- * 
- * @see {@link https://nodemailer.com/} Nodemailer Documentation
- * @see {@link https://support.google.com/accounts/answer/185833} Gmail App Passwords
- * @see {@link https://nodemailer.com/smtp/gmail/} Nodemailer Gmail Configuration
- */
-const createEmailTransporter = () => {
-  return nodemailer.createTransport({
-    service: 'gmail',
-    auth: {
-      user: process.env.EMAIL_USER,
-      pass: process.env.EMAIL_PASS
-    }
-  });
+  // Update user profile picture info
+  user.profilePicture.profilePictureURL = result.path;
+  user.profilePicture.profilePictureID = result.filename;
+
+  // Save the user
+  await user.save();
+  return res.status(200).json({ message: req.t('upload.success') });
 };
 
 // Request password reset
@@ -413,7 +794,8 @@ const createEmailTransporter = () => {
  * 3. Generates cryptographically secure reset token (32 bytes)
  * 4. Stores token and expiration time (1 hour) in user record
  * 5. Creates reset URL with frontend domain and token
- * 6. Sends HTML email with reset link to user
+ * 6. Queues the `password-reset` email template with the reset link (the mail
+ *    worker retries delivery, so an SMTP outage does not fail the request)
  * 7. Returns success response
  * 
  * **Security Features:**
@@ -424,74 +806,43 @@ const createEmailTransporter = () => {
  * 
  * @todo
  * - Consider hashing tokens before storing in database
- * - Implement rate limiting for reset requests per email
- * - Add email template system for better maintainability
  * - Log security events for monitoring
  * 
  * @see {@link https://nodejs.org/api/crypto.html#cryptorandombytessize-callback} Node.js crypto.randomBytes
  * @see {@link https://nodemailer.com/} Nodemailer Documentation
  */
 const requestPasswordReset = async (req, res) => {
-  try {
-    const { email } = req.body;
-    
-    if (!email) {
-      return res.status(400).json({ message: 'Email is required' });
-    }
+  const { email } = req.body;
 
-    const user = await User.findOne({ email });
-    
-    if (!user) {
-      // Security: Use 202 Accepted with generic response to prevent email enumeration
-      return res.status(202).json({ 
-        success: true,
-        message: 'You will receive a reset link'
-      });
-    }
+  const user = await User.findOne({ email });
+  
+  if (!user) {
+    // Security: Use 202 Accepted with generic response to prevent email enumeration
+    return res.status(202).json({ 
+      success: true,
+      message: req.t('reset.linkWillBeSent')
+    });
+  }
 
-    // Generate a reset token
-    const resetToken = crypto.randomBytes(32).toString('hex');
+  // Generate a reset token
+  const resetToken = crypto.randomBytes(32).toString('hex');
 
-    // Save token and expiration date in the database (1 hour expiration)
-    user.resetPasswordToken = resetToken;
-    user.resetPasswordExpires = Date.now() + 3600000; // 1 hour
-    user.resetPasswordUsed = false;
-    await user.save();
+  // Save token and expiration date in the database (1 hour expiration)
+  user.resetPasswordToken = resetToken;
+  user.resetPasswordExpires = Date.now() + 3600000; // 1 hour
+  user.resetPasswordUsed = false;
+  await user.save();
 
-    // Create reset link
-    const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/src/new-password/new.password.html?token=${resetToken}`;
-
-    // Configure email
-    const transporter = createEmailTransporter();//createEmailTransporter();
-    const mailOptions = {
-      from: process.env.EMAIL_USER,
-      to: user.email,
-      subject: 'Password Reset Request - Pichulie',
-      html: `
-        <h2>Password Reset Request</h2>
-        <p>Hello ${user.name},</p>
-        <p>You requested a password reset. Click the link below to reset your password:</p>
-        <p><a href="${resetUrl}" style="background-color: #4CAF50; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Reset Password</a></p>
-        <p>Or copy and paste this link in your browser:</p>
-        <p>${resetUrl}</p>
-        <p>This link will expire in 1 hour.</p>
-        <p>If you didn't request this reset, please ignore this email.</p>
-        <br>
-        <p>Best regards,<br>Pichulie Team</p>
-      `
-    };
-
-    await transporter.sendMail(mailOptions);
-
-    res.status(200).json({ 
-      success: true,
-      message: 'Reset link sent successfully'
-    });
+  // Create reset link
+  const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/src/new-password/new.password.html?token=${resetToken}`;
 
-  } catch (error) {
-    console.error("Error al enviar el correo:", error);
-    return handleServerError(error, 'Password reset request', res);
-  }
+  // Queue email (delivery is retried by the mail worker if the server is unavailable)
+  await mailer.enqueueMail('password-reset', user.email, { name: user.name, resetUrl });
+
+  res.status(200).json({ 
+    success: true,
+    message: req.t('reset.linkSent')
+  });
 };
 
 // Confirm reset password with token
@@ -502,6 +853,8 @@ const requestPasswordReset = async (req, res) => {
  * checks expiration and usage status, then updates the user's password with proper
  * security measures including bcrypt hashing and token invalidation.
  * 
+ * A successful reset also lifts a temporary lock caused by failed logins.
+ * 
  * Password reset confirmation flow:
  * 1. Validates required fields (token and newPassword)
  * 2. Enforces minimum password length (6 characters)
@@ -511,7 +864,9 @@ const requestPasswordReset = async (req, res) => {
  * 6. Hashes new password with bcrypt (10 salt rounds)
  * 7. Updates user password and invalidates reset token
  * 8. Marks token as used to prevent reuse
- * 9. Returns success response with redirect information
+ * 9. Signs the user out everywhere: every session, refresh token and access
+ *    token issued until now stops working
+ * 10. Returns success response with redirect information
  * 
  * **Security Features:**
  * - Token validation with multiple security checks
@@ -519,76 +874,49 @@ const requestPasswordReset = async (req, res) => {
  * - One-time token usage prevention
  * - Secure password hashing with bcrypt
  * - Complete token cleanup after use
+ * - Tokens stolen before the reset do not survive it
  * 
  * @see {@link https://www.npmjs.com/package/bcrypt} bcrypt Documentation
  */
 const resetPassword = async (req, res) => {
-  try {
-    const { token, newPassword } = req.body;
-
-    if (!token || !newPassword) {
-      return res.status(400).json({ 
-        message: 'Token and new password are required' 
-      });
-    }
-
-    if (newPassword.length < 8) {
-      return res.status(400).json({ 
-        message: 'Password must be at least 8 characters long' 
-      });
-    }
-
-    const passwordRegex = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d).+$/;
-    if (!passwordRegex.test(newPassword)) {
-      return res.status(400).json({ 
-        message: 'Password must contain at least one uppercase letter, one lowercase letter, and one number.' 
-     });
-    }
-
-    // Search for user with the token (check all conditions separately)
-    const user = await User.findOne({ resetPasswordToken: token });
+  // Presence and strength of the new password are checked by resetPasswordSchema
+  const { token, newPassword } = req.body;
 
-    if (!user) {
-      return res.status(400).json({ 
-        message: 'Invalid reset token' 
-      });
-    }
+  // Search for user with the token (check all conditions separately)
+  const user = await User.findOne({ resetPasswordToken: token });
 
-    // Check if token was already used
-    if (user.resetPasswordUsed) {
-      return res.status(400).json({ 
-        message: 'This reset link has already been used' 
-      });
-    }
-
-    // Check if token expired
-    if (Date.now() > user.resetPasswordExpires) {
-      return res.status(400).json({ 
-        message: 'Reset token has expired' 
-      });
-    }
-
-    // Hash the new password with bcrypt (10 salt rounds)
-    const saltRounds = 10;
-    const hashedPassword = await bcrypt.hash(newPassword, saltRounds);
-
-    // Update password and mark token as used
-    user.password = hashedPassword;
-    user.resetPasswordToken = undefined;
-    user.resetPasswordExpires = undefined;
-    user.resetPasswordUsed = true;
-    await user.save();
+  if (!user) {
+    throw new ValidationError('reset.invalidToken', { errorType: 'invalid_token' });
+  }
 
-    res.status(200).json({ 
-      success: true,
-      message: 'Password reset successfully',
-      redirectTo: '/login',
-      redirectDelay: 500 // milliseconds
-    });
+  // Check if token was already used
+  if (user.resetPasswordUsed) {
+    throw new ValidationError('reset.linkUsed', { errorType: 'token_used' });
+  }
 
-  } catch (error) {
-    return handleServerError(error, 'Password reset', res);
+  // Check if token expired
+  if (Date.now() > user.resetPasswordExpires) {
+    throw new ValidationError('reset.tokenExpired', { errorType: 'token_expired' });
   }
+
+  // Hash the new password with bcrypt (10 salt rounds)
+  const saltRounds = 10;
+  const hashedPassword = await bcrypt.hash(newPassword, saltRounds);
+
+  // Update password and mark token as used
+  user.password = hashedPassword;
+  user.resetPasswordToken = undefined;
+  user.resetPasswordExpires = undefined;
+  user.resetPasswordUsed = true;
+  await revokeUserTokens(user);
+  await clearLock(user);
+
+  res.status(200).json({ 
+    success: true,
+    message: req.t('reset.success'),
+    redirectTo: '/login',
+    redirectDelay: 500 // milliseconds
+  });
 };
 
 // Validate reset token (without performing the reset yet)
@@ -625,76 +953,36 @@ const resetPassword = async (req, res) => {
  * - Add metrics for token validation success rates
  */
 const validateResetToken = async (req, res) => {
-  try {
-    const { token } = req.params;
-
-    if (!token) {
-      return res.status(400).json({ 
-        message: 'Token is required',
-        valid: false,
-        errorType: 'missing_token'
-      });
-    }
-
-    // First, find user with this token (regardless of expiration)
-    const user = await User.findOne({ resetPasswordToken: token });
+  const { token } = req.params;
 
-    if (!user) {
-      return res.status(400).json({ 
-        message: 'Enlace inválido o caducado',
-        valid: false,
-        errorType: 'invalid_token',
-        canResend: false
-      });
-    }
+  if (!token) {
+    throw new ValidationError('reset.tokenRequired', { errorType: 'missing_token', extra: { valid: false } });
+  }
 
-    // Check if token was already used
-    if (user.resetPasswordUsed) {
-      return res.status(400).json({ 
-        message: 'Este enlace ya fue utilizado',
-        valid: false,
-        errorType: 'token_used',
-        canResend: true,
-        email: user.email
-      });
-    }
+  // First, find user with this token (regardless of expiration)
+  const user = await User.findOne({ resetPasswordToken: token });
 
-    // Check if token expired
-    if (Date.now() > user.resetPasswordExpires) {
-      return res.status(400).json({ 
-        message: 'Enlace expirado',
-        valid: false,
-        errorType: 'token_expired',
-        canResend: true,
-        email: user.email
-      });
-    }
+  if (!user) {
+    throw new ValidationError('reset.invalidOrExpiredLink', { errorType: 'invalid_token', extra: { valid: false, canResend: false } });
+  }
 
-    // Valid token - return user email for the form
-    res.status(200).json({ 
-      message: 'Token is valid',
-      valid: true,
-      email: user.email,
-      expiresAt: user.resetPasswordExpires
-    });
+  // Check if token was already used
+  if (user.resetPasswordUsed) {
+    throw new ValidationError('reset.linkUsed', { errorType: 'token_used', extra: { valid: false, canResend: true, email: user.email } });
+  }
 
-  } catch (error) {
-    // For validation endpoint
-    if (process.env.NODE_ENV === 'development') {
-      console.error('Token validation error:', error);
-      console.error('Stack trace:', error.stack);
-    } else {
-      console.error('Token validation error occurred');
-    }
-    
-    return res.status(500).json({ 
-      success: false,
-      message: 'Try it again later',
-      valid: false,
-      errorType: 'server_error',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+  // Check if token expired
+  if (Date.now() > user.resetPasswordExpires) {
+    throw new ValidationError('reset.linkExpired', { errorType: 'token_expired', extra: { valid: false, canResend: true, email: user.email } });
   }
+
+  // Valid token - return user email for the form
+  res.status(200).json({ 
+    message: req.t('reset.tokenValid'),
+    valid: true,
+    email: user.email,
+    expiresAt: user.resetPasswordExpires
+  });
 };
 
 // Resend reset token
@@ -713,134 +1001,358 @@ const validateResetToken = async (req, res) => {
  * 4. Updates user record with new token and fresh expiration (1 hour)
  * 5. Resets the token usage flag to allow new reset attempts
  * 6. Creates new reset URL with frontend domain and new token
- * 7. Sends HTML email with new reset link to user
- * 8. Handles email sending errors gracefully (continues operation)
- * 9. Returns success response (token saved regardless of email status)
+ * 7. Queues the `password-reset-resent` email template with the new link
+ * 8. Returns success response
  * 
  * **Security Features:**
  * - Returns status 202 for non-existent emails to prevent enumeration
  * - Generates cryptographically secure tokens using crypto.randomBytes
  * - Invalidates previous tokens by generating new ones
  * - Consistent responses regardless of email existence
- * - Graceful email failure handling (doesn't expose errors to client)
+ * - Emails go through the durable queue, so SMTP outages only delay delivery
  * 
  * @todo
- * - Implement rate limiting for resend requests per email
  * - Add cooldown period between resend attempts
- * - Consider email delivery status tracking
  * - Add metrics for resend success/failure rates
- * - Implement email template system for easier maintenance
  * - Add audit logging for security monitoring
  * 
  * @see {@link https://nodejs.org/api/crypto.html#cryptorandombytessize-callback} Node.js crypto.randomBytes
  * @see {@link https://nodemailer.com/} Nodemailer Documentation
  */
 const resendResetToken = async (req, res) => {
+  const { email } = req.body;
+
+  const user = await User.findOne({ email });
+  
+  if (!user) {
+    // Security: Use 202 Accepted with generic response to prevent email enumeration
+    return res.status(202).json({ 
+      success: true,
+      message: req.t('reset.linkWillBeSent'),
+      note: 'For security reasons, we do not reveal if the email exists'
+    });
+  }
+
+  // Generate a new reset token
+  const resetToken = crypto.randomBytes(32).toString('hex');
+
+  // Save new token and expiration date, reset the "used" flag
+  user.resetPasswordToken = resetToken;
+  user.resetPasswordExpires = Date.now() + 3600000; // 1 hour
+  user.resetPasswordUsed = false;
+  await user.save();
+
+  // Create reset link "Edit when frontend is ready"
+  const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/reset?token=${resetToken}`;
+
+  // Queue email (delivery is retried by the mail worker if the server is unavailable)
+  await mailer.enqueueMail('password-reset-resent', user.email, { name: user.name, resetUrl });
+
+  res.status(200).json({ 
+    success: true,
+    message: req.t('reset.newLinkSent')
+  });
+};
+
+// Purpose claim of the signed email verification token
+const EMAIL_VERIFICATION = 'verify_email';
+
+/**
+ * Sends the email verification link to a user
+ *
+ * The link carries a signed JWT bound to the user id and the email address it
+ * was sent to, so it stops working if the address is changed afterwards.
+ * Records the sending time, which is used to throttle resends.
+ *
+ * @async
+ * @param {Object} user - User document to verify
+ * @returns {Promise<void>}
+ * @throws {Error} If the email cannot be queued
+ */
+const sendVerificationEmail = async (user) => {
+  const verificationToken = jwt.sign(
+    { id: user._id, email: user.email, purpose: EMAIL_VERIFICATION },
+    process.env.JWT_SECRET,
+    { expiresIn: authConfig.emailVerificationExpiresIn }
+  );
+
+  const verifyUrl = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/verify-email?token=${verificationToken}`;
+
+  user.emailVerificationSentAt = new Date();
+  await user.save();
+
+  await mailer.enqueueMail('email-verification', user.email, {
+    name: user.name,
+    verifyUrl,
+    expiresIn: authConfig.emailVerificationExpiresIn
+  });
+};
+
+/**
+ * Email verification controller
+ *
+ * Marks the account's email as verified when a valid verification link is
+ * opened. The token must be correctly signed, not expired, meant for email
+ * verification and issued for the user's current email address.
+ *
+ * **Validation States:**
+ * - **Verified**: Token valid, account marked as verified (or already was)
+ * - **Expired**: Token past its lifetime, a new link can be requested
+ * - **Invalid**: Bad signature, wrong purpose, unknown user or outdated email
+ */
+const verifyEmail = async (req, res) => {
+  const { token } = req.params;
+
+  let payload;
   try {
-    const { email } = req.body;
-    
-    if (!email) {
-      return res.status(400).json({ message: 'Email is required' });
+    payload = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (verifyError) {
+    if (verifyError.name === 'TokenExpiredError') {
+      throw new ValidationError('verification.expired', { errorType: 'token_expired', extra: { canResend: true } });
     }
+    payload = null;
+  }
 
-    const user = await User.findOne({ email });
-    
-    if (!user) {
-      // Security: Use 202 Accepted with generic response to prevent email enumeration
-      return res.status(202).json({ 
-        success: true,
-        message: 'You will receive a reset link',
-        note: 'For security reasons, we do not reveal if the email exists'
-      });
-    }
+  if (!payload || payload.purpose !== EMAIL_VERIFICATION) {
+    throw new ValidationError('verification.invalid', { errorType: 'invalid_token' });
+  }
 
-    // Generate a new reset token
-    const resetToken = crypto.randomBytes(32).toString('hex');
+  const user = await User.findById(payload.id);
+  if (!user || user.email !== payload.email) {
+    throw new ValidationError('verification.invalid', { errorType: 'invalid_token' });
+  }
 
-    // Save new token and expiration date, reset the "used" flag
-    user.resetPasswordToken = resetToken;
-    user.resetPasswordExpires = Date.now() + 3600000; // 1 hour
-    user.resetPasswordUsed = false;
+  if (user.emailVerified !== true) {
+    user.emailVerified = true;
     await user.save();
+  }
+
+  return res.status(200).json({
+    success: true,
+    message: req.t('verification.success'),
+    redirectTo: '/login'
+  });
+};
+
+/**
+ * Resend email verification controller
+ *
+ * Sends a new verification link to an unverified account. Always answers with
+ * the same generic 202 response, whether the email exists, is already
+ * verified or was throttled, to prevent email enumeration. Each account can
+ * receive at most one verification email per cooldown period, on top of the
+ * per-IP limit applied on the route.
+ */
+const resendVerificationEmail = async (req, res) => {
+  const { email } = req.body;
 
-    // Create reset link "Edit when frontend is ready"
-    const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/reset?token=${resetToken}`;
-
-    // Configure email
-    const transporter = createEmailTransporter();
-    const mailOptions = {
-      from: process.env.EMAIL_USER,
-      to: user.email,
-      subject: 'Password Reset Request (Resent) - Pichulie',
-      html: `
-        <h2>Password Reset Request</h2>
-        <p>Hello ${user.name},</p>
-        <p>You requested a new password reset link. Click the link below to reset your password:</p>
-        <p><a href="${resetUrl}" style="background-color: #4CAF50; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Reset Password</a></p>
-        <p>Or copy and paste this link in your browser:</p>
-        <p>${resetUrl}</p>
-        <p>This link will expire in 1 hour and will replace any previous reset links.</p>
-        <p>If you didn't request this reset, please ignore this email.</p>
-        <br>
-        <p>Best regards,<br>Pichulie Team</p>
-      `
-    };
+  const user = await User.findOne({ email });
+  const cooldownOver = user && (!user.emailVerificationSentAt
+    || Date.now() - user.emailVerificationSentAt.getTime() >= authConfig.emailVerificationResendCooldownMs);
 
+  if (user && user.emailVerified === false && cooldownOver) {
     try {
-      await transporter.sendMail(mailOptions);
+      await sendVerificationEmail(user);
     } catch (emailError) {
-      console.error('Email sending error:', emailError);
-      // Continue anyway, token was saved
+      console.error('Verification email sending error:', emailError);
     }
+  }
 
-    res.status(200).json({ 
-      success: true,
-      message: 'Nuevo enlace de restablecimiento enviado correctamente'
-    });
+  return res.status(202).json({
+    success: true,
+    message: req.t('verification.resent')
+  });
+};
 
-  } catch (error) {
-    return handleServerError(error, 'Resend reset token', res);
+/**
+ * Sends the unlock link to a user whose account was locked after failed logins
+ *
+ * @async
+ * @param {Object} user - Locked user document
+ * @param {string} unlockToken - Raw unlock token (only its hash is stored)
+ * @returns {Promise<void>}
+ * @throws {Error} If the email cannot be queued
+ */
+const sendUnlockEmail = async (user, unlockToken) => {
+  const unlockUrl = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/unlock-account?token=${unlockToken}`;
+
+  await mailer.enqueueMail('account-locked', user.email, { name: user.name, unlockUrl, lockUntil: user.lockUntil });
+};
+
+/**
+ * Account unlock controller
+ *
+ * Lifts a lock caused by failed logins using the one-time link emailed when
+ * the account was locked. Permanent blocks cannot be lifted this way.
+ */
+const unlockAccount = async (req, res) => {
+  const { token } = req.params;
+
+  const user = await User.findOne({
+    unlockToken: hashToken(token),
+    unlockTokenExpires: { $gt: new Date() }
+  });
+
+  if (!user) {
+    throw new ValidationError('unlock.invalidLink', { errorType: 'invalid_token' });
   }
+
+  await clearLock(user);
+
+  return res.status(200).json({
+    success: true,
+    message: req.t('unlock.success'),
+    redirectTo: '/login'
+  });
 };
 
 /**
  * User logout controller
  * 
- * Handles user logout by providing a server-side logout endpoint that can be extended
- * for additional logout logic such as token blacklisting, session cleanup, or audit logging.
- * Currently returns a success response to confirm logout action.
+ * Logs the user out on the server side: the access token used for the request
+ * is added to the revocation list, so it stops working immediately instead of
+ * staying valid until it expires. The current session and its refresh token
+ * family are revoked as well.
  * 
  * Logout flow:
  * 1. Validates that user is authenticated (via middleware)
- * 2. Returns success response with logout confirmation
- * 3. Client handles token removal and redirection
+ * 2. Revokes the presented access token by its `jti`
+ * 3. Revokes the current session (`sid` claim) and its refresh tokens
+ * 4. Revokes the refresh token family when `refreshToken` is provided in the body
+ * 5. Returns success response with logout confirmation
+ * 6. Client handles token removal and redirection
  * 
  * **Security Features:**
  * - Requires valid authentication token (via middleware)
- * - Confirms user identity before logout
- * - Provides consistent logout response structure
- * 
- * **Future enhancements:**
- * - Token blacklisting for enhanced security
- * - Session termination for persistent sessions
- * - Logout event logging and audit trail
+ * - Revoked tokens are rejected by `authenticateToken`
+ * - Revocation entries expire together with the token (TTL index)
  * 
  * @see {@link https://jwt.io/} JWT token specification
  */
 const logout = async (req, res) => {
-  try {
-    // The user is already authenticated via middleware (req.user is populated)
-    
-    res.status(200).json({
-      success: true,
-      message: 'Logout successful',
-      redirectTo: '/login',
-      redirectDelay: 500 // milliseconds
-    });
+  // The user is already authenticated via middleware (req.user and req.auth are populated)
+  await revokeAccessToken(req.auth);
 
-  } catch (error) {
-    return handleServerError(error, 'Logout', res);
+  if (req.auth && req.auth.sid) {
+    const session = await Session.findOne({ _id: req.auth.sid, user_id: req.user.id });
+    if (session) await revokeRefreshTokenFamily(session.family);
   }
+
+  const { refreshToken } = req.body || {};
+  if (refreshToken) {
+    const stored = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken), user_id: req.user.id });
+    if (stored) await revokeRefreshTokenFamily(stored.family);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: req.t('logout.success'),
+    redirectTo: '/login',
+    redirectDelay: 500 // milliseconds
+  });
+};
+
+/**
+ * Logout everywhere controller
+ * 
+ * Invalidates every access and refresh token of the authenticated user that
+ * was issued before a given moment (defaults to now). Useful when a device is
+ * lost or credentials may have leaked.
+ * 
+ * Flow:
+ * 1. Reads the optional `before` date from the request body
+ * 2. Rejects invalid dates and clamps future dates to the current time
+ * 3. Stores the moment, floored to the second, as `tokensValidAfter` on the
+ *    user (never moving it back)
+ * 4. Revokes every session and refresh token issued up to that second
+ * 5. Returns success response with the applied cut-off
+ * 
+ * **Security Features:**
+ * - Requires valid authentication token (via middleware)
+ * - `authenticateToken` and `refresh` reject any token issued during the
+ *   cut-off second or earlier, so a login in that same second must be repeated
+ */
+const logoutAll = async (req, res) => {
+  const { before } = req.body || {};
+  const now = new Date();
+  let cutoff = now;
+
+  if (before !== undefined && before !== null && before !== '') {
+    cutoff = new Date(before);
+    if (cutoff > now) cutoff = now;
+  }
+
+  const user = await User.findById(req.user.id);
+  if (!user) {
+    throw new NotFoundError('user.notFound');
+  }
+
+  await revokeUserTokens(user, cutoff);
+
+  res.status(200).json({
+    success: true,
+    message: req.t('logout.allSuccess'),
+    tokensValidAfter: user.tokensValidAfter,
+    redirectTo: '/login',
+    redirectDelay: 500 // milliseconds
+  });
+};
+
+/**
+ * List sessions controller
+ * 
+ * Returns the active sessions (signed-in devices) of the authenticated user,
+ * most recently used first. The session making the request is flagged with
+ * `current: true`.
+ * 
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/HTTP/Headers/User-Agent} User-Agent header
+ */
+const getSessions = async (req, res) => {
+  const sessions = await Session.find({
+    user_id: req.user.id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  })
+    .lean()
+    .sort({ lastSeenAt: -1 });
+
+  const currentId = req.auth && req.auth.sid;
+
+  return res.status(200).json({
+    success: true,
+    sessions: sessions.map((session) => ({
+      id: session._id,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastSeenAt: session.lastSeenAt,
+      current: String(session._id) === String(currentId)
+    }))
+  });
+};
+
+/**
+ * Revoke session controller
+ * 
+ * Terminates one session of the authenticated user. The session's refresh
+ * tokens are revoked and its access tokens are rejected from then on.
+ * Sessions of other users are reported as not found.
+ */
+const revokeSession = async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.isValidObjectId(id)) {
+    throw new NotFoundError('session.notFound');
+  }
+
+  const session = await Session.findOne({ _id: id, user_id: req.user.id, revokedAt: null });
+  if (!session) {
+    throw new NotFoundError('session.notFound');
+  }
+
+  await revokeRefreshTokenFamily(session.family);
+
+  return res.status(204).end(); //res 204 returns nothing
 };
 
 /**
@@ -853,8 +1365,9 @@ const logout = async (req, res) => {
  * 2. Retrieves user information from database
  * 3. Deletes user's profile picture from Cloudinary (if not default)
  * 4. Removes all tasks associated with the user
- * 5. Deletes the user account from database
- * 6. Returns confirmation response
+ * 5. Removes the user's sessions and refresh tokens
+ * 6. Deletes the user account from database
+ * 7. Returns confirmation response
  * 
  * Security Features:
  * - Requires valid authentication token
@@ -865,49 +1378,60 @@ const logout = async (req, res) => {
  * Data Cleanup:
  * - User profile picture (if custom)
  * - All user tasks
+ * - Sessions and refresh tokens
  * - User account record
  * 
  * @see {@link https://cloudinary.com/documentation/image_upload_api_reference#destroy_method} Cloudinary destroy method
  */
 const deleteUser = async (req, res) => {
-  try {
-    const userId = req.user.id;
-
-    // Get user information to access profile picture details
-    const user = await User.findById(userId);
-    if (!user) {
-      return res.status(404).json({ 
-        success: false, 
-        message: 'User not found' 
-      });
-    }
+  const userId = req.user.id;
 
-    // Delete profile picture
-    const defaultPictureId = 'Global_Profile_Picture_j3ayrk';
-    if (user.profilePicture.profilePictureID && 
-        user.profilePicture.profilePictureID !== defaultPictureId) {
-      try {
-        await cloudinary.uploader.destroy(user.profilePicture.profilePictureID);
-      } catch (deleteError) {
-        console.warn('Failed to delete profile picture from Cloudinary:', deleteError);
-        // Continue with user deletion even if profile picture deletion fails
-      }
+  // Get user information to access profile picture details
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new NotFoundError('user.notFound');
+  }
+
+  // Delete profile picture
+  const defaultPictureId = 'Global_Profile_Picture_j3ayrk';
+  if (user.profilePicture.profilePictureID && 
+      user.profilePicture.profilePictureID !== defaultPictureId) {
+    try {
+      await cloudinary.uploader.destroy(user.profilePicture.profilePictureID);
+    } catch (deleteError) {
+      console.warn('Failed to delete profile picture from Cloudinary:', deleteError);
+      // Continue with user deletion even if profile picture deletion fails
     }
+  }
 
-    // Import Task model to delete user's tasks
-    const Task = require('../../task/models/models');
-    
-    // Delete all tasks associated with this user
-    await Task.deleteMany({ user_id: userId });
+  // Import Task model to delete user's tasks
+  const Task = require('../../task/models/models');
 
-    // Delete the user account
-    await User.findByIdAndDelete(userId);
+  // Delete all tasks associated with this user
+  await Task.deleteMany({ user_id: userId });
 
-    res.status(204).end(); //res 204 returns nothing 
+  // Delete the user's task lists
+  const List = require('../../list/models/models');
+  await List.deleteMany({ user_id: userId });
 
-  } catch (error) {
-    return handleServerError(error, 'Delete User Account', res);
-  }
+  // Delete the user's tags
+  const Tag = require('../../tag/models/models');
+  await Tag.deleteMany({ user_id: userId });
+
+  // Stop sharing other users' tasks with this user
+  await Task.updateMany(
+    { 'collaborators.user_id': userId },
+    { $pull: { collaborators: { user_id: userId } } }
+  );
+
+  // Delete sessions and refresh tokens of this user
+  await Session.deleteMany({ user_id: userId });
+  await RefreshToken.deleteMany({ user_id: userId });
+
+  // Delete the user account
+  await User.findByIdAndDelete(userId);
+
+  res.status(204).end(); //res 204 returns nothing 
 };
 
-module.exports = { login, logout, requestPasswordReset, resetPassword, validateResetToken, resendResetToken, register, update, uploadProfilePicture, getData, deleteUser };
+module.exports = { unlockAccount, verifyEmail, resendVerificationEmail, login, refresh, enrollTwoFactor, confirmTwoFactor, disableTwoFactor, regenerateRecoveryCodes, verifyTwoFactorLogin, logout, logoutAll, getSessions, revokeSession, requestPasswordReset, resetPassword, validateResetToken, resendResetToken, register, update, uploadProfilePicture, getData, deleteUser };
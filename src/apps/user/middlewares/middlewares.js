@@ -1,46 +1,51 @@
-// Constants for addicional security on login attempts
-const attempts = {}; // { ip: { count, firstAttempt } }
-const MAX_ATTEMPTS = 5;            // Max 5 tries
-const WINDOW_TIME = 10 * 60 * 1000; // 10 minutes in ms
+const { rateLimit } = require('../../../middlewares/rateLimit');
+
+// Time constants for the rate limit policies
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
 
 /**
  * Login rate limiting middleware
  * 
  * Implements rate limiting for login attempts to prevent brute force attacks.
- * Tracks login attempts per IP address within a sliding time window and
- * blocks requests that exceed the maximum allowed attempts.
- * 
- * **Security Features:**
- * - IP-based tracking prevents brute force attacks
- * - Sliding time window provides flexible rate limiting
- * - Automatic cleanup when time window expires
- * - Memory-based storage for fast lookup
- * - Configurable limits through constants
+ * Allows 5 attempts per IP address every 10 minutes. Also applied to the
+ * second step of a two-factor login, which shares the same counter.
+ * Guessing one account from many IPs is handled by the per-account lockout.
  * 
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/HTTP/Status/429} HTTP 429 Too Many Requests
  * @see {@link https://expressjs.com/en/guide/behind-proxies.html} Express Behind Proxies
  */
-const loginLimiter = (req, res, next) => {
-    const ip = req.ip;
+const loginLimiter = rateLimit({ name: 'login', windowMs: 10 * MINUTE, max: 5, keyBy: 'ip' });
 
-    if (!attempts[ip]) {
-        attempts[ip] = { count: 1, firstAttempt: Date.now() };
-    } 
-    else {
-        const diff = Date.now() - attempts[ip].firstAttempt;
+/**
+ * Registration rate limiting middleware
+ *
+ * Allows 5 sign-ups per IP address per hour, so the endpoint cannot be used
+ * to create accounts (and send verification emails) in bulk.
+ */
+const registerLimiter = rateLimit({ name: 'register', windowMs: HOUR, max: 5, keyBy: 'ip' });
 
-        if (diff < WINDOW_TIME) {
-            attempts[ip].count += 1;
-            // If exceeded max attempts
-            if (attempts[ip].count > MAX_ATTEMPTS) return res.status(429).json({ message: 'Too many requests' });
-        }
-        else{
-            attempts[ip] = { count: 1, firstAttempt: Date.now() };
-        }
-    }
+/**
+ * Password reset rate limiting middleware
+ *
+ * Shared by `/request-reset` and `/resend-reset`: 10 requests per IP every
+ * 15 minutes and 3 reset emails per address per hour, so nobody can flood a
+ * mailbox with reset links.
+ */
+const passwordResetLimiter = [
+    rateLimit({ name: 'password-reset', windowMs: 15 * MINUTE, max: 10, keyBy: 'ip' }),
+    rateLimit({ name: 'password-reset', windowMs: HOUR, max: 3, keyBy: 'email' })
+];
 
-    next();
-};
+/**
+ * Verification email resend rate limiting middleware
+ *
+ * 10 requests per IP every 15 minutes and 3 resends per address per hour.
+ */
+const resendVerificationLimiter = [
+    rateLimit({ name: 'resend-verification', windowMs: 15 * MINUTE, max: 10, keyBy: 'ip' }),
+    rateLimit({ name: 'resend-verification', windowMs: HOUR, max: 3, keyBy: 'email' })
+];
 
 /**
  * Multer error handling middleware
@@ -66,19 +71,19 @@ const handleMulterError = (error, req, res, next) => {
     if (error) {
         if (error.code === 'LIMIT_FILE_SIZE') {
             return res.status(400).json({ 
-                message: 'File too large. Maximum size is 5MB.' 
+                message: req.t('upload.tooLarge') 
             });
         }
         if (error.message === 'Only image files are allowed!') {
             return res.status(400).json({ 
-                message: 'Only image files are allowed!' 
+                message: req.t('upload.onlyImages') 
             });
         }
         return res.status(400).json({ 
-            message: error.message || 'File upload error' 
+            message: error.message || req.t('upload.error') 
         });
     }
     next();
 };
 
-module.exports = { loginLimiter, handleMulterError };
+module.exports = { loginLimiter, registerLimiter, passwordResetLimiter, resendVerificationLimiter, handleMulterError };
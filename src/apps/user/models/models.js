@@ -1,10 +1,12 @@
 const { Schema, model } = require('mongoose');
+const { isValidTimeZone } = require('../../../utils/dates');
 
 /**
  * Mongoose schema for User model
  * 
  * Defines the structure and validations for user documents in MongoDB.
- * Includes fields for authentication, personal information, and password reset management.
+ * Includes fields for authentication, personal information, password reset management
+ * and TOTP two-factor authentication (secrets and recovery codes are not selected by default).
  * 
  * @type {mongoose.Schema<UserDocument>}
  * 
@@ -26,16 +28,43 @@ const UserSchema = new Schema(
 	"password": { type: String, required: true},
 	"name": { type: String, required: true},
     "age": { type: Number, required: true},
+    "language": { type: String, enum: ['en', 'es'] }, // preferred language for API messages; Accept-Language is used when unset
+    "timezone": { type: String, validate: isValidTimeZone }, // IANA zone defining the user's days; the X-Timezone header (or the default zone) is used when unset
     "isBlocked": {type: Boolean, default: false},
+    "lockUntil": { type: Date, default: null }, // temporary lock after failed logins; no date means blocked until unblocked
+    "lockCount": { type: Number, default: 0 }, // locks since the last successful login (lock duration grows with it)
+    "failedLoginAttempts": { type: Number, default: 0 },
+    "failedLoginWindowStart": { type: Date, default: null },
+    "unlockToken": { type: String }, // SHA-256 hash of the unlock-by-email token
+    "unlockTokenExpires": { type: Date },
+    "emailVerified": { type: Boolean }, // false until the verification link is opened; unset on accounts created before verification existed
+    "emailVerificationSentAt": { type: Date },
     "profilePicture": {
         "profilePictureURL": {type: String, default: 'https://res.cloudinary.com/dsyxsanls/image/upload/v1757780957/Global_Profile_Picture_j3ayrk.png'},
         "profilePictureID": {type: String, default: 'Global_Profile_Picture_j3ayrk'}
     },
     "resetPasswordToken": { type: String },
     "resetPasswordExpires": { type: Date },
-    "resetPasswordUsed": { type: Boolean, default: false }
+    "resetPasswordUsed": { type: Boolean, default: false },
+    "tokensValidAfter": { type: Date, default: null }, // tokens issued before this moment are rejected
+    "calendarFeed": {
+        "tokenHash": { type: String }, // SHA-256 hash of the secret in the task feed URL
+        "createdAt": { type: Date }
+    },
+    "twoFactor": {
+        "enabled": { type: Boolean, default: false },
+        "secret": { type: String, select: false },
+        "pendingSecret": { type: String, select: false }, // set during enrollment until the first code is confirmed
+        "recoveryCodes": { type: [String], select: false, default: undefined }, // SHA-256 hashes of unused codes
+        "lastUsedStep": { type: Number, select: false }, // prevents replaying the same TOTP code
+        "challengeId": { type: String, select: false }, // `jti` of the only login challenge that may still be answered
+        "challengeFailures": { type: Number, select: false }, // wrong codes sent for that challenge
+        "enabledAt": { type: Date }
+    }
     },
     { timestamps: true } // create createdAt and updatedAt fields automatically
 )
 
+UserSchema.index({ 'calendarFeed.tokenHash': 1 }, { unique: true, sparse: true });
+
 module.exports = model('User', UserSchema)
\ No newline at end of file
@@ -0,0 +1,34 @@
+const { Schema, model } = require('mongoose');
+
+/**
+ * Mongoose schema for RefreshToken model
+ *
+ * Stores the server-side state of every refresh token handed out to a client.
+ * Only a SHA-256 hash of the token is persisted, never the token itself.
+ * Tokens that descend from the same login share a `family` id: each refresh
+ * rotates the token (the old one is marked as replaced) and, if a replaced
+ * token is ever presented again, the whole family is revoked.
+ *
+ * Expired documents are removed automatically by MongoDB through the TTL
+ * index on `expiresAt`.
+ *
+ * @type {mongoose.Schema<RefreshTokenDocument>}
+ *
+ * @see {@link https://mongoosejs.com/docs/guide.html|Mongoose Schema Guide}
+ * @see {@link https://www.mongodb.com/docs/manual/core/index-ttl/|MongoDB TTL Indexes}
+ */
+const RefreshTokenSchema = new Schema(
+    {
+    "tokenHash": { type: String, required: true, unique: true },
+    "family": { type: String, required: true, index: true },
+    "user_id": { type: Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    "expiresAt": { type: Date, required: true },
+    "replacedAt": { type: Date, default: null },
+    "revokedAt": { type: Date, default: null }
+    },
+    { timestamps: true } // create createdAt and updatedAt fields automatically
+)
+
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = model('RefreshToken', RefreshTokenSchema)
@@ -0,0 +1,26 @@
+const { Schema, model } = require('mongoose');
+
+/**
+ * Mongoose schema for RevokedToken model
+ *
+ * Revocation list for access JWTs. Each document holds the `jti` of a token
+ * that must no longer be accepted (e.g. after logout). Documents only need to
+ * live as long as the token itself would, so `expiresAt` mirrors the JWT `exp`
+ * claim and a TTL index removes them once the token has expired anyway.
+ *
+ * @type {mongoose.Schema<RevokedTokenDocument>}
+ *
+ * @see {@link https://www.mongodb.com/docs/manual/core/index-ttl/|MongoDB TTL Indexes}
+ */
+const RevokedTokenSchema = new Schema(
+    {
+    "jti": { type: String, required: true, unique: true },
+    "user_id": { type: Schema.Types.ObjectId, ref: 'User' },
+    "expiresAt": { type: Date, required: true }
+    },
+    { timestamps: true } // create createdAt and updatedAt fields automatically
+)
+
+RevokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = model('RevokedToken', RevokedTokenSchema)
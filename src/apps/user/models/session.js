@@ -0,0 +1,37 @@
+const { Schema, model } = require('mongoose');
+
+/**
+ * Mongoose schema for Session model
+ *
+ * One document per successful login ("signed-in device"). Stores where the
+ * session was started (user agent and IP) and when it was last used, so users
+ * can review and revoke their sessions from the account settings page.
+ *
+ * A session owns one refresh token family (`family`) and its id travels in
+ * the access JWT as the `sid` claim. Revoking a session therefore invalidates
+ * both its refresh tokens and its access tokens.
+ *
+ * Sessions are removed automatically by MongoDB once `expiresAt` (the expiry
+ * of the latest refresh token) has passed.
+ *
+ * @type {mongoose.Schema<SessionDocument>}
+ *
+ * @see {@link https://mongoosejs.com/docs/guide.html|Mongoose Schema Guide}
+ * @see {@link https://www.mongodb.com/docs/manual/core/index-ttl/|MongoDB TTL Indexes}
+ */
+const SessionSchema = new Schema(
+    {
+    "user_id": { type: Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    "family": { type: String, required: true, unique: true },
+    "userAgent": { type: String, default: '' },
+    "ip": { type: String, default: '' },
+    "lastSeenAt": { type: Date, default: Date.now },
+    "expiresAt": { type: Date, required: true },
+    "revokedAt": { type: Date, default: null }
+    },
+    { timestamps: true } // create createdAt and updatedAt fields automatically
+)
+
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = model('Session', SessionSchema)
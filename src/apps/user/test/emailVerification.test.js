@@ -0,0 +1,159 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcrypt');
+const { query, call } = require('../../../testing/helpers');
+const authConfig = require('../../../config/auth');
+const mailer = require('../../../mailer');
+const User = require('../models/models');
+const { isEmailVerificationOverdue } = require('../../../middlewares/auth');
+const { register, verifyEmail, resendVerificationEmail } = require('../controllers/controllers');
+
+const userId = '64b000000000000000000001';
+
+const linkFor = (payload, options = {}) => jwt.sign({ purpose: 'verify_email', ...payload }, process.env.JWT_SECRET, options);
+
+describe('register', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('creates the account unverified and emails a link bound to the address', async () => {
+    mock.method(User, 'findOne', () => query(null));
+    mock.method(bcrypt, 'hash', async () => 'hash');
+    mock.method(User.prototype, 'save', async function save() {
+      return this;
+    });
+    const enqueue = mock.method(mailer, 'enqueueMail', async () => {});
+
+    const res = await call(register, { body: { email: 'ana@example.com', password: 'Passw0rd1', name: 'Ana', age: 30 } });
+
+    assert.equal(res.statusCode, 201);
+    assert.equal(res.body.emailVerificationSent, true);
+    const [template, to, { verifyUrl }] = enqueue.mock.calls[0].arguments;
+    assert.equal(template, 'email-verification');
+    assert.equal(to, 'ana@example.com');
+    const payload = jwt.verify(new URL(verifyUrl).searchParams.get('token'), process.env.JWT_SECRET);
+    assert.equal(payload.purpose, 'verify_email');
+    assert.equal(payload.email, 'ana@example.com');
+    assert.equal(payload.id, String(res.body.userId));
+  });
+
+  it('still creates the account when the email cannot be queued', async () => {
+    mock.method(User, 'findOne', () => query(null));
+    mock.method(bcrypt, 'hash', async () => 'hash');
+    mock.method(User.prototype, 'save', async function save() {
+      return this;
+    });
+    mock.method(mailer, 'enqueueMail', async () => {
+      throw new Error('queue down');
+    });
+    mock.method(console, 'error', () => {});
+
+    const res = await call(register, { body: { email: 'ana@example.com', password: 'Passw0rd1', name: 'Ana', age: 30 } });
+
+    assert.equal(res.statusCode, 201);
+    assert.equal(res.body.emailVerificationSent, false);
+  });
+});
+
+describe('verifyEmail', () => {
+  let user;
+
+  beforeEach(() => {
+    user = User.hydrate({ _id: userId, email: 'ana@example.com', emailVerified: false });
+    mock.method(user, 'save', async () => user);
+    mock.method(User, 'findById', () => query(user));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('marks the account verified', async () => {
+    const res = await call(verifyEmail, { params: { token: linkFor({ id: userId, email: 'ana@example.com' }) } });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(user.emailVerified, true);
+    assert.equal(user.save.mock.callCount(), 1);
+  });
+
+  it('offers a resend for expired links', async () => {
+    const token = linkFor({ id: userId, email: 'ana@example.com', iat: Math.floor(Date.now() / 1000) - 120 }, { expiresIn: 60 });
+
+    const res = await call(verifyEmail, { params: { token } });
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.errorType, 'token_expired');
+    assert.equal(res.body.canResend, true);
+  });
+
+  it('rejects links for another address, another purpose or a bad signature', async () => {
+    const tokens = [
+      linkFor({ id: userId, email: 'old@example.com' }),
+      jwt.sign({ id: userId, email: 'ana@example.com', purpose: '2fa_challenge' }, process.env.JWT_SECRET),
+      jwt.sign({ id: userId, email: 'ana@example.com', purpose: 'verify_email' }, 'another-secret')
+    ];
+
+    for (const token of tokens) {
+      const res = await call(verifyEmail, { params: { token } });
+
+      assert.equal(res.statusCode, 400);
+      assert.equal(res.body.errorType, 'invalid_token');
+    }
+    assert.equal(user.emailVerified, false);
+  });
+});
+
+describe('resendVerificationEmail', () => {
+  let user;
+
+  beforeEach(() => {
+    user = User.hydrate({ _id: userId, email: 'ana@example.com', emailVerified: false, emailVerificationSentAt: null });
+    mock.method(user, 'save', async () => user);
+    mock.method(User, 'findOne', () => query(user));
+    mock.method(mailer, 'enqueueMail', async () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('sends a new link once per cooldown', async () => {
+    const first = await call(resendVerificationEmail, { body: { email: 'ana@example.com' } });
+    const second = await call(resendVerificationEmail, { body: { email: 'ana@example.com' } });
+
+    assert.equal(mailer.enqueueMail.mock.callCount(), 1);
+    assert.ok(user.emailVerificationSentAt instanceof Date);
+    assert.deepEqual(second.body, first.body);
+  });
+
+  it('answers the same for verified and unknown accounts without sending', async () => {
+    user.emailVerified = true;
+    const verified = await call(resendVerificationEmail, { body: { email: 'ana@example.com' } });
+    User.findOne.mock.mockImplementation(() => query(null));
+    const unknown = await call(resendVerificationEmail, { body: { email: 'nobody@example.com' } });
+
+    assert.equal(verified.statusCode, 202);
+    assert.deepEqual(unknown.body, verified.body);
+    assert.equal(mailer.enqueueMail.mock.callCount(), 0);
+  });
+});
+
+describe('isEmailVerificationOverdue', () => {
+  const enforcement = authConfig.emailVerificationEnforcement;
+  afterEach(() => {
+    authConfig.emailVerificationEnforcement = enforcement;
+  });
+
+  it('refuses unverified accounts past the grace period where enforced', () => {
+    const overdue = { emailVerified: false, createdAt: new Date(Date.now() - authConfig.emailVerificationGraceMs - 1000) };
+    const recent = { emailVerified: false, createdAt: new Date() };
+
+    authConfig.emailVerificationEnforcement = 'off';
+    assert.equal(isEmailVerificationOverdue(overdue, 'login'), false);
+
+    authConfig.emailVerificationEnforcement = 'login';
+    assert.equal(isEmailVerificationOverdue(overdue, 'login'), true);
+    assert.equal(isEmailVerificationOverdue(overdue, 'all'), false);
+    assert.equal(isEmailVerificationOverdue(recent, 'login'), false);
+    assert.equal(isEmailVerificationOverdue({ ...overdue, emailVerified: true }, 'login'), false);
+
+    authConfig.emailVerificationEnforcement = 'all';
+    assert.equal(isEmailVerificationOverdue(overdue, 'all'), true);
+  });
+});
@@ -0,0 +1,127 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcrypt');
+const { query, call } = require('../../../testing/helpers');
+const authConfig = require('../../../config/auth');
+const mailer = require('../../../mailer');
+const User = require('../models/models');
+const { isAccountLocked, getLockDuration, registerFailedLogin, clearLock } = require('../../../utils/lockout');
+const { login } = require('../controllers/controllers');
+
+const userId = '64b000000000000000000001';
+
+describe('isAccountLocked', () => {
+  it('lets temporary locks expire and keeps permanent blocks', () => {
+    assert.equal(isAccountLocked({ isBlocked: false }), false);
+    assert.equal(isAccountLocked({ isBlocked: true, lockUntil: null }), true);
+    assert.equal(isAccountLocked({ isBlocked: true, lockUntil: new Date(Date.now() + 60000) }), true);
+    assert.equal(isAccountLocked({ isBlocked: true, lockUntil: new Date(Date.now() - 1) }), false);
+  });
+});
+
+describe('getLockDuration', () => {
+  it('doubles with every lock up to the maximum', () => {
+    assert.equal(getLockDuration(1), authConfig.lockBaseDurationMs);
+    assert.equal(getLockDuration(2), authConfig.lockBaseDurationMs * 2);
+    assert.equal(getLockDuration(3), authConfig.lockBaseDurationMs * 4);
+    assert.equal(getLockDuration(50), authConfig.lockMaxDurationMs);
+  });
+});
+
+describe('registerFailedLogin', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('starts a new window when the last one is over', async () => {
+    const update = mock.method(User, 'findOneAndUpdate', (filter) => query(filter.failedLoginWindowStart ? null : { failedLoginAttempts: 1 }));
+
+    const result = await registerFailedLogin({ _id: userId });
+
+    assert.deepEqual(result, { locked: false });
+    assert.equal(update.mock.callCount(), 2);
+    assert.equal(update.mock.calls[1].arguments[1].$set.failedLoginAttempts, 1);
+  });
+
+  it('locks the account once the limit is reached inside the window', async () => {
+    mock.method(User, 'findOneAndUpdate', (filter, changes) => {
+      if (filter.$or) return query({ _id: userId, isBlocked: true, lockUntil: changes.$set.lockUntil });
+      return query({ failedLoginAttempts: authConfig.maxFailedLogins, lockCount: 1 });
+    });
+
+    const before = Date.now();
+    const result = await registerFailedLogin({ _id: userId });
+
+    assert.equal(result.locked, true);
+    assert.ok(result.unlockToken);
+    assert.ok(result.lockUntil.getTime() >= before + getLockDuration(2));
+    const [, changes] = User.findOneAndUpdate.mock.calls[1].arguments;
+    assert.equal(changes.$set.lockCount, 2);
+    assert.notEqual(changes.$set.unlockToken, result.unlockToken);
+  });
+
+  it('does not hand out a second unlock token when another request locked first', async () => {
+    const lockUntil = new Date(Date.now() + 60000);
+    mock.method(User, 'findOneAndUpdate', (filter) => query(filter.$or ? null : { failedLoginAttempts: authConfig.maxFailedLogins + 1, lockUntil }));
+
+    const result = await registerFailedLogin({ _id: userId });
+
+    assert.deepEqual(result, { locked: true, lockUntil });
+  });
+});
+
+describe('clearLock', () => {
+  it('lifts expired temporary locks but not permanent blocks', async () => {
+    const temporary = User.hydrate({ _id: userId, isBlocked: true, lockUntil: new Date(Date.now() - 1), failedLoginAttempts: 3, lockCount: 2 });
+    const permanent = User.hydrate({ _id: userId, isBlocked: true, lockUntil: null, failedLoginAttempts: 3 });
+    for (const user of [temporary, permanent]) mock.method(user, 'save', async () => user);
+
+    await clearLock(temporary, { resetLockCount: true });
+    await clearLock(permanent);
+
+    assert.equal(temporary.isBlocked, false);
+    assert.equal(temporary.lockUntil, null);
+    assert.equal(temporary.lockCount, 0);
+    assert.equal(permanent.isBlocked, true);
+    assert.equal(permanent.failedLoginAttempts, 0);
+    mock.restoreAll();
+  });
+});
+
+describe('login lockout', () => {
+  let user;
+
+  beforeEach(() => {
+    user = User.hydrate({ _id: userId, email: 'ana@example.com', password: 'hash', isBlocked: false, lockUntil: null });
+    mock.method(User, 'findOne', () => query(user));
+    mock.method(bcrypt, 'compare', async () => false);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('refuses a locked account before checking the password', async () => {
+    user.isBlocked = true;
+    user.lockUntil = new Date(Date.now() + 60000);
+
+    const res = await call(login, { body: { email: 'ana@example.com', password: 'secret' } });
+
+    assert.equal(res.statusCode, 423);
+    assert.equal(res.body.errorType, 'account_locked');
+    assert.equal(bcrypt.compare.mock.callCount(), 0);
+  });
+
+  it('locks the account and emails the unlock link on the last allowed failure', async () => {
+    mock.method(User, 'findOneAndUpdate', (filter, changes) => {
+      if (filter.$or) return query({ _id: userId, email: 'ana@example.com', isBlocked: true, lockUntil: changes.$set.lockUntil });
+      return query({ failedLoginAttempts: authConfig.maxFailedLogins, lockCount: 0 });
+    });
+    const enqueue = mock.method(mailer, 'enqueueMail', async () => {});
+
+    const res = await call(login, { body: { email: 'ana@example.com', password: 'wrong' } });
+
+    assert.equal(res.statusCode, 423);
+    assert.equal(res.body.message, 'login.tooManyFailures');
+    const [template, to, data] = enqueue.mock.calls[0].arguments;
+    assert.equal(template, 'account-locked');
+    assert.equal(to, 'ana@example.com');
+    assert.match(data.unlockUrl, /unlock-account\?token=[0-9a-f]{64}$/);
+  });
+});
@@ -0,0 +1,109 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { query, call } = require('../../../testing/helpers');
+const User = require('../models/models');
+const RefreshToken = require('../models/refreshToken');
+const RevokedToken = require('../models/revokedToken');
+const Session = require('../models/session');
+const { isIssuedBeforeCutoff } = require('../../../utils/tokens');
+const { authenticateToken } = require('../../../middlewares/auth');
+const { logoutAll, refresh } = require('../controllers/controllers');
+
+const userId = '64b000000000000000000001';
+
+describe('isIssuedBeforeCutoff', () => {
+  const cutoff = new Date('2026-10-19T12:00:05.000Z');
+
+  it('rejects everything issued during the cut-off second or earlier', () => {
+    assert.equal(isIssuedBeforeCutoff(new Date('2026-10-19T12:00:04.999Z'), cutoff), true);
+    assert.equal(isIssuedBeforeCutoff(new Date('2026-10-19T12:00:05.000Z'), cutoff), true);
+    assert.equal(isIssuedBeforeCutoff(new Date('2026-10-19T12:00:05.999Z'), cutoff), true);
+  });
+
+  it('accepts what was issued in a later second or without a cut-off', () => {
+    assert.equal(isIssuedBeforeCutoff(new Date('2026-10-19T12:00:06.000Z'), cutoff), false);
+    assert.equal(isIssuedBeforeCutoff(new Date('2026-10-19T12:00:04.000Z'), null), false);
+  });
+});
+
+describe('logoutAll', () => {
+  let user;
+
+  beforeEach(() => {
+    // Hydrated like a document loaded from the database, so nothing is modified yet
+    user = User.hydrate({ _id: userId, email: 'ana@example.com', tokensValidAfter: null });
+    mock.method(user, 'save', async () => user);
+    mock.method(User, 'findById', () => query(user));
+    mock.method(RefreshToken, 'updateMany', async () => ({}));
+    mock.method(Session, 'updateMany', async () => ({}));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('stores the second of the call and revokes what was issued up to its end', async () => {
+    const before = Date.now();
+    const res = await call(logoutAll, { user: { id: userId } });
+
+    assert.equal(res.statusCode, 200);
+    const cutoff = user.tokensValidAfter.getTime();
+    assert.equal(cutoff % 1000, 0);
+    assert.ok(cutoff <= before && before - cutoff < 1000);
+    assert.equal(user.save.mock.callCount(), 1);
+
+    for (const model of [RefreshToken, Session]) {
+      const [filter] = model.updateMany.mock.calls[0].arguments;
+      assert.equal(String(filter.user_id), userId);
+      assert.equal(filter.revokedAt, null);
+      assert.equal(filter.createdAt.$lt.getTime(), cutoff + 1000);
+    }
+  });
+
+  it('never moves the cut-off back', async () => {
+    const later = new Date(Math.floor(Date.now() / 1000) * 1000 + 60000);
+    user = User.hydrate({ _id: userId, email: 'ana@example.com', tokensValidAfter: later });
+    mock.method(user, 'save', async () => user);
+
+    await call(logoutAll, { user: { id: userId }, body: { before: '2020-01-01T00:00:00Z' } });
+
+    assert.equal(user.tokensValidAfter.getTime(), later.getTime());
+    assert.equal(user.save.mock.callCount(), 0);
+  });
+});
+
+describe('tokens issued in the cut-off second', () => {
+  const cutoff = new Date(Math.floor(Date.now() / 1000) * 1000);
+  const user = { _id: userId, email: 'ana@example.com', isBlocked: false, tokensValidAfter: cutoff };
+
+  beforeEach(() => {
+    mock.method(User, 'findById', () => query(user));
+    mock.method(RevokedToken, 'exists', async () => null);
+    mock.method(RefreshToken, 'updateMany', async () => ({}));
+    mock.method(Session, 'updateOne', async () => ({}));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('rejects an access token whose iat equals the cut-off', async () => {
+    const token = jwt.sign({ id: userId, iat: cutoff.getTime() / 1000 }, process.env.JWT_SECRET);
+
+    const res = await call(authenticateToken, { headers: { authorization: `Bearer ${token}` } });
+
+    assert.equal(res.statusCode, 401);
+    assert.equal(res.body.errorType, 'token_revoked');
+    assert.notEqual(res.nextCalled, true);
+  });
+
+  it('refuses to refresh a token created in that second and revokes its family', async () => {
+    const stored = { family: 'family-1', user_id: userId, createdAt: new Date(cutoff.getTime() + 400), expiresAt: new Date(Date.now() + 60000) };
+    mock.method(RefreshToken, 'findOneAndUpdate', () => query(stored));
+    const create = mock.method(RefreshToken, 'create', async (doc) => doc);
+
+    const res = await call(refresh, { body: { refreshToken: 'raw-token' } });
+
+    assert.equal(res.statusCode, 401);
+    assert.equal(res.body.errorType, 'token_revoked');
+    assert.equal(create.mock.callCount(), 0);
+    assert.deepEqual(RefreshToken.updateMany.mock.calls[0].arguments[0], { family: 'family-1', revokedAt: null });
+  });
+});
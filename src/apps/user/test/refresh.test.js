@@ -0,0 +1,96 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { query, call } = require('../../../testing/helpers');
+const User = require('../models/models');
+const RefreshToken = require('../models/refreshToken');
+const Session = require('../models/session');
+const { hashToken } = require('../../../utils/tokens');
+const { refresh } = require('../controllers/controllers');
+
+const userId = '64b000000000000000000001';
+
+describe('refresh', () => {
+  let user;
+  let session;
+  let created;
+
+  beforeEach(() => {
+    user = { _id: userId, email: 'ana@example.com', isBlocked: false, tokensValidAfter: null };
+    session = { _id: '64b0000000000000000000aa', family: 'family-1', revokedAt: null, save: mock.fn(async () => {}) };
+    created = [];
+
+    mock.method(User, 'findById', () => query(user));
+    mock.method(Session, 'findOne', () => query(session));
+    mock.method(Session, 'updateOne', async () => ({}));
+    mock.method(RefreshToken, 'create', async (doc) => {
+      created.push(doc);
+      return doc;
+    });
+    mock.method(RefreshToken, 'updateMany', async () => ({}));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('rotates an active token into a new one of the same family', async () => {
+    const stored = { family: 'family-1', user_id: userId, createdAt: new Date(), expiresAt: new Date(Date.now() + 60000) };
+    const claim = mock.method(RefreshToken, 'findOneAndUpdate', () => query(stored));
+
+    const res = await call(refresh, { body: { refreshToken: 'raw-token' } });
+
+    assert.equal(res.statusCode, 200);
+    assert.ok(res.body.token);
+    assert.notEqual(res.body.refreshToken, 'raw-token');
+    assert.deepEqual(claim.mock.calls[0].arguments[0], { tokenHash: hashToken('raw-token'), replacedAt: null, revokedAt: null });
+    assert.equal(created.length, 1);
+    assert.equal(created[0].family, 'family-1');
+    assert.equal(created[0].tokenHash, hashToken(res.body.refreshToken));
+    assert.equal(session.save.mock.callCount(), 1);
+  });
+
+  it('revokes the whole family when a rotated token is presented again', async () => {
+    mock.method(RefreshToken, 'findOneAndUpdate', () => query(null));
+    mock.method(RefreshToken, 'findOne', () => query({ family: 'family-1', replacedAt: new Date() }));
+
+    const res = await call(refresh, { body: { refreshToken: 'stolen' } });
+
+    assert.equal(res.statusCode, 401);
+    assert.equal(res.body.errorType, 'refresh_token_reused');
+    assert.deepEqual(RefreshToken.updateMany.mock.calls[0].arguments[0], { family: 'family-1', revokedAt: null });
+    assert.deepEqual(Session.updateOne.mock.calls[0].arguments[0], { family: 'family-1', revokedAt: null });
+    assert.equal(created.length, 0);
+  });
+
+  it('rejects unknown tokens without revoking anything', async () => {
+    mock.method(RefreshToken, 'findOneAndUpdate', () => query(null));
+    mock.method(RefreshToken, 'findOne', () => query(null));
+
+    const res = await call(refresh, { body: { refreshToken: 'unknown' } });
+
+    assert.equal(res.statusCode, 401);
+    assert.equal(res.body.errorType, 'invalid_refresh_token');
+    assert.equal(RefreshToken.updateMany.mock.callCount(), 0);
+  });
+
+  it('rejects expired tokens', async () => {
+    const stored = { family: 'family-1', user_id: userId, createdAt: new Date(), expiresAt: new Date(Date.now() - 1) };
+    mock.method(RefreshToken, 'findOneAndUpdate', () => query(stored));
+
+    const res = await call(refresh, { body: { refreshToken: 'old' } });
+
+    assert.equal(res.statusCode, 401);
+    assert.equal(res.body.errorType, 'refresh_token_expired');
+    assert.equal(created.length, 0);
+  });
+
+  it('rejects tokens whose session was revoked', async () => {
+    const stored = { family: 'family-1', user_id: userId, createdAt: new Date(), expiresAt: new Date(Date.now() + 60000) };
+    mock.method(RefreshToken, 'findOneAndUpdate', () => query(stored));
+    session.revokedAt = new Date();
+
+    const res = await call(refresh, { body: { refreshToken: 'raw-token' } });
+
+    assert.equal(res.statusCode, 401);
+    assert.equal(res.body.errorType, 'session_revoked');
+    assert.equal(created.length, 0);
+  });
+});
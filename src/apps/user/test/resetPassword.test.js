@@ -0,0 +1,93 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcrypt');
+const { query, call } = require('../../../testing/helpers');
+const User = require('../models/models');
+const RefreshToken = require('../models/refreshToken');
+const Session = require('../models/session');
+const { resetPassword, validateResetToken } = require('../controllers/controllers');
+
+const userId = '64b000000000000000000001';
+
+describe('resetPassword', () => {
+  let user;
+
+  beforeEach(() => {
+    user = User.hydrate({
+      _id: userId,
+      email: 'ana@example.com',
+      password: 'old-hash',
+      resetPasswordToken: 'reset-token',
+      resetPasswordExpires: new Date(Date.now() + 60000),
+      resetPasswordUsed: false,
+      tokensValidAfter: null
+    });
+    mock.method(user, 'save', async () => user);
+    mock.method(User, 'findOne', () => query(user));
+    mock.method(bcrypt, 'hash', async () => 'new-hash');
+    mock.method(RefreshToken, 'updateMany', async () => ({}));
+    mock.method(Session, 'updateMany', async () => ({}));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('changes the password and signs the user out everywhere', async () => {
+    const res = await call(resetPassword, { body: { token: 'reset-token', newPassword: 'NewPassw0rd' } });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(user.password, 'new-hash');
+    assert.equal(user.resetPasswordUsed, true);
+    assert.ok(user.tokensValidAfter instanceof Date);
+    assert.ok(Date.now() - user.tokensValidAfter.getTime() < 2000);
+
+    for (const model of [RefreshToken, Session]) {
+      const [filter, update] = model.updateMany.mock.calls[0].arguments;
+      assert.equal(String(filter.user_id), userId);
+      assert.equal(filter.revokedAt, null);
+      assert.ok(update.$set.revokedAt instanceof Date);
+    }
+  });
+
+  it('leaves sessions alone when the link was already used', async () => {
+    user.resetPasswordUsed = true;
+
+    const res = await call(resetPassword, { body: { token: 'reset-token', newPassword: 'NewPassw0rd' } });
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.success, false);
+    assert.equal(res.body.errorType, 'token_used');
+    assert.equal(RefreshToken.updateMany.mock.callCount(), 0);
+    assert.equal(Session.updateMany.mock.callCount(), 0);
+  });
+});
+
+describe('validateResetToken', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('answers failures with the error envelope and what the form needs', async () => {
+    mock.method(User, 'findOne', () => query({ email: 'ana@example.com', resetPasswordUsed: true }));
+
+    const res = await call(validateResetToken, { params: { token: 'reset-token' } });
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.success, false);
+    assert.equal(res.body.errorType, 'token_used');
+    assert.equal(res.body.message, 'reset.linkUsed');
+    assert.equal(res.body.valid, false);
+    assert.equal(res.body.canResend, true);
+    assert.ok(res.body.timestamp);
+  });
+
+  it('leaves unexpected failures to the global error handler', async () => {
+    mock.method(User, 'findOne', () => {
+      throw new Error('connection lost');
+    });
+    mock.method(console, 'error', () => {});
+
+    const res = await call(validateResetToken, { params: { token: 'reset-token' } });
+
+    assert.equal(res.statusCode, 500);
+    assert.equal(res.body.errorType, 'server_error');
+    assert.equal(res.body.valid, undefined);
+  });
+});
@@ -0,0 +1,119 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { query, call, createRequest } = require('../../../testing/helpers');
+const User = require('../models/models');
+const RefreshToken = require('../models/refreshToken');
+const RevokedToken = require('../models/revokedToken');
+const Session = require('../models/session');
+const { signAccessToken, startSession } = require('../../../utils/tokens');
+const { authenticateToken } = require('../../../middlewares/auth');
+const { getSessions, revokeSession } = require('../controllers/controllers');
+
+const userId = '64b000000000000000000001';
+const sessionId = '64b0000000000000000000c1';
+
+describe('startSession', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('records the device and ties both tokens to the session', async () => {
+    mock.method(Session, 'create', async (doc) => ({ _id: sessionId, ...doc }));
+    mock.method(RefreshToken, 'create', async (doc) => doc);
+    const req = createRequest({ headers: { 'user-agent': 'Firefox' }, ip: '10.0.0.7' });
+
+    const tokens = await startSession({ _id: userId, email: 'ana@example.com' }, req);
+
+    const [session] = Session.create.mock.calls[0].arguments;
+    assert.equal(session.userAgent, 'Firefox');
+    assert.equal(session.ip, '10.0.0.7');
+    assert.equal(RefreshToken.create.mock.calls[0].arguments[0].family, session.family);
+    assert.equal(tokens.sessionId, sessionId);
+  });
+});
+
+describe('getSessions', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('lists the active sessions and flags the current one', async () => {
+    const find = mock.method(Session, 'find', () => query([
+      { _id: sessionId, userAgent: 'Firefox', ip: '10.0.0.7', family: 'f1' },
+      { _id: '64b0000000000000000000c2', userAgent: 'curl', ip: '10.0.0.8', family: 'f2' }
+    ]));
+
+    const res = await call(getSessions, { user: { id: userId }, auth: { sid: sessionId } });
+
+    const [filter] = find.mock.calls[0].arguments;
+    assert.equal(filter.user_id, userId);
+    assert.equal(filter.revokedAt, null);
+    assert.ok(filter.expiresAt.$gt instanceof Date);
+    assert.deepEqual(res.body.sessions.map(({ current }) => current), [true, false]);
+    assert.ok(res.body.sessions.every((session) => !('family' in session)));
+  });
+});
+
+describe('revokeSession', () => {
+  beforeEach(() => {
+    mock.method(RefreshToken, 'updateMany', async () => ({}));
+    mock.method(Session, 'updateOne', async () => ({}));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('revokes the session and its refresh tokens', async () => {
+    const findOne = mock.method(Session, 'findOne', () => query({ _id: sessionId, family: 'f1' }));
+
+    const res = await call(revokeSession, { user: { id: userId }, params: { id: sessionId } });
+
+    assert.equal(res.statusCode, 204);
+    assert.deepEqual(findOne.mock.calls[0].arguments[0], { _id: sessionId, user_id: userId, revokedAt: null });
+    assert.equal(RefreshToken.updateMany.mock.calls[0].arguments[0].family, 'f1');
+    assert.equal(Session.updateOne.mock.calls[0].arguments[0].family, 'f1');
+  });
+
+  it('reports sessions of other users and malformed ids as not found', async () => {
+    mock.method(Session, 'findOne', () => query(null));
+
+    const foreign = await call(revokeSession, { user: { id: userId }, params: { id: sessionId } });
+    const malformed = await call(revokeSession, { user: { id: userId }, params: { id: 'not-an-id' } });
+
+    for (const res of [foreign, malformed]) {
+      assert.equal(res.statusCode, 404);
+      assert.equal(res.body.message, 'session.notFound');
+    }
+    assert.equal(Session.findOne.mock.callCount(), 1);
+    assert.equal(RefreshToken.updateMany.mock.callCount(), 0);
+  });
+});
+
+describe('authenticateToken sessions', () => {
+  let session;
+
+  beforeEach(() => {
+    session = { _id: sessionId, user_id: userId, revokedAt: null, lastSeenAt: new Date() };
+    mock.method(RevokedToken, 'exists', async () => null);
+    mock.method(User, 'findById', () => query(User.hydrate({ _id: userId, email: 'ana@example.com', isBlocked: false })));
+    mock.method(Session, 'findOne', () => query(session));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const authenticate = () => call(authenticateToken, {
+    headers: { authorization: `Bearer ${signAccessToken({ _id: userId, email: 'ana@example.com' }, sessionId)}` }
+  });
+
+  it('accepts tokens of an active session', async () => {
+    const res = await authenticate();
+
+    assert.equal(res.nextCalled, true);
+    assert.equal(res.req.auth.sid, sessionId);
+  });
+
+  it('rejects tokens of a revoked session', async () => {
+    session.revokedAt = new Date();
+
+    const res = await authenticate();
+
+    assert.equal(res.statusCode, 401);
+    assert.equal(res.body.errorType, 'session_revoked');
+    assert.equal(res.nextCalled, undefined);
+  });
+});
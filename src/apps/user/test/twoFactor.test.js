@@ -0,0 +1,154 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { query, call } = require('../../../testing/helpers');
+const authConfig = require('../../../config/auth');
+const mailer = require('../../../mailer');
+const User = require('../models/models');
+const RefreshToken = require('../models/refreshToken');
+const Session = require('../models/session');
+const { base32Encode, base32Decode, generateSecret, generateTotp, verifyTotp } = require('../../../utils/totp');
+const { verifyTwoFactorLogin } = require('../controllers/controllers');
+
+const userId = '64b000000000000000000001';
+
+describe('totp', () => {
+  // RFC 6238 appendix B secret ("12345678901234567890")
+  const secret = base32Encode(Buffer.from('12345678901234567890'));
+
+  it('matches the RFC 6238 test vectors', () => {
+    assert.equal(secret, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    assert.equal(generateTotp(secret, 59 * 1000), '287082');
+    assert.equal(generateTotp(secret, 1111111109 * 1000), '081804');
+    assert.equal(generateTotp(secret, 1234567890 * 1000), '005924');
+  });
+
+  it('round-trips base32 secrets', () => {
+    const generated = generateSecret();
+    assert.equal(base32Encode(base32Decode(generated)), generated);
+  });
+
+  it('accepts one step of drift and refuses replays', () => {
+    const key = generateSecret();
+    const previous = generateTotp(key, Date.now() - 30 * 1000);
+
+    const step = verifyTotp(key, previous);
+    assert.equal(typeof step, 'number');
+    assert.equal(verifyTotp(key, previous, { lastUsedStep: step }), null);
+    assert.equal(verifyTotp(key, generateTotp(key, Date.now() - 5 * 60 * 1000)), null);
+    assert.equal(verifyTotp(key, 'abcdef'), null);
+  });
+});
+
+describe('verifyTwoFactorLogin', () => {
+  let user;
+  let failures;
+  let secret;
+
+  const challengeFor = (jwtid) => jwt.sign({ id: userId, purpose: '2fa_challenge' }, process.env.JWT_SECRET, { jwtid });
+
+  beforeEach(() => {
+    secret = generateSecret();
+    failures = 0;
+    user = User.hydrate({
+      _id: userId,
+      email: 'ana@example.com',
+      isBlocked: false,
+      twoFactor: { enabled: true, secret, recoveryCodes: [], challengeId: 'challenge-1', challengeFailures: 0 }
+    });
+    mock.method(user, 'save', async () => user);
+    mock.method(User, 'findById', () => query(user));
+    // Serves both the challenge counter and the failed-login counter
+    mock.method(User, 'findOneAndUpdate', (filter) => {
+      if (filter['twoFactor.challengeId']) {
+        if (filter['twoFactor.challengeId'] !== user.twoFactor.challengeId) return query(null);
+        failures += 1;
+        return query({ twoFactor: { challengeFailures: failures } });
+      }
+      return query({ _id: userId, failedLoginAttempts: 1, lockCount: 0 });
+    });
+    mock.method(User, 'updateOne', async (filter) => {
+      if (filter['twoFactor.challengeId'] === user.twoFactor.challengeId) user.twoFactor.challengeId = undefined;
+      return {};
+    });
+    mock.method(Session, 'create', async (doc) => ({ _id: '64b0000000000000000000aa', ...doc }));
+    mock.method(RefreshToken, 'create', async (doc) => doc);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('logs in with a valid code and uses the challenge up', async () => {
+    const res = await call(verifyTwoFactorLogin, { body: { challengeToken: challengeFor('challenge-1'), code: generateTotp(secret) } });
+
+    assert.equal(res.statusCode, 200);
+    assert.ok(res.body.token);
+    assert.equal(user.twoFactor.challengeId, undefined);
+    assert.equal(user.save.mock.callCount(), 1);
+  });
+
+  it('counts a wrong code against the challenge and the account', async () => {
+    const res = await call(verifyTwoFactorLogin, { body: { challengeToken: challengeFor('challenge-1'), code: '000000' } });
+
+    assert.equal(res.statusCode, 401);
+    assert.equal(res.body.errorType, 'invalid_2fa_code');
+    assert.equal(failures, 1);
+    const filters = User.findOneAndUpdate.mock.calls.map((c) => c.arguments[0]);
+    assert.ok(filters.some((filter) => filter.failedLoginWindowStart));
+  });
+
+  it('invalidates the challenge after too many wrong codes', async () => {
+    let res;
+    for (let attempt = 0; attempt < authConfig.maxTwoFactorAttempts; attempt++) {
+      res = await call(verifyTwoFactorLogin, { body: { challengeToken: challengeFor('challenge-1'), code: '000000' } });
+    }
+
+    assert.equal(res.statusCode, 401);
+    assert.equal(res.body.message, 'twoFactor.tooManyAttempts');
+    assert.equal(user.twoFactor.challengeId, undefined);
+
+    // Not even the right code gets through any more
+    res = await call(verifyTwoFactorLogin, { body: { challengeToken: challengeFor('challenge-1'), code: generateTotp(secret) } });
+    assert.equal(res.statusCode, 401);
+    assert.equal(res.body.errorType, 'invalid_2fa_challenge');
+  });
+
+  it('rejects challenges that are not the latest one issued', async () => {
+    for (const challengeToken of [challengeFor('older-challenge'), jwt.sign({ id: userId, purpose: '2fa_challenge' }, process.env.JWT_SECRET)]) {
+      const res = await call(verifyTwoFactorLogin, { body: { challengeToken, code: generateTotp(secret) } });
+
+      assert.equal(res.statusCode, 401);
+      assert.equal(res.body.errorType, 'invalid_2fa_challenge');
+    }
+    assert.equal(Session.create.mock.callCount(), 0);
+  });
+
+  it('refuses a locked account like login does', async () => {
+    user.isBlocked = true;
+    user.lockUntil = new Date(Date.now() + 60000);
+
+    const res = await call(verifyTwoFactorLogin, { body: { challengeToken: challengeFor('challenge-1'), code: generateTotp(secret) } });
+
+    assert.equal(res.statusCode, 423);
+    assert.equal(res.body.success, false);
+    assert.equal(res.body.errorType, 'account_locked');
+    assert.equal(res.body.message, 'login.accountBlocked');
+    assert.deepEqual(res.body.lockedUntil, user.lockUntil);
+    assert.equal(Session.create.mock.callCount(), 0);
+  });
+
+  it('locks the account when the wrong code reaches the failed-login limit', async () => {
+    const lockUntil = new Date(Date.now() + 60000);
+    User.findOneAndUpdate.mock.mockImplementation((filter) => {
+      if (filter['twoFactor.challengeId']) return query({ twoFactor: { challengeFailures: 1 } });
+      if (filter.$or) return query({ _id: userId, email: 'ana@example.com', isBlocked: true, lockUntil });
+      return query({ _id: userId, failedLoginAttempts: authConfig.maxFailedLogins, lockCount: 0 });
+    });
+    const enqueue = mock.method(mailer, 'enqueueMail', async () => {});
+
+    const res = await call(verifyTwoFactorLogin, { body: { challengeToken: challengeFor('challenge-1'), code: '000000' } });
+
+    assert.equal(res.statusCode, 423);
+    assert.equal(res.body.errorType, 'account_locked');
+    assert.equal(enqueue.mock.calls[0].arguments[0], 'account-locked');
+  });
+});
@@ -5,7 +5,7 @@ const router = express.Router();
 router.get('/health', (req, res) => {
   res.status(200).json({
     success: true,
-    message: 'User module is working'
+    message: req.t('common.moduleWorking')
   });
 });
 
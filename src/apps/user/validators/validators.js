@@ -0,0 +1,146 @@
+const { SUPPORTED_LOCALES } = require('../../../i18n');
+
+/**
+ * Request schemas for the user routes
+ *
+ * Consumed by the `validate` middleware (src/middlewares/validate.js), which
+ * rejects invalid requests before they reach the controllers.
+ */
+
+// At least one lowercase letter, one uppercase letter and one number
+const PASSWORD_PATTERN = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d).+$/;
+
+/**
+ * Password strength rule shared by registration, profile update and reset
+ *
+ * @type {Object}
+ */
+const passwordRule = {
+  type: 'string',
+  minLength: 8,
+  pattern: PASSWORD_PATTERN,
+  messages: { minLength: 'password.tooShort', pattern: 'password.weak' }
+};
+
+const emailRule = { type: 'email', required: true, messages: { required: 'user.emailRequired' } };
+
+const registerSchema = {
+  body: {
+    email: { type: 'email', required: true },
+    password: { ...passwordRule, required: true },
+    passwordCheck: { type: 'string', required: true, equals: 'password', messages: { equals: 'password.mismatch' } },
+    name: { type: 'string', required: true },
+    age: { type: 'number', required: true, min: 13, max: 122, messages: { min: 'user.tooYoung', max: 'user.invalidAge', number: 'user.invalidAge' } },
+    timezone: { type: 'timeZone' }
+  }
+};
+
+const loginSchema = {
+  body: {
+    email: { type: 'string', required: true },
+    password: { type: 'string', required: true }
+  }
+};
+
+const refreshSchema = {
+  body: {
+    refreshToken: { type: 'string', required: true, messages: { required: 'refresh.required' } }
+  }
+};
+
+const logoutSchema = {
+  body: {
+    refreshToken: { type: 'string' }
+  }
+};
+
+const logoutAllSchema = {
+  body: {
+    before: { type: 'date', messages: { date: 'logout.invalidBefore' } }
+  }
+};
+
+// TOTP codes may be sent as a string or a number, so they have no type rule
+const twoFactorCodeSchema = {
+  body: {
+    code: { required: true, messages: { required: 'twoFactor.codeRequired' } }
+  }
+};
+
+const disableTwoFactorSchema = {
+  body: {
+    password: { type: 'string', required: true, messages: { required: 'twoFactor.disableRequirements' } },
+    code: {},
+    recoveryCode: { type: 'string' }
+  },
+  atLeastOne: { in: 'body', fields: ['code', 'recoveryCode'], message: 'twoFactor.disableRequirements' }
+};
+
+const verifyTwoFactorSchema = {
+  body: {
+    challengeToken: { type: 'string', required: true, messages: { required: 'twoFactor.verifyRequirements' } },
+    code: {},
+    recoveryCode: { type: 'string' }
+  },
+  atLeastOne: { in: 'body', fields: ['code', 'recoveryCode'], message: 'twoFactor.verifyRequirements' }
+};
+
+const emailOnlySchema = {
+  body: { email: emailRule }
+};
+
+const updateSchema = {
+  body: {
+    email: { type: 'email' },
+    name: { type: 'string' },
+    age: { type: 'number', min: 13, max: 122, messages: { number: 'user.invalidAge', min: 'user.invalidAge', max: 'user.invalidAge' } },
+    oldPassword: { type: 'string', requiredWith: 'password', messages: { requiredWith: 'password.bothRequired' } },
+    password: {
+      ...passwordRule,
+      requiredWith: 'oldPassword',
+      notEquals: 'oldPassword',
+      messages: {
+        requiredWith: 'password.bothRequired',
+        notEquals: 'password.sameAsOld',
+        minLength: 'password.newTooShort',
+        pattern: 'password.newWeak'
+      }
+    },
+    language: { type: 'string', enum: SUPPORTED_LOCALES, messages: { enum: 'user.invalidLanguage' } },
+    timezone: { type: 'timeZone' }
+  },
+  atLeastOne: { in: 'body', fields: ['email', 'name', 'age', 'oldPassword', 'password', 'language', 'timezone'], message: 'user.noFieldsToUpdate' }
+};
+
+const resetPasswordSchema = {
+  body: {
+    token: { type: 'string', required: true, messages: { required: 'reset.tokenAndPasswordRequired' } },
+    newPassword: { ...passwordRule, required: true, messages: { ...passwordRule.messages, required: 'reset.tokenAndPasswordRequired' } }
+  }
+};
+
+const tokenParamSchema = {
+  params: { token: { type: 'string', required: true } }
+};
+
+const sessionIdSchema = {
+  params: { id: { type: 'string', required: true } }
+};
+
+module.exports = {
+  PASSWORD_PATTERN,
+  passwordRule,
+  registerSchema,
+  loginSchema,
+  refreshSchema,
+  logoutSchema,
+  logoutAllSchema,
+  twoFactorCodeSchema,
+  disableTwoFactorSchema,
+  verifyTwoFactorSchema,
+  emailOnlySchema,
+  updateSchema,
+  resetPasswordSchema,
+  tokenParamSchema,
+  sessionIdSchema
+};
@@ -0,0 +1,46 @@
+require('dotenv').config();
+
+/**
+ * Authentication settings
+ *
+ * Centralizes token lifetimes and other auth-related knobs so controllers and
+ * middlewares read them from a single place. Token lifetimes can be
+ * overridden through environment variables, as can the email verification
+ * enforcement mode and grace period and the lockout threshold.
+ *
+ * @property {string} accessTokenExpiresIn - Lifetime of the access JWT (jsonwebtoken format, e.g. '2h')
+ * @property {number} refreshTokenTtlMs - Lifetime of a refresh token in milliseconds
+ * @property {string} twoFactorChallengeExpiresIn - Lifetime of the login challenge issued when 2FA is enabled
+ * @property {number} recoveryCodeCount - Number of recovery codes generated at a time
+ * @property {number} maxTwoFactorAttempts - Wrong codes after which a login challenge stops working
+ * @property {string} emailVerificationExpiresIn - Lifetime of the signed email verification link
+ * @property {number} emailVerificationResendCooldownMs - Minimum time between two verification emails for one account
+ * @property {'off'|'login'|'all'} emailVerificationEnforcement - Where unverified accounts are refused once
+ *   the grace period is over: nowhere, at `login`, or also in `authenticateToken` (all protected routes)
+ * @property {number} emailVerificationGraceMs - Time after registration during which unverified accounts are still allowed
+ * @property {number} maxFailedLogins - Failed password checks (per account) that trigger a lock
+ * @property {number} failedLoginWindowMs - Window in which failed password checks are counted
+ * @property {number} lockBaseDurationMs - Duration of the first lock; doubles with each following lock
+ * @property {number} lockMaxDurationMs - Upper bound for the lock duration
+ * @property {number} unlockTokenTtlMs - Lifetime of the unlock-by-email link
+ */
+const authConfig = {
+  accessTokenExpiresIn: process.env.ACCESS_TOKEN_EXPIRES_IN || '2h',
+  refreshTokenTtlMs: (Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000,
+  twoFactorChallengeExpiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m',
+  recoveryCodeCount: 10,
+  maxTwoFactorAttempts: Number(process.env.MAX_TWO_FACTOR_ATTEMPTS) || 5,
+  emailVerificationExpiresIn: process.env.EMAIL_VERIFICATION_EXPIRES_IN || '24h',
+  emailVerificationResendCooldownMs: 60 * 1000,
+  emailVerificationEnforcement: ['login', 'all'].includes(process.env.EMAIL_VERIFICATION_ENFORCEMENT)
+    ? process.env.EMAIL_VERIFICATION_ENFORCEMENT
+    : 'off',
+  emailVerificationGraceMs: (Number(process.env.EMAIL_VERIFICATION_GRACE_HOURS) || 72) * 60 * 60 * 1000,
+  maxFailedLogins: Number(process.env.MAX_FAILED_LOGINS) || 5,
+  failedLoginWindowMs: 15 * 60 * 1000,
+  lockBaseDurationMs: (Number(process.env.LOCK_BASE_MINUTES) || 15) * 60 * 1000,
+  lockMaxDurationMs: 24 * 60 * 60 * 1000,
+  unlockTokenTtlMs: 24 * 60 * 60 * 1000,
+};
+
+module.exports = authConfig;
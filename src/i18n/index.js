@@ -0,0 +1,133 @@
+const en = require('./locales/en');
+const es = require('./locales/es');
+
+const catalogs = { en, es };
+
+/** Locales with a message catalog */
+const SUPPORTED_LOCALES = Object.keys(catalogs);
+
+/** Locale used when the request does not ask for a supported one */
+const DEFAULT_LOCALE = 'en';
+
+/**
+ * Translates a message key
+ *
+ * Falls back to the default locale when the key is missing in the requested
+ * catalog, and to the key itself when it is missing everywhere. `{name}`
+ * placeholders are replaced with the matching entries of `params`.
+ *
+ * @function translate
+ * @param {string} locale - Target locale (e.g. 'es')
+ * @param {string} key - Stable message key (e.g. 'user.notFound')
+ * @param {Object} [params] - Values for the placeholders
+ * @returns {string} Translated message
+ *
+ * @example
+ * translate('es', 'task.titleTooLong', { max: 50 });
+ * // => 'El título no puede superar los 50 caracteres.'
+ */
+const translate = (locale, key, params = {}) => {
+  const catalog = catalogs[locale] || catalogs[DEFAULT_LOCALE];
+  const template = catalog[key] !== undefined ? catalog[key] : catalogs[DEFAULT_LOCALE][key];
+  if (template === undefined) return key;
+
+  return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+};
+
+/**
+ * Checks whether a locale has a catalog
+ *
+ * @function isSupportedLocale
+ * @param {string} locale - Locale code
+ * @returns {boolean}
+ */
+const isSupportedLocale = (locale) => SUPPORTED_LOCALES.includes(locale);
+
+/**
+ * Picks the best supported locale from an `Accept-Language` header
+ *
+ * Languages are tried by decreasing quality; region subtags are ignored
+ * (`es-CO` matches `es`).
+ *
+ * @function parseAcceptLanguage
+ * @param {string} [header] - Raw `Accept-Language` header
+ * @returns {string|null} Supported locale, or `null` if none matches
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/HTTP/Headers/Accept-Language} Accept-Language
+ */
+const parseAcceptLanguage = (header) => {
+  if (!header) return null;
+
+  const candidates = String(header)
+    .split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const q = params.find((p) => p.trim().startsWith('q='));
+      return { language: tag.trim().toLowerCase().split('-')[0], quality: q ? Number(q.trim().slice(2)) : 1, index };
+    })
+    .filter((c) => c.language && !Number.isNaN(c.quality) && c.quality > 0)
+    .sort((a, b) => b.quality - a.quality || a.index - b.index);
+
+  const match = candidates.find((c) => isSupportedLocale(c.language));
+  return match ? match.language : null;
+};
+
+/**
+ * Sets the locale of a request
+ *
+ * Updates `req.locale`, rebinds `req.t` to it and keeps the `Content-Language`
+ * response header in sync. Used by `localeMiddleware` and by `authenticateToken`
+ * to apply the user's saved preference.
+ *
+ * @function setRequestLocale
+ * @param {import('express').Request} req - Express request object
+ * @param {string} locale - Supported locale
+ */
+const setRequestLocale = (req, locale) => {
+  req.locale = isSupportedLocale(locale) ? locale : DEFAULT_LOCALE;
+  req.t = (key, params) => translate(req.locale, key, params);
+  if (req.res) req.res.set('Content-Language', req.locale);
+};
+
+/**
+ * Locale detection middleware
+ *
+ * Resolves the request locale from `Accept-Language` (default English) and
+ * exposes `req.locale` and `req.t(key, params)` to every following handler.
+ * Authenticated requests switch to the user's saved `language`, if any.
+ *
+ * @function localeMiddleware
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ */
+const localeMiddleware = (req, res, next) => {
+  setRequestLocale(req, parseAcceptLanguage(req.headers['accept-language']) || DEFAULT_LOCALE);
+  next();
+};
+
+/**
+ * Returns a translation function for a request
+ *
+ * Works even if `localeMiddleware` did not run (e.g. errors raised before it).
+ *
+ * @function getTranslator
+ * @param {import('express').Request} req - Express request object
+ * @returns {function(string, Object=): string}
+ */
+const getTranslator = (req) => {
+  if (req && typeof req.t === 'function') return req.t;
+  const locale = (req && parseAcceptLanguage(req.headers && req.headers['accept-language'])) || DEFAULT_LOCALE;
+  return (key, params) => translate(locale, key, params);
+};
+
+module.exports = {
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE,
+  translate,
+  isSupportedLocale,
+  parseAcceptLanguage,
+  setRequestLocale,
+  localeMiddleware,
+  getTranslator
+};
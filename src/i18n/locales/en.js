@@ -0,0 +1,193 @@
+/**
+ * English message catalog
+ *
+ * Keys are stable identifiers shared with the frontend; only the texts may
+ * change. Placeholders use the `{name}` syntax.
+ */
+module.exports = {
+  // Common
+  'common.serverError': 'Try again later',
+  'common.badRequest': 'Bad request',
+  'common.endpointNotFound': 'Endpoint not found',
+  'common.tooManyRequests': 'Too many requests',
+  'common.validationFailed': 'The request data is not valid',
+  'common.invalidValue': 'Invalid value',
+  'common.invalidId': 'Invalid identifier',
+  'common.invalidJson': 'The request body is not valid JSON',
+  'common.unauthorized': 'Authentication required',
+  'common.forbidden': 'You are not allowed to do this',
+  'common.notFound': 'Resource not found',
+  'common.conflict': 'The resource already exists',
+  'common.alreadyExists': 'Already in use',
+
+  // Request validation (see src/middlewares/validate.js)
+  'validation.required': 'This field is required',
+  'validation.requiredWith': 'This field is required when {field} is provided',
+  'validation.string': 'Must be a text value',
+  'validation.number': 'Must be a number',
+  'validation.integer': 'Must be a whole number',
+  'validation.boolean': 'Must be true or false',
+  'validation.date': 'Must be a valid date',
+  'validation.objectId': 'Must be a valid identifier',
+  'validation.email': 'Must be a valid email address',
+  'validation.timeZone': 'Must be an IANA time zone (e.g. America/Bogota)',
+  'validation.array': 'Must be a list',
+  'validation.object': 'Must be an object',
+  'validation.items': 'Contains invalid values',
+  'validation.minLength': 'Must be at least {min} characters long',
+  'validation.maxLength': 'Cannot exceed {max} characters',
+  'validation.min': 'Must be at least {min}',
+  'validation.max': 'Must be at most {max}',
+  'validation.enum': 'Must be one of: {values}',
+  'validation.pattern': 'Has an invalid format',
+  'validation.equals': 'Must match {field}',
+  'validation.notEquals': 'Must be different from {field}',
+  'validation.atLeastOne': 'At least one of {fields} is required',
+  'common.moduleWorking': 'User module is working',
+
+  // Authentication middleware
+  'auth.tokenRequired': 'Access Token Required',
+  'auth.invalidToken': 'Invalid token',
+  'auth.tokenExpired': 'Login session expired',
+  'auth.tokenRevoked': 'Token has been revoked',
+  'auth.sessionRevoked': 'Session has been revoked',
+  'auth.error': 'Authentication error',
+
+  // Login, tokens and sessions
+  'login.success': 'Succesful login',
+  'login.invalidUser': 'Invalid user',
+  'login.invalidPassword': 'Invalid password',
+  'login.accountBlocked': 'Account temporarily blocked',
+  'login.tooManyFailures': 'Too many failed attempts. Account temporarily blocked',
+  'login.emailNotVerified': 'Email address not verified',
+  'login.twoFactorRequired': 'Two-factor authentication required',
+  'refresh.required': 'Refresh token is required',
+  'refresh.reused': 'Refresh token reuse detected',
+  'refresh.invalid': 'Invalid refresh token',
+  'refresh.expired': 'Refresh token expired',
+  'refresh.success': 'Token refreshed',
+  'logout.success': 'Logout successful',
+  'logout.allSuccess': 'Logged out from all sessions',
+  'logout.invalidBefore': 'Invalid date for "before"',
+  'session.notFound': 'Session not found',
+  'unlock.success': 'Account unlocked',
+  'unlock.invalidLink': 'Invalid or expired unlock link',
+
+  // Two-factor authentication
+  'twoFactor.alreadyEnabled': 'Two-factor authentication is already enabled',
+  'twoFactor.notEnabled': 'Two-factor authentication is not enabled',
+  'twoFactor.notStarted': 'Two-factor enrollment has not been started',
+  'twoFactor.codeRequired': 'Code is required',
+  'twoFactor.invalidCode': 'Invalid code',
+  'twoFactor.enabled': 'Two-factor authentication enabled',
+  'twoFactor.disabled': 'Two-factor authentication disabled',
+  'twoFactor.disableRequirements': 'Password and a code or recovery code are required',
+  'twoFactor.verifyRequirements': 'Challenge token and a code or recovery code are required',
+  'twoFactor.invalidChallenge': 'Invalid or expired challenge',
+  'twoFactor.tooManyAttempts': 'Too many wrong codes, please log in again',
+
+  // Registration, profile and email verification
+  'user.notFound': 'User not found',
+  'user.missingFields': 'Not all fields have been entered.',
+  'user.tooYoung': 'You must be at least 13 years old to register',
+  'user.invalidAge': 'Please enter a valid age',
+  'user.emailTaken': 'An account with this email already exists',
+  'user.registered': 'User registered successfully',
+  'user.updated': 'User updated successfully',
+  'user.noFieldsToUpdate': 'At least one field must be filled',
+  'user.invalidLanguage': 'Unsupported language',
+  'user.emailRequired': 'Email is required',
+  'verification.success': 'Email verified successfully',
+  'verification.expired': 'Verification link expired',
+  'verification.invalid': 'Invalid verification link',
+  'verification.resent': 'If the account exists and is not verified, you will receive a verification link',
+
+  // Passwords
+  'password.tooShort': 'Password must be at least 8 characters long',
+  'password.weak': 'Password must contain at least one uppercase letter, one lowercase letter, and one number.',
+  'password.mismatch': 'Passwords do not match. Please try again',
+  'password.bothRequired': 'To update the password both old and new password are required',
+  'password.sameAsOld': 'New password cannot be the same as the old password',
+  'password.newTooShort': 'New password must be at least 8 characters long',
+  'password.newWeak': 'New password must contain at least one uppercase letter, one lowercase letter, and one number.',
+  'reset.linkWillBeSent': 'You will receive a reset link',
+  'reset.linkSent': 'Reset link sent successfully',
+  'reset.newLinkSent': 'A new reset link has been sent successfully',
+  'reset.tokenAndPasswordRequired': 'Token and new password are required',
+  'reset.tokenRequired': 'Token is required',
+  'reset.invalidToken': 'Invalid reset token',
+  'reset.invalidOrExpiredLink': 'Invalid or expired link',
+  'reset.linkUsed': 'This reset link has already been used',
+  'reset.tokenExpired': 'Reset token has expired',
+  'reset.linkExpired': 'Link expired',
+  'reset.tokenValid': 'Token is valid',
+  'reset.success': 'Password reset successfully',
+  'reset.enumerationNote': 'For security reasons, we do not reveal if the email exists',
+
+  // Profile picture upload
+  'upload.noFile': 'No file uploaded',
+  'upload.success': 'Profile picture uploaded successfully',
+  'upload.tooLarge': 'File too large. Maximum size is 5MB.',
+  'upload.onlyImages': 'Only image files are allowed!',
+  'upload.error': 'File upload error',
+
+  // Lists
+  'list.listed': 'Lists successfully found',
+  'list.created': 'List created successfully',
+  'list.updated': 'List updated successfully',
+  'list.deleted': 'List deleted successfully',
+  'list.notFound': 'List not found',
+  'list.invalidColor': 'Color must be a hex value like #4F46E5',
+  'list.invalidMoveTarget': 'Tasks can only be moved to another of your lists',
+
+  // Tags
+  'tag.listed': 'Tags successfully found',
+  'tag.created': 'Tag created successfully',
+  'tag.updated': 'Tag updated successfully',
+  'tag.deleted': 'Tag deleted successfully',
+  'tag.notFound': 'Tag not found',
+  'tag.nameTaken': 'You already have a tag with this name',
+  'tag.invalidColor': 'Color must be a hex value like #4F46E5',
+  'tag.invalidIds': 'Tags must be a list of tag ids',
+  'tag.unknown': 'Some of the tags do not exist',
+  'tag.tooMany': 'A task can have at most {max} tags',
+
+  // Tasks
+  'task.listed': 'Tasks successfully found',
+  'task.missingFields': 'Not all required fields have been entered.',
+  'task.titleTooLong': 'Title cannot exceed {max} characters.',
+  'task.detailTooLong': 'Detail cannot exceed {max} characters.',
+  'task.created': 'Task created successfully with id: {id}',
+  'task.dateRequired': 'task_date is required',
+  'task.invalidDate': 'Invalid date format',
+  'task.noneToday': 'No tasks found for today.',
+  'task.notFound': 'Task not found',
+  'task.dateInPast': 'Task date cannot be in the past, must be in the future.',
+  'task.updated': 'Task updated successfully',
+  'task.forbidden': 'Your role on this task does not allow this action',
+  'task.collaboratorAdded': 'Task shared successfully',
+  'task.collaboratorUpdated': 'Collaborator role updated',
+  'task.collaboratorUserNotFound': 'No user is registered with this email',
+  'task.collaboratorNotFound': 'This user is not a collaborator of the task',
+  'task.cannotShareWithOwner': 'The task cannot be shared with its owner',
+  'task.checklistItemAdded': 'Checklist item added',
+  'task.checklistItemUpdated': 'Checklist item updated',
+  'task.checklistItemDeleted': 'Checklist item deleted',
+  'task.checklistReordered': 'Checklist reordered',
+  'task.checklistItemNotFound': 'Checklist item not found',
+  'task.checklistFull': 'A task can have at most {max} checklist items',
+  'task.checklistOrderMismatch': 'The order must list every checklist item exactly once',
+  'task.occurrenceNotFound': 'The recurring task has no occurrence at that date',
+  'task.invalidStatusFilter': 'Status must be a comma-separated list of: to do, in process, finished',
+  'task.invalidCursor': 'Invalid pagination cursor',
+  'task.cursorNotAllowed': 'Cursors (after or before, not both) only work with sort=date or sort=-date and without the date filter',
+  'task.searchQueryRequired': 'Enter at least one word to search for',
+  'task.invalidCalendarRange': 'The end of the range (to) cannot be before its start (from)',
+  'task.calendarRangeTooLong': 'The calendar range cannot span more than {max} days',
+  'task.feedCreated': 'Calendar feed created; keep its URL secret',
+  'task.feedRotated': 'Calendar feed URL replaced; the previous URL no longer works',
+  'task.feedExists': 'A calendar feed already exists; rotate it to get a new URL',
+  'task.feedNotFound': 'Calendar feed not found',
+  'task.feedName': 'Tasks of {name}',
+  'task.invalidSort': 'Sort must be a comma-separated list of: priority, date, title, status, createdAt, updatedAt (prefix with - for descending order)'
+};
@@ -0,0 +1,192 @@
+/**
+ * Spanish message catalog
+ *
+ * Must define the same keys as `en.js`; missing keys fall back to English.
+ */
+module.exports = {
+  // Common
+  'common.serverError': 'Inténtalo de nuevo más tarde',
+  'common.badRequest': 'Solicitud incorrecta',
+  'common.endpointNotFound': 'Ruta no encontrada',
+  'common.tooManyRequests': 'Demasiadas solicitudes',
+  'common.validationFailed': 'Los datos de la solicitud no son válidos',
+  'common.invalidValue': 'Valor inválido',
+  'common.invalidId': 'Identificador inválido',
+  'common.invalidJson': 'El cuerpo de la solicitud no es un JSON válido',
+  'common.unauthorized': 'Se requiere autenticación',
+  'common.forbidden': 'No tienes permiso para hacer esto',
+  'common.notFound': 'Recurso no encontrado',
+  'common.conflict': 'El recurso ya existe',
+  'common.alreadyExists': 'Ya está en uso',
+
+  // Validación de solicitudes (ver src/middlewares/validate.js)
+  'validation.required': 'Este campo es obligatorio',
+  'validation.requiredWith': 'Este campo es obligatorio cuando se envía {field}',
+  'validation.string': 'Debe ser un texto',
+  'validation.number': 'Debe ser un número',
+  'validation.integer': 'Debe ser un número entero',
+  'validation.boolean': 'Debe ser verdadero o falso',
+  'validation.date': 'Debe ser una fecha válida',
+  'validation.objectId': 'Debe ser un identificador válido',
+  'validation.email': 'Debe ser un correo electrónico válido',
+  'validation.timeZone': 'Debe ser una zona horaria IANA (p. ej. America/Bogota)',
+  'validation.array': 'Debe ser una lista',
+  'validation.object': 'Debe ser un objeto',
+  'validation.items': 'Contiene valores inválidos',
+  'validation.minLength': 'Debe tener al menos {min} caracteres',
+  'validation.maxLength': 'No puede superar los {max} caracteres',
+  'validation.min': 'Debe ser al menos {min}',
+  'validation.max': 'Debe ser como máximo {max}',
+  'validation.enum': 'Debe ser uno de: {values}',
+  'validation.pattern': 'Tiene un formato inválido',
+  'validation.equals': 'Debe coincidir con {field}',
+  'validation.notEquals': 'Debe ser diferente de {field}',
+  'validation.atLeastOne': 'Se requiere al menos uno de: {fields}',
+  'common.moduleWorking': 'El módulo de usuarios está funcionando',
+
+  // Authentication middleware
+  'auth.tokenRequired': 'Se requiere un token de acceso',
+  'auth.invalidToken': 'Token inválido',
+  'auth.tokenExpired': 'La sesión ha expirado',
+  'auth.tokenRevoked': 'El token fue revocado',
+  'auth.sessionRevoked': 'La sesión fue revocada',
+  'auth.error': 'Error de autenticación',
+
+  // Login, tokens and sessions
+  'login.success': 'Inicio de sesión exitoso',
+  'login.invalidUser': 'Usuario inválido',
+  'login.invalidPassword': 'Contraseña inválida',
+  'login.accountBlocked': 'Cuenta bloqueada temporalmente',
+  'login.tooManyFailures': 'Demasiados intentos fallidos. Cuenta bloqueada temporalmente',
+  'login.emailNotVerified': 'El correo electrónico no ha sido verificado',
+  'login.twoFactorRequired': 'Se requiere autenticación de dos factores',
+  'refresh.required': 'Se requiere el token de actualización',
+  'refresh.reused': 'Se detectó la reutilización del token de actualización',
+  'refresh.invalid': 'Token de actualización inválido',
+  'refresh.expired': 'El token de actualización expiró',
+  'refresh.success': 'Token renovado',
+  'logout.success': 'Sesión cerrada correctamente',
+  'logout.allSuccess': 'Se cerraron todas las sesiones',
+  'logout.invalidBefore': 'Fecha inválida para "before"',
+  'session.notFound': 'Sesión no encontrada',
+  'unlock.success': 'Cuenta desbloqueada',
+  'unlock.invalidLink': 'Enlace de desbloqueo inválido o caducado',
+
+  // Two-factor authentication
+  'twoFactor.alreadyEnabled': 'La autenticación de dos factores ya está activada',
+  'twoFactor.notEnabled': 'La autenticación de dos factores no está activada',
+  'twoFactor.notStarted': 'No se ha iniciado la activación de dos factores',
+  'twoFactor.codeRequired': 'El código es obligatorio',
+  'twoFactor.invalidCode': 'Código inválido',
+  'twoFactor.enabled': 'Autenticación de dos factores activada',
+  'twoFactor.disabled': 'Autenticación de dos factores desactivada',
+  'twoFactor.disableRequirements': 'Se requieren la contraseña y un código o código de recuperación',
+  'twoFactor.verifyRequirements': 'Se requieren el token de desafío y un código o código de recuperación',
+  'twoFactor.invalidChallenge': 'Desafío inválido o expirado',
+  'twoFactor.tooManyAttempts': 'Demasiados códigos incorrectos, inicia sesión de nuevo',
+
+  // Registration, profile and email verification
+  'user.notFound': 'Usuario no encontrado',
+  'user.missingFields': 'No se han completado todos los campos.',
+  'user.tooYoung': 'Debes tener al menos 13 años para registrarte',
+  'user.invalidAge': 'Ingresa una edad válida',
+  'user.emailTaken': 'Ya existe una cuenta con este correo',
+  'user.registered': 'Usuario registrado correctamente',
+  'user.updated': 'Usuario actualizado correctamente',
+  'user.noFieldsToUpdate': 'Debes completar al menos un campo',
+  'user.invalidLanguage': 'Idioma no soportado',
+  'user.emailRequired': 'El correo es obligatorio',
+  'verification.success': 'Correo verificado correctamente',
+  'verification.expired': 'El enlace de verificación expiró',
+  'verification.invalid': 'Enlace de verificación inválido',
+  'verification.resent': 'Si la cuenta existe y no está verificada, recibirás un enlace de verificación',
+
+  // Passwords
+  'password.tooShort': 'La contraseña debe tener al menos 8 caracteres',
+  'password.weak': 'La contraseña debe contener al menos una mayúscula, una minúscula y un número.',
+  'password.mismatch': 'Las contraseñas no coinciden. Inténtalo de nuevo',
+  'password.bothRequired': 'Para cambiar la contraseña se requieren la contraseña actual y la nueva',
+  'password.sameAsOld': 'La nueva contraseña no puede ser igual a la anterior',
+  'password.newTooShort': 'La nueva contraseña debe tener al menos 8 caracteres',
+  'password.newWeak': 'La nueva contraseña debe contener al menos una mayúscula, una minúscula y un número.',
+  'reset.linkWillBeSent': 'Recibirás un enlace de restablecimiento',
+  'reset.linkSent': 'Enlace de restablecimiento enviado correctamente',
+  'reset.newLinkSent': 'Nuevo enlace de restablecimiento enviado correctamente',
+  'reset.tokenAndPasswordRequired': 'Se requieren el token y la nueva contraseña',
+  'reset.tokenRequired': 'El token es obligatorio',
+  'reset.invalidToken': 'Token de restablecimiento inválido',
+  'reset.invalidOrExpiredLink': 'Enlace inválido o caducado',
+  'reset.linkUsed': 'Este enlace ya fue utilizado',
+  'reset.tokenExpired': 'El token de restablecimiento expiró',
+  'reset.linkExpired': 'Enlace expirado',
+  'reset.tokenValid': 'El token es válido',
+  'reset.success': 'Contraseña restablecida correctamente',
+  'reset.enumerationNote': 'Por seguridad, no revelamos si el correo existe',
+
+  // Profile picture upload
+  'upload.noFile': 'No se subió ningún archivo',
+  'upload.success': 'Foto de perfil subida correctamente',
+  'upload.tooLarge': 'El archivo es demasiado grande. El tamaño máximo es 5MB.',
+  'upload.onlyImages': '¡Solo se permiten archivos de imagen!',
+  'upload.error': 'Error al subir el archivo',
+
+  // Lists
+  'list.listed': 'Listas encontradas correctamente',
+  'list.created': 'Lista creada correctamente',
+  'list.updated': 'Lista actualizada correctamente',
+  'list.deleted': 'Lista eliminada correctamente',
+  'list.notFound': 'Lista no encontrada',
+  'list.invalidColor': 'El color debe ser un valor hexadecimal como #4F46E5',
+  'list.invalidMoveTarget': 'Las tareas solo se pueden mover a otra de tus listas',
+
+  // Tags
+  'tag.listed': 'Etiquetas encontradas correctamente',
+  'tag.created': 'Etiqueta creada correctamente',
+  'tag.updated': 'Etiqueta actualizada correctamente',
+  'tag.deleted': 'Etiqueta eliminada correctamente',
+  'tag.notFound': 'Etiqueta no encontrada',
+  'tag.nameTaken': 'Ya tienes una etiqueta con este nombre',
+  'tag.invalidColor': 'El color debe ser un valor hexadecimal como #4F46E5',
+  'tag.invalidIds': 'Las etiquetas deben ser una lista de ids de etiqueta',
+  'tag.unknown': 'Algunas de las etiquetas no existen',
+  'tag.tooMany': 'Una tarea puede tener como máximo {max} etiquetas',
+
+  // Tasks
+  'task.listed': 'Tareas encontradas correctamente',
+  'task.missingFields': 'No se han completado todos los campos obligatorios.',
+  'task.titleTooLong': 'El título no puede superar los {max} caracteres.',
+  'task.detailTooLong': 'El detalle no puede superar los {max} caracteres.',
+  'task.created': 'Tarea creada correctamente con id: {id}',
+  'task.dateRequired': 'No se recibió task_date',
+  'task.invalidDate': 'Formato de fecha inválido',
+  'task.noneToday': 'No hay tareas para hoy.',
+  'task.notFound': 'Tarea no encontrada',
+  'task.dateInPast': 'La fecha de la tarea no puede estar en el pasado, debe ser futura.',
+  'task.updated': 'Tarea actualizada correctamente',
+  'task.forbidden': 'Tu rol en esta tarea no permite esta acción',
+  'task.collaboratorAdded': 'Tarea compartida correctamente',
+  'task.collaboratorUpdated': 'Rol del colaborador actualizado',
+  'task.collaboratorUserNotFound': 'No hay ningún usuario registrado con este correo',
+  'task.collaboratorNotFound': 'Este usuario no es colaborador de la tarea',
+  'task.cannotShareWithOwner': 'La tarea no se puede compartir con su propietario',
+  'task.checklistItemAdded': 'Elemento de la lista de verificación agregado',
+  'task.checklistItemUpdated': 'Elemento de la lista de verificación actualizado',
+  'task.checklistItemDeleted': 'Elemento de la lista de verificación eliminado',
+  'task.checklistReordered': 'Lista de verificación reordenada',
+  'task.checklistItemNotFound': 'Elemento de la lista de verificación no encontrado',
+  'task.checklistFull': 'Una tarea puede tener como máximo {max} elementos en la lista de verificación',
+  'task.checklistOrderMismatch': 'El orden debe incluir cada elemento de la lista de verificación exactamente una vez',
+  'task.occurrenceNotFound': 'La tarea recurrente no tiene ninguna repetición en esa fecha',
+  'task.invalidStatusFilter': 'El estado debe ser una lista separada por comas de: to do, in process, finished',
+  'task.invalidCursor': 'Cursor de paginación inválido',
+  'task.cursorNotAllowed': 'Los cursores (after o before, no ambos) solo funcionan con sort=date o sort=-date y sin el filtro de fecha',
+  'task.searchQueryRequired': 'Escribe al menos una palabra para buscar',
+  'task.invalidCalendarRange': 'El final del rango (to) no puede ser anterior a su inicio (from)',
+  'task.calendarRangeTooLong': 'El rango del calendario no puede abarcar más de {max} días',
+  'task.feedCreated': 'Calendario creado; mantén su URL en secreto',
+  'task.feedRotated': 'URL del calendario reemplazada; la anterior ya no funciona',
+  'task.feedExists': 'Ya existe un calendario; rótalo para obtener una nueva URL',
+  'task.feedNotFound': 'Calendario no encontrado',
+  'task.feedName': 'Tareas de {name}',
+  'task.invalidSort': 'El orden debe ser una lista separada por comas de: priority, date, title, status, createdAt, updatedAt (con el prefijo - para orden descendente)'
+};
@@ -0,0 +1,80 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRequest, createResponse, call } = require('../../testing/helpers');
+const { NotFoundError } = require('../../utils/errors');
+const en = require('../locales/en');
+const es = require('../locales/es');
+const { translate, parseAcceptLanguage, setRequestLocale, localeMiddleware } = require('..');
+
+describe('catalogs', () => {
+  it('define the same keys in every locale', () => {
+    assert.deepEqual(Object.keys(es).sort(), Object.keys(en).sort());
+  });
+});
+
+describe('translate', () => {
+  it('fills placeholders in the requested locale', () => {
+    assert.equal(translate('es', 'task.titleTooLong', { max: 50 }), 'El título no puede superar los 50 caracteres.');
+    assert.equal(translate('en', 'task.titleTooLong', { max: 50 }), 'Title cannot exceed 50 characters.');
+  });
+
+  it('falls back to English, then to the key', () => {
+    assert.equal(translate('fr', 'common.notFound'), en['common.notFound']);
+    assert.equal(translate('es', 'no.such.key'), 'no.such.key');
+  });
+});
+
+describe('parseAcceptLanguage', () => {
+  it('picks the best supported language by quality', () => {
+    assert.equal(parseAcceptLanguage('fr-FR, es-CO;q=0.8, en;q=0.5'), 'es');
+    assert.equal(parseAcceptLanguage('en;q=0.2, es;q=0.9'), 'es');
+    assert.equal(parseAcceptLanguage('es;q=0, en'), 'en');
+  });
+
+  it('returns null when nothing matches', () => {
+    assert.equal(parseAcceptLanguage('fr, de;q=0.5'), null);
+    assert.equal(parseAcceptLanguage(undefined), null);
+  });
+});
+
+describe('localeMiddleware', () => {
+  const run = (headers) => {
+    const req = createRequest({ headers, t: undefined });
+    const res = createResponse(req);
+    let nextCalled = false;
+    localeMiddleware(req, res, () => {
+      nextCalled = true;
+    });
+    return { req, res, nextCalled };
+  };
+
+  it('answers in the language the client asks for', () => {
+    const { req, res, nextCalled } = run({ 'accept-language': 'es-ES,es;q=0.9' });
+
+    assert.equal(nextCalled, true);
+    assert.equal(req.locale, 'es');
+    assert.equal(req.t('common.notFound'), es['common.notFound']);
+    assert.equal(res.headers['content-language'], 'es');
+  });
+
+  it('defaults to English and lets a saved preference override the header', () => {
+    const { req, res } = run({});
+    assert.equal(req.locale, 'en');
+
+    setRequestLocale(req, 'es');
+    assert.equal(req.t('common.notFound'), es['common.notFound']);
+    assert.equal(res.headers['content-language'], 'es');
+
+    setRequestLocale(req, 'xx');
+    assert.equal(req.locale, 'en');
+  });
+
+  it('translates error responses', async () => {
+    const res = await call(() => {
+      throw new NotFoundError();
+    }, { headers: { 'accept-language': 'es' }, t: undefined });
+
+    assert.equal(res.statusCode, 404);
+    assert.equal(res.body.message, es['common.notFound']);
+  });
+});
@@ -0,0 +1,44 @@
+const { Schema, model } = require('mongoose');
+
+/**
+ * Mongoose schema for EmailJob model
+ *
+ * Durable outbound email queue. Every email is stored as a job (template name
+ * plus its data) and delivered by the in-process worker in `./queue`, so a
+ * temporary SMTP problem delays an email instead of losing it.
+ *
+ * Job lifecycle:
+ * - `pending`: waiting for `nextAttemptAt`
+ * - `processing`: claimed by a worker (reclaimed if the worker dies)
+ * - `sent`: delivered; removed automatically 7 days after `sentAt`
+ * - `dead`: gave up after `maxAttempts`; kept for inspection and replay
+ *
+ * An optional `key` makes queuing idempotent: a second job with the same key
+ * is never created (see `enqueueMail`).
+ *
+ * @type {mongoose.Schema<EmailJobDocument>}
+ *
+ * @see {@link https://www.mongodb.com/docs/manual/core/index-ttl/|MongoDB TTL Indexes}
+ */
+const EmailJobSchema = new Schema(
+    {
+    "template": { type: String, required: true },
+    "to": { type: String, required: true },
+    "data": { type: Schema.Types.Mixed, default: {} },
+    "status": { type: String, enum: ['pending', 'processing', 'sent', 'dead'], default: 'pending' },
+    "attempts": { type: Number, default: 0 },
+    "maxAttempts": { type: Number, default: 5 },
+    "nextAttemptAt": { type: Date, default: Date.now },
+    "lockedAt": { type: Date, default: null },
+    "lastError": { type: String, default: null },
+    "sentAt": { type: Date, default: null },
+    "key": { type: String }
+    },
+    { timestamps: true } // create createdAt and updatedAt fields automatically
+)
+
+EmailJobSchema.index({ status: 1, nextAttemptAt: 1 });
+EmailJobSchema.index({ sentAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+EmailJobSchema.index({ key: 1 }, { unique: true, sparse: true });
+
+module.exports = model('EmailJob', EmailJobSchema)
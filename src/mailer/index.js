@@ -0,0 +1,29 @@
+const { sendMail } = require('./send');
+const {
+  enqueueMail,
+  processNextJob,
+  startEmailWorker,
+  stopEmailWorker,
+  listJobs,
+  replayJob,
+  replayDeadJobs
+} = require('./queue');
+
+/**
+ * Mailer module
+ *
+ * - `sendMail` delivers a templated email immediately (used by the worker)
+ * - `enqueueMail` stores it in the durable queue; controllers should use this
+ *   one so temporary mail server problems are retried instead of lost
+ * - the remaining functions run and inspect the queue
+ */
+module.exports = {
+  sendMail,
+  enqueueMail,
+  processNextJob,
+  startEmailWorker,
+  stopEmailWorker,
+  listJobs,
+  replayJob,
+  replayDeadJobs
+};
@@ -0,0 +1,197 @@
+const EmailJob = require('./emailJob');
+const { sendMail } = require('./send');
+
+// Queue settings (overridable through environment variables)
+const MAX_ATTEMPTS = Number(process.env.MAIL_QUEUE_MAX_ATTEMPTS) || 5;
+const BASE_BACKOFF = 30 * 1000;             // 30 seconds before the first retry
+const MAX_BACKOFF = 60 * 60 * 1000;         // never wait more than 1 hour between retries
+const POLL_INTERVAL = Number(process.env.MAIL_QUEUE_POLL_MS) || 5000;
+const PROCESSING_TIMEOUT = 5 * 60 * 1000;   // a job stuck in processing this long is reclaimed
+
+/**
+ * Adds an email to the queue
+ *
+ * The email is delivered asynchronously by the worker, so callers no longer
+ * depend on the mail server being reachable at request time.
+ *
+ * @async
+ * @function enqueueMail
+ * @param {string} template - Name of a template in `./templates`
+ * @param {string} to - Recipient address
+ * @param {Object} data - Template data
+ * @param {Object} [options]
+ * @param {number} [options.maxAttempts] - Delivery attempts before the job is dead-lettered
+ * @param {string} [options.key] - Deduplication key; when a job with this key
+ *   already exists no new one is created and the existing job is returned
+ * @returns {Promise<Object>} Created (or existing) job
+ */
+const enqueueMail = async (template, to, data, { maxAttempts = MAX_ATTEMPTS, key } = {}) => {
+  if (!key) {
+    return EmailJob.create({ template, to, data, maxAttempts, nextAttemptAt: new Date() });
+  }
+
+  return EmailJob.findOneAndUpdate(
+    { key },
+    { $setOnInsert: { template, to, data, maxAttempts, nextAttemptAt: new Date() } },
+    { upsert: true, new: true }
+  );
+};
+
+/**
+ * Computes the delay before the next attempt (exponential backoff)
+ *
+ * @function getBackoff
+ * @param {number} attempts - Attempts made so far (1 after the first failure)
+ * @returns {number} Delay in milliseconds
+ */
+const getBackoff = (attempts) => Math.min(BASE_BACKOFF * 2 ** Math.max(0, attempts - 1), MAX_BACKOFF);
+
+/**
+ * Claims and delivers the next due job
+ *
+ * Claiming is a single atomic update, so several workers (or instances) never
+ * send the same job twice. Jobs left in `processing` by a crashed worker are
+ * reclaimed after a timeout.
+ *
+ * @async
+ * @function processNextJob
+ * @returns {Promise<boolean>} `true` if a job was processed, `false` if none was due
+ */
+const processNextJob = async () => {
+  const now = new Date();
+
+  const job = await EmailJob.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { status: 'processing', lockedAt: { $lte: new Date(now.getTime() - PROCESSING_TIMEOUT) } }
+      ]
+    },
+    { $set: { status: 'processing', lockedAt: now }, $inc: { attempts: 1 } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+
+  if (!job) return false;
+
+  try {
+    await sendMail(job.template, job.to, job.data);
+    job.status = 'sent';
+    job.sentAt = new Date();
+    job.lastError = null;
+  } catch (error) {
+    job.lastError = error.message;
+    if (job.attempts >= job.maxAttempts) {
+      job.status = 'dead';
+      console.error(`Email job ${job._id} dead after ${job.attempts} attempts:`, error.message);
+    } else {
+      job.status = 'pending';
+      job.nextAttemptAt = new Date(Date.now() + getBackoff(job.attempts));
+    }
+  }
+
+  job.lockedAt = null;
+  await job.save();
+  return true;
+};
+
+let timer = null;
+let running = false;
+
+/**
+ * Starts the in-process email worker
+ *
+ * Polls the queue every `intervalMs` and drains every due job on each tick.
+ * Calling it more than once has no effect.
+ *
+ * @function startEmailWorker
+ * @param {Object} [options]
+ * @param {number} [options.intervalMs] - Polling interval in milliseconds
+ */
+const startEmailWorker = ({ intervalMs = POLL_INTERVAL } = {}) => {
+  if (running) return;
+  running = true;
+
+  const tick = async () => {
+    try {
+      while (running && await processNextJob()) {
+        // keep draining while there are due jobs
+      }
+    } catch (error) {
+      console.error('Email worker error:', error.message);
+    }
+    if (running) {
+      timer = setTimeout(tick, intervalMs);
+      if (timer.unref) timer.unref();
+    }
+  };
+
+  tick();
+};
+
+/**
+ * Stops the in-process email worker
+ *
+ * @function stopEmailWorker
+ */
+const stopEmailWorker = () => {
+  running = false;
+  if (timer) clearTimeout(timer);
+  timer = null;
+};
+
+/**
+ * Lists jobs, newest first
+ *
+ * @async
+ * @function listJobs
+ * @param {Object} [options]
+ * @param {string} [options.status] - Only jobs with this status
+ * @param {number} [options.limit=50] - Maximum number of jobs
+ * @returns {Promise<Object[]>}
+ */
+const listJobs = async ({ status, limit = 50 } = {}) => {
+  const filter = status ? { status } : {};
+  return EmailJob.find(filter).lean().sort({ createdAt: -1 }).limit(limit);
+};
+
+/**
+ * Puts a dead job back in the queue with a fresh set of attempts
+ *
+ * @async
+ * @function replayJob
+ * @param {string} id - Job id
+ * @returns {Promise<Object|null>} The replayed job, or `null` if no dead job has that id
+ */
+const replayJob = async (id) => {
+  return EmailJob.findOneAndUpdate(
+    { _id: id, status: 'dead' },
+    { $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date(), lockedAt: null } },
+    { new: true }
+  );
+};
+
+/**
+ * Replays every dead job
+ *
+ * @async
+ * @function replayDeadJobs
+ * @returns {Promise<number>} Number of jobs put back in the queue
+ */
+const replayDeadJobs = async () => {
+  const result = await EmailJob.updateMany(
+    { status: 'dead' },
+    { $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date(), lockedAt: null } }
+  );
+  return result.modifiedCount;
+};
+
+module.exports = {
+  enqueueMail,
+  getBackoff,
+  processNextJob,
+  startEmailWorker,
+  stopEmailWorker,
+  listJobs,
+  replayJob,
+  replayDeadJobs
+};
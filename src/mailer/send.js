@@ -0,0 +1,45 @@
+const { createTransport } = require('./transports');
+const { renderTemplate } = require('./templates');
+require('dotenv').config();
+
+let transport;
+
+// The transport is created lazily so the configuration is read once it is needed
+const getTransport = () => {
+  if (!transport) transport = createTransport();
+  return transport;
+};
+
+/**
+ * Sends a templated email
+ *
+ * Renders the named template (HTML and plain text, with user input escaped)
+ * and delivers it right away through the transport configured with
+ * `MAIL_TRANSPORT`. Application code should go through `enqueueMail` instead,
+ * which retries failed deliveries; this is what the queue worker calls.
+ *
+ * @async
+ * @function sendMail
+ * @param {string} templateName - Name of a template in `./templates`
+ * @param {string} to - Recipient address
+ * @param {Object} data - Template data
+ * @returns {Promise<Object>} Transport delivery info
+ * @throws {Error} If the template is unknown or the transport fails
+ *
+ * @example
+ * const { sendMail } = require('./send');
+ * await sendMail('password-reset', user.email, { name: user.name, resetUrl });
+ */
+const sendMail = async (templateName, to, data) => {
+  const { subject, html, text } = renderTemplate(templateName, data);
+
+  return getTransport().sendMail({
+    from: process.env.MAIL_FROM || process.env.EMAIL_USER,
+    to,
+    subject,
+    html,
+    text
+  });
+};
+
+module.exports = { sendMail };
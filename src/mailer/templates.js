@@ -0,0 +1,176 @@
+/**
+ * Escapes a value for safe interpolation into HTML (text and attributes)
+ *
+ * @function escapeHtml
+ * @param {*} value - Value to escape (`null`/`undefined` become an empty string)
+ * @returns {string} Escaped string
+ */
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Wraps the body of an email in the common HTML layout
+ *
+ * `title`, `greetingName` and the link are escaped here; `paragraphs` must
+ * already be escaped by the template.
+ *
+ * @param {Object} parts
+ * @param {string} parts.title - Heading
+ * @param {string} parts.greetingName - Recipient name
+ * @param {string[]} parts.paragraphs - HTML paragraphs before the button (already escaped)
+ * @param {{ label: string, url: string }} [parts.action] - Call to action button
+ * @param {string[]} [parts.footer] - HTML paragraphs after the button (already escaped)
+ * @returns {string} HTML document fragment
+ */
+const layout = ({ title, greetingName, paragraphs, action, footer = [] }) => {
+  const lines = [
+    `<h2>${escapeHtml(title)}</h2>`,
+    `<p>Hello ${escapeHtml(greetingName)},</p>`,
+    ...paragraphs.map((p) => `<p>${p}</p>`)
+  ];
+
+  if (action) {
+    const url = escapeHtml(action.url);
+    lines.push(
+      `<p><a href="${url}" style="background-color: #4CAF50; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">${escapeHtml(action.label)}</a></p>`,
+      '<p>Or copy and paste this link in your browser:</p>',
+      `<p>${url}</p>`
+    );
+  }
+
+  lines.push(...footer.map((p) => `<p>${p}</p>`), '<br>', '<p>Best regards,<br>Pichulie Team</p>');
+  return lines.join('\n');
+};
+
+/**
+ * Plain-text counterpart of `layout`
+ *
+ * @param {Object} parts - Same shape as for `layout`, with unescaped text
+ * @returns {string} Plain-text body
+ */
+const textLayout = ({ greetingName, paragraphs, action, footer = [] }) => {
+  const lines = [`Hello ${greetingName},`, '', ...paragraphs];
+  if (action) lines.push('', `${action.label}: ${action.url}`);
+  if (footer.length) lines.push('', ...footer);
+  lines.push('', 'Best regards,', 'Pichulie Team');
+  return lines.join('\n');
+};
+
+/**
+ * Builds a template from its text content
+ *
+ * The content function receives the raw template data and returns plain
+ * strings; they are escaped for the HTML version and used as-is for the text
+ * version, so user input can never inject markup.
+ *
+ * @param {function(Object): { subject: string, title: string, name: string, paragraphs: string[], action?: Object, footer?: string[] }} content
+ * @returns {{ render: function(Object): { subject: string, html: string, text: string } }}
+ */
+const defineTemplate = (content) => ({
+  render: (data) => {
+    const c = content(data);
+    return {
+      subject: c.subject,
+      html: layout({
+        title: c.title,
+        greetingName: c.name,
+        paragraphs: c.paragraphs.map(escapeHtml),
+        action: c.action,
+        footer: (c.footer || []).map(escapeHtml)
+      }),
+      text: textLayout({
+        greetingName: c.name,
+        paragraphs: c.paragraphs,
+        action: c.action,
+        footer: c.footer
+      })
+    };
+  }
+});
+
+/**
+ * Named email templates
+ *
+ * Every template renders a subject plus HTML and plain-text bodies.
+ */
+const templates = {
+  'password-reset': defineTemplate(({ name, resetUrl }) => ({
+    subject: 'Password Reset Request - Pichulie',
+    title: 'Password Reset Request',
+    name,
+    paragraphs: ['You requested a password reset. Click the link below to reset your password:'],
+    action: { label: 'Reset Password', url: resetUrl },
+    footer: [
+      'This link will expire in 1 hour.',
+      "If you didn't request this reset, please ignore this email."
+    ]
+  })),
+
+  'password-reset-resent': defineTemplate(({ name, resetUrl }) => ({
+    subject: 'Password Reset Request (Resent) - Pichulie',
+    title: 'Password Reset Request',
+    name,
+    paragraphs: ['You requested a new password reset link. Click the link below to reset your password:'],
+    action: { label: 'Reset Password', url: resetUrl },
+    footer: [
+      'This link will expire in 1 hour and will replace any previous reset links.',
+      "If you didn't request this reset, please ignore this email."
+    ]
+  })),
+
+  'email-verification': defineTemplate(({ name, verifyUrl, expiresIn }) => ({
+    subject: 'Verify your email - Pichulie',
+    title: 'Welcome to Pichulie',
+    name,
+    paragraphs: ['Please confirm your email address by clicking the link below:'],
+    action: { label: 'Verify Email', url: verifyUrl },
+    footer: [
+      `This link will expire in ${expiresIn}.`,
+      "If you didn't create an account, please ignore this email."
+    ]
+  })),
+
+  'account-locked': defineTemplate(({ name, unlockUrl, lockUntil }) => ({
+    subject: 'Your account has been locked - Pichulie',
+    title: 'Account temporarily locked',
+    name,
+    paragraphs: [
+      `We locked your account after several failed login attempts. It will unlock automatically at ${new Date(lockUntil).toISOString()}.`,
+      'If it was you, you can unlock it right away with the link below:'
+    ],
+    action: { label: 'Unlock Account', url: unlockUrl },
+    footer: ["If it wasn't you, consider resetting your password."]
+  })),
+
+  'task-reminder': defineTemplate(({ name, title, detail, taskDate }) => ({
+    subject: `Reminder: ${title} - Pichulie`,
+    title: 'Task reminder',
+    name,
+    paragraphs: [
+      `Your task "${title}" is scheduled for ${new Date(taskDate).toISOString()}.`,
+      ...(detail ? [detail] : [])
+    ],
+    footer: ['You receive this email because the task is marked to be remembered.']
+  }))
+};
+
+/**
+ * Renders a named template
+ *
+ * @function renderTemplate
+ * @param {string} name - Template name
+ * @param {Object} data - Template data
+ * @returns {{ subject: string, html: string, text: string }}
+ * @throws {Error} If the template does not exist
+ */
+const renderTemplate = (name, data) => {
+  const template = templates[name];
+  if (!template) throw new Error(`Unknown email template: ${name}`);
+  return template.render(data || {});
+};
+
+module.exports = { templates, renderTemplate, escapeHtml };
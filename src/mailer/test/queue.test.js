@@ -0,0 +1,120 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { query } = require('../../testing/helpers');
+const EmailJob = require('../emailJob');
+const { registerTransport } = require('../transports');
+const { enqueueMail, getBackoff, processNextJob } = require('../queue');
+
+// Deliveries go through a transport whose behaviour each test decides
+let deliver;
+registerTransport('test', () => ({ sendMail: (message) => deliver(message) }));
+process.env.MAIL_TRANSPORT = 'test';
+
+describe('getBackoff', () => {
+  it('doubles from 30 seconds and never exceeds one hour', () => {
+    assert.equal(getBackoff(1), 30 * 1000);
+    assert.equal(getBackoff(2), 60 * 1000);
+    assert.equal(getBackoff(3), 120 * 1000);
+    assert.equal(getBackoff(20), 60 * 60 * 1000);
+  });
+});
+
+describe('enqueueMail', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('creates a job due right away', async () => {
+    const create = mock.method(EmailJob, 'create', async (doc) => doc);
+
+    await enqueueMail('password-reset', 'ana@example.com', { resetUrl: 'https://x' });
+
+    const [doc] = create.mock.calls[0].arguments;
+    assert.equal(doc.template, 'password-reset');
+    assert.ok(doc.nextAttemptAt.getTime() <= Date.now());
+  });
+
+  it('never creates a second job with the same key', async () => {
+    const upsert = mock.method(EmailJob, 'findOneAndUpdate', () => query({}));
+
+    await enqueueMail('password-reset', 'ana@example.com', {}, { key: 'reset:1' });
+
+    const [filter, update, options] = upsert.mock.calls[0].arguments;
+    assert.deepEqual(filter, { key: 'reset:1' });
+    assert.ok(update.$setOnInsert);
+    assert.equal(options.upsert, true);
+  });
+});
+
+describe('processNextJob', () => {
+  let job;
+
+  const claim = (attempts, maxAttempts = 3) => {
+    job = EmailJob.hydrate({
+      _id: '64b0000000000000000000ee',
+      template: 'password-reset',
+      to: 'ana@example.com',
+      data: { name: 'Ana', resetUrl: 'https://example.com/reset' },
+      status: 'processing',
+      attempts,
+      maxAttempts,
+      lockedAt: new Date()
+    });
+    mock.method(job, 'save', async () => job);
+    mock.method(EmailJob, 'findOneAndUpdate', () => query(job));
+  };
+
+  beforeEach(() => {
+    deliver = async () => ({ messageId: 'id' });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('returns false when no job is due', async () => {
+    mock.method(EmailJob, 'findOneAndUpdate', () => query(null));
+
+    assert.equal(await processNextJob(), false);
+  });
+
+  it('claims atomically and marks delivered jobs as sent', async () => {
+    claim(1);
+    let message;
+    deliver = async (sent) => {
+      message = sent;
+      return { messageId: 'id' };
+    };
+
+    assert.equal(await processNextJob(), true);
+
+    const [filter, update] = EmailJob.findOneAndUpdate.mock.calls[0].arguments;
+    assert.equal(filter.$or.length, 2);
+    assert.deepEqual(update.$inc, { attempts: 1 });
+    assert.equal(message.to, 'ana@example.com');
+    assert.equal(job.status, 'sent');
+    assert.ok(job.sentAt instanceof Date);
+    assert.equal(job.lockedAt, null);
+    assert.equal(job.save.mock.callCount(), 1);
+  });
+
+  it('schedules a retry with backoff when delivery fails', async () => {
+    claim(2);
+    deliver = async () => { throw new Error('SMTP down'); };
+
+    const before = Date.now();
+    await processNextJob();
+
+    assert.equal(job.status, 'pending');
+    assert.equal(job.lastError, 'SMTP down');
+    assert.ok(job.nextAttemptAt.getTime() >= before + getBackoff(2));
+    assert.equal(job.lockedAt, null);
+  });
+
+  it('dead-letters the job after its last attempt', async () => {
+    claim(3);
+    deliver = async () => { throw new Error('SMTP down'); };
+    mock.method(console, 'error', () => {});
+
+    await processNextJob();
+
+    assert.equal(job.status, 'dead');
+    assert.equal(job.lastError, 'SMTP down');
+  });
+});
@@ -0,0 +1,98 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+
+/**
+ * SMTP transport factory
+ *
+ * Sends real email through Nodemailer. Uses a generic SMTP server when
+ * `SMTP_HOST` is set, otherwise a Nodemailer well-known service
+ * (`EMAIL_SERVICE`, Gmail by default). Credentials always come from the
+ * environment (`SMTP_USER`/`SMTP_PASS`, falling back to `EMAIL_USER`/`EMAIL_PASS`).
+ *
+ * @function createSmtpTransport
+ * @returns {{ sendMail: function(Object): Promise<Object> }} Nodemailer transporter
+ *
+ * @see {@link https://nodemailer.com/smtp/} Nodemailer SMTP transport
+ * @see {@link https://support.google.com/accounts/answer/185833} Gmail App Passwords
+ */
+const createSmtpTransport = () => {
+  const auth = {
+    user: process.env.SMTP_USER || process.env.EMAIL_USER,
+    pass: process.env.SMTP_PASS || process.env.EMAIL_PASS
+  };
+
+  if (process.env.SMTP_HOST) {
+    return nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth
+    });
+  }
+
+  return nodemailer.createTransport({
+    service: process.env.EMAIL_SERVICE || 'gmail',
+    auth
+  });
+};
+
+/**
+ * File (outbox) transport factory
+ *
+ * Development and test transport: instead of sending anything, writes every
+ * message as a JSON file into `MAIL_OUTBOX_DIR` (`.tmp/outbox` by default),
+ * where it can be opened or asserted on.
+ *
+ * @function createFileTransport
+ * @returns {{ sendMail: function(Object): Promise<{ messageId: string, path: string }> }}
+ */
+const createFileTransport = () => {
+  const outboxDir = path.resolve(process.env.MAIL_OUTBOX_DIR || '.tmp/outbox');
+
+  return {
+    sendMail: async (message) => {
+      const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+      const filePath = path.join(outboxDir, `${messageId}.json`);
+
+      await fs.mkdir(outboxDir, { recursive: true });
+      await fs.writeFile(filePath, JSON.stringify({ messageId, date: new Date().toISOString(), ...message }, null, 2));
+
+      return { messageId, path: filePath };
+    }
+  };
+};
+
+// Available transports, selected by name with MAIL_TRANSPORT
+const transportFactories = {
+  smtp: createSmtpTransport,
+  file: createFileTransport
+};
+
+/**
+ * Registers an additional transport
+ *
+ * @function registerTransport
+ * @param {string} name - Name used in `MAIL_TRANSPORT`
+ * @param {function(): { sendMail: function(Object): Promise<Object> }} factory - Creates the transport
+ */
+const registerTransport = (name, factory) => {
+  transportFactories[name] = factory;
+};
+
+/**
+ * Creates the transport configured with `MAIL_TRANSPORT` (`smtp` by default)
+ *
+ * @function createTransport
+ * @returns {{ sendMail: function(Object): Promise<Object> }}
+ * @throws {Error} If the configured transport does not exist
+ */
+const createTransport = () => {
+  const name = process.env.MAIL_TRANSPORT || 'smtp';
+  const factory = transportFactories[name];
+  if (!factory) throw new Error(`Unknown mail transport: ${name}`);
+  return factory();
+};
+
+module.exports = { createTransport, registerTransport, createSmtpTransport, createFileTransport };
@@ -1,5 +1,36 @@
 const jwt = require('jsonwebtoken');
 const User = require('../apps/user/models/models');
+const Session = require('../apps/user/models/session');
+const { isAccessTokenRevoked, isIssuedBeforeCutoff } = require('../utils/tokens');
+const { isAccountLocked } = require('../utils/lockout');
+const authConfig = require('../config/auth');
+const { setRequestLocale } = require('../i18n');
+const { getRequestTimeZone } = require('../utils/dates');
+
+// Only persist last-seen updates once per minute per session
+const LAST_SEEN_UPDATE_INTERVAL = 60 * 1000;
+
+/**
+ * Checks whether an account must be refused for not verifying its email
+ *
+ * Only accounts explicitly marked as unverified (`emailVerified === false`)
+ * are affected, and only once the configured grace period after registration
+ * has passed. Accounts created before verification existed have no flag and
+ * are never refused.
+ *
+ * @function isEmailVerificationOverdue
+ * @param {Object} user - User document
+ * @param {'login'|'all'} scope - Where the check happens (`login` or every authenticated request)
+ * @returns {boolean} `true` if access must be refused
+ */
+const isEmailVerificationOverdue = (user, scope) => {
+  const mode = authConfig.emailVerificationEnforcement;
+  if (mode === 'off' || (mode === 'login' && scope !== 'login')) return false;
+  if (user.emailVerified !== false) return false;
+
+  const createdAt = user.createdAt ? user.createdAt.getTime() : 0;
+  return Date.now() - createdAt > authConfig.emailVerificationGraceMs;
+};
 
 /**
  * JWT Authentication Middleware
@@ -11,14 +42,23 @@ const User = require('../apps/user/models/models');
  * Authentication flow:
  * 1. Extracts token from the `Authorization` header (format: Bearer <token>)
  * 2. Validates token signature and expiration
- * 3. Looks up the user in the database based on decoded token payload
- * 4. Rejects access if user is missing or blocked
- * 5. Attaches user information to the request object (`req.user`) for downstream usage
- * 6. Passes control to the next middleware if authentication succeeds
+ * 3. Rejects tokens on the revocation list (logged out)
+ * 4. Looks up the user in the database based on decoded token payload
+ * 5. Rejects access if user is missing or blocked, or if the token was issued
+ *    during or before the second of the user's `tokensValidAfter` (logged out everywhere)
+ * 6. Rejects tokens whose session (`sid` claim) was revoked and refreshes the
+ *    session's last-seen time
+ * 7. Attaches user information (`req.user`) and the decoded token (`req.auth`)
+ *    to the request object for downstream usage, and switches the response
+ *    language to the user's preference if they saved one. `req.user.timezone`
+ *    is the user's saved zone, or the one announced by the request
+ * 8. Passes control to the next middleware if authentication succeeds
  *
  * Error handling:
- * - `401 Unauthorized` if token is missing, invalid, expired, or user not found
- * - `423 Locked` if the account is blocked
+ * - `401 Unauthorized` if token is missing, invalid, expired, revoked, or user not found
+ * - `403 Forbidden` if the email is still unverified after the grace period
+ *   (only when `EMAIL_VERIFICATION_ENFORCEMENT=all`)
+ * - `423 Locked` if the account is blocked (expired temporary locks are ignored)
  * - `500 Internal Server Error` if an unexpected error occurs
  *
  * @async
@@ -44,7 +84,7 @@ const authenticateToken = async (req, res, next) => {
     if (!token) {
       return res.status(401).json({
         success: false,
-        message: 'Access Token Required',
+        message: req.t('auth.tokenRequired'),
         errorType: 'missing_token',
         action: 'redirect_to_login',
         redirectTo: '/login'
@@ -53,42 +93,106 @@ const authenticateToken = async (req, res, next) => {
 
     // Verify Token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Purpose-bound tokens (e.g. 2FA login challenges) are not access tokens
+    if (decoded.purpose) {
+      return res.status(401).json({
+        success: false,
+        message: req.t('auth.invalidToken'),
+        errorType: 'invalid_token',
+        action: 'redirect_to_login',
+        redirectTo: '/login'
+      });
+    }
+
+    // Reject tokens revoked through logout
+    if (await isAccessTokenRevoked(decoded)) {
+      return res.status(401).json({
+        success: false,
+        message: req.t('auth.tokenRevoked'),
+        errorType: 'token_revoked',
+        action: 'redirect_to_login',
+        redirectTo: '/login'
+      });
+    }
     
     // Verify that the user exists and is not blocked
     const user = await User.findById(decoded.id);
     if (!user) {
       return res.status(401).json({
         success: false,
-        message: 'User not found',
+        message: req.t('user.notFound'),
         errorType: 'user_not_found',
         action: 'redirect_to_login',
         redirectTo: '/login'
       });
     }
 
-    if (user.isBlocked) {
+    // Reject tokens issued before a "log out everywhere"
+    if (isIssuedBeforeCutoff(decoded.iat * 1000, user.tokensValidAfter)) {
+      return res.status(401).json({
+        success: false,
+        message: req.t('auth.tokenRevoked'),
+        errorType: 'token_revoked',
+        action: 'redirect_to_login',
+        redirectTo: '/login'
+      });
+    }
+
+    if (isAccountLocked(user)) {
       return res.status(423).json({
         success: false,
-        message: 'Account temporarily blocked',
+        message: req.t('login.accountBlocked'),
         errorType: 'account_blocked',
         action: 'redirect_to_login',
         redirectTo: '/login'
       });
     }
 
+    if (isEmailVerificationOverdue(user, 'all')) {
+      return res.status(403).json({
+        success: false,
+        message: req.t('login.emailNotVerified'),
+        errorType: 'email_not_verified',
+        action: 'verify_email'
+      });
+    }
+
+    // Verify the session is still active and track its activity
+    if (decoded.sid) {
+      const session = await Session.findOne({ _id: decoded.sid, user_id: user._id });
+      if (!session || session.revokedAt) {
+        return res.status(401).json({
+          success: false,
+          message: req.t('auth.sessionRevoked'),
+          errorType: 'session_revoked',
+          action: 'redirect_to_login',
+          redirectTo: '/login'
+        });
+      }
+
+      const now = Date.now();
+      if (!session.lastSeenAt || now - session.lastSeenAt.getTime() > LAST_SEEN_UPDATE_INTERVAL) {
+        await Session.updateOne({ _id: session._id }, { $set: { lastSeenAt: new Date(now) } });
+      }
+    }
+
     // Add User Info to request
     req.user = {
       id: user._id,
       email: user.email,
-      name: user.name
+      name: user.name,
+      timezone: user.timezone || getRequestTimeZone(req)
     };
+    req.auth = decoded;
+    if (user.language) setRequestLocale(req, user.language);
 
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
       return res.status(401).json({
         success: false,
-        message: 'Invalid token',
+        message: req.t('auth.invalidToken'),
         errorType: 'invalid_token',
         action: 'redirect_to_login',
         redirectTo: '/login'
@@ -98,7 +202,7 @@ const authenticateToken = async (req, res, next) => {
     if (error.name === 'TokenExpiredError') {
       return res.status(401).json({
         success: false,
-        message: 'Login session expired',
+        message: req.t('auth.tokenExpired'),
         errorType: 'token_expired',
         action: 'redirect_to_login',
         redirectTo: '/login',
@@ -116,11 +220,12 @@ const authenticateToken = async (req, res, next) => {
 
     return res.status(500).json({
       success: false,
-      message: 'Authentication error'
+      message: req.t('auth.error')
     });
   }
 };
 
 module.exports = {
-  authenticateToken
+  authenticateToken,
+  isEmailVerificationOverdue
 };
@@ -1,15 +1,117 @@
+const { getTranslator } = require('../i18n');
+const { AppError, NotFoundError } = require('../utils/errors');
+
+/**
+ * Converts any error into the fields of the error envelope
+ *
+ * `AppError`s are used as they are. Well-known errors from Mongoose, the
+ * MongoDB driver and the JSON body parser are mapped to the matching client
+ * error; everything else becomes a 500.
+ *
+ * @function normalizeError
+ * @param {Error} err - Error to convert
+ * @param {function(string, Object=): string} t - Translator of the request
+ * @returns {{ statusCode: number, errorType: string, message: string, details?: Array<Object>, extra?: Object }}
+ */
+const normalizeError = (err, t) => {
+  if (err instanceof AppError) {
+    return {
+      statusCode: err.statusCode,
+      errorType: err.errorType,
+      message: t(err.messageKey, err.params),
+      details: err.details,
+      extra: err.extra
+    };
+  }
+
+  // Invalid ObjectId (or other value that cannot be cast) in a query
+  if (err.name === 'CastError') {
+    return {
+      statusCode: 400,
+      errorType: err.kind === 'ObjectId' ? 'invalid_id' : 'invalid_value',
+      message: t(err.kind === 'ObjectId' ? 'common.invalidId' : 'common.validationFailed'),
+      details: [{ field: err.path, message: t('common.invalidValue') }]
+    };
+  }
+
+  // Schema validation failed on save
+  if (err.name === 'ValidationError' && err.errors) {
+    return {
+      statusCode: 400,
+      errorType: 'validation_error',
+      message: t('common.validationFailed'),
+      details: Object.values(err.errors).map((e) => ({ field: e.path, message: e.message }))
+    };
+  }
+
+  // Unique index violation
+  if (err.code === 11000) {
+    return {
+      statusCode: 409,
+      errorType: 'conflict',
+      message: t('common.conflict'),
+      details: Object.keys(err.keyValue || {}).map((field) => ({ field, message: t('common.alreadyExists') }))
+    };
+  }
+
+  // Malformed JSON body (express.json)
+  if (err.type === 'entity.parse.failed') {
+    return { statusCode: 400, errorType: 'invalid_json', message: t('common.invalidJson') };
+  }
+
+  const statusCode = err.statusCode || err.status || 500;
+  if (statusCode >= 500) {
+    return { statusCode, errorType: 'server_error', message: t('common.serverError') };
+  }
+
+  // Other client errors (e.g. from body-parser) - their message is safe to show
+  return { statusCode, errorType: 'bad_request', message: err.expose && err.message ? err.message : t('common.badRequest') };
+};
+
+/**
+ * Sends the error envelope shared by every failed request
+ *
+ * `{ success: false, message, errorType, details?, error?, timestamp, path }`,
+ * plus any `extra` fields of the error. The raw error message is only
+ * included in development mode.
+ *
+ * @function sendError
+ * @param {Error} err - Error to render
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {number} The status code sent
+ */
+const sendError = (err, req, res) => {
+  const { statusCode, errorType, message, details, extra } = normalizeError(err, getTranslator(req));
+
+  res.status(statusCode).json({
+    success: false,
+    message,
+    errorType,
+    ...(details && details.length ? { details } : {}),
+    ...(extra || {}),
+    error: process.env.NODE_ENV === 'development' ? err.message : undefined,
+    timestamp: new Date().toISOString(),
+    path: req.originalUrl
+  });
+
+  return statusCode;
+};
+
 /**
  * Global error handling middleware
  *
  * Handles all unhandled errors in the application, logging useful details in 
- * development mode and restricting output in production. Differentiates between 
- * server-side (5xx) and client-side (4xx) errors to send appropriate responses.
+ * development mode and restricting output in production. Expected errors
+ * (`AppError` and its subclasses, Mongoose cast/validation errors) are
+ * rendered with their own status and `errorType`; anything else is a 500.
  *
  * Error handling flow:
  * 1. Logs detailed error information only in development mode
- * 2. Logs minimal info in production (URL of the failing request)
- * 3. Determines HTTP status code (defaults to 500 if not provided)
- * 4. Sends JSON response with error details, message, and timestamp
+ * 2. Maps the error to a status code, `errorType` and translated message
+ *    and sends the shared JSON error envelope (see `sendError`)
+ * 3. Logs minimal info in production (request and error message), only
+ *    for server errors
  *
  * @function globalErrorHandler
  * @param {Error} err - The error object caught by Express
@@ -23,6 +125,8 @@
  * app.use(globalErrorHandler);
  */
 const globalErrorHandler = (err, req, res, next) => {
+  if (res.headersSent) return next(err);
+
   // Log error details only in development mode
   if (process.env.NODE_ENV === 'development') {
     console.error('Unhandled error:', err);
@@ -30,54 +134,27 @@ const globalErrorHandler = (err, req, res, next) => {
     console.error('Request URL:', req.originalUrl);
     console.error('Request method:', req.method);
     console.error('Request body:', req.body);
-  } else {
-    // In production, log only essential info
-    console.error('Unhandled error occurred on:', req.originalUrl);
   }
 
-  // Determine error status
-  const statusCode = err.statusCode || err.status || 500;
-  
-  // Send appropriate response
-  if (statusCode >= 500) {
-    // Server errors (5xx)
-    res.status(statusCode).json({
-      success: false,
-      message: 'Try again later',
-      error: process.env.NODE_ENV === 'development' ? err.message : undefined,
-      timestamp: new Date().toISOString(),
-      path: req.originalUrl
-    });
-  } else {
-    // Client errors (4xx) - pass through the original message
-    res.status(statusCode).json({
-      success: false,
-      message: err.message || 'Bad request',
-      error: process.env.NODE_ENV === 'development' ? err.message : undefined,
-      timestamp: new Date().toISOString(),
-      path: req.originalUrl
-    });
+  const statusCode = sendError(err, req, res);
+
+  if (process.env.NODE_ENV !== 'development' && statusCode >= 500) {
+    // In production, log only essential info
+    console.error(`Unhandled error occurred on ${req.method} ${req.originalUrl}:`, err.message);
   }
 };
 
-// 404 handler for unmatched routes
+/**
+ * 404 handler for unmatched routes
+ *
+ * Answers with the shared error envelope (`errorType: 'endpoint_not_found'`).
+ *
+ * @function notFoundHandler
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ */
 const notFoundHandler = (req, res) => {
-  res.status(404).json({
-    success: false,
-    message: 'Endpoint not found',
-    path: req.originalUrl,
-    method: req.method,
-    availableEndpoints: [
-      'POST /api/users/login',
-      'POST /api/users/register',
-      'POST /api/users/update',
-      'POST /api/users/upload-pfp',
-      'POST /api/users/request-reset',
-      'GET /api/users/validate-token/:token',
-      'POST /api/users/reset-password',
-      'POST /api/users/resend-reset'
-    ]
-  });
+  sendError(new NotFoundError('common.endpointNotFound', { errorType: 'endpoint_not_found', extra: { method: req.method } }), req, res);
 };
 
 module.exports = {
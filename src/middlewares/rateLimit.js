@@ -0,0 +1,207 @@
+const RateLimit = require('../models/rateLimit');
+const { getTranslator } = require('../i18n');
+
+/**
+ * In-memory rate-limit store
+ *
+ * Fast and dependency-free, but counters live in the process: they are lost
+ * on restart and not shared between instances. Expired entries are pruned
+ * periodically so the map does not grow forever.
+ */
+class MemoryStore {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.cleanupIntervalMs=60000] - How often expired entries are pruned
+   */
+  constructor({ cleanupIntervalMs = 60 * 1000 } = {}) {
+    this.hits = new Map(); // key -> { count, resetAt }
+
+    const timer = setInterval(() => this.prune(), cleanupIntervalMs);
+    if (timer.unref) timer.unref(); // never keep the process alive just for this
+  }
+
+  /**
+   * Counts a hit for a key
+   *
+   * @param {string} key - Rate-limit key
+   * @param {number} windowMs - Window length in milliseconds
+   * @returns {Promise<{ count: number, resetAt: Date }>} State after the hit
+   */
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let entry = this.hits.get(key);
+
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      this.hits.set(key, entry);
+    }
+    entry.count += 1;
+
+    return { count: entry.count, resetAt: new Date(entry.resetAt) };
+  }
+
+  /**
+   * Forgets the counter of a key
+   *
+   * @param {string} key - Rate-limit key
+   * @returns {Promise<void>}
+   */
+  async reset(key) {
+    this.hits.delete(key);
+  }
+
+  /**
+   * Removes every expired entry
+   */
+  prune() {
+    const now = Date.now();
+    for (const [key, entry] of this.hits) {
+      if (entry.resetAt <= now) this.hits.delete(key);
+    }
+  }
+}
+
+/**
+ * MongoDB rate-limit store
+ *
+ * Keeps counters in the `ratelimits` collection so they survive restarts and
+ * are shared by every instance of the API. Each hit is a single atomic
+ * upsert that either increments the current window or starts a new one.
+ */
+class MongoStore {
+  /**
+   * Counts a hit for a key
+   *
+   * @param {string} key - Rate-limit key
+   * @param {number} windowMs - Window length in milliseconds
+   * @returns {Promise<{ count: number, resetAt: Date }>} State after the hit
+   */
+  async increment(key, windowMs) {
+    const now = new Date();
+    const resetAt = new Date(now.getTime() + windowMs);
+    const windowOpen = { $gt: ['$resetAt', now] };
+
+    const update = [{
+      $set: {
+        count: { $cond: [windowOpen, { $add: ['$count', 1] }, 1] },
+        resetAt: { $cond: [windowOpen, '$resetAt', resetAt] }
+      }
+    }];
+
+    try {
+      const doc = await RateLimit.findOneAndUpdate({ key }, update, { upsert: true, new: true, lean: true });
+      return { count: doc.count, resetAt: doc.resetAt };
+    } catch (error) {
+      // Two concurrent upserts of a new key: the loser retries as a plain update
+      if (error.code !== 11000) throw error;
+      const doc = await RateLimit.findOneAndUpdate({ key }, update, { new: true, lean: true });
+      return { count: doc.count, resetAt: doc.resetAt };
+    }
+  }
+
+  /**
+   * Forgets the counter of a key
+   *
+   * @param {string} key - Rate-limit key
+   * @returns {Promise<void>}
+   */
+  async reset(key) {
+    await RateLimit.deleteOne({ key });
+  }
+}
+
+let defaultStore;
+
+/**
+ * Returns the store shared by limiters that do not pass their own
+ *
+ * Selected with `RATE_LIMIT_STORE` (`mongo` by default, or `memory`).
+ *
+ * @function getDefaultStore
+ * @returns {MemoryStore|MongoStore}
+ */
+const getDefaultStore = () => {
+  if (!defaultStore) {
+    defaultStore = process.env.RATE_LIMIT_STORE === 'memory' ? new MemoryStore() : new MongoStore();
+  }
+  return defaultStore;
+};
+
+// Built-in ways of identifying who a request counts against
+const keyGenerators = {
+  ip: (req) => req.ip,
+  email: (req) => {
+    const email = req.body && req.body.email;
+    return typeof email === 'string' && email.trim() ? email.trim().toLowerCase() : null;
+  },
+  user: (req) => (req.user && req.user.id ? String(req.user.id) : null)
+};
+
+/**
+ * Rate limiting middleware factory
+ *
+ * Creates an Express middleware that allows at most `max` requests per
+ * `windowMs` for each key. Requests are keyed by IP address, by the email in
+ * the request body, by the authenticated user id, or by a custom function.
+ * Requests for which no key can be derived (e.g. no email in the body) are
+ * not counted by that limiter.
+ *
+ * Every response carries the standard `RateLimit-Limit`, `RateLimit-Remaining`
+ * and `RateLimit-Reset` headers; rejected requests get `429 Too Many Requests`
+ * with a `Retry-After` header. If the store fails the request is let through
+ * (fail open) so a database hiccup does not take the API down.
+ *
+ * @function rateLimit
+ * @param {Object} options
+ * @param {string} options.name - Policy name, used to namespace the keys (routes sharing a name share the counters)
+ * @param {number} options.windowMs - Window length in milliseconds
+ * @param {number} options.max - Maximum requests per key and window
+ * @param {'ip'|'email'|'user'|function(import('express').Request): ?string} [options.keyBy='ip'] - How requests are keyed
+ * @param {MemoryStore|MongoStore} [options.store] - Counter store (defaults to `getDefaultStore()`)
+ * @param {string} [options.messageKey='common.tooManyRequests'] - Catalog key of the message sent with the 429 response
+ * @returns {import('express').RequestHandler} Rate limiting middleware
+ *
+ * @example
+ * const limiter = rateLimit({ name: 'register', windowMs: 60 * 60 * 1000, max: 5, keyBy: 'ip' });
+ * router.post('/register', limiter, register);
+ *
+ * @see {@link https://datatracker.ietf.org/doc/draft-ietf-httpapi-ratelimit-headers/} RateLimit header fields
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/HTTP/Status/429} HTTP 429 Too Many Requests
+ */
+const rateLimit = ({ name, windowMs, max, keyBy = 'ip', store, messageKey = 'common.tooManyRequests' }) => {
+  const getKey = typeof keyBy === 'function' ? keyBy : keyGenerators[keyBy];
+  if (!getKey) throw new Error(`Unknown rate limit key: ${keyBy}`);
+  const keyLabel = typeof keyBy === 'function' ? 'custom' : keyBy;
+
+  return async (req, res, next) => {
+    const clientKey = getKey(req);
+    if (!clientKey) return next();
+
+    let hit;
+    try {
+      hit = await (store || getDefaultStore()).increment(`${name}:${keyLabel}:${clientKey}`, windowMs);
+    } catch (error) {
+      console.error('Rate limit store error:', error.message);
+      return next();
+    }
+
+    const resetSeconds = Math.max(0, Math.ceil((hit.resetAt.getTime() - Date.now()) / 1000));
+    res.set('RateLimit-Limit', String(max));
+    res.set('RateLimit-Remaining', String(Math.max(0, max - hit.count)));
+    res.set('RateLimit-Reset', String(resetSeconds));
+
+    if (hit.count > max) {
+      res.set('Retry-After', String(resetSeconds));
+      return res.status(429).json({
+        success: false,
+        message: getTranslator(req)(messageKey),
+        errorType: 'rate_limited',
+        retryAfter: resetSeconds
+      });
+    }
+
+    next();
+  };
+};
+
+module.exports = { rateLimit, MemoryStore, MongoStore, getDefaultStore };
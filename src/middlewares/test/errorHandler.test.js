@@ -0,0 +1,56 @@
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { call } = require('../../testing/helpers');
+const { ConflictError } = require('../../utils/errors');
+const { notFoundHandler } = require('../errorHandler');
+
+describe('globalErrorHandler', () => {
+  it('renders thrown AppErrors with their status and errorType', async () => {
+    const res = await call(async () => {
+      throw new ConflictError('user.emailTaken', { errorType: 'email_taken' });
+    });
+
+    assert.equal(res.statusCode, 409);
+    assert.equal(res.body.success, false);
+    assert.equal(res.body.errorType, 'email_taken');
+    assert.equal(res.body.message, 'user.emailTaken');
+    assert.equal(res.body.path, '/test');
+  });
+
+  it('maps invalid ObjectIds to a 400', async () => {
+    const res = await call(async () => {
+      throw new mongoose.Error.CastError('ObjectId', 'nope', '_id');
+    });
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.errorType, 'invalid_id');
+    assert.deepEqual(res.body.details.map((d) => d.field), ['_id']);
+  });
+
+  it('hides unexpected errors behind a 500', async () => {
+    const log = mock.method(console, 'error', () => {});
+
+    const res = await call(async () => {
+      throw new Error('connection refused');
+    });
+    log.mock.restore();
+
+    assert.equal(res.statusCode, 500);
+    assert.equal(res.body.errorType, 'server_error');
+    assert.equal(res.body.message, 'common.serverError');
+    assert.match(log.mock.calls[0].arguments[1], /connection refused/);
+  });
+});
+
+describe('notFoundHandler', () => {
+  it('answers with the shared envelope', async () => {
+    const res = await call(notFoundHandler, { method: 'PUT', originalUrl: '/api/nowhere' });
+
+    assert.equal(res.statusCode, 404);
+    assert.equal(res.body.errorType, 'endpoint_not_found');
+    assert.equal(res.body.method, 'PUT');
+    assert.equal(res.body.path, '/api/nowhere');
+    assert.equal(res.body.availableEndpoints, undefined);
+  });
+});
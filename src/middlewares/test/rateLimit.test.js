@@ -0,0 +1,129 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { query, call } = require('../../testing/helpers');
+const RateLimit = require('../../models/rateLimit');
+const { rateLimit, MemoryStore, MongoStore } = require('../rateLimit');
+
+describe('MemoryStore', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('counts hits per key inside the window', async () => {
+    const store = new MemoryStore();
+
+    await store.increment('login:ip:1', 1000);
+    const second = await store.increment('login:ip:1', 1000);
+    const other = await store.increment('login:ip:2', 1000);
+
+    assert.equal(second.count, 2);
+    assert.equal(other.count, 1);
+    assert.ok(second.resetAt instanceof Date);
+  });
+
+  it('starts a new window once the last one is over and prunes expired keys', async () => {
+    const store = new MemoryStore();
+    const start = Date.now();
+    const now = mock.method(Date, 'now', () => start);
+
+    await store.increment('key', 1000);
+    await store.increment('key', 1000);
+    now.mock.mockImplementation(() => start + 1000);
+    const next = await store.increment('key', 1000);
+
+    assert.equal(next.count, 1);
+    assert.equal(next.resetAt.getTime(), start + 2000);
+
+    now.mock.mockImplementation(() => start + 2000);
+    store.prune();
+    assert.equal(store.hits.size, 0);
+  });
+
+  it('forgets a key on reset', async () => {
+    const store = new MemoryStore();
+    await store.increment('key', 1000);
+    await store.reset('key');
+
+    assert.equal((await store.increment('key', 1000)).count, 1);
+  });
+});
+
+describe('MongoStore', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('counts with a single atomic upsert', async () => {
+    const resetAt = new Date(Date.now() + 1000);
+    const update = mock.method(RateLimit, 'findOneAndUpdate', () => query({ count: 3, resetAt }));
+
+    const hit = await new MongoStore().increment('login:ip:1', 1000);
+
+    assert.deepEqual(hit, { count: 3, resetAt });
+    const [filter, pipeline, options] = update.mock.calls[0].arguments;
+    assert.deepEqual(filter, { key: 'login:ip:1' });
+    assert.ok(Array.isArray(pipeline));
+    assert.equal(options.upsert, true);
+  });
+
+  it('retries without upsert when a concurrent request created the key', async () => {
+    const resetAt = new Date(Date.now() + 1000);
+    let calls = 0;
+    const update = mock.method(RateLimit, 'findOneAndUpdate', () => {
+      calls += 1;
+      if (calls === 1) return Promise.reject(Object.assign(new Error('duplicate key'), { code: 11000 }));
+      return query({ count: 2, resetAt });
+    });
+
+    const hit = await new MongoStore().increment('key', 1000);
+
+    assert.equal(hit.count, 2);
+    assert.equal(update.mock.calls[1].arguments[2].upsert, undefined);
+  });
+
+  it('rethrows other errors', async () => {
+    mock.method(RateLimit, 'findOneAndUpdate', () => Promise.reject(new Error('down')));
+
+    await assert.rejects(new MongoStore().increment('key', 1000), /down/);
+  });
+});
+
+describe('rateLimit', () => {
+  const limiter = (options = {}) => rateLimit({ name: 'test', windowMs: 60000, max: 2, store: new MemoryStore(), ...options });
+
+  it('sets the RateLimit headers and rejects requests over the limit', async () => {
+    const middleware = limiter();
+
+    const first = await call(middleware);
+    await call(middleware);
+    const third = await call(middleware);
+
+    assert.equal(first.nextCalled, true);
+    assert.equal(first.headers['ratelimit-limit'], '2');
+    assert.equal(first.headers['ratelimit-remaining'], '1');
+    assert.equal(third.statusCode, 429);
+    assert.equal(third.body.errorType, 'rate_limited');
+    assert.equal(third.headers['retry-after'], '60');
+    assert.notEqual(third.nextCalled, true);
+  });
+
+  it('keeps separate counters per email and skips requests without one', async () => {
+    const middleware = limiter({ max: 1, keyBy: 'email' });
+
+    await call(middleware, { body: { email: 'Ana@Example.com' } });
+    const sameEmail = await call(middleware, { body: { email: ' ana@example.com ' } });
+    const otherEmail = await call(middleware, { body: { email: 'bob@example.com' } });
+    const noEmail = await call(middleware);
+
+    assert.equal(sameEmail.statusCode, 429);
+    assert.equal(otherEmail.nextCalled, true);
+    assert.equal(noEmail.nextCalled, true);
+    assert.equal(noEmail.headers['ratelimit-limit'], undefined);
+  });
+
+  it('lets requests through when the store fails', async () => {
+    const store = { increment: async () => { throw new Error('down'); } };
+    mock.method(console, 'error', () => {});
+
+    const res = await call(limiter({ store }));
+
+    assert.equal(res.nextCalled, true);
+    mock.restoreAll();
+  });
+});
@@ -0,0 +1,85 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { call } = require('../../testing/helpers');
+const { validate } = require('../validate');
+const { registerSchema, disableTwoFactorSchema } = require('../../apps/user/validators/validators');
+const { editTaskSchema, getUserTasksSchema } = require('../../apps/task/validators/validators');
+
+const taskId = '64b0000000000000000000a1';
+
+const check = (schema, request) => call(validate(schema), request);
+
+describe('validate', () => {
+  it('lets valid requests through untouched', async () => {
+    const body = { title: 'Dentist', status: 'to do', task_date: '2026-10-20T14:30:00Z', tags: [taskId], recurrence: { freq: 'weekly', byWeekday: [1] } };
+
+    const res = await check(editTaskSchema, { params: { id: taskId }, query: { scope: 'future' }, body });
+
+    assert.equal(res.nextCalled, true);
+    assert.equal(res.body, undefined);
+    assert.equal(res.req.body, body);
+  });
+
+  it('reports every failing field, with the first one as the message', async () => {
+    const res = await check(registerSchema, {
+      body: { email: 'not-an-email', password: 'short', passwordCheck: 'other', name: '', age: '10' }
+    });
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.errorType, 'validation_error');
+    assert.equal(res.body.message, 'validation.email');
+    assert.deepEqual(res.body.details.map(({ field, rule }) => [field, rule]), [
+      ['email', 'email'],
+      ['password', 'minLength'],
+      ['passwordCheck', 'equals'],
+      ['name', 'required'],
+      ['age', 'min']
+    ]);
+    assert.equal(res.body.details[1].message, 'password.tooShort {"min":8}');
+    assert.ok(res.body.details.every(({ location }) => location === 'body'));
+  });
+
+  it('checks params and query before the body', async () => {
+    const res = await check(editTaskSchema, { params: { id: 'nope' }, query: { scope: 'all' }, body: {} });
+
+    assert.deepEqual(res.body.details.map(({ field, location }) => `${location}.${field}`), [
+      'params.id',
+      'query.scope',
+      'body.title',
+      'body.status',
+      'body.task_date'
+    ]);
+  });
+
+  it('names the nested field that failed', async () => {
+    const res = await check(editTaskSchema, {
+      params: { id: taskId },
+      body: { title: 'Gym', status: 'to do', task_date: '2026-10-20', recurrence: { freq: 'hourly' }, tags: ['x'] }
+    });
+
+    assert.deepEqual(res.body.details.map(({ field, rule }) => [field, rule]), [['recurrence.freq', 'enum'], ['tags', 'items']]);
+    assert.equal(res.body.details[1].message, 'tag.invalidIds');
+  });
+
+  it('reads numbers, booleans and dates from query strings', async () => {
+    const valid = await check(getUserTasksSchema, { query: { limit: '20', includeTotal: 'true', date: '2026-10-20', sort: '-priority,date' } });
+    const invalid = await check(getUserTasksSchema, { query: { limit: '500', includeTotal: 'yes', date: 'someday', sort: 'color' } });
+
+    assert.equal(valid.nextCalled, true);
+    assert.deepEqual(invalid.body.details.map(({ field, rule }) => [field, rule]), [
+      ['sort', 'pattern'],
+      ['date', 'date'],
+      ['limit', 'max'],
+      ['includeTotal', 'boolean']
+    ]);
+  });
+
+  it('requires one of several fields with atLeastOne', async () => {
+    const missing = await check(disableTwoFactorSchema, { body: { password: 'secret' } });
+    const given = await check(disableTwoFactorSchema, { body: { password: 'secret', recoveryCode: 'abcd-efgh' } });
+
+    assert.equal(missing.statusCode, 400);
+    assert.match(missing.body.message, /^twoFactor\.disableRequirements/);
+    assert.equal(given.nextCalled, true);
+  });
+});
@@ -0,0 +1,169 @@
+const { ValidationError } = require('../utils/errors');
+const { getTranslator } = require('../i18n');
+const { isValidTimeZone } = require('../utils/dates');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Request parts a schema can describe, in the order they are checked
+const LOCATIONS = ['params', 'query', 'body'];
+
+/**
+ * Checks whether a value counts as "not provided"
+ *
+ * `undefined`, `null` and blank strings are all treated as missing, like the
+ * `if (!field)` checks the controllers used to do.
+ *
+ * @param {any} value
+ * @returns {boolean}
+ */
+const isEmpty = (value) => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+// Type checks; numbers, booleans and dates may arrive as strings (query string, form data)
+const typeCheckers = {
+  string: (value) => typeof value === 'string',
+  number: (value) => (typeof value === 'number' || typeof value === 'string') && value !== '' && Number.isFinite(Number(value)),
+  integer: (value) => (typeof value === 'number' || typeof value === 'string') && value !== '' && Number.isInteger(Number(value)),
+  boolean: (value) => typeof value === 'boolean' || value === 'true' || value === 'false',
+  date: (value) => (typeof value === 'string' || typeof value === 'number') && !Number.isNaN(new Date(value).getTime()),
+  objectId: (value) => typeof value === 'string' && /^[a-f\d]{24}$/i.test(value),
+  email: (value) => typeof value === 'string' && EMAIL_PATTERN.test(value.trim()),
+  timeZone: (value) => isValidTimeZone(value),
+  array: (value) => Array.isArray(value),
+  object: (value) => typeof value === 'object' && value !== null && !Array.isArray(value)
+};
+
+/**
+ * Validates one field against its rule
+ *
+ * @param {any} value - Value received
+ * @param {Object} rule - Field rule (see `validate`)
+ * @param {Object} source - Whole request part the field belongs to (for cross-field rules)
+ * @returns {{ rule: string, key: string, params?: Object, path?: string }|null} First failed check,
+ *   or `null`; `path` names the nested field that failed inside an object
+ */
+const checkField = (value, rule, source) => {
+  const messages = rule.messages || {};
+  const fail = (name, params) => ({ rule: name, key: messages[name] || `validation.${name}`, params });
+
+  if (isEmpty(value)) {
+    if (rule.required) return fail('required');
+    if (rule.requiredWith && !isEmpty(source[rule.requiredWith])) return fail('requiredWith', { field: rule.requiredWith });
+    return null;
+  }
+
+  if (rule.type && !typeCheckers[rule.type](value)) return fail(rule.type);
+
+  if (rule.type === 'array' && rule.items) {
+    const invalid = value.find((item) => checkField(item, { required: true, ...rule.items }, source));
+    if (invalid !== undefined) return fail('items');
+  }
+
+  if (rule.type === 'object' && rule.fields) {
+    for (const [name, fieldRule] of Object.entries(rule.fields)) {
+      const failure = checkField(value[name], fieldRule, value);
+      if (failure) return { ...failure, path: failure.path ? `${name}.${failure.path}` : name };
+    }
+  }
+
+  const length = typeof value === 'string' || Array.isArray(value) ? value.length : undefined;
+  if (rule.minLength !== undefined && length !== undefined && length < rule.minLength) return fail('minLength', { min: rule.minLength });
+  if (rule.maxLength !== undefined && length !== undefined && length > rule.maxLength) return fail('maxLength', { max: rule.maxLength });
+
+  if (rule.min !== undefined && Number(value) < rule.min) return fail('min', { min: rule.min });
+  if (rule.max !== undefined && Number(value) > rule.max) return fail('max', { max: rule.max });
+
+  if (rule.enum && !rule.enum.includes(value)) return fail('enum', { values: rule.enum.join(', ') });
+  if (rule.pattern && !rule.pattern.test(String(value))) return fail('pattern');
+
+  if (rule.equals && value !== source[rule.equals]) return fail('equals', { field: rule.equals });
+  if (rule.notEquals && value === source[rule.notEquals]) return fail('notEquals', { field: rule.notEquals });
+
+  return null;
+};
+
+/**
+ * Request validation middleware factory
+ *
+ * Checks `req.params`, `req.query` and `req.body` against a declarative
+ * schema before the controller runs. Every failing field is reported, and
+ * the request is rejected with a `ValidationError` whose `details` list them
+ * (`{ field, location, rule, message }`); the top-level message is the one of
+ * the first failing field. Values are only checked, never rewritten.
+ *
+ * Field rules:
+ * - `type`: 'string' | 'number' | 'integer' | 'boolean' | 'date' | 'objectId' | 'email' | 'timeZone'
+ *   (IANA name) | 'array' | 'object'
+ * - `required`: the field must be present and not blank
+ * - `requiredWith`: the field becomes required when the named sibling is present
+ * - `minLength` / `maxLength`: string or array length
+ * - `min` / `max`: numeric bounds
+ * - `enum`: allowed values
+ * - `pattern`: regular expression the value must match
+ * - `equals` / `notEquals`: must (not) be equal to the named sibling field
+ * - `items`: rule applied to every element of an array
+ * - `fields`: rules of the properties of an object (failures are reported as
+ *   `parent.child`)
+ * - `messages`: catalog keys overriding the default message of a check
+ *   (e.g. `{ min: 'user.tooYoung' }`)
+ *
+ * A schema may also declare `atLeastOne: { in, fields, message }` to require
+ * that at least one of several fields is provided.
+ *
+ * @function validate
+ * @param {Object} schema
+ * @param {Object<string, Object>} [schema.params] - Rules for route parameters
+ * @param {Object<string, Object>} [schema.query] - Rules for query string parameters
+ * @param {Object<string, Object>} [schema.body] - Rules for the JSON body
+ * @param {{ in: 'params'|'query'|'body', fields: string[], message?: string }} [schema.atLeastOne]
+ * @returns {import('express').RequestHandler} Validation middleware
+ *
+ * @example
+ * const createTaskSchema = {
+ *   body: {
+ *     title: { type: 'string', required: true, maxLength: 50 },
+ *     status: { type: 'string', required: true, enum: ['to do', 'in process', 'finished'] }
+ *   }
+ * };
+ * router.post('/new', authenticateToken, validate(createTaskSchema), asyncHandler(createTask));
+ */
+const validate = (schema) => (req, res, next) => {
+  const t = getTranslator(req);
+  const details = [];
+
+  for (const location of LOCATIONS) {
+    const rules = schema[location];
+    if (!rules) continue;
+
+    const source = req[location] || {};
+    for (const [field, rule] of Object.entries(rules)) {
+      const failure = checkField(source[field], rule, source);
+      if (failure) {
+        const path = failure.path ? `${field}.${failure.path}` : field;
+        details.push({ field: path, location, rule: failure.rule, key: failure.key, params: failure.params });
+      }
+    }
+  }
+
+  if (schema.atLeastOne && details.length === 0) {
+    const { in: location = 'body', fields, message = 'validation.atLeastOne' } = schema.atLeastOne;
+    const source = req[location] || {};
+    if (fields.every((field) => isEmpty(source[field]))) {
+      details.push({ field: fields.join('|'), location, rule: 'atLeastOne', key: message, params: { fields: fields.join(', ') } });
+    }
+  }
+
+  if (details.length === 0) return next();
+
+  const [first] = details;
+  next(new ValidationError(first.key, {
+    params: first.params,
+    details: details.map(({ field, location, rule, key, params }) => ({
+      field,
+      location,
+      rule,
+      message: t(key, params)
+    }))
+  }));
+};
+
+module.exports = { validate, EMAIL_PATTERN };
@@ -0,0 +1,26 @@
+const { Schema, model } = require('mongoose');
+
+/**
+ * Mongoose schema for RateLimit counters
+ *
+ * One document per rate-limit key (policy prefix + client key) holding the
+ * hit count of the current window. MongoDB removes the document once the
+ * window is over through the TTL index on `resetAt`.
+ *
+ * Used by the `MongoStore` of the rate limiting middleware.
+ *
+ * @type {mongoose.Schema<RateLimitDocument>}
+ *
+ * @see {@link https://www.mongodb.com/docs/manual/core/index-ttl/|MongoDB TTL Indexes}
+ */
+const RateLimitSchema = new Schema(
+    {
+    "key": { type: String, required: true, unique: true },
+    "count": { type: Number, default: 0 },
+    "resetAt": { type: Date, required: true }
+    }
+)
+
+RateLimitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = model('RateLimit', RateLimitSchema)
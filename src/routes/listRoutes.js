@@ -0,0 +1,54 @@
+const express = require('express');
+const { getLists, createList, getListById, updateList, deleteList } = require('../apps/list/controllers/controllers');
+const { loadList } = require('../apps/list/middlewares/middlewares');
+const { authenticateToken } = require('../middlewares/auth');
+const asyncHandler = require('../utils/asyncHandler');
+const { validate } = require('../middlewares/validate');
+const { getListsSchema, createListSchema, updateListSchema, listIdSchema, deleteListSchema } = require('../apps/list/validators/validators');
+
+const router = express.Router();
+
+/**
+ * @route GET /lists
+ * @group Lists - Task lists / projects
+ * @summary Get user's lists
+ * @description Lists of the authenticated user in their chosen order, with the number of tasks in each. Archived lists only with `archived=true|all`.
+ * @security JWT
+ */
+router.get('/', authenticateToken, validate(getListsSchema), asyncHandler(getLists));
+
+/**
+ * @route POST /lists
+ * @group Lists - Task lists / projects
+ * @summary Create a list
+ * @security JWT
+ */
+router.post('/', authenticateToken, validate(createListSchema), asyncHandler(createList));
+
+/**
+ * @route GET /lists/{id}
+ * @group Lists - Task lists / projects
+ * @summary Get a list
+ * @security JWT
+ */
+router.get('/:id', authenticateToken, validate(listIdSchema), loadList, asyncHandler(getListById));
+
+/**
+ * @route PUT /lists/{id}
+ * @group Lists - Task lists / projects
+ * @summary Update a list
+ * @description Renames, recolors, archives/unarchives or reorders a list.
+ * @security JWT
+ */
+router.put('/:id', authenticateToken, validate(updateListSchema), loadList, asyncHandler(updateList));
+
+/**
+ * @route DELETE /lists/{id}
+ * @group Lists - Task lists / projects
+ * @summary Delete a list
+ * @description Deletes a list. `tasks=move` (default) moves its tasks to the list in `moveTo` (or out of any list); `tasks=delete` deletes them.
+ * @security JWT
+ */
+router.delete('/:id', authenticateToken, validate(deleteListSchema), loadList, asyncHandler(deleteList));
+
+module.exports = router;
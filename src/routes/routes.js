@@ -1,6 +1,8 @@
 const express = require("express");
 const userRoutes = require("./userRoutes");
 const taskRoutes = require("./taskRoutes");
+const listRoutes = require("./listRoutes");
+const tagRoutes = require("./tagRoutes");
 
 const router = express.Router();
 
@@ -10,4 +12,10 @@ router.use("/api/users", userRoutes);
 // Task routes (create and get tasks)
 router.use("/api/task", taskRoutes);
 
+// List routes (group tasks into lists / projects)
+router.use("/api/lists", listRoutes);
+
+// Tag routes (labels attachable to tasks)
+router.use("/api/tags", tagRoutes);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,47 @@
+const express = require('express');
+const { getTags, createTag, updateTag, deleteTag } = require('../apps/tag/controllers/controllers');
+const { loadTag } = require('../apps/tag/middlewares/middlewares');
+const { authenticateToken } = require('../middlewares/auth');
+const asyncHandler = require('../utils/asyncHandler');
+const { validate } = require('../middlewares/validate');
+const { createTagSchema, updateTagSchema, tagIdSchema } = require('../apps/tag/validators/validators');
+
+const router = express.Router();
+
+/**
+ * @route GET /tags
+ * @group Tags - Task labels
+ * @summary Get user's tags
+ * @description Tags of the authenticated user sorted by name, with the number of tasks using each one.
+ * @security JWT
+ */
+router.get('/', authenticateToken, asyncHandler(getTags));
+
+/**
+ * @route POST /tags
+ * @group Tags - Task labels
+ * @summary Create a tag
+ * @description Creates a tag with a name (unique per user, case-insensitive) and an optional color.
+ * @security JWT
+ */
+router.post('/', authenticateToken, validate(createTagSchema), asyncHandler(createTag));
+
+/**
+ * @route PUT /tags/{id}
+ * @group Tags - Task labels
+ * @summary Rename or recolor a tag
+ * @description Every task using the tag reflects the change.
+ * @security JWT
+ */
+router.put('/:id', authenticateToken, validate(updateTagSchema), loadTag, asyncHandler(updateTag));
+
+/**
+ * @route DELETE /tags/{id}
+ * @group Tags - Task labels
+ * @summary Delete a tag
+ * @description Deletes the tag and removes it from every task that used it.
+ * @security JWT
+ */
+router.delete('/:id', authenticateToken, validate(tagIdSchema), loadTag, asyncHandler(deleteTag));
+
+module.exports = router;
@@ -1,18 +1,65 @@
 const express = require('express');
-const { createTask, getUserTasks, getTasksByDate, getTodayTasks, edit, getTaskById, deleteTask} = require('../apps/task/controllers/controllers');
-//const authMiddleware = require('../apps/task/middlewares/middlewares');
+const { createTask, getUserTasks, searchTasks, getCalendar, createFeed, rotateFeed, getFeed, getTasksByDate, getTodayTasks, edit, getTaskById, deleteTask, addCollaborator, getCollaborators, removeCollaborator, addChecklistItem, updateChecklistItem, reorderChecklist, deleteChecklistItem} = require('../apps/task/controllers/controllers');
+const { loadTask } = require('../apps/task/middlewares/middlewares');
 const { authenticateToken } = require('../middlewares/auth');
+const asyncHandler = require('../utils/asyncHandler');
+const { validate } = require('../middlewares/validate');
+const { getUserTasksSchema, searchTasksSchema, calendarSchema, feedSchema, createTaskSchema, editTaskSchema, taskIdSchema, tasksByDateSchema, addCollaboratorSchema, removeCollaboratorSchema, addChecklistItemSchema, updateChecklistItemSchema, reorderChecklistSchema, checklistItemSchema } = require('../apps/task/validators/validators');
 
 const router = express.Router();
 
 /**
  * @route GET /tasks
  * @group Tasks - Task management operations  
- * @summary Get user's tasks (optimized ≤ 500ms)
- * @description Retrieves tasks for authenticated user with filtering and pagination
+ * @summary Get user's tasks (cursor pagination with sort=date)
+ * @description Retrieves tasks for authenticated user with filtering and pagination. `scope=shared|all` includes tasks shared with the user. By default overdue tasks come first, then by priority; this and other sorts such as `sort=-priority,date` are paginated with `page`. `sort=date` (oldest first) and `sort=-date` are walked with the `after`/`before` cursors unless `page` is given, an index-backed order whose cost does not grow with depth. `includeTotal=true` adds the total count.
  * @security JWT
  */
-router.get('/', authenticateToken, getUserTasks);
+router.get('/', authenticateToken, validate(getUserTasksSchema), asyncHandler(getUserTasks));
+
+/**
+ * @route GET /tasks/search
+ * @group Tasks - Task management operations
+ * @summary Search tasks
+ * @description Full-text search on title and detail (`q` supports "phrases" and -exclusions), ranked by relevance, with highlighted snippets. Combines with `status`, `date` and `scope`.
+ * @security JWT
+ */
+router.get('/search', authenticateToken, validate(searchTasksSchema), asyncHandler(searchTasks));
+
+/**
+ * @route GET /tasks/calendar
+ * @group Tasks - Task management operations
+ * @summary Get tasks grouped by calendar period
+ * @description Tasks between the days `from` and `to` grouped by `granularity=day|week|month` in the user's time zone, with per-status counts for every period. A month view needs a single request.
+ * @security JWT
+ */
+router.get('/calendar', authenticateToken, validate(calendarSchema), asyncHandler(getCalendar));
+
+/**
+ * @route POST /tasks/feed
+ * @group Tasks - Task management operations
+ * @summary Create the iCalendar feed URL
+ * @description Returns the secret URL of the user's task feed, to subscribe to from a calendar app. Shown only once; 409 if a feed already exists.
+ * @security JWT
+ */
+router.post('/feed', authenticateToken, asyncHandler(createFeed));
+
+/**
+ * @route POST /tasks/feed/rotate
+ * @group Tasks - Task management operations
+ * @summary Rotate the iCalendar feed URL
+ * @description Issues a new secret feed URL and revokes the previous one.
+ * @security JWT
+ */
+router.post('/feed/rotate', authenticateToken, asyncHandler(rotateFeed));
+
+/**
+ * @route GET /tasks/feed/:token.ics
+ * @group Tasks - Task management operations
+ * @summary iCalendar feed of the user's tasks
+ * @description RFC 5545 calendar of the token owner's tasks, without authentication (the token is the credential). `type=todo` writes to-dos instead of events.
+ */
+router.get('/feed/:token.ics', validate(feedSchema), asyncHandler(getFeed));
 
 /**
  * @route POST /tasks/new
@@ -20,7 +67,7 @@ router.get('/', authenticateToken, getUserTasks);
  * @summary Create a new task
  * @security JWT
  */
-router.post('/new', authenticateToken, createTask);
+router.post('/new', authenticateToken, validate(createTaskSchema), asyncHandler(createTask));
 
 /**
  * @route POST /tasks/by-date
@@ -29,7 +76,7 @@ router.post('/new', authenticateToken, createTask);
  * @description Retrieves all tasks for the authenticated user scheduled on a given date.
  * @security JWT
  */
-router.post('/by-date', authenticateToken, getTasksByDate);
+router.post('/by-date', authenticateToken, validate(tasksByDateSchema), asyncHandler(getTasksByDate));
 
 /**
  * @route POST /tasks/today
@@ -38,15 +85,16 @@ router.post('/by-date', authenticateToken, getTasksByDate);
  * @description Retrieves all tasks for the authenticated user that are scheduled for today.
  * @security JWT
  */
-router.post('/today', authenticateToken, getTodayTasks);
+router.post('/today', authenticateToken, asyncHandler(getTodayTasks));
 
 /**
  * @route PUT /tasks/update
  * @group Tasks - Task management operations
  * @summary Update a task
+ * @description For recurring tasks, `scope=this|future` and `occurrence=<date>` select the occurrences edited.
  * @security JWT
  */
-router.put('/edit/:id', authenticateToken, edit);
+router.put('/edit/:id', authenticateToken, validate(editTaskSchema), loadTask('edit'), asyncHandler(edit));
 
 /**
  * @route PUT /tasks/edit/{id}
@@ -54,7 +102,7 @@ router.put('/edit/:id', authenticateToken, edit);
  * @summary Edit an existing task
  * @security JWT
  */
-router.get('/get-task/:id',authenticateToken, getTaskById);
+router.get('/get-task/:id',authenticateToken, validate(taskIdSchema), loadTask('view'), asyncHandler(getTaskById));
 
 /**
  * @route DELETE /tasks/delete/{id}
@@ -62,6 +110,68 @@ router.get('/get-task/:id',authenticateToken, getTaskById);
  * @summary Delete a task
  * @security JWT
  */
-router.delete('/delete/:id', authenticateToken, deleteTask);
+router.delete('/delete/:id', authenticateToken, validate(taskIdSchema), loadTask('delete'), asyncHandler(deleteTask));
+
+/**
+ * @route POST /tasks/{id}/collaborators
+ * @group Tasks - Task management operations
+ * @summary Share a task
+ * @description Shares the task with a registered user (by email) as viewer or editor, or changes their role. Owner only.
+ * @security JWT
+ */
+router.post('/:id/collaborators', authenticateToken, validate(addCollaboratorSchema), loadTask('share'), asyncHandler(addCollaborator));
+
+/**
+ * @route GET /tasks/{id}/collaborators
+ * @group Tasks - Task management operations
+ * @summary List collaborators
+ * @description Lists the owner and collaborators of a task the user can see.
+ * @security JWT
+ */
+router.get('/:id/collaborators', authenticateToken, validate(taskIdSchema), loadTask('view'), asyncHandler(getCollaborators));
+
+/**
+ * @route DELETE /tasks/{id}/collaborators/{userId}
+ * @group Tasks - Task management operations
+ * @summary Remove a collaborator
+ * @description Stops sharing the task with a user. The owner can remove anyone; collaborators can remove themselves.
+ * @security JWT
+ */
+router.delete('/:id/collaborators/:userId', authenticateToken, validate(removeCollaboratorSchema), loadTask('view'), asyncHandler(removeCollaborator));
+
+/**
+ * @route POST /tasks/{id}/checklist
+ * @group Tasks - Task management operations
+ * @summary Add a checklist item
+ * @description Appends an item (or inserts it at `position`). Owner and editors.
+ * @security JWT
+ */
+router.post('/:id/checklist', authenticateToken, validate(addChecklistItemSchema), loadTask('edit'), asyncHandler(addChecklistItem));
+
+/**
+ * @route PUT /tasks/{id}/checklist/order
+ * @group Tasks - Task management operations
+ * @summary Reorder the checklist
+ * @description Takes the ids of all items in their new order. Owner and editors.
+ * @security JWT
+ */
+router.put('/:id/checklist/order', authenticateToken, validate(reorderChecklistSchema), loadTask('edit'), asyncHandler(reorderChecklist));
+
+/**
+ * @route PATCH /tasks/{id}/checklist/{itemId}
+ * @group Tasks - Task management operations
+ * @summary Toggle or edit a checklist item
+ * @description Sets `done` and/or the `text` of an item; a body with neither toggles `done`. Owner and editors.
+ * @security JWT
+ */
+router.patch('/:id/checklist/:itemId', authenticateToken, validate(updateChecklistItemSchema), loadTask('edit'), asyncHandler(updateChecklistItem));
+
+/**
+ * @route DELETE /tasks/{id}/checklist/{itemId}
+ * @group Tasks - Task management operations
+ * @summary Delete a checklist item
+ * @security JWT
+ */
+router.delete('/:id/checklist/:itemId', authenticateToken, validate(checklistItemSchema), loadTask('edit'), asyncHandler(deleteChecklistItem));
 
 module.exports = router;
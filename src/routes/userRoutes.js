@@ -1,8 +1,11 @@
 const express = require('express');
-const { loginLimiter, handleMulterError} = require('../apps/user/middlewares/middlewares');
-const { login, logout, requestPasswordReset, resetPassword, validateResetToken, resendResetToken, register, update, uploadProfilePicture, getData, deleteUser } = require('../apps/user/controllers/controllers');
+const { loginLimiter, registerLimiter, passwordResetLimiter, resendVerificationLimiter, handleMulterError} = require('../apps/user/middlewares/middlewares');
+const { unlockAccount, verifyEmail, resendVerificationEmail, login, refresh, enrollTwoFactor, confirmTwoFactor, disableTwoFactor, regenerateRecoveryCodes, verifyTwoFactorLogin, logout, logoutAll, getSessions, revokeSession, requestPasswordReset, resetPassword, validateResetToken, resendResetToken, register, update, uploadProfilePicture, getData, deleteUser } = require('../apps/user/controllers/controllers');
 //const loginLimiter = require('../apps/user/middlewares/middlewares');
 const { authenticateToken } = require('../middlewares/auth');
+const asyncHandler = require('../utils/asyncHandler');
+const { validate } = require('../middlewares/validate');
+const { registerSchema, loginSchema, refreshSchema, logoutSchema, logoutAllSchema, twoFactorCodeSchema, disableTwoFactorSchema, verifyTwoFactorSchema, emailOnlySchema, updateSchema, resetPasswordSchema, tokenParamSchema, sessionIdSchema } = require('../apps/user/validators/validators');
 const { upload } = require('../config/cloudinary');
 
 const router = express.Router();
@@ -14,7 +17,23 @@ const router = express.Router();
  * @description Authenticates a user with email and password. Includes rate limiting to prevent brute force attacks.
  */
 // Login route
-router.post('/login', loginLimiter, login); // LoginTime disable
+router.post('/login', loginLimiter, validate(loginSchema), asyncHandler(login)); // LoginTime disable
+
+/**
+ * @route POST /2fa/verify
+ * @group Authentication - User authentication operations
+ * @summary Complete a two-factor login
+ * @description Exchanges the challenge token returned by /login plus a TOTP code or a recovery code for the access and refresh tokens. Rate limited like /login.
+ */
+router.post('/2fa/verify', loginLimiter, validate(verifyTwoFactorSchema), asyncHandler(verifyTwoFactorLogin));
+
+/**
+ * @route POST /refresh
+ * @group Authentication - User authentication operations
+ * @summary Refresh access token
+ * @description Exchanges a refresh token for a new access token. The refresh token is rotated on every use and reusing an old one revokes the whole token family.
+ */
+router.post('/refresh', validate(refreshSchema), asyncHandler(refresh));
 
 /**
  * @route POST /logout
@@ -23,18 +42,50 @@ router.post('/login', loginLimiter, login); // LoginTime disable
  * @description Logs out an authenticated user. Requires valid JWT token.
  */
 // Logout route
-router.post('/logout', authenticateToken, logout);
+router.post('/logout', authenticateToken, validate(logoutSchema), asyncHandler(logout));
+
+/**
+ * @route POST /logout-all
+ * @group Authentication - User authentication operations
+ * @summary Log out everywhere
+ * @description Invalidates every token of the authenticated user issued before the given `before` moment (defaults to now).
+ */
+router.post('/logout-all', authenticateToken, validate(logoutAllSchema), asyncHandler(logoutAll));
 
 /**
  * @route POST /register
  * @group Authentication - User authentication operations
  * @summary User registration endpoint
- * @description Creates a new user account with provided information.
+ * @description Creates a new user account with provided information. Rate limited per IP.
  */
 //Register route
-router.post('/register', register);
+router.post('/register', registerLimiter, validate(registerSchema), asyncHandler(register));
+
+/**
+ * @route GET /unlock/:token
+ * @group Authentication - User authentication operations
+ * @summary Unlock account
+ * @description Lifts the temporary lock applied after repeated failed logins, using the link emailed to the user.
+ */
+router.get('/unlock/:token', validate(tokenParamSchema), asyncHandler(unlockAccount));
 
-router.get('/get-info', authenticateToken, getData);
+/**
+ * @route GET /verify-email/:token
+ * @group Authentication - User authentication operations
+ * @summary Verify email address
+ * @description Marks the account's email as verified using the signed link sent after registration or an email change.
+ */
+router.get('/verify-email/:token', validate(tokenParamSchema), asyncHandler(verifyEmail));
+
+/**
+ * @route POST /resend-verification
+ * @group Authentication - User authentication operations
+ * @summary Resend verification email
+ * @description Sends a new verification link to an unverified account. Rate limited per IP and per account.
+ */
+router.post('/resend-verification', resendVerificationLimiter, validate(emailOnlySchema), asyncHandler(resendVerificationEmail));
+
+router.get('/get-info', authenticateToken, asyncHandler(getData));
 
 /**
  * @route PUT /update
@@ -42,7 +93,7 @@ router.get('/get-info', authenticateToken, getData);
  * @summary Update user profile
  * @description Allows an authenticated user to update their account information. Requires a valid Bearer token.
  */
-router.put('/update', authenticateToken, update);
+router.put('/update', authenticateToken, validate(updateSchema), asyncHandler(update));
 
 /**
  * @route PUT /upload-pfp
@@ -50,16 +101,16 @@ router.put('/update', authenticateToken, update);
  * @summary Upload user profile picture
  * @description Allows an authenticated user to upload or replace their profile picture.
  */
-router.put('/upload-pfp', authenticateToken, upload.single('profilePicture'), handleMulterError, uploadProfilePicture);
+router.put('/upload-pfp', authenticateToken, upload.single('profilePicture'), handleMulterError, asyncHandler(uploadProfilePicture));
 
 // Routes for password reset
 /**
  * @route POST /request-reset
  * @group Password Reset - Password reset operations
  * @summary Request password reset
- * @description Initiates password reset process by sending a reset token to user's email.
+ * @description Initiates password reset process by sending a reset token to user's email. Rate limited per IP and per email.
  */
-router.post('/request-reset', requestPasswordReset);
+router.post('/request-reset', passwordResetLimiter, validate(emailOnlySchema), asyncHandler(requestPasswordReset));
 
 /**
  * @route GET /validate-token/:token
@@ -67,7 +118,7 @@ router.post('/request-reset', requestPasswordReset);
  * @summary Validate reset token
  * @description Validates if a password reset token is valid and not expired.
  */
-router.get('/validate-token/:token', validateResetToken);
+router.get('/validate-token/:token', validate(tokenParamSchema), asyncHandler(validateResetToken));
 
 /**
  * @route POST /reset-password
@@ -75,15 +126,63 @@ router.get('/validate-token/:token', validateResetToken);
  * @summary Reset user password
  * @description Resets user password using a valid reset token.
  */
-router.post('/reset-password', resetPassword);
+router.post('/reset-password', validate(resetPasswordSchema), asyncHandler(resetPassword));
 
 /**
- * @route POST /reset-password
+ * @route POST /resend-reset
  * @group Password Reset - Password reset operations
- * @summary Reset user password
- * @description Resets user password using a valid reset token.
+ * @summary Resend reset link
+ * @description Sends a new password reset link, replacing any previous one. Shares the rate limits of /request-reset.
+ */
+router.post('/resend-reset', passwordResetLimiter, validate(emailOnlySchema), asyncHandler(resendResetToken));
+
+/**
+ * @route POST /2fa/enroll
+ * @group User - User account operations
+ * @summary Start two-factor enrollment
+ * @description Generates a TOTP secret for the authenticated user and returns it with an otpauth URI for authenticator apps.
+ */
+router.post('/2fa/enroll', authenticateToken, asyncHandler(enrollTwoFactor));
+
+/**
+ * @route POST /2fa/confirm
+ * @group User - User account operations
+ * @summary Confirm two-factor enrollment
+ * @description Enables 2FA after validating a first code from the authenticator app. Returns the initial recovery codes.
+ */
+router.post('/2fa/confirm', authenticateToken, validate(twoFactorCodeSchema), asyncHandler(confirmTwoFactor));
+
+/**
+ * @route POST /2fa/disable
+ * @group User - User account operations
+ * @summary Disable two-factor authentication
+ * @description Turns 2FA off. Requires the password and a TOTP code or a recovery code.
+ */
+router.post('/2fa/disable', authenticateToken, validate(disableTwoFactorSchema), asyncHandler(disableTwoFactor));
+
+/**
+ * @route POST /2fa/recovery-codes
+ * @group User - User account operations
+ * @summary Generate new recovery codes
+ * @description Replaces the one-time recovery codes with a new set. Requires a current TOTP code.
+ */
+router.post('/2fa/recovery-codes', authenticateToken, validate(twoFactorCodeSchema), asyncHandler(regenerateRecoveryCodes));
+
+/**
+ * @route GET /sessions
+ * @group User - User account operations
+ * @summary List active sessions
+ * @description Lists the devices where the authenticated user is signed in, with user agent, IP, creation and last-seen times.
+ */
+router.get('/sessions', authenticateToken, asyncHandler(getSessions));
+
+/**
+ * @route DELETE /sessions/:id
+ * @group User - User account operations
+ * @summary Revoke a session
+ * @description Signs out one of the authenticated user's sessions, revoking its refresh and access tokens.
  */
-router.post('/resend-reset', resendResetToken);
+router.delete('/sessions/:id', authenticateToken, validate(sessionIdSchema), asyncHandler(revokeSession));
 
 /**
  * @route DELETE /delete-account
@@ -91,6 +190,6 @@ router.post('/resend-reset', resendResetToken);
  * @summary Delete user account
  * @description Permanently deletes the authenticated user's account and all associated data including tasks and profile picture. This action cannot be undone.
  */
-router.delete('/delete-account', authenticateToken, deleteUser);
+router.delete('/delete-account', authenticateToken, asyncHandler(deleteUser));
 
 module.exports = router;
@@ -0,0 +1,126 @@
+/**
+ * Shared helpers of the test suites
+ *
+ * Tests run with the built-in `node:test` runner (`npm test`) and never touch
+ * a database: model methods are replaced with `mock.method` and return plain
+ * objects through `query`.
+ */
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+/**
+ * Wraps a value in a fake Mongoose query
+ *
+ * Chain methods (`select`, `populate`, `lean`, `sort`...) return the query
+ * itself and awaiting it yields the value, so the code under test can use
+ * the same chains it uses against MongoDB.
+ *
+ * @param {any} value - Result of the query
+ * @returns {Promise<any> & Object}
+ */
+const query = (value) => {
+  const result = Promise.resolve(value);
+  for (const method of ['select', 'populate', 'lean', 'sort', 'skip', 'limit', 'session', 'cast', 'allowDiskUse', 'collation']) {
+    result[method] = () => result;
+  }
+  return result;
+};
+
+/**
+ * Builds a fake Express request
+ *
+ * `req.t` returns the message key (with its parameters), so tests can assert
+ * which message was chosen without depending on the catalog wording.
+ *
+ * @param {Object} [overrides] - Fields of the request
+ * @returns {Object}
+ */
+const createRequest = (overrides = {}) => ({
+  body: {},
+  params: {},
+  query: {},
+  headers: {},
+  protocol: 'https',
+  hostname: 'api.example.com',
+  baseUrl: '',
+  originalUrl: '/test',
+  ip: '127.0.0.1',
+  get(name) {
+    return name.toLowerCase() === 'host' ? this.hostname : this.headers[name.toLowerCase()];
+  },
+  t: (key, params) => (params ? `${key} ${JSON.stringify(params)}` : key),
+  ...overrides
+});
+
+/**
+ * Builds a fake Express response that records what was sent
+ *
+ * @param {Object} req - Request the response belongs to
+ * @returns {{ statusCode: number, body: any, headers: Object }}
+ */
+const createResponse = (req) => {
+  const res = {
+    req,
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    headersSent: false,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    set(name, value) {
+      this.headers[name.toLowerCase()] = value;
+      return this;
+    },
+    type(value) {
+      return this.set('content-type', value);
+    },
+    json(body) {
+      this.body = body;
+      this.headersSent = true;
+      return this;
+    },
+    send(body) {
+      this.body = body;
+      this.headersSent = true;
+      return this;
+    },
+    end() {
+      this.headersSent = true;
+      return this;
+    }
+  };
+  req.res = res;
+  return res;
+};
+
+/**
+ * Runs a route handler the way the router does
+ *
+ * Thrown errors are rendered by `globalErrorHandler`, as `asyncHandler`
+ * would do.
+ *
+ * @async
+ * @param {Function} handler - Controller or middleware
+ * @param {Object} [overrides] - Fields of the request
+ * @returns {Promise<{ statusCode: number, body: any, headers: Object, nextCalled?: boolean }>} The response
+ */
+const call = async (handler, overrides = {}) => {
+  const { globalErrorHandler } = require('../middlewares/errorHandler');
+  const req = createRequest(overrides);
+  const res = createResponse(req);
+  let nextError;
+  try {
+    await handler(req, res, (error) => {
+      res.nextCalled = true;
+      nextError = error;
+    });
+  } catch (error) {
+    nextError = error;
+  }
+  if (nextError) globalErrorHandler(nextError, req, res, () => {});
+  return res;
+};
+
+module.exports = { query, createRequest, createResponse, call };
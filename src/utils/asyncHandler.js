@@ -0,0 +1,22 @@
+/**
+ * Wraps an async route handler so thrown errors reach `globalErrorHandler`
+ *
+ * Lets controllers simply `throw` (e.g. a `NotFoundError`) instead of
+ * building the error response themselves. Express 5 already forwards
+ * rejected promises, but wrapping keeps the behaviour explicit and
+ * independent of the Express version.
+ *
+ * @function asyncHandler
+ * @param {function(import('express').Request, import('express').Response, import('express').NextFunction): Promise<any>} handler - Route handler
+ * @returns {import('express').RequestHandler} Handler that passes failures to `next`
+ *
+ * @example
+ * router.get('/get-task/:id', authenticateToken, asyncHandler(getTaskById));
+ */
+const asyncHandler = (handler) => (req, res, next) => {
+  Promise.resolve()
+    .then(() => handler(req, res, next))
+    .catch(next);
+};
+
+module.exports = asyncHandler;
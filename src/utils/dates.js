@@ -0,0 +1,273 @@
+/**
+ * Time zone aware date helpers
+ *
+ * Single place where "a day" is defined for task queries: a day is the span
+ * between two local midnights in the user's IANA time zone, so it lasts 23 or
+ * 25 hours across DST changes. Conversions rely on `Intl`, no offsets are
+ * hard-coded.
+ */
+
+// Zone of users who never set one and whose client sends none
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'America/Bogota';
+
+// Calendar periods tasks can be grouped by; weeks start on Monday (ISO 8601)
+const PERIOD_GRANULARITIES = ['day', 'week', 'month'];
+
+// Header clients may send with the device's zone (e.g. `X-Timezone: Europe/Madrid`)
+const TIMEZONE_HEADER = 'x-timezone';
+
+// Intl formatters are costly to build, so one is kept per zone
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+/**
+ * Checks that a value is a time zone name known to the runtime
+ *
+ * @function isValidTimeZone
+ * @param {any} timeZone - Candidate IANA zone name (e.g. 'America/Bogota')
+ * @returns {boolean}
+ */
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || timeZone === '') return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Reads the calendar fields of a moment in a time zone
+ *
+ * @function getZonedParts
+ * @param {Date} date - Moment
+ * @param {string} timeZone - IANA zone name
+ * @returns {{ year: number, month: number, day: number, hour: number, minute: number, second: number }}
+ *   Local fields (`month` from 1 to 12)
+ */
+const getZonedParts = (date, timeZone) => {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+    if (type !== 'literal') parts[type] = Number(value);
+  }
+  return parts;
+};
+
+/**
+ * Computes the offset of a time zone from UTC at a given moment
+ *
+ * @function getTimeZoneOffset
+ * @param {Date} date - Moment
+ * @param {string} timeZone - IANA zone name
+ * @returns {number} Offset in milliseconds (negative west of Greenwich)
+ */
+const getTimeZoneOffset = (date, timeZone) => {
+  const p = getZonedParts(date, timeZone);
+  const localAsUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return localAsUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * Converts a local date and time in a time zone to the moment it names
+ *
+ * A local time skipped by a DST change is moved forward by the length of the
+ * gap (02:30 on a spring-forward night becomes 03:30); a repeated one resolves
+ * to one of its two moments.
+ *
+ * @function zonedTimeToUtc
+ * @param {{ year: number, month: number, day: number, hour?: number, minute?: number, second?: number, millisecond?: number }} local
+ *   Local fields (`month` from 1 to 12); out-of-range values roll over like in `Date.UTC`
+ * @param {string} timeZone - IANA zone name
+ * @returns {Date}
+ *
+ * @example
+ * zonedTimeToUtc({ year: 2026, month: 7, day: 1, hour: 9 }, 'Europe/Madrid');
+ * // 2026-07-01T07:00:00.000Z
+ */
+const zonedTimeToUtc = ({ year, month, day, hour = 0, minute = 0, second = 0, millisecond = 0 }, timeZone) => {
+  const localAsUtc = Date.UTC(year, month - 1, day, hour, minute, second, millisecond);
+  const firstOffset = getTimeZoneOffset(new Date(localAsUtc), timeZone);
+  let moment = localAsUtc - firstOffset;
+
+  const secondOffset = getTimeZoneOffset(new Date(moment), timeZone);
+  if (secondOffset !== firstOffset) {
+    const retry = localAsUtc - secondOffset;
+    moment = getTimeZoneOffset(new Date(retry), timeZone) === secondOffset ? retry : Math.max(moment, retry);
+  }
+  return new Date(moment);
+};
+
+/**
+ * Finds the first moment of a calendar day in a time zone
+ *
+ * Usually local midnight; where a DST change skips midnight, the day starts
+ * at the end of the skipped hour.
+ *
+ * @param {number} year
+ * @param {number} month - 1 to 12
+ * @param {number} day
+ * @param {string} timeZone - IANA zone name
+ * @returns {Date}
+ */
+const startOfZonedDay = (year, month, day, timeZone) => zonedTimeToUtc({ year, month, day }, timeZone);
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Calendar day arithmetic, on UTC dates so no time zone is involved
+const addDays = ({ year, month, day }, days) => {
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+};
+
+/**
+ * Resolves a date value to a calendar day in a time zone
+ *
+ * @param {string|number|Date} date - 'YYYY-MM-DD' (the day itself) or moment within the day
+ * @param {string} timeZone - IANA zone name
+ * @returns {{ year: number, month: number, day: number }|null} `null` for an invalid date
+ */
+const toCalendarDay = (date, timeZone) => {
+  const calendarDay = typeof date === 'string' && /^(\d{4})-(\d{2})-(\d{2})$/.exec(date);
+  if (calendarDay) {
+    const [year, month, day] = calendarDay.slice(1).map(Number);
+    return { year, month, day };
+  }
+
+  const moment = new Date(date);
+  if (isNaN(moment.getTime())) return null;
+  const { year, month, day } = getZonedParts(moment, timeZone);
+  return { year, month, day };
+};
+
+// First and last millisecond of the calendar days `first` to `last` in a zone
+const spanOf = (first, last, timeZone) => {
+  const next = addDays(last, 1);
+  return {
+    start: startOfZonedDay(first.year, first.month, first.day, timeZone),
+    end: new Date(startOfZonedDay(next.year, next.month, next.day, timeZone).getTime() - 1)
+  };
+};
+
+/**
+ * Returns the bounds of a day in a time zone
+ *
+ * A 'YYYY-MM-DD' string names the calendar day itself; any other date value
+ * stands for the day it falls on in `timeZone`.
+ *
+ * @function getDayRange
+ * @param {string|number|Date} date - Calendar day or moment within the day
+ * @param {string} [timeZone=DEFAULT_TIMEZONE] - IANA zone name
+ * @returns {{ start: Date, end: Date }|null} First and last millisecond of the day, `null` for an invalid date
+ *
+ * @example
+ * getDayRange('2026-03-29', 'Europe/Madrid');
+ * // { start: 2026-03-28T23:00:00.000Z, end: 2026-03-29T21:59:59.999Z } (23-hour day)
+ */
+const getDayRange = (date, timeZone = DEFAULT_TIMEZONE) => {
+  const day = toCalendarDay(date, timeZone);
+  return day ? spanOf(day, day, timeZone) : null;
+};
+
+/**
+ * Returns the calendar period (day, week or month) a date falls on
+ *
+ * Dates are read as in `getDayRange`. The key names the period and sorts
+ * chronologically: 'YYYY-MM-DD' for days, ISO week 'YYYY-Www' for weeks
+ * (Monday to Sunday) and 'YYYY-MM' for months. They match the MongoDB
+ * `$dateToString` formats in `PERIOD_KEY_FORMATS`.
+ *
+ * @function getPeriod
+ * @param {string|number|Date} date - Calendar day or moment within the period
+ * @param {'day'|'week'|'month'} granularity - Period length
+ * @param {string} [timeZone=DEFAULT_TIMEZONE] - IANA zone name
+ * @returns {{ key: string, start: Date, end: Date }|null} `null` for an invalid date
+ *
+ * @example
+ * getPeriod('2026-01-01', 'week', 'UTC');
+ * // { key: '2026-W01', start: 2025-12-29T00:00:00.000Z, end: 2026-01-04T23:59:59.999Z }
+ */
+const getPeriod = (date, granularity, timeZone = DEFAULT_TIMEZONE) => {
+  const day = toCalendarDay(date, timeZone);
+  if (!day) return null;
+
+  if (granularity === 'month') {
+    const first = { ...day, day: 1 };
+    const last = addDays({ ...first, month: first.month + 1 }, -1);
+    return { key: `${day.year}-${pad(day.month)}`, ...spanOf(first, last, timeZone) };
+  }
+
+  if (granularity === 'week') {
+    const position = (new Date(Date.UTC(day.year, day.month - 1, day.day)).getUTCDay() + 6) % 7;
+    const monday = addDays(day, -position);
+    // The ISO week belongs to the year of its Thursday and counts from that year's first Thursday
+    const thursday = addDays(monday, 3);
+    const week = Math.floor((Date.UTC(thursday.year, thursday.month - 1, thursday.day) - Date.UTC(thursday.year, 0, 1)) / (7 * 24 * 60 * 60 * 1000)) + 1;
+    return { key: `${thursday.year}-W${pad(week)}`, ...spanOf(monday, addDays(monday, 6), timeZone) };
+  }
+
+  return { key: `${day.year}-${pad(day.month)}-${pad(day.day)}`, ...spanOf(day, day, timeZone) };
+};
+
+// `$dateToString` formats producing the keys of `getPeriod`
+const PERIOD_KEY_FORMATS = { day: '%Y-%m-%d', week: '%G-W%V', month: '%Y-%m' };
+
+/**
+ * Lists the consecutive periods covering a range of moments
+ *
+ * @function listPeriods
+ * @param {Date} from - Start of the range
+ * @param {Date} to - End of the range (inclusive)
+ * @param {'day'|'week'|'month'} granularity - Period length
+ * @param {string} [timeZone=DEFAULT_TIMEZONE] - IANA zone name
+ * @returns {Array<{ key: string, start: Date, end: Date }>} Periods in chronological order
+ */
+const listPeriods = (from, to, granularity, timeZone = DEFAULT_TIMEZONE) => {
+  const periods = [];
+  for (let period = getPeriod(from, granularity, timeZone); period && period.start <= to;
+    period = getPeriod(new Date(period.end.getTime() + 1), granularity, timeZone)) {
+    periods.push(period);
+  }
+  return periods;
+};
+
+/**
+ * Reads the time zone a client announces in the `X-Timezone` header
+ *
+ * @function getRequestTimeZone
+ * @param {import('express').Request} req
+ * @returns {string} The header's zone when valid, `DEFAULT_TIMEZONE` otherwise
+ */
+const getRequestTimeZone = (req) => {
+  const timeZone = req.headers[TIMEZONE_HEADER];
+  return isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIMEZONE;
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  PERIOD_GRANULARITIES,
+  PERIOD_KEY_FORMATS,
+  isValidTimeZone,
+  getZonedParts,
+  getTimeZoneOffset,
+  zonedTimeToUtc,
+  getDayRange,
+  getPeriod,
+  listPeriods,
+  getRequestTimeZone
+};
@@ -0,0 +1,88 @@
+/**
+ * Base class for expected application errors
+ *
+ * Carries everything `globalErrorHandler` needs to build the response: the
+ * HTTP status, a stable machine-readable `errorType`, the catalog key of the
+ * message (translated to the request locale when rendered) and optional
+ * per-field `details`. Anything that is not an `AppError` is treated as an
+ * unexpected failure.
+ *
+ * @class AppError
+ * @extends Error
+ *
+ * @example
+ * throw new AppError('common.badRequest', { statusCode: 400, errorType: 'bad_request' });
+ */
+class AppError extends Error {
+  /**
+   * @param {string} messageKey - Catalog key of the message (see src/i18n)
+   * @param {Object} [options]
+   * @param {number} [options.statusCode=500] - HTTP status code
+   * @param {string} [options.errorType='server_error'] - Stable error code for clients
+   * @param {Object} [options.params] - Placeholder values for the message
+   * @param {Array<{ field: string, message: string }>} [options.details] - Per-field problems
+   * @param {Object} [options.extra] - Additional fields merged into the response body
+   */
+  constructor(messageKey, { statusCode = 500, errorType = 'server_error', params, details, extra } = {}) {
+    super(messageKey);
+    this.name = this.constructor.name;
+    this.messageKey = messageKey;
+    this.statusCode = statusCode;
+    this.errorType = errorType;
+    this.params = params;
+    this.details = details;
+    this.extra = extra;
+  }
+}
+
+/** 400 - The request data is missing or malformed */
+class ValidationError extends AppError {
+  constructor(messageKey = 'common.validationFailed', { errorType = 'validation_error', ...options } = {}) {
+    super(messageKey, { ...options, statusCode: 400, errorType });
+  }
+}
+
+/** 401 - No valid credentials were presented */
+class AuthError extends AppError {
+  constructor(messageKey = 'common.unauthorized', { errorType = 'unauthorized', ...options } = {}) {
+    super(messageKey, { ...options, statusCode: 401, errorType });
+  }
+}
+
+/** 403 - The caller is authenticated but not allowed to do this */
+class ForbiddenError extends AppError {
+  constructor(messageKey = 'common.forbidden', { errorType = 'forbidden', ...options } = {}) {
+    super(messageKey, { ...options, statusCode: 403, errorType });
+  }
+}
+
+/** 404 - The resource does not exist (or is not visible to the caller) */
+class NotFoundError extends AppError {
+  constructor(messageKey = 'common.notFound', { errorType = 'not_found', ...options } = {}) {
+    super(messageKey, { ...options, statusCode: 404, errorType });
+  }
+}
+
+/** 409 - The request conflicts with the current state (e.g. duplicate email) */
+class ConflictError extends AppError {
+  constructor(messageKey = 'common.conflict', { errorType = 'conflict', ...options } = {}) {
+    super(messageKey, { ...options, statusCode: 409, errorType });
+  }
+}
+
+/** 423 - The account is temporarily locked */
+class LockedError extends AppError {
+  constructor(messageKey = 'login.accountBlocked', { errorType = 'account_locked', ...options } = {}) {
+    super(messageKey, { ...options, statusCode: 423, errorType });
+  }
+}
+
+module.exports = {
+  AppError,
+  ValidationError,
+  AuthError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  LockedError
+};
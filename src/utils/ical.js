@@ -0,0 +1,266 @@
+/**
+ * iCalendar (RFC 5545) serialization of tasks
+ *
+ * Builds the calendar served by the subscribable task feed. Times are written
+ * in UTC; clients show them in their own zone. Recurring tasks are written
+ * once with an RRULE matching their recurrence rule, which is read in the
+ * owner's time zone: their start is written as local time with a TZID, and
+ * a VTIMEZONE listing the zone's offset changes is added to the calendar.
+ */
+
+const { getTimeZoneOffset } = require('./dates');
+
+const PRODUCT_ID = '-//Task Manager//Task feed//EN';
+
+// Tasks have a single moment; events are given this length
+const EVENT_DURATION = 'PT30M';
+
+const TODO_STATUSES = { 'to do': 'NEEDS-ACTION', 'in process': 'IN-PROCESS', finished: 'COMPLETED' };
+
+// Events have no completed status: unfinished tasks are tentative, finished
+// ones confirmed and their summary marked with FINISHED_PREFIX
+const EVENT_STATUSES = { 'to do': 'TENTATIVE', 'in process': 'TENTATIVE', finished: 'CONFIRMED' };
+const FINISHED_PREFIX = '✓ ';
+
+// PRIORITY goes from 1 (highest) to 9 (lowest); 'none' is left out
+const PRIORITIES = { urgent: 1, high: 3, medium: 5, low: 7 };
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Escapes a TEXT value (backslash, semicolon, comma and line breaks)
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// UTC DATE-TIME, e.g. 20261019T143000Z
+const formatDateTime = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Local DATE-TIME in a zone, e.g. 20261019T093000
+const formatLocalDateTime = (date, timeZone) => formatDateTime(new Date(date).getTime() + getTimeZoneOffset(new Date(date), timeZone)).slice(0, -1);
+
+// UTC offset as written in VTIMEZONE, e.g. -0500
+const formatOffset = (offset) => {
+  const minutes = Math.abs(offset) / 60000;
+  return `${offset < 0 ? '-' : '+'}${String(Math.floor(minutes / 60)).padStart(2, '0')}${String(minutes % 60).padStart(2, '0')}`;
+};
+
+// Zone a recurring task's times are written in, or null to write them in UTC
+const ruleTimeZone = (task) => {
+  const timeZone = task.recurrence && task.recurrence.freq && task.recurrence.timezone;
+  return timeZone && timeZone !== 'UTC' ? timeZone : null;
+};
+
+// A DATE-TIME property, local with a TZID when a zone is given
+const dateTimeProperty = (name, date, timeZone) => (timeZone
+  ? `${name};TZID=${timeZone}:${formatLocalDateTime(date, timeZone)}`
+  : `${name}:${formatDateTime(date)}`);
+
+// Years after the generation moment covered by the offset changes of a VTIMEZONE
+const TIMEZONE_YEARS_AHEAD = 5;
+const WEEK = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Writes the VTIMEZONE of a zone
+ *
+ * Lists the offset in effect at `from` and every change up to `to`, found by
+ * sampling the zone weekly and narrowing each change down to the second.
+ *
+ * @param {string} timeZone - IANA zone name (also used as TZID)
+ * @param {Date} from - First moment to cover
+ * @param {Date} to - Last moment to cover
+ * @returns {string[]} Content lines
+ */
+const timeZoneLines = (timeZone, from, to) => {
+  const offsetAt = (time) => getTimeZoneOffset(new Date(time), timeZone);
+  const component = (type, time, offsetFrom, offsetTo) => [
+    `BEGIN:${type}`,
+    // DTSTART is the local time of the change, read with the offset before it
+    `DTSTART:${formatDateTime(time + offsetFrom).slice(0, -1)}`,
+    `TZOFFSETFROM:${formatOffset(offsetFrom)}`,
+    `TZOFFSETTO:${formatOffset(offsetTo)}`,
+    `END:${type}`
+  ];
+
+  let time = Math.floor(new Date(from).getTime() / 1000) * 1000;
+  let offset = offsetAt(time);
+  // The first offset counts as daylight time if the zone is behind it at some point of the next year
+  const firstType = [13, 26, 39].some((weeks) => offsetAt(time + weeks * WEEK) < offset) ? 'DAYLIGHT' : 'STANDARD';
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`, ...component(firstType, time, offset, offset)];
+
+  for (; time < to.getTime(); time += WEEK) {
+    const nextOffset = offsetAt(time + WEEK);
+    if (nextOffset === offset) continue;
+
+    let before = time;
+    let after = time + WEEK;
+    while (after - before > 1000) {
+      const middle = before + Math.floor((after - before) / 2000) * 1000;
+      if (offsetAt(middle) === offset) before = middle;
+      else after = middle;
+    }
+    lines.push(...component(nextOffset > offset ? 'DAYLIGHT' : 'STANDARD', after, offset, nextOffset));
+    offset = nextOffset;
+  }
+
+  lines.push('END:VTIMEZONE');
+  return lines;
+};
+
+/**
+ * Folds a content line to lines of at most 75 octets
+ *
+ * Continuation lines start with a space; multi-byte characters are never split.
+ *
+ * @param {string} line - Unfolded content line
+ * @returns {string}
+ */
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const char of line) {
+    const charSize = Buffer.byteLength(char);
+    if (size + charSize > 75) {
+      parts.push(current);
+      current = ' ';
+      size = 1;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+  return parts.join('\r\n');
+};
+
+/**
+ * Writes a recurrence rule as RRULE and EXDATE properties
+ *
+ * `count` counts the whole series, so the occurrences already past the stored
+ * one (`sequence`) are taken off.
+ *
+ * @param {Object} rule - Task recurrence rule
+ * @param {number} [sequence=0] - Position of the stored occurrence in its series
+ * @param {string|null} [timeZone] - Zone the task's times are written in
+ * @returns {string[]} Content lines
+ */
+const recurrenceLines = (rule, sequence = 0, timeZone = null) => {
+  const parts = [`FREQ=${rule.freq.toUpperCase()}`, 'WKST=MO'];
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byWeekday && rule.byWeekday.length) parts.push(`BYDAY=${rule.byWeekday.map((day) => WEEKDAYS[day]).join(',')}`);
+  if (rule.byMonthDay && rule.byMonthDay.length) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+  if (rule.count) parts.push(`COUNT=${Math.max(rule.count - sequence, 1)}`);
+  else if (rule.until) parts.push(`UNTIL=${formatDateTime(rule.until)}`);
+
+  const lines = [`RRULE:${parts.join(';')}`];
+  if (rule.exdates && rule.exdates.length) {
+    lines.push(timeZone
+      ? `EXDATE;TZID=${timeZone}:${rule.exdates.map((date) => formatLocalDateTime(date, timeZone)).join(',')}`
+      : `EXDATE:${rule.exdates.map(formatDateTime).join(',')}`);
+  }
+  return lines;
+};
+
+/**
+ * Writes the calendar component of one task
+ *
+ * As an event (default, shown by every calendar client) the task starts at
+ * `task_date`, is TENTATIVE until finished and CONFIRMED with a checked
+ * summary after; as a to-do it is due then, and its status maps to STATUS
+ * (and COMPLETED once finished). Each reminder of a remembered task becomes
+ * a VALARM.
+ *
+ * @param {Object} task - Task document or lean object
+ * @param {Object} options
+ * @param {'event'|'todo'} options.component - Component type
+ * @param {string} options.domain - Right-hand side of the UIDs
+ * @param {Date} options.now - DTSTAMP of the calendar
+ * @returns {string[]} Content lines
+ */
+const taskLines = (task, { component, domain, now }) => {
+  const name = component === 'todo' ? 'VTODO' : 'VEVENT';
+  const summary = component !== 'todo' && task.status === 'finished' ? `${FINISHED_PREFIX}${task.title}` : task.title;
+  const lines = [
+    `BEGIN:${name}`,
+    `UID:${task._id}@${domain}`,
+    `DTSTAMP:${formatDateTime(now)}`,
+    `SUMMARY:${escapeText(summary)}`
+  ];
+  if (task.detail) lines.push(`DESCRIPTION:${escapeText(task.detail)}`);
+  if (task.createdAt) lines.push(`CREATED:${formatDateTime(task.createdAt)}`);
+  if (task.updatedAt) lines.push(`LAST-MODIFIED:${formatDateTime(task.updatedAt)}`);
+  if (PRIORITIES[task.priority]) lines.push(`PRIORITY:${PRIORITIES[task.priority]}`);
+
+  const recurring = Boolean(task.recurrence && task.recurrence.freq);
+  const timeZone = ruleTimeZone(task);
+  if (component === 'todo') {
+    // An RRULE needs a DTSTART; clients take one equal to DUE as a point in time
+    if (recurring) lines.push(dateTimeProperty('DTSTART', task.task_date, timeZone));
+    lines.push(dateTimeProperty('DUE', task.task_date, timeZone));
+    lines.push(`STATUS:${TODO_STATUSES[task.status] || 'NEEDS-ACTION'}`);
+    if (task.status === 'finished') lines.push(`COMPLETED:${formatDateTime(task.updatedAt || now)}`);
+  } else {
+    lines.push(dateTimeProperty('DTSTART', task.task_date, timeZone), `DURATION:${EVENT_DURATION}`, `STATUS:${EVENT_STATUSES[task.status] || 'TENTATIVE'}`);
+  }
+
+  if (recurring) lines.push(...recurrenceLines(task.recurrence, task.sequence, timeZone));
+
+  if (task.remember) {
+    const offsets = task.reminders && task.reminders.length ? task.reminders.map((r) => r.offsetMinutes) : [0];
+    for (const offset of offsets) {
+      lines.push(
+        'BEGIN:VALARM',
+        'ACTION:DISPLAY',
+        `DESCRIPTION:${escapeText(task.title)}`,
+        // To-dos may lack a DTSTART, so their alarms are relative to DUE
+        `TRIGGER${component === 'todo' ? ';RELATED=END' : ''}:${offset ? `-PT${offset}M` : 'PT0S'}`,
+        'END:VALARM'
+      );
+    }
+  }
+
+  lines.push(`END:${name}`);
+  return lines;
+};
+
+/**
+ * Builds an iCalendar document of tasks
+ *
+ * @function buildTaskCalendar
+ * @param {Object[]} tasks - Tasks to include
+ * @param {Object} [options]
+ * @param {string} [options.name] - Calendar name shown by clients (X-WR-CALNAME)
+ * @param {string} [options.timeZone] - Zone suggested to clients (X-WR-TIMEZONE)
+ * @param {'event'|'todo'} [options.component='event'] - Component written per task
+ * @param {string} [options.domain='tasks'] - Right-hand side of the UIDs
+ * @param {Date} [options.now=new Date()] - Generation moment
+ * @returns {string} VCALENDAR text with CRLF line endings
+ */
+const buildTaskCalendar = (tasks, { name, timeZone, component = 'event', domain = 'tasks', now = new Date() } = {}) => {
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${PRODUCT_ID}`, 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH'];
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  if (timeZone) lines.push(`X-WR-TIMEZONE:${timeZone}`);
+
+  // One VTIMEZONE per zone used by a recurring task, from its earliest start
+  const zoneStarts = new Map();
+  for (const task of tasks) {
+    const zone = ruleTimeZone(task);
+    const start = new Date(task.task_date);
+    if (zone && !(zoneStarts.get(zone) <= start)) zoneStarts.set(zone, start);
+  }
+  const coveredUntil = new Date(now.getTime());
+  coveredUntil.setUTCFullYear(coveredUntil.getUTCFullYear() + TIMEZONE_YEARS_AHEAD);
+  for (const [zone, start] of zoneStarts) {
+    lines.push(...timeZoneLines(zone, start, coveredUntil));
+  }
+
+  for (const task of tasks) {
+    lines.push(...taskLines(task, { component, domain, now }));
+  }
+  lines.push('END:VCALENDAR');
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+module.exports = { buildTaskCalendar };
@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+const User = require('../apps/user/models/models');
+const authConfig = require('../config/auth');
+const { hashToken } = require('./tokens');
+
+/**
+ * Checks whether an account is currently locked
+ *
+ * A blocked account without `lockUntil` stays blocked until someone unblocks
+ * it. A temporary lock (with `lockUntil`) stops applying as soon as that
+ * moment has passed, even before the flags are cleared in the database.
+ *
+ * @function isAccountLocked
+ * @param {Object} user - User document
+ * @returns {boolean} `true` if access must be refused
+ */
+const isAccountLocked = (user) => {
+  if (!user.isBlocked) return false;
+  if (!user.lockUntil) return true;
+  return user.lockUntil.getTime() > Date.now();
+};
+
+/**
+ * Computes how long the next lock lasts
+ *
+ * The duration doubles with every lock since the last successful login,
+ * capped at `lockMaxDurationMs`.
+ *
+ * @function getLockDuration
+ * @param {number} lockCount - Number of the lock being applied (1 for the first one)
+ * @returns {number} Lock duration in milliseconds
+ */
+const getLockDuration = (lockCount) => {
+  const duration = authConfig.lockBaseDurationMs * 2 ** Math.max(0, lockCount - 1);
+  return Math.min(duration, authConfig.lockMaxDurationMs);
+};
+
+/**
+ * Records a failed password check for an account
+ *
+ * Failures are counted atomically inside a fixed window starting at the first
+ * failure. When the count reaches `maxFailedLogins` the account is locked
+ * (`isBlocked` + `lockUntil`) and a one-time unlock token is generated.
+ *
+ * @async
+ * @function registerFailedLogin
+ * @param {Object} user - User whose password check failed
+ * @returns {Promise<{ locked: boolean, lockUntil?: Date, unlockToken?: string, user?: Object }>}
+ *   `unlockToken` (raw) is only returned when this call applied the lock
+ */
+const registerFailedLogin = async (user) => {
+  const now = new Date();
+  const windowStart = new Date(now.getTime() - authConfig.failedLoginWindowMs);
+
+  // Count inside the current window, or start a new window
+  let updated = await User.findOneAndUpdate(
+    { _id: user._id, failedLoginWindowStart: { $gt: windowStart } },
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  );
+  if (!updated) {
+    updated = await User.findOneAndUpdate(
+      { _id: user._id },
+      { $set: { failedLoginAttempts: 1, failedLoginWindowStart: now } },
+      { new: true }
+    );
+  }
+
+  if (!updated || updated.failedLoginAttempts < authConfig.maxFailedLogins) {
+    return { locked: false };
+  }
+
+  const lockCount = (updated.lockCount || 0) + 1;
+  const lockUntil = new Date(now.getTime() + getLockDuration(lockCount));
+  const unlockToken = crypto.randomBytes(32).toString('hex');
+
+  // Only the request that reaches the threshold applies the lock (an expired lock counts as unlocked)
+  const locked = await User.findOneAndUpdate(
+    {
+      _id: user._id,
+      $or: [{ isBlocked: false }, { lockUntil: { $ne: null, $lte: now } }]
+    },
+    {
+      $set: {
+        isBlocked: true,
+        lockUntil,
+        lockCount,
+        failedLoginAttempts: 0,
+        failedLoginWindowStart: null,
+        unlockToken: hashToken(unlockToken),
+        unlockTokenExpires: new Date(now.getTime() + authConfig.unlockTokenTtlMs)
+      }
+    },
+    { new: true }
+  );
+
+  if (!locked) return { locked: true, lockUntil: updated.lockUntil };
+  return { locked: true, lockUntil, unlockToken, user: locked };
+};
+
+/**
+ * Clears the failed-login state of an account
+ *
+ * Used after a successful login, an unlock link or an expired temporary lock.
+ * Permanent blocks (no `lockUntil`) are left untouched.
+ *
+ * @async
+ * @function clearLock
+ * @param {Object} user - User document (modified in place and saved)
+ * @param {Object} [options]
+ * @param {boolean} [options.resetLockCount=false] - Also reset the escalation counter
+ * @returns {Promise<void>}
+ */
+const clearLock = async (user, { resetLockCount = false } = {}) => {
+  if (user.isBlocked && user.lockUntil) {
+    user.isBlocked = false;
+  }
+  if (!user.isBlocked) user.lockUntil = null;
+  user.failedLoginAttempts = 0;
+  user.failedLoginWindowStart = null;
+  user.unlockToken = undefined;
+  user.unlockTokenExpires = undefined;
+  if (resetLockCount) user.lockCount = 0;
+
+  if (user.isModified()) await user.save();
+};
+
+module.exports = { isAccountLocked, getLockDuration, registerFailedLogin, clearLock };
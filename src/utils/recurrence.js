@@ -0,0 +1,176 @@
+/**
+ * Recurrence rules of repeating tasks
+ *
+ * A rule is a subset of the iCalendar RRULE (RFC 5545):
+ * - `freq`: 'daily' | 'weekly' | 'monthly'
+ * - `interval`: repeat every N days, weeks or months (default 1)
+ * - `byWeekday`: weekly rules, days of the week (0 = Sunday ... 6 = Saturday);
+ *   defaults to the weekday of the anchor occurrence
+ * - `byMonthDay`: monthly rules, days of the month (1-31); months without
+ *   that day are skipped; defaults to the day of the anchor occurrence
+ * - `until`: no occurrence after this moment
+ * - `count`: total number of occurrences of the series
+ * - `exdates`: occurrences to skip (they still count towards `count`)
+ * - `timezone`: IANA zone the days, weekdays and month days are read in
+ *   (the owner's zone when the rule was set; rules without one use UTC)
+ *
+ * Occurrences are computed from a known occurrence (the anchor) and keep its
+ * local time of day, so a 09:00 task stays at 09:00 across DST changes.
+ * Weeks start on Monday.
+ */
+
+const { getZonedParts, zonedTimeToUtc } = require('./dates');
+
+const RECURRENCE_FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+// Periods scanned at most, so rules that never match (the 31st every 12 months from a February) still end
+const MAX_PERIODS = 5000;
+
+// Monday-based position of a weekday (Monday = 0 ... Sunday = 6)
+const weekPosition = (weekday) => (weekday + 6) % 7;
+
+// Local date and time of a moment, held in the UTC fields of a Date so plain UTC arithmetic applies
+const toWallClock = (date, timeZone) => {
+  const { year, month, day, hour, minute, second } = getZonedParts(date, timeZone);
+  return new Date(Date.UTC(year, month - 1, day, hour, minute, second, date.getUTCMilliseconds()));
+};
+
+// Moment named by a wall clock date in a time zone
+const fromWallClock = (wallClock, timeZone) => zonedTimeToUtc({
+  year: wallClock.getUTCFullYear(),
+  month: wallClock.getUTCMonth() + 1,
+  day: wallClock.getUTCDate(),
+  hour: wallClock.getUTCHours(),
+  minute: wallClock.getUTCMinutes(),
+  second: wallClock.getUTCSeconds(),
+  millisecond: wallClock.getUTCMilliseconds()
+}, timeZone);
+
+/**
+ * Computes the candidate dates of one period (day, week or month) of a rule
+ *
+ * Works on wall clock dates (see `toWallClock`), so every calendar field is
+ * the local one.
+ *
+ * @param {Object} rule - Recurrence rule
+ * @param {Date} anchor - Known occurrence, as a wall clock date
+ * @param {number} offset - Days, weeks or months between the anchor's period and this one
+ * @returns {Date[]} Wall clock candidates in chronological order
+ */
+const periodDates = (rule, anchor, offset) => {
+  if (rule.freq === 'daily') {
+    const date = new Date(anchor);
+    date.setUTCDate(date.getUTCDate() + offset);
+    return [date];
+  }
+
+  if (rule.freq === 'weekly') {
+    const weekdays = rule.byWeekday && rule.byWeekday.length ? rule.byWeekday : [anchor.getUTCDay()];
+    const positions = [...new Set(weekdays.map(weekPosition))].sort((a, b) => a - b);
+    const weekStart = anchor.getUTCDate() - weekPosition(anchor.getUTCDay()) + offset * 7;
+
+    return positions.map((position) => {
+      const date = new Date(anchor);
+      date.setUTCDate(weekStart + position);
+      return date;
+    });
+  }
+
+  const days = rule.byMonthDay && rule.byMonthDay.length ? rule.byMonthDay : [anchor.getUTCDate()];
+  const year = anchor.getUTCFullYear();
+  const month = anchor.getUTCMonth() + offset;
+  const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+  return [...new Set(days)]
+    .filter((day) => day <= daysInMonth)
+    .sort((a, b) => a - b)
+    .map((day) => new Date(Date.UTC(
+      year, month, day,
+      anchor.getUTCHours(), anchor.getUTCMinutes(), anchor.getUTCSeconds(), anchor.getUTCMilliseconds()
+    )));
+};
+
+/**
+ * Yields the occurrences of a rule that come after a known occurrence
+ *
+ * @generator
+ * @param {Object} rule - Recurrence rule
+ * @param {Date} start - Known occurrence the rule is anchored to
+ * @param {number} [sequence=0] - Position of that occurrence in its series (0 for the first)
+ * @yields {{ date: Date, sequence: number }} Occurrences in chronological order
+ */
+function* iterateOccurrences(rule, start, sequence = 0) {
+  const anchor = new Date(start);
+  const timeZone = rule.timezone || 'UTC';
+  const wallClockAnchor = toWallClock(anchor, timeZone);
+  const interval = rule.interval || 1;
+  const until = rule.until ? new Date(rule.until).getTime() : Infinity;
+  const excluded = new Set((rule.exdates || []).map((date) => new Date(date).getTime()));
+  let position = sequence;
+
+  for (let period = 0; period < MAX_PERIODS; period++) {
+    for (const wallClock of periodDates(rule, wallClockAnchor, period * interval)) {
+      const date = fromWallClock(wallClock, timeZone);
+      if (date <= anchor) continue;
+      if (date.getTime() > until) return;
+
+      position += 1;
+      if (rule.count && position >= rule.count) return;
+      if (!excluded.has(date.getTime())) yield { date, sequence: position };
+    }
+  }
+}
+
+/**
+ * Lists the occurrences of a rule after a known occurrence
+ *
+ * @param {Object} rule - Recurrence rule
+ * @param {Date} start - Known occurrence the rule is anchored to
+ * @param {Object} [options]
+ * @param {number} [options.sequence=0] - Position of `start` in its series
+ * @param {Date} [options.from] - Leave out earlier occurrences
+ * @param {Date} [options.to] - Stop after this moment
+ * @param {number} [options.limit=366] - Maximum number of occurrences returned
+ * @returns {Array<{ date: Date, sequence: number }>}
+ */
+const listOccurrences = (rule, start, { sequence = 0, from, to, limit = 366 } = {}) => {
+  const occurrences = [];
+  for (const occurrence of iterateOccurrences(rule, start, sequence)) {
+    if (to && occurrence.date > to) break;
+    if (from && occurrence.date < from) continue;
+
+    occurrences.push(occurrence);
+    if (occurrences.length >= limit) break;
+  }
+  return occurrences;
+};
+
+/**
+ * Returns the occurrence that follows a known occurrence
+ *
+ * @param {Object} rule - Recurrence rule
+ * @param {Date} start - Known occurrence
+ * @param {number} [sequence=0] - Position of `start` in its series
+ * @returns {{ date: Date, sequence: number }|null} `null` once the series is over
+ */
+const nextOccurrence = (rule, start, sequence = 0) => listOccurrences(rule, start, { sequence, limit: 1 })[0] || null;
+
+/**
+ * Looks up a later occurrence of a rule by its date
+ *
+ * @param {Object} rule - Recurrence rule
+ * @param {Date} start - Known occurrence
+ * @param {number} sequence - Position of `start` in its series
+ * @param {Date|string} date - Exact date of the wanted occurrence
+ * @returns {{ date: Date, sequence: number }|null} `null` if the rule has no occurrence at that moment
+ */
+const findOccurrence = (rule, start, sequence, date) => {
+  const target = new Date(date).getTime();
+  for (const occurrence of iterateOccurrences(rule, start, sequence)) {
+    if (occurrence.date.getTime() === target) return occurrence;
+    if (occurrence.date.getTime() > target) break;
+  }
+  return null;
+};
+
+module.exports = { RECURRENCE_FREQUENCIES, listOccurrences, nextOccurrence, findOccurrence };
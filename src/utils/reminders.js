@@ -0,0 +1,107 @@
+const Task = require('../apps/task/models/models');
+const mailer = require('../mailer');
+
+// Scheduler settings (overridable through environment variables)
+const POLL_INTERVAL = Number(process.env.REMINDER_POLL_MS) || 60 * 1000;
+const MAX_DELAY = Number(process.env.REMINDER_MAX_DELAY_MS) || 24 * 60 * 60 * 1000; // older reminders are dropped
+const BATCH_SIZE = 100;
+
+/**
+ * Queues one batch of due reminders
+ *
+ * A reminder is due once its `remindAt` has passed, while the task is still
+ * to be remembered and not finished. Each email is queued with a key made of
+ * the task and the reminder moment, so queuing it again (after a crash before
+ * the reminder was marked, or from another instance) never creates a second
+ * email. Reminders are marked sent afterwards. Those more than `MAX_DELAY`
+ * late (e.g. the server was down) are marked without sending.
+ *
+ * @async
+ * @function processDueReminders
+ * @param {Date} [now=new Date()] - Reference moment
+ * @returns {Promise<{ tasks: number, queued: number }>} Tasks handled and emails queued
+ */
+const processDueReminders = async (now = new Date()) => {
+  const tasks = await Task.find({
+    remember: true,
+    status: { $ne: 'finished' },
+    reminders: { $elemMatch: { sentAt: null, remindAt: { $lte: now } } }
+  })
+    .populate('user_id', 'name email')
+    .limit(BATCH_SIZE);
+
+  let queued = 0;
+  for (const task of tasks) {
+    const owner = task.user_id;
+    const due = task.reminders.filter((reminder) => !reminder.sentAt && reminder.remindAt <= now);
+
+    for (const reminder of due) {
+      if (!owner || now - reminder.remindAt > MAX_DELAY) continue;
+
+      await mailer.enqueueMail('task-reminder', owner.email, {
+        name: owner.name,
+        title: task.title,
+        detail: task.detail,
+        taskDate: task.task_date
+      }, { key: `task-reminder:${task._id}:${reminder.remindAt.getTime()}` });
+      queued += 1;
+    }
+
+    await Task.updateOne(
+      { _id: task._id },
+      { $set: { 'reminders.$[due].sentAt': now } },
+      { arrayFilters: [{ 'due.sentAt': null, 'due.remindAt': { $lte: now } }] }
+    );
+  }
+
+  return { tasks: tasks.length, queued };
+};
+
+let timer = null;
+let running = false;
+
+/**
+ * Starts the in-process reminder scheduler
+ *
+ * Scans for due reminders every `intervalMs`, handling batches until none is
+ * left. The state lives in the tasks themselves, so reminders that fell due
+ * while the server was down are picked up on the first scan. Calling it more
+ * than once has no effect.
+ *
+ * @function startReminderScheduler
+ * @param {Object} [options]
+ * @param {number} [options.intervalMs] - Scan interval in milliseconds
+ */
+const startReminderScheduler = ({ intervalMs = POLL_INTERVAL } = {}) => {
+  if (running) return;
+  running = true;
+
+  const tick = async () => {
+    try {
+      while (running && (await processDueReminders()).tasks === BATCH_SIZE) {
+        // keep going while full batches come back
+      }
+    } catch (error) {
+      console.error('Reminder scheduler error:', error.message);
+    }
+    if (running) {
+      timer = setTimeout(tick, intervalMs);
+      if (timer.unref) timer.unref();
+    }
+  };
+
+  tick();
+};
+
+/**
+ * Stops the in-process reminder scheduler
+ *
+ * @function stopReminderScheduler
+ */
+const stopReminderScheduler = () => {
+  running = false;
+  if (timer) clearTimeout(timer);
+  timer = null;
+};
+
+module.exports = { processDueReminders, startReminderScheduler, stopReminderScheduler };
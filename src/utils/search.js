@@ -0,0 +1,84 @@
+/**
+ * Helpers of the task text search
+ *
+ * Search queries follow the MongoDB `$text` syntax: words, "quoted phrases",
+ * and words or phrases prefixed with `-` to exclude them. These helpers read
+ * the query the same way to highlight what matched.
+ */
+
+// Characters shown around the first match of a long text
+const SNIPPET_LENGTH = 160;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Splits a search query into included and excluded words or phrases
+ *
+ * Tokens without any letter or digit (a lone `-`, punctuation) are ignored,
+ * as the text index ignores them too.
+ *
+ * @function parseSearchQuery
+ * @param {string} query - Raw search query
+ * @returns {{ include: string[], exclude: string[] }}
+ *
+ * @example
+ * parseSearchQuery('report "final draft" -old');
+ * // { include: ['report', 'final draft'], exclude: ['old'] }
+ */
+const parseSearchQuery = (query) => {
+  const include = [];
+  const exclude = [];
+
+  for (const [, phraseSign, phrase, wordSign, word] of String(query).matchAll(/(-?)"([^"]*)"|(-?)(\S+)/g)) {
+    const value = (phrase !== undefined ? phrase : word.replace(/"/g, '')).trim();
+    if (!/[\p{L}\p{N}]/u.test(value)) continue;
+    (phraseSign || wordSign ? exclude : include).push(value);
+  }
+
+  return { include, exclude };
+};
+
+/**
+ * Splits a text into highlighted and plain segments
+ *
+ * Texts longer than `maxLength` are cut to a window around the first match,
+ * marked with `…` where text was left out. Segments are plain text, so the
+ * client decides how to render them (e.g. `<mark>`) without injecting HTML.
+ *
+ * @function highlight
+ * @param {string} [text=''] - Text to highlight
+ * @param {string[]} terms - Words and phrases to highlight (case-insensitive)
+ * @param {number} [maxLength=SNIPPET_LENGTH] - Maximum snippet length
+ * @returns {Array<{ text: string, match: boolean }>} Segments in order
+ */
+const highlight = (text = '', terms, maxLength = SNIPPET_LENGTH) => {
+  const pattern = terms.length
+    ? new RegExp([...terms].sort((a, b) => b.length - a.length).map(escapeRegExp).join('|'), 'giu')
+    : null;
+
+  let start = 0;
+  let end = text.length;
+  if (text.length > maxLength) {
+    const first = pattern ? text.search(pattern) : -1;
+    start = first > 0 ? Math.max(0, Math.min(first - Math.floor(maxLength / 4), text.length - maxLength)) : 0;
+    end = start + maxLength;
+  }
+
+  const snippet = text.slice(start, end);
+  const segments = [];
+  let position = 0;
+  if (pattern) {
+    for (const match of snippet.matchAll(pattern)) {
+      if (match.index > position) segments.push({ text: snippet.slice(position, match.index), match: false });
+      segments.push({ text: match[0], match: true });
+      position = match.index + match[0].length;
+    }
+  }
+  if (position < snippet.length) segments.push({ text: snippet.slice(position), match: false });
+
+  if (start > 0) segments.unshift({ text: '…', match: false });
+  if (end < text.length) segments.push({ text: '…', match: false });
+  return segments;
+};
+
+module.exports = { parseSearchQuery, highlight };
@@ -0,0 +1,219 @@
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const RefreshToken = require('../apps/user/models/refreshToken');
+const RevokedToken = require('../apps/user/models/revokedToken');
+const Session = require('../apps/user/models/session');
+const authConfig = require('../config/auth');
+
+/**
+ * Hashes an opaque token with SHA-256
+ *
+ * Refresh tokens are high-entropy random strings, so a fast hash is enough to
+ * keep the raw value out of the database while still allowing exact lookups.
+ *
+ * @function hashToken
+ * @param {string} token - Raw token received from or sent to the client
+ * @returns {string} Hex-encoded SHA-256 digest
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Signs a short-lived access JWT for a user
+ *
+ * Every token gets a unique `jti` so it can be revoked individually, and
+ * carries the id of the session it belongs to as the `sid` claim.
+ *
+ * @function signAccessToken
+ * @param {{ _id: any, email: string }} user - User document (or equivalent object)
+ * @param {any} [sessionId] - Session the token belongs to
+ * @returns {string} Signed JWT
+ */
+const signAccessToken = (user, sessionId) => {
+  const payload = { id: user._id, email: user.email };
+  if (sessionId) payload.sid = String(sessionId);
+
+  return jwt.sign(
+    payload,                                    // payload
+    process.env.JWT_SECRET,                     // secret password
+    { expiresIn: authConfig.accessTokenExpiresIn, jwtid: crypto.randomUUID() } // token's duration and id
+  );
+};
+
+/**
+ * Creates and stores a new refresh token for a user
+ *
+ * The raw token is returned to the caller and only its hash is persisted.
+ * When no `family` is given a new one is started (i.e. a fresh login).
+ *
+ * @async
+ * @function issueRefreshToken
+ * @param {{ _id: any }} user - User the token belongs to
+ * @param {string} [family] - Token family to continue (rotation)
+ * @returns {Promise<{ refreshToken: string, refreshTokenExpiresAt: Date, family: string }>}
+ */
+const issueRefreshToken = async (user, family = crypto.randomUUID()) => {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+  const refreshTokenExpiresAt = new Date(Date.now() + authConfig.refreshTokenTtlMs);
+
+  await RefreshToken.create({
+    tokenHash: hashToken(refreshToken),
+    family,
+    user_id: user._id,
+    expiresAt: refreshTokenExpiresAt
+  });
+
+  return { refreshToken, refreshTokenExpiresAt, family };
+};
+
+/**
+ * Revokes every still-active refresh token of a family
+ *
+ * The session that owns the family is revoked too, which makes
+ * `authenticateToken` reject the access tokens issued for it.
+ *
+ * @async
+ * @function revokeRefreshTokenFamily
+ * @param {string} family - Token family id
+ * @returns {Promise<void>}
+ */
+const revokeRefreshTokenFamily = async (family) => {
+  const now = new Date();
+
+  await RefreshToken.updateMany(
+    { family, revokedAt: null },
+    { $set: { revokedAt: now } }
+  );
+  await Session.updateOne(
+    { family, revokedAt: null },
+    { $set: { revokedAt: now } }
+  );
+};
+
+/**
+ * Starts a new session for a user after a successful login
+ *
+ * Records the device (user agent and IP), starts a new refresh token family
+ * owned by the session and issues the first pair of tokens.
+ *
+ * @async
+ * @function startSession
+ * @param {{ _id: any, email: string }} user - Authenticated user
+ * @param {import('express').Request} req - Express request the login came from
+ * @returns {Promise<{ token: string, refreshToken: string, refreshTokenExpiresAt: Date, sessionId: any }>}
+ */
+const startSession = async (user, req) => {
+  const family = crypto.randomUUID();
+  const session = await Session.create({
+    user_id: user._id,
+    family,
+    userAgent: req.get('user-agent') || '',
+    ip: req.ip || '',
+    lastSeenAt: new Date(),
+    expiresAt: new Date(Date.now() + authConfig.refreshTokenTtlMs)
+  });
+
+  const token = signAccessToken(user, session._id);
+  const { refreshToken, refreshTokenExpiresAt } = await issueRefreshToken(user, family);
+
+  return { token, refreshToken, refreshTokenExpiresAt, sessionId: session._id };
+};
+
+/**
+ * Checks whether a token was issued before a user's cut-off
+ *
+ * `tokensValidAfter` is a whole second, the precision of the JWT `iat` claim.
+ * Everything issued during that second or earlier is rejected, so nothing
+ * issued in the same second as a "log out everywhere" survives it.
+ *
+ * @function isIssuedBeforeCutoff
+ * @param {Date|number} issuedAt - Issue moment (`iat * 1000` or a `createdAt`)
+ * @param {Date|null} [tokensValidAfter] - User's cut-off
+ * @returns {boolean} `true` if the token must be rejected
+ */
+const isIssuedBeforeCutoff = (issuedAt, tokensValidAfter) => Boolean(tokensValidAfter)
+  && Math.floor(new Date(issuedAt).getTime() / 1000) * 1000 <= tokensValidAfter.getTime();
+
+/**
+ * Invalidates every token a user was issued up to a moment
+ *
+ * Moves the user's `tokensValidAfter` to that moment (floored to the second,
+ * never moved back) and saves the user, then revokes the refresh tokens and
+ * sessions issued up to the end of that second (see `isIssuedBeforeCutoff`).
+ *
+ * @async
+ * @function revokeUserTokens
+ * @param {Object} user - User document (modified in place and saved)
+ * @param {Date} [before=new Date()] - Cut-off moment
+ * @returns {Promise<Date>} The user's cut-off
+ */
+const revokeUserTokens = async (user, before = new Date()) => {
+  const now = new Date();
+  const cutoff = new Date(Math.floor(before.getTime() / 1000) * 1000);
+
+  if (!user.tokensValidAfter || user.tokensValidAfter < cutoff) {
+    user.tokensValidAfter = cutoff;
+  }
+  if (user.isModified()) await user.save();
+
+  const issuedUpTo = { $lt: new Date(cutoff.getTime() + 1000) };
+  await RefreshToken.updateMany(
+    { user_id: user._id, revokedAt: null, createdAt: issuedUpTo },
+    { $set: { revokedAt: now } }
+  );
+  await Session.updateMany(
+    { user_id: user._id, revokedAt: null, createdAt: issuedUpTo },
+    { $set: { revokedAt: now } }
+  );
+
+  return user.tokensValidAfter;
+};
+
+/**
+ * Adds an access token to the revocation list
+ *
+ * Tokens without a `jti` (issued before revocation was supported) cannot be
+ * revoked individually and are ignored.
+ *
+ * @async
+ * @function revokeAccessToken
+ * @param {{ jti?: string, exp?: number, id?: any }} decoded - Decoded JWT payload
+ * @returns {Promise<void>}
+ */
+const revokeAccessToken = async (decoded) => {
+  if (!decoded || !decoded.jti) return;
+
+  const expiresAt = decoded.exp
+    ? new Date(decoded.exp * 1000)
+    : new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+  await RevokedToken.updateOne(
+    { jti: decoded.jti },
+    { $setOnInsert: { jti: decoded.jti, user_id: decoded.id, expiresAt } },
+    { upsert: true }
+  );
+};
+
+/**
+ * Checks whether an access token is on the revocation list
+ *
+ * @async
+ * @function isAccessTokenRevoked
+ * @param {{ jti?: string }} decoded - Decoded JWT payload
+ * @returns {Promise<boolean>}
+ */
+const isAccessTokenRevoked = async (decoded) => {
+  if (!decoded || !decoded.jti) return false;
+  return Boolean(await RevokedToken.exists({ jti: decoded.jti }));
+};
+
+module.exports = {
+  hashToken,
+  signAccessToken,
+  issueRefreshToken,
+  revokeRefreshTokenFamily,
+  startSession,
+  isIssuedBeforeCutoff,
+  revokeUserTokens,
+  revokeAccessToken,
+  isAccessTokenRevoked
+};
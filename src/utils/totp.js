@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TIME_STEP = 30; // seconds
+const DIGITS = 6;
+
+/**
+ * Encodes a buffer as RFC 4648 base32 (no padding)
+ *
+ * @function base32Encode
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decodes an RFC 4648 base32 string (padding, spaces and case are ignored)
+ *
+ * @function base32Decode
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Decoded bytes
+ * @throws {Error} If the string contains characters outside the base32 alphabet
+ */
+const base32Decode = (input) => {
+  const clean = String(input).toUpperCase().replace(/=+$/, '').replace(/\s+/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generates a random TOTP secret (160 bits, as recommended by RFC 4226)
+ *
+ * @function generateSecret
+ * @returns {string} Base32-encoded secret
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Computes the HOTP value for a given counter (RFC 4226)
+ *
+ * @function generateHotp
+ * @param {string} secret - Base32-encoded secret
+ * @param {number} counter - Moving factor
+ * @returns {string} Zero-padded numeric code
+ */
+const generateHotp = (secret, counter) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * Returns the TOTP time step for a timestamp
+ *
+ * @function getTimeStep
+ * @param {number} [timestamp=Date.now()] - Time in milliseconds
+ * @returns {number} Number of 30-second steps since the Unix epoch
+ */
+const getTimeStep = (timestamp = Date.now()) => Math.floor(timestamp / 1000 / TIME_STEP);
+
+/**
+ * Computes the current TOTP code (RFC 6238, SHA-1, 6 digits, 30 s)
+ *
+ * @function generateTotp
+ * @param {string} secret - Base32-encoded secret
+ * @param {number} [timestamp=Date.now()] - Time in milliseconds
+ * @returns {string} Six-digit code
+ */
+const generateTotp = (secret, timestamp = Date.now()) => generateHotp(secret, getTimeStep(timestamp));
+
+/**
+ * Verifies a TOTP code
+ *
+ * Accepts codes from the current time step and `window` steps around it to
+ * tolerate clock drift. Steps that are not newer than `lastUsedStep` are
+ * rejected so a code cannot be replayed.
+ *
+ * @function verifyTotp
+ * @param {string} secret - Base32-encoded secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} [options]
+ * @param {number} [options.window=1] - Accepted drift in time steps
+ * @param {number} [options.lastUsedStep] - Last step successfully used
+ * @returns {number|null} The matched time step, or `null` if the code is invalid
+ */
+const verifyTotp = (secret, code, { window = 1, lastUsedStep } = {}) => {
+  const normalized = String(code || '').replace(/\s+/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const current = getTimeStep();
+  for (let step = current - window; step <= current + window; step++) {
+    if (lastUsedStep !== undefined && lastUsedStep !== null && step <= lastUsedStep) continue;
+
+    const expected = generateHotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Builds the otpauth:// URI understood by authenticator apps
+ *
+ * @function buildOtpauthUrl
+ * @param {string} secret - Base32-encoded secret
+ * @param {string} accountName - Account label (usually the user's email)
+ * @param {string} [issuer='Pichulie'] - Service name shown in the app
+ * @returns {string} otpauth URI
+ *
+ * @see {@link https://github.com/google/google-authenticator/wiki/Key-Uri-Format} Key URI Format
+ */
+const buildOtpauthUrl = (secret, accountName, issuer = 'Pichulie') => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(TIME_STEP)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = { base32Encode, base32Decode, generateSecret, generateTotp, verifyTotp, buildOtpauthUrl };